@@ -83,4 +83,44 @@ public sealed class AnalyzerUnitTests
         // Ante 1 should have exactly 4 packs
         Assert.Equal(4, packCount);
     }
-}
\ No newline at end of file
+
+    [Fact]
+    public void TestExplainClauses_LocatesMatchedItems()
+    {
+        // UNITTEST ante 1: Stone Joker is shop item 2, Constellation is the first card of the Buffoon Pack
+        const string jaml = """
+            name: Explain Test
+            deck: Red
+            stake: White
+            must:
+              - joker: StoneJoker
+                antes: [1]
+            should:
+              - joker: Constellation
+                antes: [1]
+                score: 10
+            mustNot:
+              - voucher: Telescope
+                antes: [1]
+            """;
+
+        Assert.True(JamlConfigLoader.TryLoadFromJamlString(jaml, out var config, out var error), error);
+
+        var cfg = new MotelySeedAnalysisConfig("UNITTEST", MotelyDeck.Red, MotelyStake.White);
+        var analysis = MotelySeedAnalyzer.Analyze(cfg);
+        var clauses = MotelySeedAnalyzer.ExplainClauses(cfg, config!, analysis);
+
+        var must = Assert.Single(clauses, c => c.Section == "must");
+        Assert.True(must.Matched);
+        Assert.Contains(new MotelyClauseLocation(1, "shop", 1, null), must.Locations);
+
+        var should = Assert.Single(clauses, c => c.Section == "should");
+        Assert.True(should.Matched);
+        Assert.Equal(should.Count * 10, should.Score);
+        Assert.Contains(new MotelyClauseLocation(1, "pack", 0, 0), should.Locations);
+
+        var mustNot = Assert.Single(clauses, c => c.Section == "mustNot");
+        Assert.False(mustNot.Matched);
+        Assert.Empty(mustNot.Locations);
+    }
+}
@@ -0,0 +1,81 @@
+using Motely.Analysis;
+
+namespace Motely.Tests;
+
+public sealed class ClauseRateTests
+{
+    [Fact]
+    public void SampleClauseRates_KnownSeeds_CountsMatchesAndFunnel()
+    {
+        // Ante 1 of both seeds: boss The Window and two Speed Tags. ALEEB's voucher is Magic Trick,
+        // UNITTEST's is Tarot Merchant, and only UNITTEST has Stone Joker in the shop
+        const string jaml = """
+            name: Clause Rate Test
+            deck: Red
+            stake: White
+            must:
+              - boss: TheWindow
+                antes: [1]
+              - voucher: MagicTrick
+                antes: [1]
+              - voucher: TarotMerchant
+                antes: [1]
+            should:
+              - tag: SpeedTag
+                antes: [1]
+              - joker: StoneJoker
+                antes: [1]
+            """;
+
+        Assert.True(JamlConfigLoader.TryLoadFromJamlString(jaml, out var config, out var error), error);
+
+        var rates = MotelySeedAnalyzer.SampleClauseRates(config!, MotelyDeck.Red, MotelyStake.White, ["ALEEB", "UNITTEST"]);
+
+        Assert.Equal(2, rates.Sampled);
+        Assert.Equal(new long[] { 2, 1, 1 }, rates.Matched);
+        // Each seed drops out at a different voucher, so nothing gets through all three
+        Assert.Equal(new long[] { 2, 1, 0 }, rates.Funnel);
+        Assert.Equal(new long[] { 2, 1 }, rates.ShouldMatched);
+    }
+
+    [Fact]
+    public void SampleClauseRates_RandomSample_FunnelNeverExceedsMatches()
+    {
+        const string jaml = """
+            name: Clause Rate Funnel Test
+            must:
+              - tag: NegativeTag
+                antes: [1, 2]
+              - joker: Blueprint
+                antes: [1, 2]
+            """;
+
+        Assert.True(JamlConfigLoader.TryLoadFromJamlString(jaml, out var config, out var error), error);
+
+        var rates = MotelySeedAnalyzer.SampleClauseRates(config!, MotelyDeck.Red, MotelyStake.White, 2_000);
+
+        Assert.Equal(2_000, rates.Sampled);
+        Assert.Equal(rates.Matched[0], rates.Funnel[0]);
+        Assert.True(rates.Funnel[1] <= rates.Funnel[0]);
+        Assert.True(rates.Funnel[1] <= rates.Matched[1]);
+        Assert.Empty(rates.ShouldMatched);
+    }
+
+    [Theory]
+    [InlineData(50, 100, 0.403830, 0.596170)]
+    [InlineData(0, 1000, 0.0, 0.003827)]
+    [InlineData(1000, 1000, 0.996173, 1.0)]
+    public void WilsonInterval_KnownCounts(long hits, long n, double low, double high)
+    {
+        var interval = MotelyClauseRates.WilsonInterval(hits, n);
+
+        Assert.Equal(low, interval.Low, 6);
+        Assert.Equal(high, interval.High, 6);
+    }
+
+    [Fact]
+    public void WilsonInterval_NoSample_IsUnbounded()
+    {
+        Assert.Equal((0.0, 1.0), MotelyClauseRates.WilsonInterval(0, 0));
+    }
+}
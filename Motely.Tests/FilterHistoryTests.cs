@@ -0,0 +1,66 @@
+using Motely.API;
+
+namespace Motely.Tests;
+
+public sealed class FilterHistoryTests : IDisposable
+{
+    private readonly string _root = Path.Combine(Path.GetTempPath(), $"motely-history-{Guid.NewGuid():N}");
+
+    public FilterHistoryTests()
+    {
+        Directory.CreateDirectory(_root);
+    }
+
+    public void Dispose()
+    {
+        Directory.Delete(_root, recursive: true);
+    }
+
+    private string WriteVersions(string filter, params string[] versions)
+    {
+        var dir = Path.Combine(_root, filter);
+        Directory.CreateDirectory(dir);
+        foreach (var version in versions)
+            File.WriteAllText(Path.Combine(dir, $"{version}.jaml"), $"name: {filter} {version}");
+        return dir;
+    }
+
+    private static string[] VersionsIn(string dir) =>
+        Directory.GetFiles(dir).Select(file => Path.GetFileNameWithoutExtension(file)).Order().ToArray();
+
+    [Fact]
+    public void MoveFilterHistory_FreeName_MovesTheDirectory()
+    {
+        var oldDir = WriteVersions("Old_Red_White", "20250101-000000-000", "20250102-000000-000");
+        var newDir = Path.Combine(_root, "New_Red_White");
+
+        MotelyApiServer.MoveFilterHistory(oldDir, newDir);
+
+        Assert.False(Directory.Exists(oldDir));
+        Assert.Equal(new[] { "20250101-000000-000", "20250102-000000-000" }, VersionsIn(newDir));
+    }
+
+    [Fact]
+    public void MoveFilterHistory_ExistingHistory_IsMergedNotOrphaned()
+    {
+        // New_Red_White was saved and deleted before - its versions are still on disk
+        var oldDir = WriteVersions("Old_Red_White", "20250101-000000-000", "20250103-000000-000");
+        var newDir = WriteVersions("New_Red_White", "20250102-000000-000");
+
+        MotelyApiServer.MoveFilterHistory(oldDir, newDir);
+
+        Assert.False(Directory.Exists(oldDir));
+        Assert.Equal(new[] { "20250101-000000-000", "20250102-000000-000", "20250103-000000-000" }, VersionsIn(newDir));
+        Assert.Equal("name: Old_Red_White 20250103-000000-000", File.ReadAllText(Path.Combine(newDir, "20250103-000000-000.jaml")));
+    }
+
+    [Fact]
+    public void MoveFilterHistory_NoHistory_DoesNothing()
+    {
+        var newDir = WriteVersions("New_Red_White", "20250102-000000-000");
+
+        MotelyApiServer.MoveFilterHistory(Path.Combine(_root, "Old_Red_White"), newDir);
+
+        Assert.Equal(new[] { "20250102-000000-000" }, VersionsIn(newDir));
+    }
+}
@@ -0,0 +1,38 @@
+using Motely.Executors;
+
+namespace Motely.Tests;
+
+public sealed class FilterTestSeedTests
+{
+    private static MotelyJsonConfig LoadVerifiedSeedConfig()
+    {
+        var path = Path.Combine(AppContext.BaseDirectory, "TestJamlConfigs", "verified-seed-test.jaml");
+        Assert.True(JamlConfigLoader.TryLoadFromJamlString(File.ReadAllText(path), out var config, out var error), error);
+        return config!;
+    }
+
+    [Fact]
+    public void TestSeed_VerifiedSeed_PassesWithShouldScore()
+    {
+        var config = LoadVerifiedSeedConfig();
+        Assert.Equal("UNITTEST", config.VerifiedSeed);
+
+        var (score, tallies) = JsonSearchExecutor.TestSeed(config, config.VerifiedSeed!);
+
+        Assert.NotNull(score);
+        Assert.NotNull(tallies);
+        var constellations = Assert.Single(tallies);
+        Assert.True(constellations > 0);
+        Assert.Equal(constellations * 10, score);
+    }
+
+    [Fact]
+    public void TestSeed_OtherSeed_Fails()
+    {
+        // ALEEB's ante 1 shop and packs have no Stone Joker
+        var (score, tallies) = JsonSearchExecutor.TestSeed(LoadVerifiedSeedConfig(), "ALEEB");
+
+        Assert.Null(score);
+        Assert.Null(tallies);
+    }
+}
@@ -0,0 +1,162 @@
+using System.Collections.Concurrent;
+using System.Diagnostics;
+using Motely.API;
+using Motely.Executors;
+
+namespace Motely.Tests;
+
+public sealed class NativeFilterTests
+{
+    private const string ScoringJaml = """
+        name: Native Scoring Test
+        deck: Red
+        stake: White
+        should:
+          - joker: StoneJoker
+            antes: [1]
+            score: 10
+        """;
+
+    private static MotelyJsonConfig Load(string jaml)
+    {
+        Assert.True(JamlConfigLoader.TryLoadFromJamlString(jaml, out var config, out var error), error);
+        return config!;
+    }
+
+    private static ConcurrentDictionary<string, (int Score, List<int> Tallies)> RunApiSearch(
+        string filterName,
+        MotelyJsonConfig scoreConfig,
+        params string[] seeds)
+    {
+        var results = new ConcurrentDictionary<string, (int Score, List<int> Tallies)>();
+        var parameters = new JsonSearchParams
+        {
+            Threads = 1,
+            NoFancy = true,
+            Quiet = true,
+            SeedList = seeds.ToList(),
+            Cutoff = 0,
+        };
+        var executor = new NativeFilterExecutor(filterName, parameters, scoreConfig,
+            tally => results[tally.Seed] = (tally.Score, tally.TallyColumns?.ToList() ?? new()));
+
+        // API mode returns as soon as the search is started
+        Assert.Equal(0, executor.Execute(awaitCompletion: false));
+        var waited = Stopwatch.StartNew();
+        while (!executor.IsCompleted && waited.Elapsed < TimeSpan.FromSeconds(60))
+            Thread.Sleep(50);
+
+        Assert.True(executor.IsCompleted);
+        return results;
+    }
+
+    [Fact]
+    public void ApiExecutor_ScoresEveryPassingSeedWithTheShouldBlock()
+    {
+        // Passthrough passes every seed, so only the scoring JAML tells them apart
+        var results = RunApiSearch("Passthrough", Load(ScoringJaml), "ALEEB", "UNITTEST");
+
+        Assert.Equal(new[] { "ALEEB", "UNITTEST" }, results.Keys.Order());
+
+        // UNITTEST's ante 1 shop has a Stone Joker, ALEEB's has none
+        var stoneJokers = Assert.Single(results["UNITTEST"].Tallies);
+        Assert.True(stoneJokers > 0);
+        Assert.Equal(stoneJokers * 10, results["UNITTEST"].Score);
+        Assert.Equal(new[] { 0 }, results["ALEEB"].Tallies);
+        Assert.Equal(0, results["ALEEB"].Score);
+    }
+
+    [Fact]
+    public void ApiExecutor_WithoutShouldClauses_ReportsScoreZero()
+    {
+        var results = RunApiSearch("passthrough", Load("name: Unscored\ndeck: Red\nstake: White\n"), "ALEEB");
+
+        var (score, tallies) = Assert.Single(results).Value;
+        Assert.Equal(0, score);
+        Assert.Empty(tallies);
+    }
+
+    [Fact]
+    public void ApiExecutor_UnknownFilter_DoesNotStart()
+    {
+        var executor = new NativeFilterExecutor("NotAFilter", new JsonSearchParams { NoFancy = true, Quiet = true }, Load(ScoringJaml), _ => { });
+
+        Assert.Equal(1, executor.Execute(awaitCompletion: false));
+        Assert.False(executor.IsCompleted);
+    }
+
+    [Theory]
+    [InlineData("# native: Observatory\nname: x\n", "Observatory")]
+    [InlineData("#native:NegativeTag\r\nname: x\n", "NegativeTag")]
+    [InlineData("name: x\n# native: Passthrough\n", "Passthrough")]
+    [InlineData("name: x\n# natively scored\n", null)]
+    public void ReadNativeFilter_FindsTheMarker(string jaml, string? expected)
+    {
+        Assert.Equal(expected, MotelyApiServer.ReadNativeFilter(jaml));
+    }
+
+    [Fact]
+    public void NormalizeNativeFilter_RequestedFilter_WritesTheMarker()
+    {
+        var request = new SearchRequest { NativeFilter = " perkeoobservatory ", FilterJaml = ScoringJaml };
+
+        Assert.Null(MotelyApiServer.NormalizeNativeFilter(request, Load(ScoringJaml)));
+
+        Assert.Equal("PerkeoObservatory", request.NativeFilter);
+        Assert.Equal($"# native: PerkeoObservatory\n{ScoringJaml}", request.FilterJaml);
+        Assert.Equal("PerkeoObservatory", MotelyApiServer.ReadNativeFilter(request.FilterJaml));
+    }
+
+    [Fact]
+    public void NormalizeNativeFilter_StartedById_KeepsTheSavedMarker()
+    {
+        var saved = $"# native: PerkeoObservatory\n{ScoringJaml}";
+        var request = new SearchRequest { FilterJaml = saved };
+
+        Assert.Null(MotelyApiServer.NormalizeNativeFilter(request, Load(saved)));
+
+        Assert.Equal("PerkeoObservatory", request.NativeFilter);
+        Assert.Equal(saved, request.FilterJaml);
+    }
+
+    [Fact]
+    public void NormalizeNativeFilter_OtherFilterRequested_ReplacesTheMarker()
+    {
+        var saved = $"# native: PerkeoObservatory\n{ScoringJaml}";
+        var request = new SearchRequest { NativeFilter = "NegativeTag", FilterJaml = saved };
+
+        Assert.Null(MotelyApiServer.NormalizeNativeFilter(request, Load(saved)));
+
+        Assert.Equal($"# native: NegativeTag\n{ScoringJaml}", request.FilterJaml);
+    }
+
+    [Fact]
+    public void NormalizeNativeFilter_NoNativeFilter_LeavesTheJamlAlone()
+    {
+        var request = new SearchRequest { NativeFilter = "  ", FilterJaml = ScoringJaml };
+
+        Assert.Null(MotelyApiServer.NormalizeNativeFilter(request, Load(ScoringJaml)));
+
+        Assert.Null(request.NativeFilter);
+        Assert.Equal(ScoringJaml, request.FilterJaml);
+    }
+
+    [Fact]
+    public void NormalizeNativeFilter_UnknownFilter_IsRejected()
+    {
+        var request = new SearchRequest { NativeFilter = "NotAFilter", FilterJaml = ScoringJaml };
+
+        Assert.Equal("Unknown native filter 'NotAFilter'", MotelyApiServer.NormalizeNativeFilter(request, Load(ScoringJaml)));
+    }
+
+    [Fact]
+    public void NormalizeNativeFilter_MustClauses_AreRejected()
+    {
+        var jaml = ScoringJaml.Replace("should:", "must:\n  - joker: Blueprint\n    antes: [1]\nshould:");
+        var request = new SearchRequest { NativeFilter = "Passthrough", FilterJaml = jaml };
+
+        Assert.Equal(
+            "Native filter searches only use the should block for scoring - remove must and mustNot",
+            MotelyApiServer.NormalizeNativeFilter(request, Load(jaml)));
+    }
+}
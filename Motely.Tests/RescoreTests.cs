@@ -0,0 +1,157 @@
+using DuckDB.NET.Data;
+using Motely.API;
+
+namespace Motely.Tests;
+
+public sealed class RescoreTests
+{
+    private const string Filter = """
+        name: Rescore Test
+        author: tester
+        deck: Red
+        stake: White
+        must:
+          - joker: Blueprint
+            antes: [1, 2]
+        should:
+          - joker: Brainstorm
+            antes: [1, 2, 3]
+            score: 5
+          - tag: NegativeTag
+            antes: [2]
+            score: 1
+        """;
+
+    [Fact]
+    public void SearchSignature_MetadataOnlyEdits_CompareEqual()
+    {
+        var edited = Filter
+            .Replace("name: Rescore Test", "name: Rescore Test Renamed\ndescription: now with a description")
+            .Replace("author: tester", "author: someone else\n# a comment")
+            .Replace("antes: [1, 2]\n", "antes:\n      - 1\n      - 2\n");
+
+        Assert.NotNull(MotelyApiServer.SearchSignature(Filter));
+        Assert.Equal(MotelyApiServer.SearchSignature(Filter), MotelyApiServer.SearchSignature(edited));
+    }
+
+    [Fact]
+    public void SearchSignature_ShouldScoreEdits_EqualOnlyWhenIgnoringScores()
+    {
+        var edited = Filter.Replace("score: 5", "score: 50").Replace("stake: White", "stake: White\nmode: max");
+
+        Assert.NotEqual(MotelyApiServer.SearchSignature(Filter), MotelyApiServer.SearchSignature(edited));
+        Assert.Equal(
+            MotelyApiServer.SearchSignature(Filter, ignoreScores: true),
+            MotelyApiServer.SearchSignature(edited, ignoreScores: true));
+    }
+
+    [Theory]
+    [InlineData("joker: Blueprint", "joker: Brainstorm")]
+    [InlineData("antes: [1, 2, 3]", "antes: [1, 2]")]
+    [InlineData("tag: NegativeTag", "tag: DoubleTag")]
+    [InlineData("deck: Red", "deck: Ghost")]
+    public void SearchSignature_SearchEdits_Differ(string from, string to)
+    {
+        var edited = Filter.Replace(from, to);
+
+        Assert.NotEqual(
+            MotelyApiServer.SearchSignature(Filter, ignoreScores: true),
+            MotelyApiServer.SearchSignature(edited, ignoreScores: true));
+    }
+
+    [Fact]
+    public void SearchSignature_InvalidJaml_IsNull()
+    {
+        Assert.Null(MotelyApiServer.SearchSignature("must:\n  - joker: [Blueprint\n"));
+    }
+
+    [Fact]
+    public void PrepareRescore_ScoreEdit_IsAccepted()
+    {
+        var edited = Filter.Replace("score: 5", "score: 20");
+
+        var error = MotelyApiServer.PrepareRescore("RescoreTest_Red_White", Filter, edited, out var filterJaml, out var config);
+
+        Assert.Null(error);
+        Assert.Equal(edited, filterJaml);
+        Assert.Equal(20, config!.Should[0].Score);
+    }
+
+    [Theory]
+    [InlineData("joker: Blueprint", "joker: Brainstorm")]
+    [InlineData("name: Rescore Test", "name: Other Name")]
+    public void PrepareRescore_OtherEdits_AreRejected(string from, string to)
+    {
+        var error = MotelyApiServer.PrepareRescore("RescoreTest_Red_White", Filter, Filter.Replace(from, to), out _, out _);
+
+        Assert.Equal("The edited filter changes more than the should scores - fork it as a new search instead", error);
+    }
+
+    [Fact]
+    public void PrepareRescore_NativeSearch_KeepsItsMarker()
+    {
+        const string scoring = """
+            name: Rescore Test
+            should:
+              - joker: Perkeo
+                antes: [1, 2]
+                score: 5
+            """;
+
+        var error = MotelyApiServer.PrepareRescore(
+            "native-PerkeoObservatory-RescoreTest_Red_White",
+            $"# native: PerkeoObservatory\n{scoring}",
+            scoring.Replace("score: 5", "score: 8"),
+            out var filterJaml,
+            out _);
+
+        Assert.Null(error);
+        Assert.Equal($"# native: PerkeoObservatory\n{scoring.Replace("score: 5", "score: 8")}", filterJaml);
+    }
+
+    [Fact]
+    public void WeightedScoreSql_BuildsSumAndMaxCount()
+    {
+        Assert.Equal("0", MotelyApiServer.WeightedScoreSql([], MotelyScoreAggregationMode.Sum));
+        Assert.Equal(
+            "COALESCE(tally0, 0) * 3 + COALESCE(tally1, 0) * 0 + COALESCE(tally2, 0) * 10",
+            MotelyApiServer.WeightedScoreSql([3, 0, 10], MotelyScoreAggregationMode.Sum));
+        Assert.Equal(
+            "GREATEST(COALESCE(tally0, 0), COALESCE(tally1, 0))",
+            MotelyApiServer.WeightedScoreSql([3, 5], MotelyScoreAggregationMode.MaxCount));
+        Assert.Equal("COALESCE(tally0, 0)", MotelyApiServer.WeightedScoreSql([3], MotelyScoreAggregationMode.MaxCount));
+    }
+
+    [Fact]
+    public void RescoreResults_RewritesStoredScoresFromTallies()
+    {
+        using var conn = new DuckDBConnection("Data Source=:memory:");
+        conn.Open();
+        using (var cmd = conn.CreateCommand())
+        {
+            cmd.CommandText = """
+                CREATE TABLE results (seed VARCHAR, score INTEGER, tally0 INTEGER, tally1 INTEGER, PRIMARY KEY (seed));
+                INSERT INTO results VALUES ('AAAA', 0, 2, 1), ('BBBB', 0, 0, 4), ('CCCC', 0, NULL, 3);
+                """;
+            cmd.ExecuteNonQuery();
+        }
+
+        var rescored = MotelyApiServer.RescoreResults(conn, MotelyApiServer.WeightedScoreSql([5, 1], MotelyScoreAggregationMode.Sum));
+        Assert.Equal(3, rescored);
+        Assert.Equal(new[] { ("AAAA", 11), ("BBBB", 4), ("CCCC", 3) }, ReadScores(conn));
+
+        MotelyApiServer.RescoreResults(conn, MotelyApiServer.WeightedScoreSql([5, 1], MotelyScoreAggregationMode.MaxCount));
+        Assert.Equal(new[] { ("AAAA", 2), ("BBBB", 4), ("CCCC", 3) }, ReadScores(conn));
+    }
+
+    private static (string Seed, int Score)[] ReadScores(DuckDBConnection conn)
+    {
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT seed, score FROM results ORDER BY seed";
+        using var reader = cmd.ExecuteReader();
+        var scores = new List<(string, int)>();
+        while (reader.Read())
+            scores.Add((reader.GetString(0), reader.GetInt32(1)));
+        return scores.ToArray();
+    }
+}
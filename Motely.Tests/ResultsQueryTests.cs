@@ -0,0 +1,134 @@
+using System.Collections.Specialized;
+using System.Text.Json;
+using DuckDB.NET.Data;
+using Motely.API;
+
+namespace Motely.Tests;
+
+public sealed class ResultsQueryTests : IDisposable
+{
+    private static readonly List<string> Columns = ["seed", "score", "Blueprint", "Brainstorm"];
+
+    private readonly DuckDBConnection _conn = new("Data Source=:memory:");
+
+    public ResultsQueryTests()
+    {
+        _conn.Open();
+        using var cmd = _conn.CreateCommand();
+        cmd.CommandText = """
+            CREATE TABLE results (seed VARCHAR, score INTEGER, tally0 INTEGER, tally1 INTEGER, PRIMARY KEY (seed));
+            INSERT INTO results VALUES ('AAAA', 10, 1, 2), ('BBBB', 30, 3, 0), ('CCCC', 20, NULL, 5), ('ABCD', 10, 0, 1);
+            """;
+        cmd.ExecuteNonQuery();
+    }
+
+    public void Dispose()
+    {
+        _conn.Dispose();
+    }
+
+    private static ResultsQuery Parse(string queryString)
+    {
+        var parsed = new NameValueCollection();
+        foreach (var pair in queryString.Split('&', StringSplitOptions.RemoveEmptyEntries))
+        {
+            var parts = pair.Split('=', 2);
+            parsed[parts[0]] = Uri.UnescapeDataString(parts[1]);
+        }
+        return MotelyApiServer.ParseResultsQuery(parsed, Columns);
+    }
+
+    private string[] Seeds(ResultsQuery query) =>
+        MotelyApiServer.ReadResults(_conn, query).Select(result => result.Seed).ToArray();
+
+    [Fact]
+    public void ParseResultsQuery_Default_SortsByScoreThenSeed()
+    {
+        var query = Parse("");
+
+        Assert.Equal("", query.Where);
+        Assert.Equal(1, query.SortIndex);
+        Assert.Equal(new[] { "BBBB", "CCCC", "AAAA", "ABCD" }, Seeds(query));
+    }
+
+    [Fact]
+    public void ParseResultsQuery_UnknownSort_FallsBackToScore()
+    {
+        Assert.Equal(1, Parse("sort=Joker&dir=asc").SortIndex);
+    }
+
+    [Fact]
+    public void ParseResultsQuery_SeedFilter_KeepsOnlySeedCharacters()
+    {
+        var query = Parse("seed=a%25b_");
+
+        Assert.Equal("WHERE seed LIKE ?", query.Where);
+        Assert.Equal(new object[] { "%AB%" }, query.Parameters);
+        Assert.Equal(new[] { "ABCD" }, Seeds(query));
+    }
+
+    [Fact]
+    public void ParseResultsQuery_TallyBoundsAndSort_TreatNullTalliesAsZero()
+    {
+        var query = Parse("min2=1&sort=Brainstorm&dir=asc");
+
+        Assert.True(query.Ascending);
+        Assert.Equal(new[] { "BBBB", "AAAA" }, Seeds(query));
+        Assert.Equal(new[] { "CCCC" }, Seeds(Parse("max2=0&min3=5")));
+    }
+
+    [Fact]
+    public void ParseResultsQuery_WhatIfWeights_RescoreAtQueryTime()
+    {
+        var results = MotelyApiServer.ReadResults(_conn, Parse("weights=0,10")).ToList();
+
+        Assert.Equal(new[] { "CCCC", "AAAA", "ABCD", "BBBB" }, results.Select(result => result.Seed));
+        Assert.Equal(new[] { 50, 20, 10, 0 }, results.Select(result => result.Score));
+        Assert.Equal(new[] { 0, 5 }, results[0].Tallies);
+    }
+
+    [Fact]
+    public void ParseResultsQuery_WhatIfMaxCount_IgnoresWeights()
+    {
+        var results = MotelyApiServer.ReadResults(_conn, Parse("scoreMode=MaxCount&weights=1,1")).ToList();
+
+        Assert.Equal(new[] { ("CCCC", 5), ("BBBB", 3), ("AAAA", 2), ("ABCD", 1) }, results.Select(result => (result.Seed, result.Score)));
+    }
+
+    [Theory]
+    [InlineData("weights=1")]
+    [InlineData("weights=1,x")]
+    public void ParseResultsQuery_BadWeights_AreRejected(string queryString)
+    {
+        Assert.Throws<ArgumentException>(() => Parse(queryString));
+    }
+
+    [Fact]
+    public void ReadResultsPage_CountsEveryMatchButReadsOnePage()
+    {
+        var (total, results) = MotelyApiServer.ReadResultsPage(_conn, Parse("min1=10"), limit: 2, offset: 1);
+
+        Assert.Equal(4, total);
+        Assert.Equal(new[] { "CCCC", "AAAA" }, results.Select(result => result.Seed));
+    }
+
+    [Fact]
+    public void ReadScoreHistogram_CountsSeedsPerScore()
+    {
+        var histogram = MotelyApiServer.ReadScoreHistogram(_conn);
+
+        Assert.Equal(
+            """[{"score":10,"count":2},{"score":20,"count":1},{"score":30,"count":1}]""",
+            JsonSerializer.Serialize(histogram));
+    }
+
+    [Theory]
+    [InlineData("ALEEB", "ALEEB")]
+    [InlineData("Blueprint, Brainstorm", "\"Blueprint, Brainstorm\"")]
+    [InlineData("say \"hi\"", "\"say \"\"hi\"\"\"")]
+    [InlineData("two\nlines", "\"two\nlines\"")]
+    public void EscapeCsv_QuotesOnlyWhenNeeded(string value, string expected)
+    {
+        Assert.Equal(expected, MotelyApiServer.EscapeCsv(value));
+    }
+}
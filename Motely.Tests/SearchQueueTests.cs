@@ -0,0 +1,150 @@
+using Motely.API;
+
+namespace Motely.Tests;
+
+public sealed class SearchQueueTests : IDisposable
+{
+    private readonly string _root = Path.Combine(Path.GetTempPath(), $"motely-queue-{Guid.NewGuid():N}");
+    private readonly string _queuePath;
+
+    public SearchQueueTests()
+    {
+        Directory.CreateDirectory(_root);
+        _queuePath = Path.Combine(_root, "searchQueue.json");
+    }
+
+    public void Dispose()
+    {
+        Directory.Delete(_root, recursive: true);
+    }
+
+    private static QueuedSearch Queued(string searchId, string mode = SearchModes.Sequential) =>
+        new() { SearchId = searchId, Request = new SearchRequest { SearchId = searchId, Mode = mode } };
+
+    [Fact]
+    public void TakeNext_RunsSearchesInQueueOrder()
+    {
+        var queue = new SearchQueue(_queuePath);
+        Assert.True(queue.TryAdd(Queued("A_Red_White")));
+        Assert.True(queue.TryAdd(Queued("B_Red_White")));
+        Assert.True(queue.TryAdd(Queued("C_Red_White")));
+        // Queuing a search twice keeps its first place
+        Assert.False(queue.TryAdd(Queued("A_Red_White")));
+        queue.SetRunning(true);
+
+        Assert.Equal("A_Red_White", queue.TakeNext(out _)?.SearchId);
+        Assert.Equal("B_Red_White", queue.TakeNext(out _)?.SearchId);
+        Assert.Equal("C_Red_White", queue.TakeNext(out var finished)?.SearchId);
+        Assert.False(finished);
+    }
+
+    [Fact]
+    public void TakeNext_WhilePaused_StartsNothing()
+    {
+        var queue = new SearchQueue(_queuePath);
+        queue.TryAdd(Queued("A_Red_White"));
+
+        Assert.Null(queue.TakeNext(out var finished));
+        Assert.False(finished);
+
+        queue.SetRunning(true);
+        Assert.True(queue.Pause());
+        Assert.False(queue.Pause());
+        Assert.Null(queue.TakeNext(out _));
+        Assert.Single(queue.Snapshot().Items);
+    }
+
+    [Fact]
+    public void TakeNext_RunningOut_PausesTheQueue()
+    {
+        var queue = new SearchQueue(_queuePath);
+        queue.TryAdd(Queued("A_Red_White"));
+        queue.SetRunning(true);
+
+        Assert.NotNull(queue.TakeNext(out _));
+        Assert.Null(queue.TakeNext(out var finished));
+        Assert.True(finished);
+        Assert.False(queue.Snapshot().Running);
+    }
+
+    [Fact]
+    public void Remove_TakesASearchOutOfTheQueue()
+    {
+        var queue = new SearchQueue(_queuePath);
+        queue.TryAdd(Queued("A_Red_White"));
+        queue.TryAdd(Queued("B_Red_White"));
+
+        Assert.True(queue.Remove("A_Red_White"));
+        Assert.False(queue.Remove("A_Red_White"));
+        Assert.Equal(new[] { "B_Red_White" }, queue.Snapshot().Items.Select(q => q.SearchId));
+    }
+
+    [Fact]
+    public void Load_RestoresOrderAndRunningFromTheQueueFile()
+    {
+        var queue = new SearchQueue(_queuePath);
+        queue.TryAdd(Queued("A_Red_White"));
+        queue.TryAdd(Queued("B_Red_White", SearchModes.Random));
+        queue.SetRunning(true);
+
+        var restored = new SearchQueue(_queuePath);
+        Assert.True(restored.Load());
+
+        var (running, items) = restored.Snapshot();
+        Assert.True(running);
+        Assert.Equal(new[] { "A_Red_White", "B_Red_White" }, items.Select(q => q.SearchId));
+        Assert.Equal(SearchModes.Random, items[1].Request.Mode);
+    }
+
+    [Fact]
+    public void Load_EmptyRunningQueue_ComesBackPaused()
+    {
+        File.WriteAllText(_queuePath, """{ "running": true, "items": [] }""");
+
+        var queue = new SearchQueue(_queuePath);
+
+        Assert.True(queue.Load());
+        Assert.False(queue.Snapshot().Running);
+    }
+
+    [Fact]
+    public void Load_NoQueueFile_KeepsAnEmptyPausedQueue()
+    {
+        var queue = new SearchQueue(_queuePath);
+
+        Assert.False(queue.Load());
+        var (running, items) = queue.Snapshot();
+        Assert.False(running);
+        Assert.Empty(items);
+    }
+
+    [Fact]
+    public void DeleteSearchResults_KeepsResultsUnlessConfirmed()
+    {
+        var dbPath = Path.Combine(_root, "A_Red_White.db");
+        File.WriteAllText(dbPath, "db");
+        File.WriteAllText(dbPath + ".wal", "wal");
+        var dumped = new List<string>();
+
+        MotelyApiServer.DeleteSearchResults(dbPath, deleteResults: false, dumped.Add);
+
+        Assert.True(File.Exists(dbPath));
+        Assert.True(File.Exists(dbPath + ".wal"));
+        Assert.Empty(dumped);
+    }
+
+    [Fact]
+    public void DeleteSearchResults_Confirmed_DumpsSeedsThenDeletesDbAndWal()
+    {
+        var dbPath = Path.Combine(_root, "A_Red_White.db");
+        File.WriteAllText(dbPath, "db");
+        File.WriteAllText(dbPath + ".wal", "wal");
+        var dumpedWhileOnDisk = false;
+
+        MotelyApiServer.DeleteSearchResults(dbPath, deleteResults: true, path => dumpedWhileOnDisk = path == dbPath && File.Exists(path));
+
+        Assert.True(dumpedWhileOnDisk);
+        Assert.False(File.Exists(dbPath));
+        Assert.False(File.Exists(dbPath + ".wal"));
+    }
+}
@@ -0,0 +1,86 @@
+using Motely.API;
+
+namespace Motely.Tests;
+
+public sealed class SearchSourceTests
+{
+    [Fact]
+    public void NormalizeSearchSource_NoMode_DefaultsToSequential()
+    {
+        var request = new SearchRequest();
+
+        Assert.Null(MotelyApiServer.NormalizeSearchSource(request));
+        Assert.Equal(SearchModes.Sequential, request.Mode);
+    }
+
+    [Fact]
+    public void NormalizeSearchSource_UnknownMode_IsRejected()
+    {
+        var error = MotelyApiServer.NormalizeSearchSource(new SearchRequest { Mode = "shuffle" });
+
+        Assert.Equal("Unknown search mode 'shuffle' (expected sequential, list or random)", error);
+    }
+
+    [Fact]
+    public void NormalizeSearchSource_List_KeepsValidSeedsOnce()
+    {
+        var request = new SearchRequest
+        {
+            Mode = " LIST ",
+            Seeds = [" aleeb ", "ALEEB", "unittest", "0ALEEB", "TOOLONGSEED", "", "AL-EEB"],
+            RandomSeeds = 1000,
+        };
+
+        Assert.Null(MotelyApiServer.NormalizeSearchSource(request));
+        Assert.Equal(SearchModes.List, request.Mode);
+        Assert.Equal(new List<string> { "ALEEB", "UNITTEST" }, request.Seeds);
+        Assert.Null(request.RandomSeeds);
+    }
+
+    [Fact]
+    public void NormalizeSearchSource_List_WithoutValidSeeds_IsRejected()
+    {
+        var request = new SearchRequest { Mode = "list", Seeds = ["0000", "not a seed"] };
+
+        Assert.NotNull(MotelyApiServer.NormalizeSearchSource(request));
+        Assert.NotNull(MotelyApiServer.NormalizeSearchSource(new SearchRequest { Mode = "list" }));
+    }
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData(0)]
+    [InlineData(-5)]
+    public void NormalizeSearchSource_Random_NeedsPositiveCount(int? randomSeeds)
+    {
+        var request = new SearchRequest { Mode = "random", RandomSeeds = randomSeeds };
+
+        Assert.Equal("randomSeeds must be a positive number of seeds", MotelyApiServer.NormalizeSearchSource(request));
+    }
+
+    [Fact]
+    public void NormalizeSearchSource_Random_DropsSeedList()
+    {
+        var request = new SearchRequest { Mode = "random", RandomSeeds = 500, Seeds = ["ALEEB"] };
+
+        Assert.Null(MotelyApiServer.NormalizeSearchSource(request));
+        Assert.Null(request.Seeds);
+    }
+
+    [Theory]
+    // 35^4 batches of 4-character seed suffixes
+    [InlineData(1_500_625UL, null, true)]
+    [InlineData(1_500_626UL, null, false)]
+    [InlineData(500UL, 499L, true)]
+    [InlineData(500UL, 500L, false)]
+    [InlineData(500UL, 600L, false)]
+    // 0 means "to the end"
+    [InlineData(0UL, 600L, true)]
+    public void NormalizeSearchSource_Sequential_EndBatchBounds(ulong endBatch, long? startBatch, bool valid)
+    {
+        var request = new SearchRequest { Mode = "sequential", EndBatch = endBatch, StartBatch = startBatch };
+
+        var error = MotelyApiServer.NormalizeSearchSource(request);
+
+        Assert.Equal(valid, error == null);
+    }
+}
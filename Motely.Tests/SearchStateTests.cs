@@ -0,0 +1,64 @@
+using Motely.API;
+
+namespace Motely.Tests;
+
+public sealed class SearchStateTests
+{
+    private static SearchResult Found(string seed) => new() { Seed = seed, Score = 1, Tallies = new() };
+
+    [Fact]
+    public void Publish_ReachesOnlyStreamsOpenAtTheTime()
+    {
+        var state = new BackgroundSearchState();
+        var early = state.Subscribe();
+        state.Publish(Found("AAAA"));
+        var late = state.Subscribe();
+        state.Publish(Found("BBBB"));
+        state.Unsubscribe(early);
+        state.Publish(Found("CCCC"));
+
+        Assert.Equal(new[] { "AAAA", "BBBB" }, early.Select(result => result.Seed));
+        Assert.Equal(new[] { "BBBB", "CCCC" }, late.Select(result => result.Seed));
+    }
+
+    [Fact]
+    public void RecordStatsSample_KeepsOneSamplePerInterval()
+    {
+        var state = new BackgroundSearchState { SeedsSearched = 1000, SeedsAdded = 3, SeedsPerMs = 2.5 };
+        state.ResetStatsHistory();
+
+        state.RecordStatsSample();
+        state.RecordStatsSample();
+
+        var sample = Assert.Single(state.GetStatsHistory());
+        Assert.Equal(1000, sample.SeedsSearched);
+        Assert.Equal(3, sample.Found);
+        Assert.Equal(2500.0, sample.SeedsPerSecond);
+    }
+
+    [Fact]
+    public void ResetStatsHistory_StartsANewRun()
+    {
+        var state = new BackgroundSearchState();
+        state.RecordStatsSample();
+        var history = state.GetStatsHistory();
+
+        state.ResetStatsHistory();
+
+        Assert.Single(history);
+        Assert.Empty(state.GetStatsHistory());
+    }
+
+    [Theory]
+    [InlineData(100, 200, 150, 50.0)]
+    [InlineData(100, 200, 100, 0.0)]
+    [InlineData(100, 200, 250, 100.0)]
+    // No range until the search starts
+    [InlineData(0, 0, 0, 0.0)]
+    public void ProgressPercent_CountsOnlyTheChosenRange(long rangeStart, long rangeEnd, long currentBatch, double expected)
+    {
+        var state = new BackgroundSearchState { RangeStart = rangeStart, RangeEnd = rangeEnd, CurrentBatch = currentBatch };
+
+        Assert.Equal(expected, state.ProgressPercent);
+    }
+}
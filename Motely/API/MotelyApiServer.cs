@@ -1,11 +1,14 @@
 using System;
 using System.Collections.Concurrent;
+using System.Collections.Specialized;
 using System.Collections.Generic;
+using System.Diagnostics;
 using System.IO;
 using System.Linq;
 using System.Net;
 using System.Text.Json;
 using System.Text.Json.Serialization;
+using System.Text.RegularExpressions;
 using System.Threading;
 using System.Threading.Tasks;
 using Motely.Analysis;
@@ -33,12 +36,56 @@ public class BackgroundSearchState
     public long TotalBatches { get; set; } // Total batches for progress calculation
     public long SeedsSearched { get; set; } // Total seeds searched so far
     public double SeedsPerMs { get; set; } // Current search speed
+    public bool Completed { get; set; } // Ran through its last batch (set by the queue runner)
+    public string Mode { get; set; } = SearchModes.Sequential;
+    public long RangeStart { get; set; } // First batch of the chosen range (0 for seed lists / random samples)
+    public long RangeEnd { get; set; } // Batch the range stops at - end batch, end of the seed space, or list size in batches
+
+    // Progress through the chosen range, not the whole seed space
+    public double ProgressPercent => RangeEnd > RangeStart
+        ? Math.Clamp((CurrentBatch - RangeStart) * 100.0 / (RangeEnd - RangeStart), 0, 100)
+        : 0;
     public int EffectiveCutoff { get; set; } // Cutoff used for this search (user override or smart)
-    public JsonSearchExecutor? Search { get; set; }
+    public ISearchExecutor? Search { get; set; }
     public DuckDBConnection? Connection { get; set; }
     public DuckDBAppender? Appender { get; set; }
     public string? FilterJamlHash { get; set; } // Track if JAML changed to invalidate DB
 
+    // One queue per GET /search/stream connection - each gets only the seeds found after it subscribed
+    private readonly List<ConcurrentQueue<SearchResult>> _subscribers = new();
+
+    public ConcurrentQueue<SearchResult> Subscribe()
+    {
+        var queue = new ConcurrentQueue<SearchResult>();
+        lock (_subscribers)
+        {
+            _subscribers.Add(queue);
+        }
+        return queue;
+    }
+
+    public void Unsubscribe(ConcurrentQueue<SearchResult> queue)
+    {
+        lock (_subscribers)
+        {
+            _subscribers.Remove(queue);
+        }
+    }
+
+    /// <summary>
+    /// Push a newly found seed to every open stream (called from the tally callback)
+    /// </summary>
+    public void Publish(SearchResult result)
+    {
+        lock (_subscribers)
+        {
+            foreach (var queue in _subscribers)
+            {
+                queue.Enqueue(result);
+            }
+        }
+    }
+
     /// <summary>
     /// Safely get top results from this search's connection (called by GET /search)
     /// </summary>
@@ -49,19 +96,7 @@ public class BackgroundSearchState
 
         try
         {
-            // Flush appender before query so we see latest results (BSO pattern)
-            lock (this)
-            {
-                if (Appender != null)
-                {
-                    try
-                    {
-                        Appender.Dispose();
-                    }
-                    catch { /* ignore dispose errors */ }
-                    Appender = null;
-                }
-            }
+            FlushAppender();
 
             using var cmd = Connection.CreateCommand();
             cmd.CommandText = $"SELECT * FROM results ORDER BY score DESC LIMIT {limit}";
@@ -90,8 +125,86 @@ public class BackgroundSearchState
 
         return results;
     }
+
+    // Found seeds and throughput over the current run for the stats panel. One sample per interval;
+    // when the list fills up every other sample is dropped and the interval doubles, so a run of any
+    // length fits in MaxStatsSamples points.
+    private const int MaxStatsSamples = 500;
+    private readonly List<SearchStatsSample> _statsHistory = new();
+    private DateTime _runStartedAt = DateTime.UtcNow;
+    private TimeSpan _statsInterval = TimeSpan.FromSeconds(2);
+
+    public void ResetStatsHistory()
+    {
+        lock (_statsHistory)
+        {
+            _statsHistory.Clear();
+            _runStartedAt = DateTime.UtcNow;
+            _statsInterval = TimeSpan.FromSeconds(2);
+        }
+    }
+
+    /// <summary>
+    /// Called from the progress callback - keeps at most one sample per interval
+    /// </summary>
+    public void RecordStatsSample()
+    {
+        lock (_statsHistory)
+        {
+            var elapsed = DateTime.UtcNow - _runStartedAt;
+            if (_statsHistory.Count > 0 && elapsed.TotalSeconds - _statsHistory[^1].Seconds < _statsInterval.TotalSeconds)
+                return;
+
+            if (_statsHistory.Count >= MaxStatsSamples)
+            {
+                for (int i = _statsHistory.Count - 1; i > 0; i -= 2)
+                    _statsHistory.RemoveAt(i);
+                _statsInterval *= 2;
+            }
+
+            _statsHistory.Add(new SearchStatsSample(elapsed.TotalSeconds, SeedsSearched, SeedsAdded, SeedsPerMs * 1000));
+        }
+    }
+
+    public List<SearchStatsSample> GetStatsHistory()
+    {
+        lock (_statsHistory)
+        {
+            return new List<SearchStatsSample>(_statsHistory);
+        }
+    }
+
+    /// <summary>
+    /// Flush appender before a query so it sees the latest results (BSO pattern).
+    /// The tally callback lazily creates a new appender on the next seed.
+    /// </summary>
+    public void FlushAppender()
+    {
+        lock (this)
+        {
+            if (Appender != null)
+            {
+                try
+                {
+                    Appender.Dispose();
+                }
+                catch { /* ignore dispose errors */ }
+                Appender = null;
+            }
+        }
+    }
 }
 
+/// <summary>
+/// One point on the stats panel's over-time charts (Found is seeds found this run)
+/// </summary>
+public sealed record SearchStatsSample(
+    [property: JsonPropertyName("seconds")] double Seconds,
+    [property: JsonPropertyName("seedsSearched")] long SeedsSearched,
+    [property: JsonPropertyName("found")] int Found,
+    [property: JsonPropertyName("seedsPerSecond")] double SeedsPerSecond
+);
+
 /// <summary>
 /// Simple HTTP API server for Motely seed searching
 /// </summary>
@@ -111,12 +224,33 @@ public class MotelyApiServer
     private static readonly object _fertilizerLock = new();
     private static readonly ConcurrentDictionary<string, SavedSearch> _savedSearches = new();
 
+    // Sampled must-clause match rates per search ID, recomputed when the search's JAML changes
+    private static readonly ConcurrentDictionary<string, (string FilterJaml, MotelyClauseRates Rates)> _clauseRateCache = new();
+    private const int ClauseRateSampleSize = 10_000;
+
+    // Rarity estimates: random seeds through the search pipeline, and how many of them each clause
+    // is checked against one by one (much slower per seed)
+    private const int EstimateSampleSize = 1_000_000;
+    private const int MinEstimateSampleSize = 10_000;
+    private const int MaxEstimateSampleSize = 10_000_000;
+    private const int EstimateClauseSampleSize = 100_000;
+
     // Single running search (only one can run at a time due to SIMD/CPU constraints)
     private static BackgroundSearchState? _currentSearch;
     private static string? _currentSearchId;
+    private static readonly SemaphoreSlim _searchStartLock = new(1, 1);
+
+    // Searches waiting to run one after another (see RunSearchQueueAsync), persisted across restarts
+    private static readonly SearchQueue _searchQueue = new("searchQueue.json");
+
+    // Sequential searches step through seeds in batches of their last 4 characters, so there are
+    // 35^(8-4) = 1,500,625 batches - the engine's MaxBatch and the CLI's --endPercent use the same
+    // math. (The old hard-coded 26^4 = 456,976 counted letters only and reset resumes past it to 0.)
+    private static readonly long MaxSequentialBatches = (long)Math.Pow(Motely.SeedDigits.Length, Motely.MaxSeedLength - 4);
 
     // Paths for persistence
     private static readonly string _filtersDir = "JamlFilters";
+    private static readonly string _filterVersionsDir = Path.Combine(_filtersDir, ".versions");
     private static readonly string _fertilizerDbPath = "fertilizer.db";
 
     public bool IsRunning => _listener?.IsListening ?? false;
@@ -165,10 +299,10 @@ public class MotelyApiServer
                 .Trim();
         }
 
-        // 6. Save batch position to DuckDB BEFORE closing connection
+        // 6. Save batch position to DuckDB BEFORE closing connection (sequential searches only)
         try
         {
-            if (bgState.Connection != null)
+            if (bgState.Mode == SearchModes.Sequential && bgState.Connection != null)
             {
                 using var saveCmd = bgState.Connection.CreateCommand();
                 saveCmd.CommandText = @"
@@ -214,7 +348,8 @@ public class MotelyApiServer
         }
 
         // Update in-memory state for resume
-        bgState.StartBatch = bgState.CurrentBatch;
+        if (bgState.Mode == SearchModes.Sequential)
+            bgState.StartBatch = bgState.CurrentBatch;
         _logCallback($"[{DateTime.Now:HH:mm:ss}] Search '{searchId}' stopped at batch {bgState.CurrentBatch}");
     }
 
@@ -248,8 +383,10 @@ public class MotelyApiServer
 
         // Load saved filters from disk
         LoadSavedFilters();
+        LoadSearchQueue();
 
         _cts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+        _ = Task.Run(() => RunSearchQueueAsync(_cts.Token));
         _listener = new HttpListener();
         _listener.Prefixes.Add(Url);
 
@@ -512,10 +649,9 @@ public class MotelyApiServer
                 }
 
                 // Use same searchId generation as POST /search for consistency
-                var filterName = ExtractFilterName(config!, jaml);
                 var deck = ExtractDeckFromJaml(jaml);
                 var stake = ExtractStakeFromJaml(jaml);
-                var searchId = SanitizeSearchId($"{filterName}_{deck}_{stake}");
+                var searchId = BuildSearchId(config!, jaml);
 
                 _savedSearches[searchId] = new SavedSearch
                 {
@@ -589,8 +725,7 @@ public class MotelyApiServer
     {
         try
         {
-            var filePath = Path.Combine(_filtersDir, $"{searchId}.jaml");
-            File.WriteAllText(filePath, jaml);
+            WriteFilterFile($"{searchId}.jaml", jaml);
             _logCallback($"[{DateTime.Now:HH:mm:ss}] Saved filter: {searchId}");
         }
         catch (Exception ex)
@@ -599,6 +734,58 @@ public class MotelyApiServer
         }
     }
 
+    /// <summary>
+    /// Write a filter file, keeping the content it replaces as a version under JamlFilters/.versions/{file}/
+    /// </summary>
+    private static void WriteFilterFile(string fileName, string jaml)
+    {
+        var filePath = Path.Combine(_filtersDir, fileName);
+        if (File.Exists(filePath))
+        {
+            var previous = File.ReadAllText(filePath);
+            if (previous == jaml) return;
+            ArchiveFilterVersion(fileName, previous);
+        }
+        File.WriteAllText(filePath, jaml);
+    }
+
+    private static void ArchiveFilterVersion(string fileName, string jaml)
+    {
+        var versionDir = Path.Combine(_filterVersionsDir, Path.GetFileNameWithoutExtension(fileName));
+        Directory.CreateDirectory(versionDir);
+        File.WriteAllText(Path.Combine(versionDir, $"{DateTime.UtcNow:yyyyMMdd-HHmmss-fff}.jaml"), jaml);
+    }
+
+    /// <summary>
+    /// Moves a filter's saved versions to the directory of its new name. History already there (left
+    /// by a deleted filter of that name) is merged rather than orphaned - versions are named by
+    /// timestamp, so the two interleave by age.
+    /// </summary>
+    internal static void MoveFilterHistory(string oldVersionDir, string newVersionDir)
+    {
+        if (!Directory.Exists(oldVersionDir)) return;
+        if (!Directory.Exists(newVersionDir))
+        {
+            Directory.Move(oldVersionDir, newVersionDir);
+            return;
+        }
+
+        foreach (var version in Directory.GetFiles(oldVersionDir))
+        {
+            var target = Path.Combine(newVersionDir, Path.GetFileName(version));
+            if (!File.Exists(target)) File.Move(version, target);
+        }
+        Directory.Delete(oldVersionDir, recursive: true);
+    }
+
+    // File names come from the URL - a bare .jaml/.json name, nothing that could leave JamlFilters/
+    private static bool IsValidFilterFileName(string fileName) =>
+        !string.IsNullOrEmpty(fileName)
+        && (fileName.EndsWith(".jaml") || fileName.EndsWith(".json"))
+        && !fileName.Contains('/')
+        && !fileName.Contains('\\')
+        && !fileName.Contains("..");
+
     private static string ExtractFilterName(MotelyJsonConfig config, string jaml)
     {
         // Try to get name from config first
@@ -673,6 +860,135 @@ public class MotelyApiServer
         return "White";
     }
 
+    /// <summary>
+    /// Validate and normalize where a search takes its seeds from. Returns an error message, or null
+    /// when the request is good to start: mode lowercased (sequential when missing), seed lists
+    /// uppercased and de-duplicated, and the sequential end batch inside the seed space.
+    /// </summary>
+    internal static string? NormalizeSearchSource(SearchRequest searchRequest)
+    {
+        searchRequest.Mode = string.IsNullOrWhiteSpace(searchRequest.Mode)
+            ? SearchModes.Sequential
+            : searchRequest.Mode.Trim().ToLowerInvariant();
+
+        switch (searchRequest.Mode)
+        {
+            case SearchModes.Sequential:
+                if (searchRequest.EndBatch.HasValue && searchRequest.EndBatch.Value > 0)
+                {
+                    if ((long)searchRequest.EndBatch.Value > MaxSequentialBatches)
+                        return $"endBatch must be at most {MaxSequentialBatches:N0}";
+                    if (searchRequest.StartBatch.HasValue && (long)searchRequest.EndBatch.Value <= searchRequest.StartBatch.Value)
+                        return "endBatch must be after startBatch";
+                }
+                return null;
+
+            case SearchModes.List:
+                // Wordlists are free-form - keep only what is a valid seed (1-8 of Balatro's seed characters)
+                var seeds = (searchRequest.Seeds ?? [])
+                    .Select(seed => seed?.Trim().ToUpperInvariant() ?? "")
+                    .Where(IsValidSeed)
+                    .Distinct()
+                    .ToList();
+                if (seeds.Count == 0)
+                    return "Seed list has no valid seeds (1-8 characters, 1-9 and A-Z without 0)";
+                searchRequest.Seeds = seeds;
+                searchRequest.RandomSeeds = null;
+                return null;
+
+            case SearchModes.Random:
+                if (searchRequest.RandomSeeds is not > 0)
+                    return "randomSeeds must be a positive number of seeds";
+                searchRequest.Seeds = null;
+                return null;
+
+            default:
+                return $"Unknown search mode '{searchRequest.Mode}' (expected sequential, list or random)";
+        }
+    }
+
+    // 1-8 of Balatro's seed characters (expects an upper-cased seed)
+    private static bool IsValidSeed(string seed) =>
+        seed.Length is > 0 and <= Motely.MaxSeedLength && seed.All(c => Motely.SeedDigits.Contains(c));
+
+    /// <summary>
+    /// Search ID for a filter: name_deck_stake. Native filter searches live under "native-Filter"
+    /// so their scoring JAML never shares a DB with the JAML search of the same name.
+    /// </summary>
+    private static string BuildSearchId(MotelyJsonConfig config, string jaml)
+    {
+        var nativeFilter = ReadNativeFilter(jaml);
+        var filterName = nativeFilter == null ? ExtractFilterName(config, jaml)
+            : string.IsNullOrWhiteSpace(config.Name) || config.Name == nativeFilter ? $"native-{nativeFilter}"
+            : $"native-{nativeFilter}-{SanitizeFilterName(config.Name)}";
+        return SanitizeSearchId($"{filterName}_{ExtractDeckFromJaml(jaml)}_{ExtractStakeFromJaml(jaml)}");
+    }
+
+    /// <summary>
+    /// What a filter searches for, as JSON - the loaded config minus its metadata (name, author,
+    /// description, dates, verified seed), so edits to comments, layout or the description compare
+    /// equal. With ignoreScores the top-level should scores and the score mode are left out too:
+    /// filters that differ only there can rescore each other's results. Null when the JAML doesn't load.
+    /// </summary>
+    internal static string? SearchSignature(string jaml, bool ignoreScores = false)
+    {
+        if (!JamlConfigLoader.TryLoadFromJamlString(jaml, out var config, out _)) return null;
+
+        config!.Name = null;
+        config.Author = null;
+        config.Description = null;
+        config.DateCreated = null;
+        config.VerifiedSeed = null;
+        if (ignoreScores)
+        {
+            config.Mode = null;
+            if (config.Defaults != null) config.Defaults.Score = null;
+            foreach (var clause in config.Should) clause.Score = 0;
+        }
+        return $"{ReadNativeFilter(jaml)}\n{config.ToJson()}";
+    }
+
+    // A native filter search keeps the filter it runs in a "# native: Name" comment at the top of
+    // its JAML, so the saved .jaml, its search ID and restarts by ID all know what to run
+    private static readonly Regex NativeFilterMarker = new(@"^#\s*native:\s*(\S+)[ \t]*\r?\n?", RegexOptions.Multiline);
+
+    internal static string? ReadNativeFilter(string jaml)
+    {
+        var match = NativeFilterMarker.Match(jaml);
+        return match.Success ? match.Groups[1].Value : null;
+    }
+
+    /// <summary>
+    /// Settle which native filter (if any) a search runs - from the request, or from the marker of a
+    /// saved native search started by ID - and write the marker into its JAML. Returns an error
+    /// message, or null when the request is good to start.
+    /// </summary>
+    internal static string? NormalizeNativeFilter(SearchRequest searchRequest, MotelyJsonConfig config)
+    {
+        var jaml = searchRequest.FilterJaml ?? "";
+        var nativeFilter = string.IsNullOrWhiteSpace(searchRequest.NativeFilter)
+            ? ReadNativeFilter(jaml)
+            : searchRequest.NativeFilter.Trim();
+        if (nativeFilter == null)
+        {
+            searchRequest.NativeFilter = null;
+            return null;
+        }
+
+        if (!NativeFilterExecutor.IsKnownFilter(nativeFilter))
+            return $"Unknown native filter '{nativeFilter}'";
+
+        // The native filter decides which seeds pass - the JAML only scores them
+        if (config.Must.Count > 0 || config.MustNot.Count > 0)
+            return "Native filter searches only use the should block for scoring - remove must and mustNot";
+
+        nativeFilter = NativeFilterExecutor.Filters
+            .FirstOrDefault(f => f.Name.Equals(nativeFilter, StringComparison.OrdinalIgnoreCase))?.Name ?? nativeFilter;
+        searchRequest.NativeFilter = nativeFilter;
+        searchRequest.FilterJaml = $"# native: {nativeFilter}\n" + NativeFilterMarker.Replace(jaml, "").TrimStart('\r', '\n');
+        return null;
+    }
+
     private static string SanitizeSearchId(string id)
     {
         var invalid = Path.GetInvalidFileNameChars();
@@ -717,6 +1033,10 @@ public class MotelyApiServer
             {
                 await ServeFileAsync(response, "wwwroot/script.js", "application/javascript");
             }
+            else if (request.HttpMethod == "GET" && path.StartsWith("/vendor/"))
+            {
+                await ServeVendorFileAsync(response, path);
+            }
             else if (path.StartsWith("/.well-known/"))
             {
                 response.StatusCode = 404;
@@ -732,6 +1052,29 @@ public class MotelyApiServer
                 response.ContentType = "application/json";
                 await HandleSearchGetAsync(request, response);
             }
+            else if (request.HttpMethod == "GET" && path == "/search/results")
+            {
+                response.ContentType = "application/json";
+                await HandleSearchResultsAsync(request, response);
+            }
+            else if (request.HttpMethod == "GET" && path == "/search/stats")
+            {
+                response.ContentType = "application/json";
+                await HandleSearchStatsAsync(request, response);
+            }
+            else if (request.HttpMethod == "GET" && path == "/search/breakdown")
+            {
+                response.ContentType = "application/json";
+                await HandleSearchBreakdownAsync(request, response);
+            }
+            else if (request.HttpMethod == "GET" && path == "/search/export")
+            {
+                await HandleSearchExportAsync(request, response);
+            }
+            else if (request.HttpMethod == "GET" && path == "/search/stream")
+            {
+                await HandleSearchStreamAsync(request, response);
+            }
             else if (request.HttpMethod == "POST" && path == "/search/continue")
             {
                 response.ContentType = "application/json";
@@ -742,6 +1085,31 @@ public class MotelyApiServer
                 response.ContentType = "application/json";
                 await HandleSearchStopAsync(request, response);
             }
+            else if (request.HttpMethod == "POST" && path == "/search/rescore")
+            {
+                response.ContentType = "application/json";
+                await HandleSearchRescoreAsync(request, response);
+            }
+            else if (request.HttpMethod == "GET" && path == "/searches")
+            {
+                response.ContentType = "application/json";
+                await HandleSearchesGetAsync(response);
+            }
+            else if (request.HttpMethod == "POST" && path == "/queue")
+            {
+                response.ContentType = "application/json";
+                await HandleQueueAddAsync(request, response);
+            }
+            else if (request.HttpMethod == "POST" && (path == "/queue/run" || path == "/queue/pause"))
+            {
+                response.ContentType = "application/json";
+                await HandleQueueRunAsync(response, run: path == "/queue/run");
+            }
+            else if (request.HttpMethod == "DELETE" && path == "/queue")
+            {
+                response.ContentType = "application/json";
+                await HandleQueueRemoveAsync(request, response);
+            }
             else if (request.HttpMethod == "POST" && path == "/analyze")
             {
                 response.ContentType = "application/json";
@@ -752,11 +1120,51 @@ public class MotelyApiServer
                 response.ContentType = "application/json";
                 await HandleConvertAsync(request, response);
             }
+            else if (request.HttpMethod == "POST" && path == "/validate")
+            {
+                response.ContentType = "application/json";
+                await HandleValidateAsync(request, response);
+            }
+            else if (request.HttpMethod == "POST" && path == "/filter/test")
+            {
+                response.ContentType = "application/json";
+                await HandleFilterTestAsync(request, response);
+            }
+            else if (request.HttpMethod == "POST" && path == "/filter/estimate")
+            {
+                response.ContentType = "application/json";
+                await HandleFilterEstimateAsync(request, response);
+            }
             else if (request.HttpMethod == "GET" && path == "/filters")
             {
                 response.ContentType = "application/json";
                 await HandleFiltersGetAsync(response);
             }
+            else if (request.HttpMethod == "POST" && path == "/filters")
+            {
+                response.ContentType = "application/json";
+                await HandleFilterSaveAsync(request, response);
+            }
+            else if (request.HttpMethod == "POST" && path.StartsWith("/filters/") && path.EndsWith("/rename"))
+            {
+                response.ContentType = "application/json";
+                await HandleFilterRenameAsync(request, response, path);
+            }
+            else if (request.HttpMethod == "GET" && path.StartsWith("/filters/") && path.Contains("/versions"))
+            {
+                response.ContentType = "application/json";
+                await HandleFilterVersionsAsync(response, path);
+            }
+            else if (request.HttpMethod == "GET" && path == "/catalog")
+            {
+                response.ContentType = "application/json";
+                await HandleCatalogGetAsync(response);
+            }
+            else if (request.HttpMethod == "GET" && path == "/native-filters")
+            {
+                response.ContentType = "application/json";
+                await HandleNativeFiltersGetAsync(response);
+            }
             else if (request.HttpMethod == "DELETE" && path == "/search")
             {
                 response.ContentType = "application/json";
@@ -789,10 +1197,6 @@ public class MotelyApiServer
 
     private async Task HandleSearchAsync(HttpListenerRequest request, HttpListenerResponse response)
     {
-        // CRITICAL: Only ONE search can run at a time (SIMD/CPU constraint)
-        // Stop any running search first, dump seeds to fertilizer, save batch position
-        await StopRunningSearchAsync();
-
         using var reader = new StreamReader(request.InputStream);
         var body = await reader.ReadToEndAsync();
 
@@ -804,75 +1208,127 @@ public class MotelyApiServer
         }
 
         var searchRequest = JsonSerializer.Deserialize<SearchRequest>(body);
-        var filterJaml = searchRequest?.FilterJaml;
-        var seedCount = searchRequest?.SeedCount ?? 1000000;
+        if (searchRequest == null)
+        {
+            response.StatusCode = 400;
+            await WriteJsonAsync(response, new { error = "Request body must be a search object" });
+            return;
+        }
 
-        if (string.IsNullOrWhiteSpace(filterJaml))
+        // The searches dashboard starts/continues by ID only - run the filter saved under it
+        if (string.IsNullOrWhiteSpace(searchRequest.FilterJaml)
+            && !string.IsNullOrEmpty(searchRequest.SearchId)
+            && _savedSearches.TryGetValue(searchRequest.SearchId, out var savedSearch))
+        {
+            searchRequest.FilterJaml = savedSearch.FilterJaml;
+        }
+
+        if (string.IsNullOrWhiteSpace(searchRequest.FilterJaml))
         {
             response.StatusCode = 400;
             await WriteJsonAsync(response, new { error = "filterJaml is required" });
             return;
         }
 
-        if (!JamlConfigLoader.TryLoadFromJamlString(filterJaml, out var config, out var loadError))
+        if (!JamlConfigLoader.TryLoadFromJamlString(searchRequest.FilterJaml, out var config, out var loadError))
         {
             response.StatusCode = 400;
             await WriteJsonAsync(response, new { error = $"Invalid JAML: {loadError}" });
             return;
         }
 
-        // Extract filter name, deck, stake from JAML
-        var filterName = ExtractFilterName(config!, filterJaml);
-        var deck = ExtractDeckFromJaml(filterJaml);
-        var stake = ExtractStakeFromJaml(filterJaml);
-        var searchId = SanitizeSearchId($"{filterName}_{deck}_{stake}");
+        var sourceError = NormalizeSearchSource(searchRequest) ?? NormalizeNativeFilter(searchRequest, config!);
+        if (sourceError != null)
+        {
+            response.StatusCode = 400;
+            await WriteJsonAsync(response, new { error = sourceError });
+            return;
+        }
 
-        var isUpdated = _savedSearches.TryGetValue(searchId, out var existingSearch)
-            && existingSearch.FilterJaml.Trim() != filterJaml.Trim();
+        try
+        {
+            var started = await StartSearchAsync(searchRequest, config!);
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, started);
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Search failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
 
-        // If filter changed, reset the background search state AND delete stale DB
-        if (isUpdated)
+    /// <summary>
+    /// Start (or resume) a search: stops THE running search, seeds results from the fertilizer pile,
+    /// then runs the sequential search in the background. Shared by POST /search and the search queue.
+    /// Returns the immediate-results payload.
+    /// </summary>
+    private async Task<object> StartSearchAsync(SearchRequest searchRequest, MotelyJsonConfig config)
+    {
+        // POST /search and the queue runner can race - let one start finish before the next stops it
+        await _searchStartLock.WaitAsync();
+        try
         {
-            if (_currentSearchId == searchId && _currentSearch != null)
+            // CRITICAL: Only ONE search can run at a time (SIMD/CPU constraint)
+            // Stop any running search first, dump seeds to fertilizer, save batch position
+            await StopRunningSearchAsync();
+
+            var filterJaml = searchRequest.FilterJaml!;
+            var isSequential = searchRequest.Mode == SearchModes.Sequential;
+
+            // Extract filter name, deck, stake from JAML
+            var deck = ExtractDeckFromJaml(filterJaml);
+            var stake = ExtractStakeFromJaml(filterJaml);
+            var searchId = BuildSearchId(config!, filterJaml);
+            var nativeFilter = searchRequest.NativeFilter;
+
+            // Comment, layout and description edits keep the results; anything the search sees resets them
+            var isUpdated = _savedSearches.TryGetValue(searchId, out var existingSearch)
+                && existingSearch.FilterJaml.Trim() != filterJaml.Trim()
+                && SearchSignature(existingSearch.FilterJaml) != SearchSignature(filterJaml);
+
+            // If filter changed, reset the background search state AND delete stale DB
+            if (isUpdated)
             {
-                _currentSearch.StartBatch = 0;
-                _currentSearch.SeedsAdded = 0;
-                _currentSearch.IsRunning = false;
-            }
+                if (_currentSearchId == searchId && _currentSearch != null)
+                {
+                    _currentSearch.StartBatch = 0;
+                    _currentSearch.SeedsAdded = 0;
+                    _currentSearch.IsRunning = false;
+                }
 
-            // Delete stale DB file - filter changed so old results are invalid
-            var staleDbPath = $"{searchId}.db";
-            try
-            {
-                if (File.Exists(staleDbPath)) File.Delete(staleDbPath);
-                if (File.Exists(staleDbPath + ".wal")) File.Delete(staleDbPath + ".wal");
-            }
-            catch (Exception ex)
-            {
-                _logCallback($"[{DateTime.Now:HH:mm:ss}] Warning: Could not delete stale DB: {ex.Message}");
-            }
+                // Delete stale DB file - filter changed so old results are invalid
+                var staleDbPath = $"{searchId}.db";
+                try
+                {
+                    if (File.Exists(staleDbPath)) File.Delete(staleDbPath);
+                    if (File.Exists(staleDbPath + ".wal")) File.Delete(staleDbPath + ".wal");
+                }
+                catch (Exception ex)
+                {
+                    _logCallback($"[{DateTime.Now:HH:mm:ss}] Warning: Could not delete stale DB: {ex.Message}");
+                }
 
-            _logCallback($"[{DateTime.Now:HH:mm:ss}] Filter updated - cleared stale results, starting fresh");
-        }
+                _logCallback($"[{DateTime.Now:HH:mm:ss}] Filter updated - cleared stale results, starting fresh");
+            }
 
-        // Track if filter was updated so we skip loading stale batch position from DB
-        var filterWasUpdated = isUpdated;
+            // Track if filter was updated so we skip loading stale batch position from DB
+            var filterWasUpdated = isUpdated;
 
-        _savedSearches[searchId] = new SavedSearch
-        {
-            Id = searchId,
-            FilterJaml = filterJaml,
-            Deck = deck,
-            Stake = stake,
-            Timestamp = DateTimeOffset.UtcNow.ToUnixTimeSeconds()
-        };
+            _savedSearches[searchId] = new SavedSearch
+            {
+                Id = searchId,
+                FilterJaml = filterJaml,
+                Deck = deck,
+                Stake = stake,
+                Timestamp = DateTimeOffset.UtcNow.ToUnixTimeSeconds()
+            };
 
-        SaveFilter(searchId, filterJaml);
+            SaveFilter(searchId, filterJaml);
 
-        // NOTE: Running search already stopped at start of this handler via StopRunningSearchAsync()
+            // NOTE: Running search already stopped above via StopRunningSearchAsync()
 
-        try
-        {
             var bgConfig = config!;
 
             // Create or reuse background state for this search
@@ -984,7 +1440,7 @@ public class MotelyApiServer
                 bgState.StartBatch = 0;
                 _logCallback($"[{DateTime.Now:HH:mm:ss}] Filter changed - cleared search_state, starting from batch 0");
             }
-            else
+            else if (isSequential)
             {
                 using var loadCmd = bgState.Connection.CreateCommand();
                 loadCmd.CommandText = "SELECT last_completed_batch FROM search_state WHERE id = 1";
@@ -996,8 +1452,14 @@ public class MotelyApiServer
                 }
             }
 
+            // Seed lists and random samples always start at their first seed - and leave the saved
+            // sequential batch position alone for the next sequential run
+            if (!isSequential)
+            {
+                bgState.StartBatch = 0;
+            }
             // Allow user override of start batch (manual jump to any batch number)
-            if (searchRequest?.StartBatch.HasValue == true)
+            else if (searchRequest?.StartBatch.HasValue == true)
             {
                 bgState.StartBatch = searchRequest.StartBatch.Value;
                 _logCallback($"[{DateTime.Now:HH:mm:ss}] USER OVERRIDE: Starting at batch {bgState.StartBatch}");
@@ -1015,11 +1477,10 @@ public class MotelyApiServer
                 _logCallback($"[{DateTime.Now:HH:mm:ss}] Saved override batch position {bgState.StartBatch} to DB");
             }
 
-            // Validate StartBatch is within range for 4-character seeds (26^4 = 456,976)
-            const long maxBatches = 456_976; // 26^4
-            if (bgState.StartBatch >= maxBatches)
+            // Validate StartBatch is within range for 4-character seeds (35^4 = 1,500,625)
+            if (bgState.StartBatch >= MaxSequentialBatches)
             {
-                _logCallback($"[{DateTime.Now:HH:mm:ss}] StartBatch {bgState.StartBatch} is beyond max {maxBatches} - resetting to 0");
+                _logCallback($"[{DateTime.Now:HH:mm:ss}] StartBatch {bgState.StartBatch} is beyond max {MaxSequentialBatches} - resetting to 0");
                 bgState.StartBatch = 0;
 
                 // Clear the invalid batch position from DB
@@ -1032,14 +1493,16 @@ public class MotelyApiServer
             bgState.Appender = bgState.Connection.CreateAppender("results");
 
             // ========== FERTILIZER SEARCH ==========
-            // Run this on EVERY search (new or continue) to get instant results from known good seeds
+            // Run this on EVERY sequential search (new or continue) to get instant results from known good seeds
             // Uses DbList param to read directly from fertilizer.db - no permanent in-memory storage!
             var fertilizerDbFullPath = Path.GetFullPath(_fertilizerDbPath);
             var fertilizerCount = GetFertilizerCount();
 
             var results = new List<SearchResult>();
 
-            if (fertilizerCount > 0 && File.Exists(fertilizerDbFullPath))
+            // Native filters can't read the pile, and their scoring JAML alone would pass every seed in it.
+            // List and random searches only report seeds from their own source.
+            if (isSequential && nativeFilter == null && fertilizerCount > 0 && File.Exists(fertilizerDbFullPath))
             {
                 _logCallback($"[{DateTime.Now:HH:mm:ss}] Starting fertilizer search with {fertilizerCount} seeds from {_fertilizerDbPath}...");
 
@@ -1160,27 +1623,40 @@ public class MotelyApiServer
             // Store effective cutoff in state so GET /search can return it
             bgState.EffectiveCutoff = effectiveCutoff;
 
+            // Progress is reported against the chosen range (provider searches test 8 seeds per batch)
+            bgState.Mode = searchRequest.Mode!;
+            bgState.RangeStart = bgState.StartBatch;
+            bgState.RangeEnd = searchRequest.Mode switch
+            {
+                SearchModes.List => (searchRequest.Seeds!.Count + Motely.MaxVectorWidth - 1) / Motely.MaxVectorWidth,
+                SearchModes.Random => (searchRequest.RandomSeeds!.Value + Motely.MaxVectorWidth - 1) / Motely.MaxVectorWidth,
+                _ => searchRequest.EndBatch > 0 ? (long)searchRequest.EndBatch.Value : MaxSequentialBatches,
+            };
+
             // Mark as running BEFORE sending response
             bgState.IsRunning = true;
+            bgState.Completed = false;
 
-            response.StatusCode = 200;
-            await WriteJsonAsync(response, new
+            var started = new
             {
                 searchId = searchId,
                 results = topResults,
                 total = results.Count,
                 columns = config!.GetColumnNames(),
                 pileSize = pileSize,
+                mode = bgState.Mode,
+                nativeFilter = nativeFilter,
+                rangeStart = bgState.RangeStart,
+                rangeEnd = bgState.RangeEnd,
+                seedCount = searchRequest.Seeds?.Count ?? searchRequest.RandomSeeds,
                 isBackgroundRunning = true // We JUST started it!
-            });
-
-            _logCallback($"[{DateTime.Now:HH:mm:ss}] Immediate response sent with {topResults.Count} results");
+            };
 
             _ = Task.Run(() =>
             {
                 try
                 {
-                    var bgExecutor = new JsonSearchExecutor(bgConfig, new JsonSearchParams
+                    var bgParams = new JsonSearchParams
                     {
                         Threads = ThreadCount,
                         EnableDebug = false,
@@ -1188,7 +1664,9 @@ public class MotelyApiServer
                         Quiet = true,
                         BatchSize = 4, // Use 4-character sequential search
                         StartBatch = (ulong)bgState.StartBatch,
-                        EndBatch = searchRequest?.EndBatch ?? 0, // User-specified end batch or no limit
+                        EndBatch = isSequential ? searchRequest?.EndBatch ?? 0 : 0, // User-specified end batch or no limit
+                        SeedList = searchRequest?.Mode == SearchModes.List ? searchRequest.Seeds : null,
+                        RandomSeeds = searchRequest?.Mode == SearchModes.Random ? searchRequest.RandomSeeds : null,
                         AutoCutoff = false,
                         Cutoff = effectiveCutoff, // User override or smart cutoff from fertilizer results
                         ProgressCallback = (completed, total, seedsSearched, seedsPerMs) =>
@@ -1199,10 +1677,12 @@ public class MotelyApiServer
                             bgState.TotalBatches = total;
                             bgState.SeedsSearched = seedsSearched;
                             bgState.SeedsPerMs = seedsPerMs;
+                            bgState.RecordStatsSample();
 
                             // POWER OUTAGE PROTECTION: Save batch position every callback
                             // DuckDB is fast enough to handle this - no need to throttle!
-                            if (bgState.Connection != null)
+                            // (Only sequential positions are resumable - list/random batches aren't seed-space batches)
+                            if (isSequential && bgState.Connection != null)
                             {
                                 try
                                 {
@@ -1222,7 +1702,9 @@ public class MotelyApiServer
                                 }
                             }
                         }
-                    }, (tally) => {
+                    };
+
+                    Action<MotelySeedScoreTally> onResult = (tally) => {
                         // Track seeds found regardless of save success
                         bgState.SeedsAdded++;
 
@@ -1258,6 +1740,13 @@ public class MotelyApiServer
 
                                 row.EndRow();
                                 // Don't flush here - flush happens in GetTopResults before SELECT
+
+                                bgState.Publish(new SearchResult
+                                {
+                                    Seed = tally.Seed,
+                                    Score = tally.Score,
+                                    Tallies = tally.TallyColumns != null ? new List<int>(tally.TallyColumns) : new()
+                                });
                             }
                             catch (Exception ex)
                             {
@@ -1268,11 +1757,17 @@ public class MotelyApiServer
                                 }
                             }
                         }
-                    });
-                    
+                    };
+
+                    // Native filters pick the seeds themselves; the JAML's should block scores them
+                    ISearchExecutor bgExecutor = nativeFilter != null
+                        ? new NativeFilterExecutor(nativeFilter, bgParams, bgConfig, onResult)
+                        : new JsonSearchExecutor(bgConfig, bgParams, onResult);
+
                     bgState.Search = bgExecutor;
                     bgState.CurrentBatch = bgState.StartBatch;
                     bgState.SeedsAdded = 0; // Reset counter for this run
+                    bgState.ResetStatsHistory();
 
                     // Execute without awaiting completion - it will run in background
                     bgExecutor.Execute(awaitCompletion: false);
@@ -1290,12 +1785,14 @@ public class MotelyApiServer
                     }
                 }
             });
+
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Search {searchId}{(nativeFilter != null ? $" (native {nativeFilter})" : "")} started with {topResults.Count} immediate results");
+
+            return started;
         }
-        catch (Exception ex)
+        finally
         {
-            _logCallback($"[{DateTime.Now:HH:mm:ss}] Search failed: {ex.Message}");
-            response.StatusCode = 500;
-            await WriteJsonAsync(response, new { error = ex.Message });
+            _searchStartLock.Release();
         }
     }
 
@@ -1349,12 +1846,19 @@ public class MotelyApiServer
             long seedsSearched = 0;
             double seedsPerMs = 0;
             long totalSeedsFound = results.Count; // Default to results count, but try to get actual total
+            // Searches that aren't loaded report against the whole sequential seed space
+            var mode = SearchModes.Sequential;
+            long rangeStart = 0;
+            long rangeEnd = MaxSequentialBatches;
             if (_currentSearchId == searchId && _currentSearch != null)
             {
                 currentBatch = _currentSearch.CurrentBatch;
                 totalBatches = _currentSearch.TotalBatches;
                 seedsSearched = _currentSearch.SeedsSearched;
                 seedsPerMs = _currentSearch.SeedsPerMs;
+                mode = _currentSearch.Mode;
+                rangeStart = _currentSearch.RangeStart;
+                rangeEnd = _currentSearch.RangeEnd;
             }
 
             // Get actual total count from DB (not capped at 1000)
@@ -1377,7 +1881,7 @@ public class MotelyApiServer
             }
 
             // If no in-memory batch position, try to load from DuckDB (survives server restart)
-            if (currentBatch == 0 && File.Exists(dbPath))
+            if (currentBatch == 0 && mode == SearchModes.Sequential && File.Exists(dbPath))
             {
                 try
                 {
@@ -1406,7 +1910,10 @@ public class MotelyApiServer
                 : seedsPerMs > 0 ? $"{seedsPerMs * 1000:F0}/s" : "-";
             var searchedStr = seedsSearched >= 1000000 ? $"{seedsSearched / 1000000.0:F1}M"
                 : seedsSearched > 0 ? $"{seedsSearched / 1000.0:F1}K" : "0";
-            _logCallback($"[{DateTime.Now:HH:mm:ss}] GET /search: {status} | batch {currentBatch}/{456976} | {searchedStr} searched | {totalSeedsFound} found | {speedStr}");
+            var progressPercent = rangeEnd > rangeStart
+                ? Math.Clamp((currentBatch - rangeStart) * 100.0 / (rangeEnd - rangeStart), 0, 100)
+                : 0;
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] GET /search: {status} | {mode} batch {currentBatch}/{rangeEnd} | {searchedStr} searched | {totalSeedsFound} found | {speedStr}");
 
             // Get effective cutoff from current search state
             var effectiveCutoff = (_currentSearchId == searchId && _currentSearch != null)
@@ -1418,6 +1925,7 @@ public class MotelyApiServer
             {
                 searchId = searchId,
                 filterJaml = savedSearch.FilterJaml,
+                nativeFilter = ReadNativeFilter(savedSearch.FilterJaml),
                 deck = savedSearch.Deck,
                 stake = savedSearch.Stake,
                 results = results,
@@ -1426,6 +1934,10 @@ public class MotelyApiServer
                 status = status,
                 currentBatch = currentBatch,
                 totalBatches = totalBatches,
+                mode = mode,
+                rangeStart = rangeStart,
+                rangeEnd = rangeEnd,
+                progressPercent = progressPercent,
                 seedsSearched = seedsSearched,
                 seedsPerSecond = seedsPerMs * 1000, // Convert to per-second for UI
                 seedsFound = totalSeedsFound, // Actual count from DB (not capped)
@@ -1441,284 +1953,1982 @@ public class MotelyApiServer
         }
     }
 
-    private async Task HandleSearchContinueAsync(HttpListenerRequest request, HttpListenerResponse response)
+    /// <summary>
+    /// One page of a search's results, sorted and filtered by DuckDB so the results grid can scroll
+    /// through every stored seed instead of the top 1000.
+    /// Query: id, offset, limit (max 1000), sort (a name from "columns"), dir (asc|desc),
+    /// seed (substring), and min{i}/max{i} bounds on column i (1 = score, 2+ = tallies).
+    /// </summary>
+    private async Task HandleSearchResultsAsync(HttpListenerRequest request, HttpListenerResponse response)
     {
         try
         {
-            using var reader = new StreamReader(request.InputStream);
-            var body = await reader.ReadToEndAsync();
-            var requestData = JsonSerializer.Deserialize<Dictionary<string, object>>(body);
-            
-            if (!requestData!.TryGetValue("searchId", out var searchIdObj))
+            var searchId = request.QueryString["id"];
+
+            if (string.IsNullOrEmpty(searchId))
             {
                 response.StatusCode = 400;
-                await WriteJsonAsync(response, new { error = "searchId required" });
+                await WriteJsonAsync(response, new { error = "search id required" });
                 return;
             }
-            
-            var searchId = searchIdObj.ToString()!;
 
-            if (_currentSearchId != searchId || _currentSearch == null)
+            if (!_savedSearches.TryGetValue(searchId, out var savedSearch))
             {
                 response.StatusCode = 404;
-                await WriteJsonAsync(response, new { error = "background search not found" });
+                await WriteJsonAsync(response, new { error = "search not found" });
                 return;
             }
 
-            if (_currentSearch.IsRunning)
+            if (!JamlConfigLoader.TryLoadFromJamlString(savedSearch.FilterJaml, out var config, out var loadError))
             {
                 response.StatusCode = 400;
-                await WriteJsonAsync(response, new { error = "search already running" });
+                await WriteJsonAsync(response, new { error = $"Invalid JAML: {loadError}" });
                 return;
             }
 
-            // Restart the search
-            _currentSearch.IsRunning = true;
-            _currentSearch.Search?.Execute(awaitCompletion: false);
+            var columnNames = config!.GetColumnNames();
 
-            _logCallback($"[{DateTime.Now:HH:mm:ss}] Continued search for {searchId}");
+            var offset = int.TryParse(request.QueryString["offset"], out var o) ? Math.Max(0, o) : 0;
+            var limit = int.TryParse(request.QueryString["limit"], out var l) ? Math.Clamp(l, 1, 1000) : 100;
+            var query = ParseResultsQuery(request.QueryString, columnNames);
+
+            long total = 0;
+            var results = new List<SearchResult>();
+            var dbPath = $"{searchId}.db";
+
+            // Running search: query its own connection (same as GET /search); otherwise open the file
+            if (_currentSearchId == searchId && _currentSearch?.IsRunning == true && _currentSearch.Connection != null)
+            {
+                // The tally callback appends under this lock - hold it while the connection is in use
+                lock (_currentSearch)
+                {
+                    _currentSearch.FlushAppender();
+                    (total, results) = ReadResultsPage(_currentSearch.Connection, query, limit, offset);
+                }
+            }
+            else if (File.Exists(dbPath))
+            {
+                using var conn = new DuckDBConnection($"Data Source={dbPath}");
+                conn.Open();
+                (total, results) = ReadResultsPage(conn, query, limit, offset);
+            }
 
             response.StatusCode = 200;
-            await WriteJsonAsync(response, new {
-                message = "search continued",
-                searchId = searchId,
-                status = "running"
+            await WriteJsonAsync(response, new
+            {
+                searchId,
+                columns = columnNames,
+                columnTitles = BuildColumnTitles(config),
+                // The search's own should weights and score mode - the what-if panel starts from these
+                weights = config.Should.Select(clause => clause.Score).ToList(),
+                scoreMode = config.ScoreAggregationMode.ToString(),
+                total, // Rows matching the filters, not just this page
+                offset,
+                limit,
+                sort = columnNames[query.SortIndex],
+                dir = query.Ascending ? "asc" : "desc",
+                results,
             });
         }
+        catch (ArgumentException ex)
+        {
+            response.StatusCode = 400;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
         catch (Exception ex)
         {
-            _logCallback($"[{DateTime.Now:HH:mm:ss}] Continue search failed: {ex.Message}");
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] GET Search results failed: {ex.Message}");
             response.StatusCode = 500;
             await WriteJsonAsync(response, new { error = ex.Message });
         }
     }
 
-    private async Task HandleSearchStopAsync(HttpListenerRequest request, HttpListenerResponse response)
+    /// <summary>
+    /// Statistics panel data for a search: score histogram of the stored results, found/throughput
+    /// samples of the current run (empty unless it is the running or last-run search), and how often
+    /// each must clause matches over a random sample of seeds.
+    /// </summary>
+    private async Task HandleSearchStatsAsync(HttpListenerRequest request, HttpListenerResponse response)
     {
         try
         {
-            using var reader = new StreamReader(request.InputStream);
-            var body = await reader.ReadToEndAsync();
-            var requestData = JsonSerializer.Deserialize<Dictionary<string, object>>(body);
-            
-            if (!requestData!.TryGetValue("searchId", out var searchIdObj))
+            var searchId = request.QueryString["id"];
+
+            if (string.IsNullOrEmpty(searchId))
             {
                 response.StatusCode = 400;
-                await WriteJsonAsync(response, new { error = "searchId required" });
+                await WriteJsonAsync(response, new { error = "search id required" });
                 return;
             }
-            
-            var searchId = searchIdObj.ToString()!;
 
-            if (_currentSearchId != searchId || _currentSearch == null)
+            if (!_savedSearches.TryGetValue(searchId, out var savedSearch))
             {
                 response.StatusCode = 404;
-                await WriteJsonAsync(response, new { error = "background search not found" });
+                await WriteJsonAsync(response, new { error = "search not found" });
                 return;
             }
 
-            if (!_currentSearch.IsRunning)
+            if (!JamlConfigLoader.TryLoadFromJamlString(savedSearch.FilterJaml, out var config, out var loadError))
             {
                 response.StatusCode = 400;
-                await WriteJsonAsync(response, new { error = "search not running" });
+                await WriteJsonAsync(response, new { error = $"Invalid JAML: {loadError}" });
                 return;
             }
 
-            // Stop the search - acquire lock to safely dispose appender
-            lock (_currentSearch)
-            {
-                _currentSearch.IsRunning = false;
-                if (_currentSearch.Appender != null)
-                {
-                    try { _currentSearch.Appender.Dispose(); } catch { }
-                    _currentSearch.Appender = null;
-                }
-            }
-
-            _currentSearch.Search?.Cancel();
-
-            // Wait a moment for executor to stop
-            await Task.Delay(400);
+            var histogram = new List<object>();
+            var dbPath = $"{searchId}.db";
+            var isCurrent = _currentSearchId == searchId && _currentSearch != null;
 
-            // Save batch position to DuckDB for resume!
-            try
+            if (isCurrent && _currentSearch!.IsRunning && _currentSearch.Connection != null)
             {
-                if (_currentSearch.Connection != null)
+                lock (_currentSearch)
                 {
-                    using var saveCmd = _currentSearch.Connection.CreateCommand();
-                    saveCmd.CommandText = @"
-                        INSERT INTO search_state (id, batch_size, last_completed_batch, updated_at)
-                        VALUES (1, 4, ?, CURRENT_TIMESTAMP)
-                        ON CONFLICT (id) DO UPDATE SET
-                            last_completed_batch = excluded.last_completed_batch,
-                            updated_at = excluded.updated_at";
-                    saveCmd.Parameters.Add(new DuckDB.NET.Data.DuckDBParameter(_currentSearch.CurrentBatch));
-                    saveCmd.ExecuteNonQuery();
-                    _logCallback($"[{DateTime.Now:HH:mm:ss}] Saved batch position {_currentSearch.CurrentBatch} to DB");
-
-                    // Flush WAL to main DB file
-                    using var checkpointCmd = _currentSearch.Connection.CreateCommand();
-                    checkpointCmd.CommandText = "FORCE CHECKPOINT";
-                    checkpointCmd.ExecuteNonQuery();
-
-                    // Update StartBatch for in-memory resume
-                    _currentSearch.StartBatch = _currentSearch.CurrentBatch;
+                    _currentSearch.FlushAppender();
+                    histogram = ReadScoreHistogram(_currentSearch.Connection);
                 }
             }
-            catch (Exception ex)
+            else if (File.Exists(dbPath))
             {
-                _logCallback($"[{DateTime.Now:HH:mm:ss}] Warning: Failed to save batch position: {ex.Message}");
+                using var conn = new DuckDBConnection($"Data Source={dbPath}");
+                conn.Open();
+                histogram = ReadScoreHistogram(conn);
             }
 
-            _logCallback($"[{DateTime.Now:HH:mm:ss}] Stopped search for {searchId} at batch {_currentSearch.CurrentBatch}");
+            var rates = await GetClauseRatesAsync(searchId, savedSearch, config!);
 
             response.StatusCode = 200;
-            await WriteJsonAsync(response, new {
-                message = "search stopped",
-                searchId = searchId,
-                status = "stopped",
-                currentBatch = _currentSearch.CurrentBatch
+            await WriteJsonAsync(response, new
+            {
+                searchId,
+                running = isCurrent && _currentSearch!.IsRunning,
+                scoreHistogram = histogram,
+                history = isCurrent ? _currentSearch!.GetStatsHistory() : new List<SearchStatsSample>(),
+                // Null while a search runs and this filter hasn't been sampled yet
+                mustRates = rates == null ? null : new
+                {
+                    sampled = rates.Sampled,
+                    clauses = config!.Must.Select((clause, i) => new
+                    {
+                        path = $"must[{i}]",
+                        label = clause.Label ?? DescribeClause(clause),
+                        matched = rates.Matched[i],
+                        funnel = rates.Funnel[i],
+                    }).ToList(),
+                },
             });
         }
         catch (Exception ex)
         {
-            _logCallback($"[{DateTime.Now:HH:mm:ss}] Stop search failed: {ex.Message}");
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] GET Search stats failed: {ex.Message}");
             response.StatusCode = 500;
             await WriteJsonAsync(response, new { error = ex.Message });
         }
     }
 
-    private async Task HandleAnalyzeAsync(
-        HttpListenerRequest request,
-        HttpListenerResponse response
-    )
+    internal static List<object> ReadScoreHistogram(DuckDBConnection conn)
     {
-        using var reader = new StreamReader(request.InputStream);
-        var body = await reader.ReadToEndAsync();
+        var histogram = new List<object>();
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = "SELECT score, COUNT(*) FROM results GROUP BY score ORDER BY score";
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read())
+        {
+            histogram.Add(new { score = reader.GetInt32(0), count = Convert.ToInt64(reader.GetValue(1)) });
+        }
+        return histogram;
+    }
 
-        var analyzeRequest = JsonSerializer.Deserialize<AnalyzeRequest>(
-            body,
-            new JsonSerializerOptions { PropertyNameCaseInsensitive = true }
-        );
+    // Cached until the filter changes; null when a search is running and nothing is cached yet
+    private async Task<MotelyClauseRates?> GetClauseRatesAsync(string searchId, SavedSearch savedSearch, MotelyJsonConfig config)
+    {
+        if (_clauseRateCache.TryGetValue(searchId, out var cached) && cached.FilterJaml == savedSearch.FilterJaml)
+            return cached.Rates;
 
-        if (analyzeRequest == null || string.IsNullOrWhiteSpace(analyzeRequest.Seed))
+        var rates = new MotelyClauseRates(0, [], [], []);
+        if (config.Must.Count > 0)
         {
-            response.StatusCode = 400;
-            await WriteJsonAsync(response, new { error = "seed is required" });
-            return;
+            var sampled = await TryRunWhileNoSearchAsync(() => rates = MotelySeedAnalyzer.SampleClauseRates(
+                config,
+                Enum.TryParse<MotelyDeck>(savedSearch.Deck, true, out var deck) ? deck : MotelyDeck.Red,
+                Enum.TryParse<MotelyStake>(savedSearch.Stake, true, out var stake) ? stake : MotelyStake.White,
+                ClauseRateSampleSize,
+                ThreadCount
+            ));
+            if (!sampled) return null;
         }
 
+        _clauseRateCache[searchId] = (savedSearch.FilterJaml, rates);
+        _logCallback($"[{DateTime.Now:HH:mm:ss}] Sampled must clause rates for {searchId} over {rates.Sampled:N0} seeds");
+        return rates;
+    }
+
+    /// <summary>
+    /// Runs an engine sample (estimate, clause rates, filter test) on the request thread while no
+    /// search can share the CPU with it: with a search running it returns false without sampling,
+    /// and a search started meanwhile waits on the start lock until the sample is done.
+    /// </summary>
+    private static async Task<bool> TryRunWhileNoSearchAsync(Action sample)
+    {
+        await _searchStartLock.WaitAsync();
         try
         {
-            var deck =
-                string.IsNullOrEmpty(analyzeRequest.Deck)
-                || !Enum.TryParse<MotelyDeck>(analyzeRequest.Deck, true, out var d)
-                    ? MotelyDeck.Red
-                    : d;
-
-            var stake =
-                string.IsNullOrEmpty(analyzeRequest.Stake)
-                || !Enum.TryParse<MotelyStake>(analyzeRequest.Stake, true, out var s)
-                    ? MotelyStake.White
-                    : s;
-
-            var config = new MotelySeedAnalysisConfig(analyzeRequest.Seed, deck, stake);
-            var analysis = MotelySeedAnalyzer.Analyze(config);
+            if (_currentSearch?.IsRunning == true)
+                return false;
 
-            response.StatusCode = 200;
-            await WriteJsonAsync(
-                response,
-                new
-                {
-                    seed = analyzeRequest.Seed,
-                    deck = deck.ToString(),
-                    stake = stake.ToString(),
-                    analysis = analysis.ToString(),
-                }
-            );
-
-            _logCallback($"[{DateTime.Now:HH:mm:ss}] Analyzed seed {analyzeRequest.Seed}");
+            sample();
+            return true;
         }
-        catch (Exception ex)
+        finally
         {
-            _logCallback($"[{DateTime.Now:HH:mm:ss}] Analyze failed: {ex.Message}");
-            response.StatusCode = 500;
-            await WriteJsonAsync(response, new { error = ex.Message });
+            _searchStartLock.Release();
         }
     }
 
-
-    private async Task HandleConvertAsync(HttpListenerRequest request, HttpListenerResponse response)
+    /// <summary>
+    /// Per-row score breakdown for the results grid: every should clause of the search's own JAML
+    /// (not whatever is in the editor now) against one seed, with the antes/slots that scored.
+    /// </summary>
+    private async Task HandleSearchBreakdownAsync(HttpListenerRequest request, HttpListenerResponse response)
     {
-        using var reader = new StreamReader(request.InputStream);
-        var body = await reader.ReadToEndAsync();
+        try
+        {
+            var searchId = request.QueryString["id"];
+            var seed = (request.QueryString["seed"] ?? "").Trim().ToUpperInvariant();
 
-        var convertRequest = JsonSerializer.Deserialize<ConvertRequest>(
-            body,
-            new JsonSerializerOptions { PropertyNameCaseInsensitive = true }
-        );
+            if (string.IsNullOrEmpty(searchId) || !IsValidSeed(seed))
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = "search id and a valid seed required" });
+                return;
+            }
 
-        if (convertRequest == null || string.IsNullOrWhiteSpace(convertRequest.JsonContent))
-        {
-            response.StatusCode = 400;
-            await WriteJsonAsync(response, new { error = "jsonContent is required" });
-            return;
-        }
+            if (!_savedSearches.TryGetValue(searchId, out var savedSearch))
+            {
+                response.StatusCode = 404;
+                await WriteJsonAsync(response, new { error = "search not found" });
+                return;
+            }
 
-        try
-        {
-            // Convert JSON to JAML using ConfigFormatConverter
-            var config = ConfigFormatConverter.LoadFromJsonString(convertRequest.JsonContent);
-            if (config == null)
+            if (!JamlConfigLoader.TryLoadFromJamlString(savedSearch.FilterJaml, out var config, out var loadError))
             {
                 response.StatusCode = 400;
-                await WriteJsonAsync(response, new { error = "Invalid JSON filter format" });
+                await WriteJsonAsync(response, new { error = $"Invalid JAML: {loadError}" });
                 return;
             }
 
-            var jaml = config.SaveAsJaml();
+            var deck = Enum.TryParse<MotelyDeck>(savedSearch.Deck, true, out var d) ? d : MotelyDeck.Red;
+            var stake = Enum.TryParse<MotelyStake>(savedSearch.Stake, true, out var s) ? s : MotelyStake.White;
 
-            response.StatusCode = 200;
-            await WriteJsonAsync(response, new { jaml });
+            var analysisConfig = new MotelySeedAnalysisConfig(seed, deck, stake);
+            var analysis = MotelySeedAnalyzer.Analyze(analysisConfig);
+            if (!string.IsNullOrEmpty(analysis.Error))
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = analysis.Error });
+                return;
+            }
 
-            _logCallback($"[{DateTime.Now:HH:mm:ss}] Converted JSON filter to JAML: {config.Name ?? "unnamed"}");
+            var should = MotelySeedAnalyzer.ExplainClauses(analysisConfig, config!, analysis)
+                .Where(e => e.Section == "should")
+                .ToList();
+
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, new
+            {
+                searchId,
+                seed,
+                scoreMode = config!.ScoreAggregationMode.ToString(),
+                // Grid column of each clause's tally, so the breakdown can name the header it explains
+                columns = config.GetColumnNames().Skip(2).ToList(),
+                score = should.Sum(e => e.Score),
+                clauses = BuildClauseExplanations(should),
+            });
         }
         catch (Exception ex)
         {
-            _logCallback($"[{DateTime.Now:HH:mm:ss}] Convert failed: {ex.Message}");
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] GET Search breakdown failed: {ex.Message}");
             response.StatusCode = 500;
             await WriteJsonAsync(response, new { error = ex.Message });
         }
     }
 
-    private async Task HandleFiltersGetAsync(HttpListenerResponse response)
+    /// <summary>
+    /// Header tooltips for the results grid, index-aligned with GetColumnNames(). Tally columns are
+    /// named after a clause's label or value, which says little for unlabeled or/and groups.
+    /// </summary>
+    private static List<string> BuildColumnTitles(MotelyJsonConfig config)
     {
-        try
+        var titles = new List<string>
         {
-            var filters = new List<object>();
+            "Seed",
+            config.ScoreAggregationMode == MotelyScoreAggregationMode.MaxCount
+                ? "Score: highest count among the should clauses (MaxCount)"
+                : "Score: sum of count × score over the should clauses",
+        };
+        foreach (var clause in config.Should)
+        {
+            var antes = clause.EffectiveAntes.Length > 0 ? $", antes {string.Join(", ", clause.EffectiveAntes)}" : "";
+            titles.Add($"{DescribeClause(clause)} (score {clause.Score}{antes})");
+        }
+        return titles;
+    }
 
-            if (Directory.Exists(_filtersDir))
-            {
-                // Load both .jaml and .json files
-                var allFiles = Directory.GetFiles(_filtersDir, "*.jaml")
-                    .Concat(Directory.GetFiles(_filtersDir, "*.json"));
+    /// <summary>
+    /// WHERE/ORDER BY for the results table from the grid's query string (shared by /search/results and /search/export)
+    /// </summary>
+    internal static ResultsQuery ParseResultsQuery(NameValueCollection queryString, List<string> columnNames)
+    {
+        var scoreSql = ParseWhatIfScoreSql(queryString, columnNames.Count - 2);
 
-                foreach (var filePath in allFiles)
-                {
-                    var fileName = Path.GetFileName(filePath);
-                    var content = await File.ReadAllTextAsync(filePath);
+        // Sort by column name as shown in the grid; anything unknown falls back to score
+        var sortIndex = columnNames.IndexOf(queryString["sort"] ?? "score");
+        if (sortIndex < 0) sortIndex = 1;
+        var ascending = string.Equals(queryString["dir"], "asc", StringComparison.OrdinalIgnoreCase);
 
-                    // Extract the actual "name:" field from the filter content
-                    var displayName = ExtractFilterName(content) ?? Path.GetFileNameWithoutExtension(fileName);
+        var conditions = new List<string>();
+        var parameters = new List<object>();
 
-                    // Generate searchId EXACTLY like LoadSavedFilters does
-                    string? searchId = null;
-                    if (JamlConfigLoader.TryLoadFromJamlString(content, out var config, out _))
-                    {
-                        var filterName = ExtractFilterName(config!, content);
-                        var deck = ExtractDeckFromJaml(content);
-                        var stake = ExtractStakeFromJaml(content);
-                        searchId = SanitizeSearchId($"{filterName}_{deck}_{stake}");
+        // Seeds are alphanumeric - dropping everything else also keeps LIKE wildcards out
+        var seedFilter = new string((queryString["seed"] ?? "").Where(char.IsLetterOrDigit).ToArray()).ToUpperInvariant();
+        if (seedFilter.Length > 0)
+        {
+            conditions.Add("seed LIKE ?");
+            parameters.Add($"%{seedFilter}%");
+        }
+
+        for (int i = 1; i < columnNames.Count; i++)
+        {
+            if (int.TryParse(queryString[$"min{i}"], out var min))
+            {
+                conditions.Add($"{ResultsColumnSql(i, scoreSql)} >= ?");
+                parameters.Add(min);
+            }
+            if (int.TryParse(queryString[$"max{i}"], out var max))
+            {
+                conditions.Add($"{ResultsColumnSql(i, scoreSql)} <= ?");
+                parameters.Add(max);
+            }
+        }
+
+        return new ResultsQuery(
+            conditions.Count > 0 ? "WHERE " + string.Join(" AND ", conditions) : "",
+            parameters,
+            $"{ResultsColumnSql(sortIndex, scoreSql)} {(ascending ? "ASC" : "DESC")}, seed ASC",
+            sortIndex,
+            ascending,
+            scoreSql
+        );
+    }
+
+    /// <summary>
+    /// What-if scoring for the results grid: "weights=3,0,10" (one per should clause) and/or
+    /// "scoreMode=Sum|MaxCount" rescore every stored result at query time from its tallies,
+    /// without touching the stored scores. Returns the stored "score" column when neither is given.
+    /// </summary>
+    private static string ParseWhatIfScoreSql(NameValueCollection queryString, int tallyCount)
+    {
+        var weightsParam = queryString["weights"];
+        var modeParam = queryString["scoreMode"];
+        if (string.IsNullOrWhiteSpace(weightsParam) && string.IsNullOrWhiteSpace(modeParam)) return "score";
+
+        // MaxCount ignores the weights
+        if (string.Equals(modeParam, "MaxCount", StringComparison.OrdinalIgnoreCase))
+            return WeightedScoreSql(new int[tallyCount], MotelyScoreAggregationMode.MaxCount);
+
+        var weights = (weightsParam ?? "").Split(',', StringSplitOptions.RemoveEmptyEntries)
+            .Select(part => int.TryParse(part.Trim(), out var weight) ? weight : (int?)null)
+            .ToList();
+        if (weights.Count != tallyCount || weights.Any(weight => weight == null))
+            throw new ArgumentException($"weights needs {tallyCount} whole numbers, one per should clause");
+        return WeightedScoreSql(weights.Select(weight => weight!.Value).ToList(), MotelyScoreAggregationMode.Sum);
+    }
+
+    internal sealed record ResultsQuery(string Where, List<object> Parameters, string OrderBy, int SortIndex, bool Ascending, string ScoreSql = "score");
+
+    /// <summary>
+    /// SQL for grid column i: 0 = seed, 1 = score, 2+ = tally{i-2} (NULL tallies count as 0)
+    /// </summary>
+    private static string ResultsColumnSql(int columnIndex, string scoreSql = "score") => columnIndex switch
+    {
+        0 => "seed",
+        1 => scoreSql,
+        _ => $"COALESCE(tally{columnIndex - 2}, 0)",
+    };
+
+    internal static (long Total, List<SearchResult> Results) ReadResultsPage(
+        DuckDBConnection conn,
+        ResultsQuery query,
+        int limit,
+        int offset
+    )
+    {
+        var results = new List<SearchResult>();
+        foreach (var result in ReadResults(conn, query, $"LIMIT {limit} OFFSET {offset}"))
+        {
+            results.Add(result);
+        }
+        return (CountMatchingResults(conn, query), results);
+    }
+
+    private static long CountMatchingResults(DuckDBConnection conn, ResultsQuery query)
+    {
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = $"SELECT COUNT(*) FROM results {query.Where}";
+        foreach (var p in query.Parameters)
+            cmd.Parameters.Add(new DuckDBParameter(p));
+        return Convert.ToInt64(cmd.ExecuteScalar());
+    }
+
+    /// <summary>
+    /// Rows of the results table one at a time, so exports never hold the whole set in memory
+    /// </summary>
+    internal static IEnumerable<SearchResult> ReadResults(DuckDBConnection conn, ResultsQuery query, string limitClause = "")
+    {
+        using var cmd = conn.CreateCommand();
+        var columns = query.ScoreSql == "score" ? "*" : $"* REPLACE ({query.ScoreSql} AS score)";
+        cmd.CommandText = $"SELECT {columns} FROM results {query.Where} ORDER BY {query.OrderBy} {limitClause}";
+        foreach (var p in query.Parameters)
+            cmd.Parameters.Add(new DuckDBParameter(p));
+
+        using var reader = cmd.ExecuteReader();
+        while (reader.Read())
+        {
+            var tallies = new List<int>();
+            for (int i = 2; i < reader.FieldCount; i++)
+            {
+                tallies.Add(reader.IsDBNull(i) ? 0 : reader.GetInt32(i));
+            }
+
+            yield return new SearchResult
+            {
+                Seed = reader.GetString(0),
+                Score = reader.GetInt32(1),
+                Tallies = tallies
+            };
+        }
+    }
+
+    private const int ExportPageSize = 10_000;
+
+    /// <summary>
+    /// Results of the running search for an export. Its tally callback appends under lock (bgState),
+    /// so each page is read under that lock and handed out after it's released. Only rows stored
+    /// when the export started are read, so seeds found meanwhile don't shift the pages.
+    /// </summary>
+    private static IEnumerable<SearchResult> ReadRunningSearchResults(BackgroundSearchState bgState, ResultsQuery query)
+    {
+        long lastRowId = -1;
+        lock (bgState)
+        {
+            if (bgState.Connection != null)
+            {
+                bgState.FlushAppender();
+                using var cmd = bgState.Connection.CreateCommand();
+                cmd.CommandText = "SELECT MAX(rowid) FROM results";
+                var max = cmd.ExecuteScalar();
+                if (max is not null and not DBNull) lastRowId = Convert.ToInt64(max);
+            }
+        }
+        if (lastRowId < 0) yield break;
+
+        var snapshot = query with
+        {
+            Where = string.IsNullOrEmpty(query.Where) ? "WHERE rowid <= ?" : $"{query.Where} AND rowid <= ?",
+            Parameters = [.. query.Parameters, lastRowId],
+        };
+
+        for (int offset = 0; ; offset += ExportPageSize)
+        {
+            // The appender has to be closed before the connection is queried (as in GET /search/results)
+            var page = new List<SearchResult>();
+            lock (bgState)
+            {
+                if (bgState.Connection != null)
+                {
+                    bgState.FlushAppender();
+                    page = ReadResults(bgState.Connection, snapshot, $"LIMIT {ExportPageSize} OFFSET {offset}").ToList();
+                }
+            }
+
+            foreach (var row in page)
+                yield return row;
+            if (page.Count < ExportPageSize) yield break;
+        }
+    }
+
+    /// <summary>
+    /// Streams every stored result of a search as a download, honouring the grid's sort and filters.
+    /// Formats: csv, json (rows keyed by column name), seeds (one per line - drop into wordlists/ for
+    /// wordlist mode) and bundle (json plus the filter's JAML, deck and stake).
+    /// </summary>
+    private async Task HandleSearchExportAsync(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        var searchId = request.QueryString["id"];
+        var format = (request.QueryString["format"] ?? "csv").ToLowerInvariant();
+
+        if (string.IsNullOrEmpty(searchId))
+        {
+            response.ContentType = "application/json";
+            response.StatusCode = 400;
+            await WriteJsonAsync(response, new { error = "search id required" });
+            return;
+        }
+
+        if (format is not ("csv" or "json" or "seeds" or "bundle"))
+        {
+            response.ContentType = "application/json";
+            response.StatusCode = 400;
+            await WriteJsonAsync(response, new { error = $"Unknown export format '{format}' (use csv, json, seeds or bundle)" });
+            return;
+        }
+
+        if (!_savedSearches.TryGetValue(searchId, out var savedSearch)
+            || !JamlConfigLoader.TryLoadFromJamlString(savedSearch.FilterJaml, out var config, out _))
+        {
+            response.ContentType = "application/json";
+            response.StatusCode = 404;
+            await WriteJsonAsync(response, new { error = "search not found" });
+            return;
+        }
+
+        var columnNames = config!.GetColumnNames();
+        ResultsQuery query;
+        try
+        {
+            query = ParseResultsQuery(request.QueryString, columnNames);
+        }
+        catch (ArgumentException ex)
+        {
+            response.ContentType = "application/json";
+            response.StatusCode = 400;
+            await WriteJsonAsync(response, new { error = ex.Message });
+            return;
+        }
+        var dbPath = $"{searchId}.db";
+
+        DuckDBConnection? ownConnection = null;
+        IEnumerable<SearchResult> rows = [];
+        if (_currentSearchId == searchId && _currentSearch is { IsRunning: true, Connection: not null } bgState)
+        {
+            rows = ReadRunningSearchResults(bgState, query);
+        }
+        else if (File.Exists(dbPath))
+        {
+            ownConnection = new DuckDBConnection($"Data Source={dbPath}");
+            ownConnection.Open();
+            rows = ReadResults(ownConnection, query);
+        }
+
+        var (contentType, extension) = format switch
+        {
+            "csv" => ("text/csv", "csv"),
+            "seeds" => ("text/plain", "txt"),
+            "bundle" => ("application/json", "bundle.json"),
+            _ => ("application/json", "json"),
+        };
+
+        response.ContentType = $"{contentType}; charset=utf-8";
+        response.StatusCode = 200;
+        response.SendChunked = true;
+        response.AddHeader("Content-Disposition", $"attachment; filename=\"{searchId}.{extension}\"");
+
+        long written = 0;
+        try
+        {
+            if (format is "csv" or "seeds")
+            {
+                await using var writer = new StreamWriter(response.OutputStream, new System.Text.UTF8Encoding(false));
+                if (format == "csv")
+                {
+                    await writer.WriteLineAsync(string.Join(",", columnNames.Select(EscapeCsv)));
+                }
+
+                foreach (var row in rows)
+                {
+                    await writer.WriteLineAsync(format == "csv"
+                        ? string.Join(",", new[] { row.Seed, row.Score.ToString() }.Concat(row.Tallies.Select(t => t.ToString())))
+                        : row.Seed);
+
+                    if (++written % 1000 == 0)
+                        await writer.FlushAsync();
+                }
+            }
+            else
+            {
+                await using var json = new Utf8JsonWriter(response.OutputStream, new JsonWriterOptions { Indented = true });
+                json.WriteStartObject();
+
+                if (format == "bundle")
+                {
+                    json.WriteString("searchId", searchId);
+                    json.WriteString("name", config.Name);
+                    json.WriteString("deck", savedSearch.Deck);
+                    json.WriteString("stake", savedSearch.Stake);
+                    json.WriteString("exportedAt", DateTime.UtcNow);
+                    json.WriteString("filterJaml", savedSearch.FilterJaml);
+                }
+
+                json.WriteStartArray("columns");
+                foreach (var column in columnNames)
+                    json.WriteStringValue(column);
+                json.WriteEndArray();
+
+                json.WriteStartArray("results");
+                foreach (var row in rows)
+                {
+                    json.WriteStartObject();
+                    json.WriteString(columnNames[0], row.Seed);
+                    json.WriteNumber(columnNames[1], row.Score);
+                    for (int i = 0; i < row.Tallies.Count && i + 2 < columnNames.Count; i++)
+                    {
+                        json.WriteNumber(columnNames[i + 2], row.Tallies[i]);
+                    }
+                    json.WriteEndObject();
+
+                    if (++written % 1000 == 0)
+                        await json.FlushAsync();
+                }
+                json.WriteEndArray();
+
+                json.WriteNumber("total", written);
+                json.WriteEndObject();
+            }
+
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Exported {written} results of {searchId} as {format}");
+        }
+        catch (Exception ex) when (ex is HttpListenerException || ex is IOException || ex is ObjectDisposedException)
+        {
+            // Client cancelled the download - nothing to report
+        }
+        catch (Exception ex)
+        {
+            // Headers are already sent, so the best we can do is log and cut the download short
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Export failed: {ex.Message}");
+        }
+        finally
+        {
+            ownConnection?.Dispose();
+            try { response.Close(); } catch { }
+        }
+    }
+
+    internal static string EscapeCsv(string value)
+    {
+        return value.IndexOfAny([',', '"', '\n', '\r']) >= 0
+            ? $"\"{value.Replace("\"", "\"\"")}\""
+            : value;
+    }
+
+    /// <summary>
+    /// Server-Sent Events stream for the running search. Sends one "snapshot" event with the
+    /// current top results, then a "progress" event every second carrying only the seeds found
+    /// since the previous tick, and a final "done" event once the search stops.
+    /// </summary>
+    private async Task HandleSearchStreamAsync(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        var searchId = request.QueryString["id"];
+
+        if (string.IsNullOrEmpty(searchId))
+        {
+            response.ContentType = "application/json";
+            response.StatusCode = 400;
+            await WriteJsonAsync(response, new { error = "search id required" });
+            return;
+        }
+
+        var bgState = _currentSearch;
+        if (_currentSearchId != searchId || bgState == null || !bgState.IsRunning)
+        {
+            // Not running - client falls back to GET /search for the final state
+            response.ContentType = "application/json";
+            response.StatusCode = 404;
+            await WriteJsonAsync(response, new { error = "search not running" });
+            return;
+        }
+
+        response.ContentType = "text/event-stream";
+        response.StatusCode = 200;
+        response.SendChunked = true;
+        response.AddHeader("Cache-Control", "no-cache");
+
+        // Subscribe BEFORE taking the snapshot so no seed falls between the two (client dedupes overlap)
+        var queue = bgState.Subscribe();
+        var alreadyCounted = new List<SearchResult>();
+        _logCallback($"[{DateTime.Now:HH:mm:ss}] Stream opened for {searchId}");
+
+        try
+        {
+            // Results are appended and published under lock (bgState), so inside it the flushed count
+            // covers exactly the seeds queued so far - they still go out on the first tick, uncounted
+            List<SearchResult> snapshot;
+            long seedsFound;
+            lock (bgState)
+            {
+                snapshot = bgState.GetTopResults(1000); // Flushes the appender, so count below is current
+                seedsFound = CountResults(bgState);
+                while (queue.TryDequeue(out var counted))
+                {
+                    alreadyCounted.Add(counted);
+                }
+            }
+            var columns =
+                _savedSearches.TryGetValue(searchId, out var savedSearch)
+                && JamlConfigLoader.TryLoadFromJamlString(savedSearch.FilterJaml, out var config, out _)
+                    ? config!.GetColumnNames()
+                    : null;
+
+            await WriteSseEventAsync(response, "snapshot", new
+            {
+                searchId = searchId,
+                results = snapshot,
+                columns = columns,
+                total = seedsFound,
+                cutoff = bgState.EffectiveCutoff
+            });
+
+            var token = _cts?.Token ?? CancellationToken.None;
+            while (!token.IsCancellationRequested)
+            {
+                await Task.Delay(1000, token);
+
+                var newResults = new List<SearchResult>(alreadyCounted);
+                alreadyCounted.Clear();
+                while (queue.TryDequeue(out var result))
+                {
+                    newResults.Add(result);
+                    seedsFound++;
+                }
+
+                var isRunning = _currentSearchId == searchId && bgState.IsRunning;
+                await WriteSseEventAsync(response, isRunning ? "progress" : "done", new
+                {
+                    searchId = searchId,
+                    status = isRunning ? "RUNNING" : "STOPPED",
+                    currentBatch = bgState.CurrentBatch,
+                    totalBatches = bgState.TotalBatches,
+                    mode = bgState.Mode,
+                    rangeStart = bgState.RangeStart,
+                    rangeEnd = bgState.RangeEnd,
+                    progressPercent = bgState.ProgressPercent,
+                    seedsSearched = bgState.SeedsSearched,
+                    seedsPerSecond = bgState.SeedsPerMs * 1000, // Convert to per-second for UI
+                    seedsFound = seedsFound,
+                    isBackgroundRunning = isRunning,
+                    cutoff = bgState.EffectiveCutoff,
+                    newResults = newResults
+                });
+
+                if (!isRunning) break;
+            }
+        }
+        catch (Exception ex) when (ex is HttpListenerException || ex is IOException || ex is ObjectDisposedException || ex is OperationCanceledException)
+        {
+            // Client closed the tab or server is shutting down - nothing to report
+        }
+        finally
+        {
+            bgState.Unsubscribe(queue);
+            try { response.Close(); } catch { }
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Stream closed for {searchId}");
+        }
+    }
+
+    private static async Task WriteSseEventAsync(HttpListenerResponse response, string eventName, object data)
+    {
+        var json = JsonSerializer.Serialize(
+            data,
+            new JsonSerializerOptions { PropertyNamingPolicy = JsonNamingPolicy.CamelCase }
+        );
+
+        var buffer = System.Text.Encoding.UTF8.GetBytes($"event: {eventName}\ndata: {json}\n\n");
+        await response.OutputStream.WriteAsync(buffer);
+        await response.OutputStream.FlushAsync();
+    }
+
+    private long CountResults(BackgroundSearchState bgState)
+    {
+        if (bgState.Connection == null) return 0;
+
+        try
+        {
+            using var countCmd = bgState.Connection.CreateCommand();
+            countCmd.CommandText = "SELECT COUNT(*) FROM results";
+            var countResult = countCmd.ExecuteScalar();
+            return countResult != null && countResult != DBNull.Value ? Convert.ToInt64(countResult) : 0;
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Warning: Could not count results: {ex.Message}");
+            return 0;
+        }
+    }
+
+    private async Task HandleSearchContinueAsync(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        try
+        {
+            using var reader = new StreamReader(request.InputStream);
+            var body = await reader.ReadToEndAsync();
+            var requestData = JsonSerializer.Deserialize<Dictionary<string, object>>(body);
+            
+            if (!requestData!.TryGetValue("searchId", out var searchIdObj))
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = "searchId required" });
+                return;
+            }
+            
+            var searchId = searchIdObj.ToString()!;
+
+            if (_currentSearchId != searchId || _currentSearch == null)
+            {
+                response.StatusCode = 404;
+                await WriteJsonAsync(response, new { error = "background search not found" });
+                return;
+            }
+
+            if (_currentSearch.IsRunning)
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = "search already running" });
+                return;
+            }
+
+            // Restart the search
+            _currentSearch.IsRunning = true;
+            _currentSearch.Search?.Execute(awaitCompletion: false);
+
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Continued search for {searchId}");
+
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, new {
+                message = "search continued",
+                searchId = searchId,
+                status = "running"
+            });
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Continue search failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    private async Task HandleSearchStopAsync(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        try
+        {
+            using var reader = new StreamReader(request.InputStream);
+            var body = await reader.ReadToEndAsync();
+            var requestData = JsonSerializer.Deserialize<Dictionary<string, object>>(body);
+            
+            if (!requestData!.TryGetValue("searchId", out var searchIdObj))
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = "searchId required" });
+                return;
+            }
+            
+            var searchId = searchIdObj.ToString()!;
+
+            if (_currentSearchId != searchId || _currentSearch == null)
+            {
+                response.StatusCode = 404;
+                await WriteJsonAsync(response, new { error = "background search not found" });
+                return;
+            }
+
+            if (!_currentSearch.IsRunning)
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = "search not running" });
+                return;
+            }
+
+            // Stop the search - acquire lock to safely dispose appender
+            lock (_currentSearch)
+            {
+                _currentSearch.IsRunning = false;
+                if (_currentSearch.Appender != null)
+                {
+                    try { _currentSearch.Appender.Dispose(); } catch { }
+                    _currentSearch.Appender = null;
+                }
+            }
+
+            _currentSearch.Search?.Cancel();
+
+            // Wait a moment for executor to stop
+            await Task.Delay(400);
+
+            // Save batch position to DuckDB for resume! (list/random batches don't map to seed-space batches)
+            try
+            {
+                if (_currentSearch.Mode == SearchModes.Sequential && _currentSearch.Connection != null)
+                {
+                    using var saveCmd = _currentSearch.Connection.CreateCommand();
+                    saveCmd.CommandText = @"
+                        INSERT INTO search_state (id, batch_size, last_completed_batch, updated_at)
+                        VALUES (1, 4, ?, CURRENT_TIMESTAMP)
+                        ON CONFLICT (id) DO UPDATE SET
+                            last_completed_batch = excluded.last_completed_batch,
+                            updated_at = excluded.updated_at";
+                    saveCmd.Parameters.Add(new DuckDB.NET.Data.DuckDBParameter(_currentSearch.CurrentBatch));
+                    saveCmd.ExecuteNonQuery();
+                    _logCallback($"[{DateTime.Now:HH:mm:ss}] Saved batch position {_currentSearch.CurrentBatch} to DB");
+
+                    // Flush WAL to main DB file
+                    using var checkpointCmd = _currentSearch.Connection.CreateCommand();
+                    checkpointCmd.CommandText = "FORCE CHECKPOINT";
+                    checkpointCmd.ExecuteNonQuery();
+
+                    // Update StartBatch for in-memory resume
+                    _currentSearch.StartBatch = _currentSearch.CurrentBatch;
+                }
+            }
+            catch (Exception ex)
+            {
+                _logCallback($"[{DateTime.Now:HH:mm:ss}] Warning: Failed to save batch position: {ex.Message}");
+            }
+
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Stopped search for {searchId} at batch {_currentSearch.CurrentBatch}");
+
+            // A manual stop means the machine should go quiet - don't let the queue start the next search
+            if (_searchQueue.Pause())
+            {
+                _logCallback($"[{DateTime.Now:HH:mm:ss}] Search queue paused");
+            }
+
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, new {
+                message = "search stopped",
+                searchId = searchId,
+                status = "stopped",
+                currentBatch = _currentSearch.CurrentBatch
+            });
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Stop search failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Rescore a stopped search's stored results for an edited filter that only changes the should
+    /// scores or the score mode. Scores are recomputed from the stored tallies (Sum: tally * score,
+    /// MaxCount: highest tally) and the edited JAML becomes the search's filter, so continuing it
+    /// keeps the results. Seeds an earlier cutoff dropped can't come back.
+    /// </summary>
+    private async Task HandleSearchRescoreAsync(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        try
+        {
+            using var reader = new StreamReader(request.InputStream);
+            var body = await reader.ReadToEndAsync();
+            var rescoreRequest = string.IsNullOrWhiteSpace(body) ? null : JsonSerializer.Deserialize<SearchRescoreRequest>(body);
+
+            if (string.IsNullOrEmpty(rescoreRequest?.SearchId) || string.IsNullOrWhiteSpace(rescoreRequest.FilterJaml))
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = "searchId and filterJaml required" });
+                return;
+            }
+
+            var searchId = rescoreRequest.SearchId;
+            if (!_savedSearches.TryGetValue(searchId, out var savedSearch))
+            {
+                response.StatusCode = 404;
+                await WriteJsonAsync(response, new { error = "search not found" });
+                return;
+            }
+
+            var rescoreError = PrepareRescore(searchId, savedSearch.FilterJaml, rescoreRequest.FilterJaml, out var filterJaml, out var config);
+            if (rescoreError != null)
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = rescoreError });
+                return;
+            }
+
+            if (_currentSearchId == searchId && _currentSearch?.IsRunning == true)
+            {
+                response.StatusCode = 409;
+                await WriteJsonAsync(response, new { error = "Stop the search before rescoring it" });
+                return;
+            }
+
+            var scoreSql = WeightedScoreSql(config!.Should.Select(clause => clause.Score).ToList(), config.ScoreAggregationMode);
+
+            long rescored = 0;
+            var dbPath = $"{searchId}.db";
+            if (_currentSearchId == searchId && _currentSearch?.Connection != null)
+            {
+                lock (_currentSearch)
+                {
+                    _currentSearch.FlushAppender();
+                    rescored = RescoreResults(_currentSearch.Connection, scoreSql);
+                }
+            }
+            else if (File.Exists(dbPath))
+            {
+                using var conn = new DuckDBConnection($"Data Source={dbPath}");
+                conn.Open();
+                rescored = RescoreResults(conn, scoreSql);
+            }
+
+            _savedSearches[searchId] = new SavedSearch
+            {
+                Id = searchId,
+                FilterJaml = filterJaml,
+                Deck = savedSearch.Deck,
+                Stake = savedSearch.Stake,
+                Timestamp = savedSearch.Timestamp
+            };
+            SaveFilter(searchId, filterJaml);
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Rescored {rescored} results of {searchId}");
+
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, new
+            {
+                searchId,
+                rescored,
+                scoreMode = config.ScoreAggregationMode.ToString(),
+            });
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Rescore search failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Checks an edited filter for POST /search/rescore against the JAML the search was saved with:
+    /// it keeps the native filter marker, and has to load, keep the search ID and change nothing
+    /// but the should scores and score mode. Returns the error, or null with the filter to save.
+    /// </summary>
+    internal static string? PrepareRescore(string searchId, string savedJaml, string editedJaml, out string filterJaml, out MotelyJsonConfig? config)
+    {
+        filterJaml = ReadNativeFilter(savedJaml) is { } nativeFilter && ReadNativeFilter(editedJaml) == null
+            ? $"# native: {nativeFilter}\n{editedJaml.TrimStart('\r', '\n')}"
+            : editedJaml;
+        if (!JamlConfigLoader.TryLoadFromJamlString(filterJaml, out config, out var loadError))
+            return $"Invalid JAML: {loadError}";
+
+        if (BuildSearchId(config!, filterJaml) != searchId
+            || SearchSignature(savedJaml, ignoreScores: true) != SearchSignature(filterJaml, ignoreScores: true))
+            return "The edited filter changes more than the should scores - fork it as a new search instead";
+
+        return null;
+    }
+
+    /// <summary>
+    /// SQL for a result's score from its stored tallies, the way the search scores a seed:
+    /// Sum adds tally * weight per should clause, MaxCount takes the highest tally
+    /// </summary>
+    internal static string WeightedScoreSql(IReadOnlyList<int> weights, MotelyScoreAggregationMode mode)
+    {
+        if (weights.Count == 0) return "0";
+        var tallies = Enumerable.Range(0, weights.Count).Select(i => ResultsColumnSql(i + 2)).ToList();
+        if (mode == MotelyScoreAggregationMode.MaxCount)
+            return tallies.Count == 1 ? tallies[0] : $"GREATEST({string.Join(", ", tallies)})";
+        return string.Join(" + ", tallies.Select((tally, i) => $"{tally} * {weights[i]}"));
+    }
+
+    internal static long RescoreResults(DuckDBConnection conn, string scoreSql)
+    {
+        using var cmd = conn.CreateCommand();
+        cmd.CommandText = $"UPDATE results SET score = {scoreSql}";
+        return cmd.ExecuteNonQuery();
+    }
+
+    /// <summary>
+    /// Every known search with its progress, plus the queue - polled by the searches dashboard.
+    /// Only THE current search has live speed; the rest are read from their DuckDB files.
+    /// </summary>
+    private async Task HandleSearchesGetAsync(HttpListenerResponse response)
+    {
+        try
+        {
+            var (_, queue) = _searchQueue.Snapshot();
+
+            var searches = _savedSearches.Values
+                .OrderBy(saved => saved.Id, StringComparer.OrdinalIgnoreCase)
+                .Select(saved => DescribeSearch(saved, queue))
+                .ToList();
+
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, new { searches = searches, queue = DescribeSearchQueue() });
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] List searches failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    private object DescribeSearch(SavedSearch saved, List<QueuedSearch> queue)
+    {
+        var searchId = saved.Id;
+        var bgState = _currentSearchId == searchId ? _currentSearch : null;
+        var isRunning = bgState?.IsRunning == true;
+        var currentBatch = bgState?.CurrentBatch ?? 0;
+        long seedsFound = 0;
+        int? topScore = null;
+
+        try
+        {
+            if (bgState?.Connection != null)
+            {
+                // THE search holds its DB open - query through its own connection
+                bgState.FlushAppender();
+                (seedsFound, topScore, var savedBatch) = ReadSearchSummary(bgState.Connection);
+                if (currentBatch == 0 && bgState.Mode == SearchModes.Sequential) currentBatch = savedBatch;
+            }
+            else if (File.Exists($"{searchId}.db"))
+            {
+                using var conn = new DuckDBConnection($"Data Source={searchId}.db");
+                conn.Open();
+                (seedsFound, topScore, currentBatch) = ReadSearchSummary(conn);
+            }
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Warning: Could not read {searchId}.db: {ex.Message}");
+        }
+
+        var queueIndex = queue.FindIndex(q => q.SearchId == searchId);
+        var status = isRunning ? "RUNNING"
+            : queueIndex >= 0 ? "QUEUED"
+            : bgState?.Completed == true || currentBatch >= MaxSequentialBatches ? "COMPLETED"
+            : currentBatch > 0 || seedsFound > 0 ? "STOPPED"
+            : "NEW";
+
+        return new
+        {
+            searchId = searchId,
+            deck = saved.Deck,
+            stake = saved.Stake,
+            status = status,
+            currentBatch = currentBatch,
+            // The loaded search knows its chosen range; everything else is a sequential position
+            mode = bgState?.Mode ?? SearchModes.Sequential,
+            progressPercent = bgState != null ? bgState.ProgressPercent : Math.Min(100.0, currentBatch * 100.0 / MaxSequentialBatches),
+            seedsPerSecond = isRunning ? bgState!.SeedsPerMs * 1000 : 0, // Convert to per-second for UI
+            seedsFound = seedsFound,
+            topScore = topScore,
+            queuePosition = queueIndex >= 0 ? queueIndex + 1 : (int?)null
+        };
+    }
+
+    private static (long SeedsFound, int? TopScore, long LastBatch) ReadSearchSummary(DuckDBConnection conn)
+    {
+        long seedsFound;
+        int? topScore;
+        using (var resultsCmd = conn.CreateCommand())
+        {
+            resultsCmd.CommandText = "SELECT COUNT(*), MAX(score) FROM results";
+            using var reader = resultsCmd.ExecuteReader();
+            reader.Read();
+            seedsFound = reader.GetInt64(0);
+            topScore = reader.IsDBNull(1) ? null : reader.GetInt32(1);
+        }
+
+        using var batchCmd = conn.CreateCommand();
+        batchCmd.CommandText = "SELECT last_completed_batch FROM search_state WHERE id = 1";
+        var savedBatch = batchCmd.ExecuteScalar();
+        var lastBatch = savedBatch != null && savedBatch != DBNull.Value ? Convert.ToInt64(savedBatch) : 0;
+
+        return (seedsFound, topScore, lastBatch);
+    }
+
+    /// <summary>
+    /// Queue a search behind the ones already waiting. Body is a POST /search body: either filterJaml
+    /// (run exactly that filter) or the searchId of a saved search (run whatever is saved under it when
+    /// its turn comes), plus optional startBatch/endBatch/cutoff.
+    /// </summary>
+    private async Task HandleQueueAddAsync(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        try
+        {
+            using var reader = new StreamReader(request.InputStream);
+            var body = await reader.ReadToEndAsync();
+            var searchRequest = string.IsNullOrWhiteSpace(body) ? null : JsonSerializer.Deserialize<SearchRequest>(body);
+
+            string? searchId = null;
+            if (!string.IsNullOrWhiteSpace(searchRequest?.FilterJaml))
+            {
+                if (!JamlConfigLoader.TryLoadFromJamlString(searchRequest.FilterJaml, out var config, out var loadError))
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonAsync(response, new { error = $"Invalid JAML: {loadError}" });
+                    return;
+                }
+
+                var nativeError = NormalizeNativeFilter(searchRequest, config!);
+                if (nativeError != null)
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonAsync(response, new { error = nativeError });
+                    return;
+                }
+
+                // Same searchId as POST /search will generate when the queue starts it
+                searchId = BuildSearchId(config!, searchRequest.FilterJaml!);
+            }
+            else if (!string.IsNullOrEmpty(searchRequest?.SearchId) && _savedSearches.ContainsKey(searchRequest.SearchId))
+            {
+                searchId = searchRequest.SearchId;
+            }
+
+            if (searchRequest == null || searchId == null)
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = "filterJaml or the searchId of a saved search is required" });
+                return;
+            }
+
+            var sourceError = NormalizeSearchSource(searchRequest);
+            if (sourceError != null)
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = sourceError });
+                return;
+            }
+
+            searchRequest.SearchId = searchId;
+            var queued = _searchQueue.TryAdd(new QueuedSearch
+            {
+                SearchId = searchId,
+                Request = searchRequest,
+                QueuedAt = DateTimeOffset.UtcNow.ToUnixTimeSeconds()
+            });
+
+            if (!queued)
+            {
+                response.StatusCode = 409;
+                await WriteJsonAsync(response, new { error = $"{searchId} is already queued" });
+                return;
+            }
+
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Queued search {searchId}");
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, DescribeSearchQueue());
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Queue search failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    private async Task HandleQueueRemoveAsync(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        try
+        {
+            var searchId = request.QueryString["id"];
+            if (string.IsNullOrEmpty(searchId) || !_searchQueue.Remove(searchId))
+            {
+                response.StatusCode = 404;
+                await WriteJsonAsync(response, new { error = "search not queued" });
+                return;
+            }
+
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Removed {searchId} from the search queue");
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, DescribeSearchQueue());
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Unqueue search failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// POST /queue/run and /queue/pause. Pausing never stops THE running search - it only keeps the
+    /// next queued one from starting when it finishes.
+    /// </summary>
+    private async Task HandleQueueRunAsync(HttpListenerResponse response, bool run)
+    {
+        try
+        {
+            _searchQueue.SetRunning(run);
+
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Search queue {(run ? "running" : "paused")}");
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, DescribeSearchQueue());
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Queue {(run ? "run" : "pause")} failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    private static object DescribeSearchQueue()
+    {
+        var (running, items) = _searchQueue.Snapshot();
+        return new
+        {
+            running,
+            items = items.Select((q, i) => new
+            {
+                position = i + 1,
+                searchId = q.SearchId,
+                mode = q.Request.Mode ?? SearchModes.Sequential,
+                seedCount = q.Request.Seeds?.Count ?? q.Request.RandomSeeds,
+                startBatch = q.Request.StartBatch,
+                endBatch = q.Request.EndBatch,
+                cutoff = q.Request.Cutoff,
+                queuedAt = q.QueuedAt
+            }).ToList()
+        };
+    }
+
+    /// <summary>
+    /// Background loop behind the search queue. Executors started with awaitCompletion: false never
+    /// stop on their own, so this notices when THE search has run through its last batch, shuts it
+    /// down like a stop would, and - while the queue is running - starts the next queued search.
+    /// </summary>
+    private async Task RunSearchQueueAsync(CancellationToken token)
+    {
+        while (!token.IsCancellationRequested)
+        {
+            try
+            {
+                await Task.Delay(2000, token);
+
+                var bgState = _currentSearch;
+                if (bgState != null && bgState.IsRunning && bgState.Search?.IsCompleted == true)
+                {
+                    _logCallback($"[{DateTime.Now:HH:mm:ss}] Search '{_currentSearchId}' completed at batch {bgState.CurrentBatch}");
+                    await StopRunningSearchAsync();
+                    bgState.Completed = true;
+                }
+
+                if (_currentSearch?.IsRunning == true) continue;
+
+                var next = _searchQueue.TakeNext(out var finished);
+                if (finished)
+                    _logCallback($"[{DateTime.Now:HH:mm:ss}] Search queue finished");
+                if (next == null) continue;
+
+                // Queued by ID: run whatever is saved under it now, not when it was queued
+                var searchRequest = next.Request;
+                if (string.IsNullOrWhiteSpace(searchRequest.FilterJaml)
+                    && _savedSearches.TryGetValue(next.SearchId, out var savedSearch))
+                {
+                    searchRequest.FilterJaml = savedSearch.FilterJaml;
+                }
+
+                if (string.IsNullOrWhiteSpace(searchRequest.FilterJaml))
+                {
+                    _logCallback($"[{DateTime.Now:HH:mm:ss}] Skipping queued search {next.SearchId}: filter not found");
+                    continue;
+                }
+
+                if (!JamlConfigLoader.TryLoadFromJamlString(searchRequest.FilterJaml, out var config, out var loadError))
+                {
+                    _logCallback($"[{DateTime.Now:HH:mm:ss}] Skipping queued search {next.SearchId}: Invalid JAML: {loadError}");
+                    continue;
+                }
+
+                // Queue files written before search modes existed have no mode - NormalizeSearchSource defaults it
+                var sourceError = NormalizeSearchSource(searchRequest) ?? NormalizeNativeFilter(searchRequest, config!);
+                if (sourceError != null)
+                {
+                    _logCallback($"[{DateTime.Now:HH:mm:ss}] Skipping queued search {next.SearchId}: {sourceError}");
+                    continue;
+                }
+
+                _logCallback($"[{DateTime.Now:HH:mm:ss}] Starting queued search {next.SearchId}");
+                await StartSearchAsync(searchRequest, config!);
+            }
+            catch (OperationCanceledException)
+            {
+                break; // Server shutting down
+            }
+            catch (Exception ex)
+            {
+                _logCallback($"[{DateTime.Now:HH:mm:ss}] Search queue error: {ex.Message}");
+            }
+        }
+    }
+
+    private void LoadSearchQueue()
+    {
+        try
+        {
+            if (!_searchQueue.Load()) return;
+
+            var (running, items) = _searchQueue.Snapshot();
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Restored {items.Count} queued searches{(running ? " (queue running)" : "")}");
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Failed to load search queue: {ex.Message}");
+        }
+    }
+
+    private async Task HandleAnalyzeAsync(
+        HttpListenerRequest request,
+        HttpListenerResponse response
+    )
+    {
+        using var reader = new StreamReader(request.InputStream);
+        var body = await reader.ReadToEndAsync();
+
+        var analyzeRequest = JsonSerializer.Deserialize<AnalyzeRequest>(
+            body,
+            new JsonSerializerOptions { PropertyNameCaseInsensitive = true }
+        );
+
+        if (analyzeRequest == null || string.IsNullOrWhiteSpace(analyzeRequest.Seed))
+        {
+            response.StatusCode = 400;
+            await WriteJsonAsync(response, new { error = "seed is required" });
+            return;
+        }
+
+        try
+        {
+            var deck =
+                string.IsNullOrEmpty(analyzeRequest.Deck)
+                || !Enum.TryParse<MotelyDeck>(analyzeRequest.Deck, true, out var d)
+                    ? MotelyDeck.Red
+                    : d;
+
+            var stake =
+                string.IsNullOrEmpty(analyzeRequest.Stake)
+                || !Enum.TryParse<MotelyStake>(analyzeRequest.Stake, true, out var s)
+                    ? MotelyStake.White
+                    : s;
+
+            // Optional: explain the seed against a filter (the active JAML in the UI)
+            MotelyJsonConfig? filterConfig = null;
+            if (!string.IsNullOrWhiteSpace(analyzeRequest.FilterJaml))
+            {
+                if (!JamlConfigLoader.TryLoadFromJamlString(analyzeRequest.FilterJaml, out filterConfig, out var loadError))
+                {
+                    response.StatusCode = 400;
+                    await WriteJsonAsync(response, new { error = $"Invalid filter: {loadError}" });
+                    return;
+                }
+            }
+
+            var config = new MotelySeedAnalysisConfig(analyzeRequest.Seed, deck, stake);
+            var analysis = MotelySeedAnalyzer.Analyze(config);
+
+            var clauses = filterConfig != null && string.IsNullOrEmpty(analysis.Error)
+                ? BuildClauseExplanations(MotelySeedAnalyzer.ExplainClauses(config, filterConfig, analysis))
+                : null;
+
+            response.StatusCode = 200;
+            await WriteJsonAsync(
+                response,
+                new
+                {
+                    seed = analyzeRequest.Seed,
+                    deck = deck.ToString(),
+                    stake = stake.ToString(),
+                    analysis = analysis.ToString(), // Plain text (same as CLI output) for copy/paste
+                    error = analysis.Error,
+                    antes = BuildAnalysisAntes(analysis),
+                    clauses,
+                    filterName = filterConfig?.Name,
+                    scoreMode = filterConfig?.ScoreAggregationMode.ToString(),
+                }
+            );
+
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Analyzed seed {analyzeRequest.Seed}");
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Analyze failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+
+    /// <summary>
+    /// Structured per-ante form of a seed analysis for the web UI.
+    /// Slots are 0-based so they line up with shopSlots/packSlots in JAML.
+    /// </summary>
+    private static List<object> BuildAnalysisAntes(MotelySeedAnalysis analysis)
+    {
+        return analysis.Antes.Select(ante => (object)new
+        {
+            ante = ante.Ante,
+            boss = new { value = ante.Boss.ToString(), name = FormatUtils.FormatBoss(ante.Boss) },
+            voucher = new { value = ante.Voucher.ToString(), name = FormatUtils.FormatVoucher(ante.Voucher) },
+            smallBlindTag = new { value = ante.SmallBlindTag.ToString(), name = FormatUtils.FormatTag(ante.SmallBlindTag) },
+            bigBlindTag = new { value = ante.BigBlindTag.ToString(), name = FormatUtils.FormatTag(ante.BigBlindTag) },
+            shopQueue = ante.ShopQueue.Select((item, slot) => BuildAnalysisItem(item, slot)).ToList(),
+            packs = ante.Packs.Select((pack, slot) => new
+            {
+                slot = slot,
+                type = pack.Type.ToString(),
+                name = FormatUtils.FormatPackName(pack.Type),
+                items = pack.Items.Select((item, index) => BuildAnalysisItem(item, index)).ToList(),
+            }).ToList(),
+        }).ToList();
+    }
+
+    /// <summary>
+    /// Per-clause result for the analysis view. Path uses the validator's "must[0]" form so the UI
+    /// can point back at the clause in the editor.
+    /// </summary>
+    private static List<object> BuildClauseExplanations(List<MotelyClauseExplanation> explanations)
+    {
+        return explanations.Select(e => (object)new
+        {
+            section = e.Section,
+            index = e.Index,
+            path = $"{e.Section}[{e.Index}]",
+            label = e.Clause.Label ?? DescribeClause(e.Clause),
+            matched = e.Matched,
+            // mustNot passes when it did NOT match
+            passed = e.Section == "mustNot" ? !e.Matched : e.Matched,
+            count = e.Count,
+            score = e.Score,
+            clauseScore = e.Section == "should" ? e.Clause.Score : (int?)null,
+            antes = e.Clause.EffectiveAntes,
+            locations = e.Locations.Select(l => new
+            {
+                ante = l.Ante,
+                source = l.Source,
+                slot = l.Slot,
+                itemIndex = l.ItemIndex,
+            }).ToList(),
+        }).ToList();
+    }
+
+    private static string DescribeClause(MotelyJsonConfig.MotleyJsonFilterClause clause)
+    {
+        if (clause.Clauses?.Count > 0)
+            return $"{clause.Type} ({string.Join(", ", clause.Clauses.Select(DescribeClause))})";
+
+        var value = clause.Value
+            ?? (clause.Values?.Length > 0 ? string.Join("/", clause.Values) : null)
+            ?? string.Join(" ", new[] { clause.Rank, clause.Suit, clause.Seal, clause.Enhancement }.Where(v => !string.IsNullOrEmpty(v)));
+        var edition = string.IsNullOrEmpty(clause.Edition) ? "" : $" ({clause.Edition})";
+        return $"{clause.Type}: {value}{edition}".TrimEnd(' ', ':');
+    }
+
+    private static object BuildAnalysisItem(MotelyItem item, int slot)
+    {
+        var isPlayingCard = item.TypeCategory == MotelyItemTypeCategory.PlayingCard;
+        var playingCardName = isPlayingCard
+            ? FormatUtils.FormatPlayingCard((MotelyPlayingCard)(item.Value & Motely.ItemTypeMask & ~Motely.ItemTypeCategoryMask))
+            : null;
+
+        var stickers = new List<string>();
+        if (item.IsEternal) stickers.Add("Eternal");
+        if (item.IsPerishable) stickers.Add("Perishable");
+        if (item.IsRental) stickers.Add("Rental");
+
+        return new
+        {
+            slot = slot,
+            // Enum name for jokers/consumables, "7 of Hearts" for playing cards - both valid JAML values
+            value = playingCardName ?? item.Type.ToString(),
+            name = FormatUtils.FormatItem(item),
+            baseName = playingCardName ?? FormatUtils.FormatDisplayName(item.Type.ToString()),
+            category = item.TypeCategory.ToString(),
+            edition = item.Edition != MotelyItemEdition.None ? item.Edition.ToString() : null,
+            seal = item.Seal != MotelyItemSeal.None ? item.Seal.ToString() : null,
+            enhancement = item.Enhancement != MotelyItemEnhancement.None ? item.Enhancement.ToString() : null,
+            rank = isPlayingCard ? item.PlayingCardRank.ToString() : null,
+            suit = isPlayingCard ? item.PlayingCardSuit.ToString() : null,
+            stickers = stickers,
+        };
+    }
+
+    private async Task HandleConvertAsync(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        using var reader = new StreamReader(request.InputStream);
+        var body = await reader.ReadToEndAsync();
+
+        var convertRequest = JsonSerializer.Deserialize<ConvertRequest>(
+            body,
+            new JsonSerializerOptions { PropertyNameCaseInsensitive = true }
+        );
+
+        if (convertRequest == null || string.IsNullOrWhiteSpace(convertRequest.JsonContent))
+        {
+            response.StatusCode = 400;
+            await WriteJsonAsync(response, new { error = "jsonContent is required" });
+            return;
+        }
+
+        try
+        {
+            // Convert JSON to JAML using ConfigFormatConverter
+            var config = ConfigFormatConverter.LoadFromJsonString(convertRequest.JsonContent);
+            if (config == null)
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = "Invalid JSON filter format" });
+                return;
+            }
+
+            var jaml = config.SaveAsJaml();
+
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, new { jaml });
+
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Converted JSON filter to JAML: {config.Name ?? "unnamed"}");
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Convert failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    private async Task HandleValidateAsync(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        using var reader = new StreamReader(request.InputStream);
+        var body = await reader.ReadToEndAsync();
+
+        var validateRequest = JsonSerializer.Deserialize<ValidateRequest>(
+            body,
+            new JsonSerializerOptions { PropertyNameCaseInsensitive = true }
+        );
+
+        if (validateRequest == null || string.IsNullOrWhiteSpace(validateRequest.FilterJaml))
+        {
+            response.StatusCode = 400;
+            await WriteJsonAsync(response, new { error = "filterJaml is required" });
+            return;
+        }
+
+        try
+        {
+            // Same load path as /search, so a filter that validates here will also start a search
+            var valid = JamlConfigLoader.TryLoadFromJamlString(validateRequest.FilterJaml, out _, out var loadError);
+
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, new
+            {
+                valid,
+                errors = valid ? new List<string>() : SplitValidationErrors(loadError),
+            });
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Validate failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Dry run of a filter against one seed (the request's, else the filter's verifiedSeed) with the
+    /// filter's deck and stake. Passed/score/tallies come from the real search pipeline run on a
+    /// one-seed list; the per-clause verdicts are the same ones /analyze explains.
+    /// </summary>
+    private async Task HandleFilterTestAsync(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        using var reader = new StreamReader(request.InputStream);
+        var body = await reader.ReadToEndAsync();
+
+        var testRequest = JsonSerializer.Deserialize<FilterTestRequest>(
+            body,
+            new JsonSerializerOptions { PropertyNameCaseInsensitive = true }
+        );
+
+        if (testRequest == null || string.IsNullOrWhiteSpace(testRequest.FilterJaml))
+        {
+            response.StatusCode = 400;
+            await WriteJsonAsync(response, new { error = "filterJaml is required" });
+            return;
+        }
+
+        if (ReadNativeFilter(testRequest.FilterJaml) != null)
+        {
+            response.StatusCode = 400;
+            await WriteJsonAsync(response, new { error = "Native filters pick their seeds in code - only JAML filters can be tested against a seed" });
+            return;
+        }
+
+        try
+        {
+            if (!JamlConfigLoader.TryLoadFromJamlString(testRequest.FilterJaml, out var config, out var loadError) || config == null)
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = $"Invalid filter: {loadError}" });
+                return;
+            }
+
+            var usedVerifiedSeed = string.IsNullOrWhiteSpace(testRequest.Seed);
+            var seed = (usedVerifiedSeed ? config.VerifiedSeed : testRequest.Seed)?.Trim().ToUpperInvariant() ?? "";
+            if (seed.Length == 0)
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = "Enter a seed to test, or set verifiedSeed in the filter" });
+                return;
+            }
+            if (!IsValidSeed(seed))
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = $"'{seed}' is not a valid seed (1-8 characters, 1-9 and A-Z without 0)" });
+                return;
+            }
+
+            var deck = Enum.TryParse<MotelyDeck>(config.Deck, true, out var d) ? d : MotelyDeck.Red;
+            var stake = Enum.TryParse<MotelyStake>(config.Stake, true, out var s) ? s : MotelyStake.White;
+
+            int? score = null;
+            List<int>? tallies = null;
+            MotelySeedAnalysis analysis = null!;
+            List<object>? clauses = null;
+            var tested = await TryRunWhileNoSearchAsync(() =>
+            {
+                (score, tallies) = JsonSearchExecutor.TestSeed(config, seed);
+
+                var analysisConfig = new MotelySeedAnalysisConfig(seed, deck, stake);
+                analysis = MotelySeedAnalyzer.Analyze(analysisConfig);
+                if (string.IsNullOrEmpty(analysis.Error))
+                    clauses = BuildClauseExplanations(MotelySeedAnalyzer.ExplainClauses(analysisConfig, config, analysis));
+            });
+            if (!tested)
+            {
+                response.StatusCode = 409;
+                await WriteJsonAsync(response, new { error = "A search is running - pause it to test against a seed" });
+                return;
+            }
+
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, new
+            {
+                seed,
+                usedVerifiedSeed,
+                deck = deck.ToString(),
+                stake = stake.ToString(),
+                passed = score != null,
+                score,
+                tallies,
+                columns = config.GetColumnNames(),
+                error = analysis.Error,
+                clauses,
+                filterName = config.Name,
+                scoreMode = config.ScoreAggregationMode.ToString(),
+            });
+
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Tested filter against {seed}: {(score != null ? $"passed (score: {score})" : "failed")}");
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Filter test failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Rarity estimate before a long search: the filter runs through the same vectorized pipeline
+    /// as POST /search over random seeds for its overall pass rate, then every must and should clause
+    /// is checked on its own over (a slice of) that many seeds. Rates come with 95% Wilson intervals,
+    /// the speed to turn them into hits per hour, and warnings for clauses that never matched.
+    /// </summary>
+    private async Task HandleFilterEstimateAsync(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        using var reader = new StreamReader(request.InputStream);
+        var body = await reader.ReadToEndAsync();
+
+        var estimateRequest = JsonSerializer.Deserialize<FilterEstimateRequest>(
+            body,
+            new JsonSerializerOptions { PropertyNameCaseInsensitive = true }
+        );
+
+        if (estimateRequest == null || string.IsNullOrWhiteSpace(estimateRequest.FilterJaml))
+        {
+            response.StatusCode = 400;
+            await WriteJsonAsync(response, new { error = "filterJaml is required" });
+            return;
+        }
+
+        if (ReadNativeFilter(estimateRequest.FilterJaml) != null)
+        {
+            response.StatusCode = 400;
+            await WriteJsonAsync(response, new { error = "Native filters pick their seeds in code - only JAML filters can be estimated" });
+            return;
+        }
+
+        try
+        {
+            if (!JamlConfigLoader.TryLoadFromJamlString(estimateRequest.FilterJaml, out var config, out var loadError) || config == null)
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = $"Invalid filter: {loadError}" });
+                return;
+            }
+
+            var deck = Enum.TryParse<MotelyDeck>(config.Deck, true, out var d) ? d : MotelyDeck.Red;
+            var stake = Enum.TryParse<MotelyStake>(config.Stake, true, out var s) ? s : MotelyStake.White;
+            var sampleSize = Math.Clamp(estimateRequest.SampleSize ?? EstimateSampleSize, MinEstimateSampleSize, MaxEstimateSampleSize);
+
+            // Cutoff 0: every seed that passes must/mustNot counts, whatever its should score
+            long passed = 0;
+            MotelyClauseRates rates = null!;
+            var stopwatch = new Stopwatch();
+            var sampled = await TryRunWhileNoSearchAsync(() =>
+            {
+                stopwatch.Start();
+                new JsonSearchExecutor(config, new JsonSearchParams
+                {
+                    Threads = ThreadCount,
+                    EnableDebug = false,
+                    NoFancy = true,
+                    Quiet = true,
+                    RandomSeeds = sampleSize,
+                    AutoCutoff = false,
+                    Cutoff = 0,
+                }, _ => Interlocked.Increment(ref passed)).Execute();
+                stopwatch.Stop();
+
+                rates = MotelySeedAnalyzer.SampleClauseRates(config, deck, stake, Math.Min(sampleSize, EstimateClauseSampleSize), ThreadCount);
+            });
+            if (!sampled)
+            {
+                response.StatusCode = 409;
+                await WriteJsonAsync(response, new { error = "A search is running - pause it to estimate (both need the whole CPU)" });
+                return;
+            }
+            var seconds = Math.Max(stopwatch.Elapsed.TotalSeconds, 0.001);
+
+            var warnings = new List<string>();
+
+            var must = config.Must.Select((clause, i) =>
+            {
+                var label = clause.Label ?? DescribeClause(clause);
+                if (rates.Matched[i] == 0)
+                    warnings.Add($"must[{i}] ({label}) never matched in {rates.Sampled:N0} seeds - no seed passes while it can't");
+                var (low, high) = MotelyClauseRates.WilsonInterval(rates.Matched[i], rates.Sampled);
+                return new { path = $"must[{i}]", label, matched = rates.Matched[i], low, high, funnel = rates.Funnel[i] };
+            }).ToList();
+
+            var should = config.Should.Select((clause, i) =>
+            {
+                var label = clause.Label ?? DescribeClause(clause);
+                if (rates.ShouldMatched[i] == 0)
+                    warnings.Add($"should[{i}] ({label}) never matched in {rates.Sampled:N0} seeds - it may never add to the score");
+                var (low, high) = MotelyClauseRates.WilsonInterval(rates.ShouldMatched[i], rates.Sampled);
+                return new { path = $"should[{i}]", label, matched = rates.ShouldMatched[i], low, high };
+            }).ToList();
+
+            var (passLow, passHigh) = MotelyClauseRates.WilsonInterval(passed, sampleSize);
+
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, new
+            {
+                filterName = config.Name,
+                deck = deck.ToString(),
+                stake = stake.ToString(),
+                sampled = sampleSize,
+                passed,
+                passLow,
+                passHigh,
+                seconds,
+                // Nothing else runs during the estimate, so its speed is what a search with this filter gets
+                seedsPerSecond = sampleSize / seconds,
+                clauseSampled = rates.Sampled,
+                must,
+                should,
+                warnings,
+            });
+
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Estimated {config.Name}: {passed:N0} of {sampleSize:N0} random seeds passed");
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Filter estimate failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Splits a loader error into one entry per problem. The validator joins errors with newlines
+    /// and some messages span several lines (e.g. wildcard hints), so continuation lines that
+    /// don't start with a clause path are folded into the previous entry.
+    /// </summary>
+    private static List<string> SplitValidationErrors(string? loadError)
+    {
+        var errors = new List<string>();
+        if (string.IsNullOrWhiteSpace(loadError))
+        {
+            errors.Add("Invalid JAML");
+            return errors;
+        }
+
+        var message = loadError;
+        if (message.StartsWith("Failed to parse JAML: "))
+            message = message.Substring("Failed to parse JAML: ".Length);
+        if (message.StartsWith("INVALID CONFIGURATION:"))
+            message = message.Substring("INVALID CONFIGURATION:".Length);
+
+        foreach (var rawLine in message.Split('\n'))
+        {
+            var line = rawLine.Trim();
+            if (line.Length == 0)
+                continue;
+
+            bool startsEntry =
+                errors.Count == 0
+                || line.StartsWith("must", StringComparison.Ordinal)
+                || line.StartsWith("should", StringComparison.Ordinal)
+                || line.StartsWith("Error in ", StringComparison.Ordinal)
+                || line.StartsWith("Invalid deck", StringComparison.Ordinal)
+                || line.StartsWith("Invalid stake", StringComparison.Ordinal)
+                || line.StartsWith("Invalid mode", StringComparison.Ordinal);
+
+            if (startsEntry)
+                errors.Add(line);
+            else
+                errors[^1] += "\n" + line;
+        }
+
+        return errors;
+    }
+
+    private async Task HandleFiltersGetAsync(HttpListenerResponse response)
+    {
+        try
+        {
+            var filters = new List<object>();
+
+            if (Directory.Exists(_filtersDir))
+            {
+                // Load both .jaml and .json files
+                var allFiles = Directory.GetFiles(_filtersDir, "*.jaml")
+                    .Concat(Directory.GetFiles(_filtersDir, "*.json"));
+
+                foreach (var filePath in allFiles)
+                {
+                    var fileName = Path.GetFileName(filePath);
+                    var content = await File.ReadAllTextAsync(filePath);
+
+                    // Extract the actual "name:" field from the filter content
+                    var displayName = ExtractFilterName(content) ?? Path.GetFileNameWithoutExtension(fileName);
+
+                    // Generate searchId EXACTLY like LoadSavedFilters does
+                    string? searchId = null;
+                    if (JamlConfigLoader.TryLoadFromJamlString(content, out var config, out _))
+                    {
+                        searchId = BuildSearchId(config!, content);
                     }
 
                     filters.Add(new
@@ -1732,12 +3942,48 @@ public class MotelyApiServer
             }
 
             response.StatusCode = 200;
-            await WriteJsonAsync(response, filters);
-            _logCallback($"[{DateTime.Now:HH:mm:ss}] Returned {filters.Count} filter files");
+            await WriteJsonAsync(response, filters);
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Returned {filters.Count} filter files");
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Get filters failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Built-in filters POST /search can run instead of a JAML must block (nativeFilter)
+    /// </summary>
+    private async Task HandleNativeFiltersGetAsync(HttpListenerResponse response)
+    {
+        try
+        {
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, new { filters = NativeFilterExecutor.Filters });
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Get native filters failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Item catalog (jokers, vouchers, tags, bosses, ...) generated from the engine enums
+    /// </summary>
+    private async Task HandleCatalogGetAsync(HttpListenerResponse response)
+    {
+        try
+        {
+            response.StatusCode = 200;
+            await WriteJsonAsync(response, MotelyCatalog.Get());
         }
         catch (Exception ex)
         {
-            _logCallback($"[{DateTime.Now:HH:mm:ss}] Get filters failed: {ex.Message}");
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Get catalog failed: {ex.Message}");
             response.StatusCode = 500;
             await WriteJsonAsync(response, new { error = ex.Message });
         }
@@ -1776,19 +4022,17 @@ public class MotelyApiServer
         return null;
     }
 
+    /// <summary>
+    /// Stop, unqueue and forget a search. Its results DB stays on disk (the search comes back with
+    /// them when its filter is loaded again) unless ?deleteResults=true asks to delete it for good.
+    /// </summary>
     private async Task HandleSearchDeleteAsync(HttpListenerRequest request, HttpListenerResponse response)
     {
         try
         {
-            var query = request.Url?.Query ?? "";
-            var searchId = "";
-            
-            // Parse search ID from query string
-            if (query.StartsWith("?id="))
-            {
-                searchId = Uri.UnescapeDataString(query.Substring(4));
-            }
-            
+            var searchId = request.QueryString["id"];
+            var deleteResults = string.Equals(request.QueryString["deleteResults"], "true", StringComparison.OrdinalIgnoreCase);
+
             if (string.IsNullOrEmpty(searchId))
             {
                 response.StatusCode = 400;
@@ -1796,17 +4040,50 @@ public class MotelyApiServer
                 return;
             }
             
-            // Remove from saved searches (safe - only removes from memory)
-            if (_savedSearches.TryRemove(searchId, out var removedSearch))
-            {
-                _logCallback($"[{DateTime.Now:HH:mm:ss}] Deleted search: {searchId}");
-                await WriteJsonAsync(response, new { success = true, message = $"Search {searchId} deleted" });
-            }
-            else
+            if (!_savedSearches.ContainsKey(searchId))
             {
                 response.StatusCode = 404;
                 await WriteJsonAsync(response, new { error = "Search not found" });
+                return;
+            }
+
+            // Release THE search if it's this one - stopping dumps its seeds to fertilizer and frees its DB
+            await _searchStartLock.WaitAsync();
+            try
+            {
+                if (_currentSearchId == searchId && _currentSearch is { } bgState)
+                {
+                    await StopRunningSearchAsync();
+                    try { bgState.Connection?.Close(); } catch { /* ignore */ }
+                    _currentSearch = null;
+                    _currentSearchId = null;
+                }
+            }
+            finally
+            {
+                _searchStartLock.Release();
+            }
+
+            _searchQueue.Remove(searchId);
+            DeleteSearchResults($"{searchId}.db", deleteResults, dbPath => DumpSearchSeedsToFertilizer(dbPath, 1000));
+
+            if (!deleteResults)
+            {
+                // Only removes it from memory - the results DB and the saved filter stay
+                _savedSearches.TryRemove(searchId, out _);
+                _logCallback($"[{DateTime.Now:HH:mm:ss}] Removed search: {searchId} (results kept)");
+                await WriteJsonAsync(response, new { success = true, deletedResults = false, message = $"Search {searchId} removed, results kept" });
+                return;
+            }
+
+            // The saved filter stays (listed as a new search); only a search without a filter file disappears
+            if (!File.Exists(Path.Combine(_filtersDir, $"{searchId}.jaml")))
+            {
+                _savedSearches.TryRemove(searchId, out _);
             }
+
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Deleted search and results: {searchId}");
+            await WriteJsonAsync(response, new { success = true, deletedResults = true, message = $"Search {searchId} and its results deleted" });
         }
         catch (Exception ex)
         {
@@ -1816,6 +4093,23 @@ public class MotelyApiServer
         }
     }
 
+    /// <summary>
+    /// The results half of DELETE /search: the .db (and its .wal) are only deleted when deleteResults
+    /// was confirmed - by default they stay for when the filter is loaded again. dumpSeeds gets the
+    /// .db before it goes, so its best seeds live on in the fertilizer pile.
+    /// </summary>
+    internal static void DeleteSearchResults(string dbPath, bool deleteResults, Action<string> dumpSeeds)
+    {
+        if (!deleteResults) return;
+
+        if (File.Exists(dbPath))
+        {
+            dumpSeeds(dbPath);
+            File.Delete(dbPath);
+        }
+        if (File.Exists(dbPath + ".wal")) File.Delete(dbPath + ".wal");
+    }
+
     private async Task HandleFilterDeleteAsync(HttpListenerRequest request, HttpListenerResponse response, string path)
     {
         try
@@ -1824,11 +4118,7 @@ public class MotelyApiServer
             var fileName = path.Substring("/filters/".Length);
             
             // Validate: must be .jaml or .json and no path chars
-            if (string.IsNullOrEmpty(fileName) || 
-                (!fileName.EndsWith(".jaml") && !fileName.EndsWith(".json")) ||
-                fileName.Contains("/") || 
-                fileName.Contains("\\") || 
-                fileName.Contains(".."))
+            if (!IsValidFilterFileName(fileName))
             {
                 response.StatusCode = 400;
                 await WriteJsonAsync(response, new { error = "Invalid filter name" });
@@ -1857,6 +4147,212 @@ public class MotelyApiServer
         }
     }
 
+    /// <summary>
+    /// Save a filter from the editor. With fileName the file is overwritten (Save); without it a new
+    /// file named after the filter's search ID is created (Save As) and an existing one is a 409.
+    /// The replaced content is kept as a version either way.
+    /// </summary>
+    private async Task HandleFilterSaveAsync(HttpListenerRequest request, HttpListenerResponse response)
+    {
+        try
+        {
+            using var reader = new StreamReader(request.InputStream);
+            var body = await reader.ReadToEndAsync();
+            var saveRequest = JsonSerializer.Deserialize<SaveFilterRequest>(
+                body,
+                new JsonSerializerOptions { PropertyNameCaseInsensitive = true }
+            );
+
+            if (saveRequest == null || string.IsNullOrWhiteSpace(saveRequest.FilterJaml))
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = "filterJaml is required" });
+                return;
+            }
+
+            var filterJaml = saveRequest.FilterJaml;
+            if (!JamlConfigLoader.TryLoadFromJamlString(filterJaml, out var config, out var loadError))
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = $"Invalid filter: {loadError}" });
+                return;
+            }
+
+            var searchId = BuildSearchId(config!, filterJaml);
+            var fileName = saveRequest.FileName;
+
+            if (string.IsNullOrEmpty(fileName))
+            {
+                fileName = $"{searchId}.jaml";
+                if (File.Exists(Path.Combine(_filtersDir, fileName)))
+                {
+                    response.StatusCode = 409;
+                    await WriteJsonAsync(response, new { error = $"A filter saved as {fileName} already exists - change the name first", fileName });
+                    return;
+                }
+            }
+            else if (!IsValidFilterFileName(fileName) || !fileName.EndsWith(".jaml"))
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = "Invalid filter name" });
+                return;
+            }
+
+            // _savedSearches is left alone: POST /search compares against it to spot a changed filter
+            WriteFilterFile(fileName, filterJaml);
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Saved filter file: {fileName}");
+
+            await WriteJsonAsync(response, new { success = true, fileName, searchId });
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Save filter failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// Rename a filter: rewrites its name: line and moves the file (and its history) to the new search ID
+    /// </summary>
+    private async Task HandleFilterRenameAsync(HttpListenerRequest request, HttpListenerResponse response, string path)
+    {
+        try
+        {
+            var fileName = path["/filters/".Length..^"/rename".Length];
+            var filePath = Path.Combine(_filtersDir, fileName);
+            if (!IsValidFilterFileName(fileName) || !fileName.EndsWith(".jaml"))
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = "Invalid filter name" });
+                return;
+            }
+            if (!File.Exists(filePath))
+            {
+                response.StatusCode = 404;
+                await WriteJsonAsync(response, new { error = "Filter not found" });
+                return;
+            }
+
+            using var reader = new StreamReader(request.InputStream);
+            var body = await reader.ReadToEndAsync();
+            var renameRequest = JsonSerializer.Deserialize<RenameFilterRequest>(
+                body,
+                new JsonSerializerOptions { PropertyNameCaseInsensitive = true }
+            );
+            var newName = renameRequest?.Name?.Trim();
+            if (string.IsNullOrEmpty(newName))
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = "name is required" });
+                return;
+            }
+
+            var oldJaml = await File.ReadAllTextAsync(filePath);
+            var nameLine = $"name: {JsonSerializer.Serialize(newName)}";
+            var newJaml = Regex.IsMatch(oldJaml, @"^name:[^\r\n]*", RegexOptions.Multiline)
+                ? Regex.Replace(oldJaml, @"^name:[^\r\n]*", nameLine.Replace("$", "$$"), RegexOptions.Multiline)
+                : $"{nameLine}\n{oldJaml}";
+
+            if (!JamlConfigLoader.TryLoadFromJamlString(newJaml, out var config, out var loadError))
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = $"Invalid filter: {loadError}" });
+                return;
+            }
+
+            var searchId = BuildSearchId(config!, newJaml);
+            var newFileName = $"{searchId}.jaml";
+            if (newFileName != fileName && File.Exists(Path.Combine(_filtersDir, newFileName)))
+            {
+                response.StatusCode = 409;
+                await WriteJsonAsync(response, new { error = $"A filter saved as {newFileName} already exists", fileName = newFileName });
+                return;
+            }
+
+            // History follows the file; the pre-rename content becomes its newest version
+            if (newFileName != fileName)
+            {
+                MoveFilterHistory(
+                    Path.Combine(_filterVersionsDir, Path.GetFileNameWithoutExtension(fileName)),
+                    Path.Combine(_filterVersionsDir, searchId));
+                ArchiveFilterVersion(newFileName, oldJaml);
+                File.WriteAllText(Path.Combine(_filtersDir, newFileName), newJaml);
+                File.Delete(filePath);
+            }
+            else
+            {
+                WriteFilterFile(fileName, newJaml);
+            }
+
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Renamed filter {fileName} -> {newFileName}");
+            await WriteJsonAsync(response, new { success = true, fileName = newFileName, searchId, filterJaml = newJaml });
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Rename filter failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
+    /// <summary>
+    /// GET /filters/{file}/versions lists saved versions (newest first);
+    /// GET /filters/{file}/versions/{version} returns one version's JAML
+    /// </summary>
+    private async Task HandleFilterVersionsAsync(HttpListenerResponse response, string path)
+    {
+        try
+        {
+            var parts = path["/filters/".Length..].Split('/');
+            var fileName = parts[0];
+            if (!IsValidFilterFileName(fileName) || parts.Length < 2 || parts[1] != "versions" || parts.Length > 3)
+            {
+                response.StatusCode = 400;
+                await WriteJsonAsync(response, new { error = "Invalid filter name" });
+                return;
+            }
+
+            var versionDir = Path.Combine(_filterVersionsDir, Path.GetFileNameWithoutExtension(fileName));
+
+            if (parts.Length == 2)
+            {
+                var versions = Directory.Exists(versionDir)
+                    ? Directory.GetFiles(versionDir, "*.jaml")
+                        .Select(file => new FileInfo(file))
+                        .OrderByDescending(file => file.Name, StringComparer.Ordinal)
+                        .Select(file => new
+                        {
+                            version = Path.GetFileNameWithoutExtension(file.Name),
+                            savedAt = file.LastWriteTimeUtc,
+                            size = file.Length,
+                        })
+                        .ToList<object>()
+                    : new List<object>();
+
+                await WriteJsonAsync(response, versions);
+                return;
+            }
+
+            var version = parts[2];
+            var versionPath = Path.Combine(versionDir, $"{version}.jaml");
+            if (!Regex.IsMatch(version, @"^\d{8}-\d{6}-\d{3}$") || !File.Exists(versionPath))
+            {
+                response.StatusCode = 404;
+                await WriteJsonAsync(response, new { error = "Version not found" });
+                return;
+            }
+
+            await WriteJsonAsync(response, new { version, filterJaml = await File.ReadAllTextAsync(versionPath) });
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Get filter versions failed: {ex.Message}");
+            response.StatusCode = 500;
+            await WriteJsonAsync(response, new { error = ex.Message });
+        }
+    }
+
     private List<SearchResult> GetTopResultsFromDb(string dbPath, int limit)
     {
         if (!File.Exists(dbPath)) return new List<SearchResult>();
@@ -1927,6 +4423,49 @@ public class MotelyApiServer
         }
     }
 
+    private static readonly Dictionary<string, string> VendorContentTypes = new(StringComparer.OrdinalIgnoreCase)
+    {
+        [".js"] = "application/javascript",
+        [".css"] = "text/css",
+        [".json"] = "application/json",
+        [".ttf"] = "font/ttf",
+        [".svg"] = "image/svg+xml",
+    };
+
+    /// <summary>
+    /// Third-party web assets (js-yaml, Monaco) from wwwroot/vendor, so the UI works without the CDN.
+    /// Served as bytes (Monaco ships a font) and never outside the vendor directory.
+    /// </summary>
+    private async Task ServeVendorFileAsync(HttpListenerResponse response, string path)
+    {
+        var vendorRoot = Path.GetFullPath(Path.Combine("wwwroot", "vendor"));
+        var filePath = Path.GetFullPath(Path.Combine(vendorRoot, Uri.UnescapeDataString(path["/vendor/".Length..])));
+
+        if (!filePath.StartsWith(vendorRoot + Path.DirectorySeparatorChar) || !File.Exists(filePath))
+        {
+            response.StatusCode = 404;
+            response.Close();
+            return;
+        }
+
+        try
+        {
+            var bytes = await File.ReadAllBytesAsync(filePath);
+            response.ContentType = VendorContentTypes.GetValueOrDefault(Path.GetExtension(filePath), "application/octet-stream");
+            response.AddHeader("Cache-Control", "max-age=86400"); // Versioned libraries - Monaco alone is dozens of files
+            response.StatusCode = 200;
+            response.ContentLength64 = bytes.Length;
+            await response.OutputStream.WriteAsync(bytes);
+            response.Close();
+        }
+        catch (Exception ex)
+        {
+            _logCallback($"[{DateTime.Now:HH:mm:ss}] Failed to serve {filePath}: {ex.Message}");
+            response.StatusCode = 500;
+            response.Close();
+        }
+    }
+
     private static async Task WriteJsonAsync(HttpListenerResponse response, object data)
     {
         var json = JsonSerializer.Serialize(
@@ -1951,8 +4490,26 @@ public class SearchRequest
     [JsonPropertyName("filterJaml")]
     public string? FilterJaml { get; set; }
 
-    [JsonPropertyName("seedCount")]
-    public long SeedCount { get; set; }
+    // Start a saved search by ID instead of sending its JAML (searches dashboard)
+    [JsonPropertyName("searchId")]
+    public string? SearchId { get; set; }
+
+    // Where the seeds come from - see SearchModes
+    [JsonPropertyName("mode")]
+    public string? Mode { get; set; }
+
+    // mode = list: the uploaded wordlist / seed list
+    [JsonPropertyName("seeds")]
+    public List<string>? Seeds { get; set; }
+
+    // mode = random: how many random seeds to sample
+    [JsonPropertyName("randomSeeds")]
+    public int? RandomSeeds { get; set; }
+
+    // Run this built-in filter (GET /native-filters) instead of the JAML's must block;
+    // filterJaml then only supplies deck, stake and the should block for scoring
+    [JsonPropertyName("nativeFilter")]
+    public string? NativeFilter { get; set; }
 
     [JsonPropertyName("startBatch")]
     public long? StartBatch { get; set; }
@@ -1964,6 +4521,34 @@ public class SearchRequest
     public int? Cutoff { get; set; }
 }
 
+public static class SearchModes
+{
+    public const string Sequential = "sequential";
+    public const string List = "list";
+    public const string Random = "random";
+}
+
+public class QueuedSearch
+{
+    [JsonPropertyName("searchId")]
+    public string SearchId { get; set; } = "";
+
+    [JsonPropertyName("request")]
+    public SearchRequest Request { get; set; } = new();
+
+    [JsonPropertyName("queuedAt")]
+    public long QueuedAt { get; set; }
+}
+
+public class SearchQueueFile
+{
+    [JsonPropertyName("running")]
+    public bool Running { get; set; }
+
+    [JsonPropertyName("items")]
+    public List<QueuedSearch> Items { get; set; } = new();
+}
+
 public class SearchResult
 {
     [JsonPropertyName("seed")]
@@ -1986,6 +4571,9 @@ public class AnalyzeRequest
 
     [JsonPropertyName("stake")]
     public string? Stake { get; set; }
+
+    [JsonPropertyName("filterJaml")]
+    public string? FilterJaml { get; set; }
 }
 
 
@@ -1995,6 +4583,58 @@ public class ConvertRequest
     public string JsonContent { get; set; } = "";
 }
 
+public class ValidateRequest
+{
+    [JsonPropertyName("filterJaml")]
+    public string FilterJaml { get; set; } = "";
+}
+
+public class SearchRescoreRequest
+{
+    [JsonPropertyName("searchId")]
+    public string SearchId { get; set; } = "";
+
+    // The edited filter - must match the search's apart from should scores and the score mode
+    [JsonPropertyName("filterJaml")]
+    public string FilterJaml { get; set; } = "";
+}
+
+public class FilterEstimateRequest
+{
+    [JsonPropertyName("filterJaml")]
+    public string FilterJaml { get; set; } = "";
+
+    // Random seeds to run through the filter (clamped server-side; defaults to a million)
+    [JsonPropertyName("sampleSize")]
+    public int? SampleSize { get; set; }
+}
+
+public class FilterTestRequest
+{
+    [JsonPropertyName("filterJaml")]
+    public string FilterJaml { get; set; } = "";
+
+    // Omitted to test the filter's own verifiedSeed
+    [JsonPropertyName("seed")]
+    public string? Seed { get; set; }
+}
+
+public class SaveFilterRequest
+{
+    [JsonPropertyName("filterJaml")]
+    public string FilterJaml { get; set; } = "";
+
+    // Existing file to overwrite; omitted for Save As
+    [JsonPropertyName("fileName")]
+    public string? FileName { get; set; }
+}
+
+public class RenameFilterRequest
+{
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = "";
+}
+
 /// <summary>
 /// Generates JAML filters from natural language prompts using keyword matching
 /// </summary>
@@ -0,0 +1,184 @@
+using System.Text.RegularExpressions;
+using Motely.Filters;
+
+namespace Motely.API;
+
+/// <summary>
+/// One catalog entry. Name is the enum name JAML expects; DisplayName is the in-game spelling.
+/// Rarity is set for jokers, MinAnte/Finisher for boss blinds.
+/// </summary>
+public sealed class CatalogItem
+{
+    public string Name { get; init; } = "";
+    public string DisplayName { get; init; } = "";
+    public string? Rarity { get; init; }
+    public int? MinAnte { get; init; }
+    public bool? Finisher { get; init; }
+}
+
+/// <summary>
+/// What a builder type ("joker", "smallBlindTag", ...) can be combined with.
+/// Values names the Items list its value comes from (null for playing cards, events and or/and groups).
+/// Aliases are other spellings the loader accepts on top of the key and TypeName.
+/// </summary>
+public sealed class CatalogType
+{
+    public string TypeName { get; init; } = "";
+    public string? Values { get; init; }
+    public bool Edition { get; init; }
+    public bool ShopSlots { get; init; }
+    public bool PackSlots { get; init; }
+    public bool RequireMega { get; init; }
+    public List<string> Packs { get; init; } = [];
+    public List<string> Fields { get; init; } = [];
+    public List<string> Aliases { get; init; } = [];
+}
+
+public sealed class CatalogAnteSlots
+{
+    public int Ante { get; init; }
+    public int ShopSlots { get; init; }
+    public int PackSlots { get; init; }
+}
+
+public sealed class CatalogResponse
+{
+    public Dictionary<string, List<CatalogItem>> Items { get; init; } = new();
+    public Dictionary<string, CatalogType> Types { get; init; } = new();
+    public List<CatalogAnteSlots> DefaultSlots { get; init; } = [];
+}
+
+/// <summary>
+/// Item catalog for the web UI, generated from the engine enums so the builder, autocomplete
+/// and client-side validator never drift from what the filters actually accept.
+/// </summary>
+public static class MotelyCatalog
+{
+    private static readonly Lazy<CatalogResponse> _catalog = new(Build);
+
+    public static CatalogResponse Get() => _catalog.Value;
+
+    // Enum names that don't split cleanly into the in-game name
+    private static readonly Dictionary<string, string> DisplayNameOverrides = new()
+    {
+        ["ChaostheClown"] = "Chaos the Clown",
+        ["EightBall"] = "8 Ball",
+        ["MrBones"] = "Mr. Bones",
+        ["DriversLicense"] = "Driver's License",
+        ["OopsAll6s"] = "Oops! All 6s",
+        ["SockAndBuskin"] = "Sock and Buskin",
+        ["OverstockPlus"] = "Overstock Plus",
+        ["DirectorsCut"] = "Director's Cut",
+        ["D6Tag"] = "D6 Tag",
+        ["DejaVu"] = "Deja Vu",
+        ["PlanetX"] = "Planet X",
+    };
+
+    private static CatalogResponse Build()
+    {
+        var jokers = Enum.GetValues<MotelyJoker>()
+            .Select(joker => (Joker: joker, Rarity: (MotelyJokerRarity)((int)joker & Motely.JokerRarityMask)))
+            .ToList();
+
+        var items = new Dictionary<string, List<CatalogItem>>
+        {
+            ["joker"] = jokers
+                .Where(j => j.Rarity != MotelyJokerRarity.Legendary)
+                .OrderByDescending(j => j.Rarity)
+                .Select(j => Item(j.Joker.ToString(), rarity: j.Rarity.ToString()))
+                .ToList(),
+            ["soulJoker"] = jokers
+                .Where(j => j.Rarity == MotelyJokerRarity.Legendary)
+                .Select(j => Item(j.Joker.ToString(), rarity: j.Rarity.ToString()))
+                .ToList(),
+            ["voucher"] = Items<MotelyVoucher>(),
+            ["tag"] = Items<MotelyTag>(),
+            ["tarot"] = Items<MotelyTarotCard>(),
+            ["planet"] = Items<MotelyPlanetCard>(),
+            ["spectral"] = Items<MotelySpectralCard>(),
+            ["boss"] = Enum.GetValues<MotelyBossBlind>()
+                .Select(boss => Item(
+                    boss.ToString(),
+                    minAnte: boss.GetBossMinAnte(),
+                    finisher: boss.GetBossType() == MotelyBossBlindType.Finisher))
+                .ToList(),
+            // Enum order is engine order (Ace sits after Nine); list ranks the way players read them
+            ["rank"] = Enum.GetValues<MotelyPlayingCardRank>()
+                .OrderBy(RankOrder)
+                .Select(rank => Item(rank.ToString()))
+                .ToList(),
+            ["suit"] = Items<MotelyPlayingCardSuit>(),
+            ["seal"] = Items<MotelyItemSeal>(skipNone: true),
+            ["enhancement"] = Items<MotelyItemEnhancement>(skipNone: true),
+            ["edition"] = Items<MotelyItemEdition>(),
+            ["sticker"] = Items<MotelyJokerSticker>(skipNone: true),
+            ["eventType"] = Items<MotelyEventType>(),
+            ["deck"] = Items<MotelyDeck>(),
+            ["stake"] = Items<MotelyStake>(),
+        };
+
+        var types = new Dictionary<string, CatalogType>
+        {
+            ["joker"] = new() { TypeName = "Joker", Values = "joker", Edition = true, ShopSlots = true, PackSlots = true, Packs = [nameof(MotelyBoosterPackType.Buffoon)] },
+            ["soulJoker"] = new() { TypeName = "SoulJoker", Values = "soulJoker", Edition = true, PackSlots = true, RequireMega = true, Packs = [nameof(MotelyBoosterPackType.Arcana), nameof(MotelyBoosterPackType.Spectral)] },
+            ["voucher"] = new() { TypeName = "Voucher", Values = "voucher" },
+            ["tag"] = new() { TypeName = "Tag", Values = "tag" },
+            ["smallBlindTag"] = new() { TypeName = "SmallBlindTag", Values = "tag" },
+            ["bigBlindTag"] = new() { TypeName = "BigBlindTag", Values = "tag" },
+            ["tarot"] = new() { TypeName = "TarotCard", Values = "tarot", Edition = true, PackSlots = true, Packs = [nameof(MotelyBoosterPackType.Arcana)] },
+            ["spectral"] = new() { TypeName = "SpectralCard", Values = "spectral", Edition = true, PackSlots = true, Packs = [nameof(MotelyBoosterPackType.Spectral)] },
+            ["planet"] = new() { TypeName = "PlanetCard", Values = "planet", Edition = true, PackSlots = true, Packs = [nameof(MotelyBoosterPackType.Celestial)] },
+            ["playingCard"] = new() { TypeName = "PlayingCard", Edition = true, ShopSlots = true, PackSlots = true, RequireMega = true, Packs = [nameof(MotelyBoosterPackType.Standard)], Fields = ["rank", "suit", "seal", "enhancement"], Aliases = ["standardCard"] },
+            ["boss"] = new() { TypeName = "Boss", Values = "boss", Aliases = ["bossBlind"] },
+            ["event"] = new() { TypeName = "Event", Fields = ["eventType", "rolls"] },
+            ["erraticRank"] = new() { TypeName = "ErraticRank", Values = "rank", Fields = ["min"] },
+            ["erraticSuit"] = new() { TypeName = "ErraticSuit", Values = "suit", Fields = ["min"] },
+            ["or"] = new() { TypeName = "Or" },
+            ["and"] = new() { TypeName = "And" },
+        };
+
+        var defaultSlots = Enumerable.Range(1, 8)
+            .Select(ante => new CatalogAnteSlots
+            {
+                Ante = ante,
+                ShopSlots = MotelyJsonScoring.GetDefaultShopSlotsForAnte(ante),
+                PackSlots = MotelyJsonScoring.GetDefaultPackSlotsForAnte(ante),
+            })
+            .ToList();
+
+        return new CatalogResponse { Items = items, Types = types, DefaultSlots = defaultSlots };
+    }
+
+    private static List<CatalogItem> Items<T>(bool skipNone = false) where T : struct, Enum =>
+        Enum.GetValues<T>()
+            .Select(value => value.ToString())
+            .Where(name => !(skipNone && name == "None"))
+            .Select(name => Item(name))
+            .ToList();
+
+    private static CatalogItem Item(string name, string? rarity = null, int? minAnte = null, bool? finisher = null) =>
+        new()
+        {
+            Name = name,
+            DisplayName = DisplayName(name),
+            Rarity = rarity,
+            MinAnte = minAnte,
+            Finisher = finisher,
+        };
+
+    private static int RankOrder(MotelyPlayingCardRank rank) => rank switch
+    {
+        MotelyPlayingCardRank.Ten => 8,
+        MotelyPlayingCardRank.Jack => 9,
+        MotelyPlayingCardRank.Queen => 10,
+        MotelyPlayingCardRank.King => 11,
+        MotelyPlayingCardRank.Ace => 12,
+        _ => (int)rank,
+    };
+
+    // "TheHighPriestess" -> "The High Priestess", "Cloud9" -> "Cloud 9"
+    private static string DisplayName(string name) =>
+        DisplayNameOverrides.TryGetValue(name, out var display)
+            ? display
+            : Regex.Replace(name, "(?<=[a-z])(?=[A-Z0-9])|(?<=[A-Z])(?=[A-Z][a-z])", " ");
+}
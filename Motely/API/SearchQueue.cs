@@ -0,0 +1,117 @@
+using System.Text.Json;
+
+namespace Motely.API;
+
+/// <summary>
+/// Searches waiting to run one after another (first in, first out) and whether the queue is running.
+/// Every change is written to the queue file, so both survive a restart. Thread-safe.
+/// </summary>
+public sealed class SearchQueue(string path)
+{
+    private readonly List<QueuedSearch> _items = new();
+    private bool _running;
+
+    public (bool Running, List<QueuedSearch> Items) Snapshot()
+    {
+        lock (_items)
+        {
+            return (_running, _items.ToList());
+        }
+    }
+
+    /// <summary>
+    /// Restores the queue file. A queue saved as running with nothing left in it comes back paused.
+    /// Returns false when there is no file yet.
+    /// </summary>
+    public bool Load()
+    {
+        if (!File.Exists(path)) return false;
+
+        var saved = JsonSerializer.Deserialize<SearchQueueFile>(File.ReadAllText(path));
+        lock (_items)
+        {
+            _items.Clear();
+            _items.AddRange(saved?.Items ?? new());
+            _running = saved?.Running == true && _items.Count > 0;
+        }
+        return true;
+    }
+
+    /// <summary>
+    /// Adds a search to the end of the queue - false when it's already queued
+    /// </summary>
+    public bool TryAdd(QueuedSearch item)
+    {
+        lock (_items)
+        {
+            if (_items.Any(q => q.SearchId == item.SearchId)) return false;
+            _items.Add(item);
+            Save();
+            return true;
+        }
+    }
+
+    public bool Remove(string searchId)
+    {
+        lock (_items)
+        {
+            if (_items.RemoveAll(q => q.SearchId == searchId) == 0) return false;
+            Save();
+            return true;
+        }
+    }
+
+    public void SetRunning(bool running)
+    {
+        lock (_items)
+        {
+            _running = running;
+            Save();
+        }
+    }
+
+    /// <summary>
+    /// Pauses a running queue - false when it wasn't running
+    /// </summary>
+    public bool Pause()
+    {
+        lock (_items)
+        {
+            if (!_running) return false;
+            _running = false;
+            Save();
+            return true;
+        }
+    }
+
+    /// <summary>
+    /// Takes the next search to start: null while the queue is paused or empty. Running out of
+    /// searches pauses the queue, which is when finished is set.
+    /// </summary>
+    public QueuedSearch? TakeNext(out bool finished)
+    {
+        finished = false;
+        lock (_items)
+        {
+            if (!_running) return null;
+            if (_items.Count == 0)
+            {
+                _running = false;
+                finished = true;
+                Save();
+                return null;
+            }
+
+            var next = _items[0];
+            _items.RemoveAt(0);
+            Save();
+            return next;
+        }
+    }
+
+    // Callers hold the _items lock
+    private void Save()
+    {
+        File.WriteAllText(path, JsonSerializer.Serialize(new SearchQueueFile { Running = _running, Items = _items }));
+    }
+}
@@ -0,0 +1,368 @@
+using Motely.Filters;
+
+namespace Motely.Analysis;
+
+/// <summary>
+/// Where a clause's item shows up in a seed analysis. Slots are 0-based like shopSlots/packSlots in JAML.
+/// Source is "shop", "pack", "voucher", "boss", "smallBlindTag" or "bigBlindTag".
+/// ItemIndex is the card's position inside the pack (null for anything that isn't a pack card).
+/// </summary>
+public sealed record class MotelyClauseLocation(int Ante, string Source, int Slot, int? ItemIndex);
+
+/// <summary>
+/// How a single must/should/mustNot clause fared against one seed
+/// </summary>
+public sealed record class MotelyClauseExplanation(
+    string Section,
+    int Index,
+    MotelyJsonConfig.MotleyJsonFilterClause Clause,
+    bool Matched,
+    int Count,
+    int Score,
+    IReadOnlyList<MotelyClauseLocation> Locations
+);
+
+/// <summary>
+/// Filter descriptor that evaluates every clause of a config against a single seed.
+/// Counts come from MotelyJsonScoring (the same calls the search makes), so Matched/Count/Score
+/// agree with what the search reported for this seed.
+/// </summary>
+public sealed class MotelyClauseExplainerFilterDesc(MotelyJsonConfig config)
+    : IMotelySeedFilterDesc<MotelyClauseExplainerFilterDesc.ClauseExplainerFilter>
+{
+    public MotelyJsonConfig Config { get; } = config;
+
+    /// <summary>(section, index, matched, count) per clause, in config order</summary>
+    public List<(string Section, int Index, bool Matched, int Count)>? LastResults { get; private set; } = null;
+
+    public ClauseExplainerFilter CreateFilter(ref MotelyFilterCreationContext ctx)
+    {
+        return new ClauseExplainerFilter(this);
+    }
+
+    /// <summary>
+    /// Same run state setup as MotelyJsonSeedScoreDesc so counts line up with the search
+    /// </summary>
+    public static MotelyRunState CreateRunState(ref MotelySingleSearchContext ctx, MotelyJsonConfig config)
+    {
+        var runState = new MotelyRunState();
+
+        if (config.MaxVoucherAnte > 0)
+        {
+            MotelyJsonScoring.ActivateAllVouchers(ref ctx, ref runState, config.MaxVoucherAnte);
+        }
+
+        if (config.MaxBossAnte > 0)
+        {
+            var cachedBosses = new MotelyBossBlind[config.MaxBossAnte + 1];
+            var bossStream = ctx.CreateBossStream();
+            var bossState = new MotelyRunState();
+            for (int ante = 1; ante <= config.MaxBossAnte; ante++)
+            {
+                cachedBosses[ante] = ctx.GetBossForAnte(ref bossStream, ante, ref bossState);
+            }
+            runState.CachedBosses = cachedBosses;
+        }
+
+        return runState;
+    }
+
+    public readonly struct ClauseExplainerFilter(MotelyClauseExplainerFilterDesc filterDesc) : IMotelySeedFilter
+    {
+        public MotelyClauseExplainerFilterDesc FilterDesc { get; } = filterDesc;
+
+        public readonly VectorMask Filter(ref MotelyVectorSearchContext ctx)
+        {
+            return ctx.SearchIndividualSeeds(CheckSeed);
+        }
+
+        public readonly bool CheckSeed(ref MotelySingleSearchContext ctx)
+        {
+            var config = FilterDesc.Config;
+            var runState = CreateRunState(ref ctx, config);
+
+            var results = new List<(string, int, bool, int)>();
+
+            for (int i = 0; i < config.Must.Count; i++)
+            {
+                var clause = config.Must[i];
+                bool matched =
+                    (clause.VoucherEnum.HasValue && runState.IsVoucherActive(clause.VoucherEnum.Value))
+                    || MotelyJsonScoring.CheckSingleClause(ref ctx, clause, ref runState);
+                results.Add(("must", i, matched, matched ? MotelyJsonScoring.CountOccurrences(ref ctx, clause, ref runState) : 0));
+            }
+
+            for (int i = 0; i < config.MustNot.Count; i++)
+            {
+                var clause = config.MustNot[i];
+                bool matched = MotelyJsonScoring.CheckSingleClause(ref ctx, clause, ref runState);
+                results.Add(("mustNot", i, matched, matched ? MotelyJsonScoring.CountOccurrences(ref ctx, clause, ref runState) : 0));
+            }
+
+            for (int i = 0; i < config.Should.Count; i++)
+            {
+                int count = MotelyJsonScoring.CountOccurrences(ref ctx, config.Should[i], ref runState);
+                results.Add(("should", i, count > 0, count));
+            }
+
+            FilterDesc.LastResults = results;
+            return true;
+        }
+    }
+}
+
+public static partial class MotelySeedAnalyzer
+{
+    /// <summary>
+    /// Evaluates every clause of the config against one seed and locates the matching items in the analysis.
+    /// Score follows the config's aggregation mode: count * score for Sum, and for MaxCount the whole
+    /// seed score is credited to the first clause with the highest count.
+    /// </summary>
+    public static List<MotelyClauseExplanation> ExplainClauses(
+        MotelySeedAnalysisConfig cfg,
+        MotelyJsonConfig config,
+        MotelySeedAnalysis analysis
+    )
+    {
+        MotelyClauseExplainerFilterDesc filterDesc = new(config);
+
+        var searchSettings = new MotelySearchSettings<MotelyClauseExplainerFilterDesc.ClauseExplainerFilter>(
+            filterDesc
+        )
+            .WithDeck(cfg.Deck)
+            .WithStake(cfg.Stake)
+            .WithListSearch([cfg.Seed])
+            .WithThreadCount(1);
+
+        using (var search = searchSettings.Start())
+        {
+            search.AwaitCompletion();
+        }
+
+        if (filterDesc.LastResults == null)
+            throw new InvalidOperationException($"Seed {cfg.Seed} was not evaluated");
+
+        var maxCount = filterDesc.LastResults.Where(r => r.Section == "should").Select(r => r.Count).DefaultIfEmpty(0).Max();
+        var maxCountCredited = false;
+
+        var explanations = new List<MotelyClauseExplanation>();
+        foreach (var (section, index, matched, count) in filterDesc.LastResults)
+        {
+            var clause = section switch
+            {
+                "must" => config.Must[index],
+                "mustNot" => config.MustNot[index],
+                _ => config.Should[index],
+            };
+
+            int score = 0;
+            if (section == "should")
+            {
+                if (config.ScoreAggregationMode == MotelyScoreAggregationMode.MaxCount)
+                {
+                    if (!maxCountCredited && count == maxCount && count > 0)
+                    {
+                        score = count;
+                        maxCountCredited = true;
+                    }
+                }
+                else
+                {
+                    score = count * clause.Score;
+                }
+            }
+
+            var locations = matched ? LocateClause(clause, analysis) : [];
+            explanations.Add(new(section, index, clause, matched, count, score, locations));
+        }
+
+        return explanations;
+    }
+
+    /// <summary>
+    /// Finds the analysis items a clause refers to, within the clause's antes and shop/pack slots.
+    /// This only drives highlighting - the analysis doesn't model every source the scorer checks
+    /// (tag-generated packs, events, erratic decks), so a matched clause can have no locations.
+    /// </summary>
+    public static List<MotelyClauseLocation> LocateClause(
+        MotelyJsonConfig.MotleyJsonFilterClause clause,
+        MotelySeedAnalysis analysis
+    )
+    {
+        var locations = new List<MotelyClauseLocation>();
+
+        if (clause.ItemTypeEnum is MotelyFilterItemType.And or MotelyFilterItemType.Or)
+        {
+            foreach (var nested in clause.Clauses ?? [])
+            {
+                foreach (var location in LocateClause(nested, analysis))
+                {
+                    if (clause.EffectiveAntes.Length == 0 || clause.EffectiveAntes.Contains(location.Ante))
+                        locations.Add(location);
+                }
+            }
+            return locations.Distinct().ToList();
+        }
+
+        foreach (var ante in analysis.Antes)
+        {
+            if (!clause.EffectiveAntes.Contains(ante.Ante))
+                continue;
+
+            switch (clause.ItemTypeEnum)
+            {
+                case MotelyFilterItemType.Voucher:
+                    if (MatchesAny(clause.VoucherEnum, clause.VoucherEnums, ante.Voucher))
+                        locations.Add(new(ante.Ante, "voucher", 0, null));
+                    continue;
+
+                case MotelyFilterItemType.Boss:
+                    if (MatchesAny(clause.BossEnum, clause.BossEnums, ante.Boss))
+                        locations.Add(new(ante.Ante, "boss", 0, null));
+                    continue;
+
+                case MotelyFilterItemType.SmallBlindTag:
+                case MotelyFilterItemType.BigBlindTag:
+                    // TagTypeEnum is Any for plain "tag" clauses, which match either blind
+                    bool smallAllowed = clause.TagTypeEnum != MotelyTagType.BigBlind;
+                    bool bigAllowed = clause.TagTypeEnum != MotelyTagType.SmallBlind;
+                    if (smallAllowed && MatchesAny(clause.TagEnum, clause.TagEnums, ante.SmallBlindTag))
+                        locations.Add(new(ante.Ante, "smallBlindTag", 0, null));
+                    if (bigAllowed && MatchesAny(clause.TagEnum, clause.TagEnums, ante.BigBlindTag))
+                        locations.Add(new(ante.Ante, "bigBlindTag", 0, null));
+                    continue;
+            }
+
+            var shopSlots = GetWantedSlots(
+                clause.Sources?.ShopSlots,
+                clause.Sources?.MinShopSlot,
+                clause.Sources?.MaxShopSlot,
+                MotelyJsonScoring.GetDefaultShopSlotsForAnte(ante.Ante)
+            );
+            for (int slot = 0; slot < ante.ShopQueue.Count; slot++)
+            {
+                if (shopSlots.Contains(slot) && MatchesItem(clause, ante.ShopQueue[slot]))
+                    locations.Add(new(ante.Ante, "shop", slot, null));
+            }
+
+            var packSlots = GetWantedSlots(
+                clause.Sources?.PackSlots,
+                clause.Sources?.MinPackSlot,
+                clause.Sources?.MaxPackSlot,
+                MotelyJsonScoring.GetDefaultPackSlotsForAnte(ante.Ante)
+            );
+            for (int slot = 0; slot < ante.Packs.Count; slot++)
+            {
+                var pack = ante.Packs[slot];
+                if (!packSlots.Contains(slot))
+                    continue;
+                if (clause.Sources?.RequireMega == true && pack.Type.GetPackSize() != MotelyBoosterPackSize.Mega)
+                    continue;
+
+                for (int i = 0; i < pack.Items.Count; i++)
+                {
+                    if (MatchesItem(clause, pack.Items[i]))
+                        locations.Add(new(ante.Ante, "pack", slot, i));
+                }
+            }
+        }
+
+        return locations;
+    }
+
+    private static HashSet<int> GetWantedSlots(int[]? slots, int? min, int? max, int defaultCount)
+    {
+        if (slots != null)
+            return [.. slots];
+        if (min.HasValue || max.HasValue)
+            return [.. Enumerable.Range(min ?? 0, (max ?? defaultCount - 1) - (min ?? 0) + 1)];
+        return [.. Enumerable.Range(0, defaultCount)];
+    }
+
+    private static bool MatchesAny<T>(T? value, List<T>? values, T actual)
+        where T : struct, Enum
+    {
+        if (values != null && values.Count > 0)
+            return values.Contains(actual);
+        return !value.HasValue || value.Value.Equals(actual);
+    }
+
+    private static bool MatchesItem(MotelyJsonConfig.MotleyJsonFilterClause clause, MotelyItem item)
+    {
+        if (clause.EditionEnum.HasValue && item.Edition != clause.EditionEnum.Value)
+            return false;
+
+        switch (clause.ItemTypeEnum)
+        {
+            case MotelyFilterItemType.Joker:
+                if (item.TypeCategory != MotelyItemTypeCategory.Joker)
+                    return false;
+                foreach (var sticker in clause.StickerEnums ?? [])
+                {
+                    if (sticker == MotelyJokerSticker.Eternal && !item.IsEternal) return false;
+                    if (sticker == MotelyJokerSticker.Perishable && !item.IsPerishable) return false;
+                    if (sticker == MotelyJokerSticker.Rental && !item.IsRental) return false;
+                }
+                if (clause.IsWildcard)
+                {
+                    var rarity = (MotelyJokerRarity)((int)item.Type & Motely.JokerRarityMask);
+                    return clause.WildcardEnum switch
+                    {
+                        MotelyJsonConfigWildcards.AnyCommon => rarity == MotelyJokerRarity.Common,
+                        MotelyJsonConfigWildcards.AnyUncommon => rarity == MotelyJokerRarity.Uncommon,
+                        MotelyJsonConfigWildcards.AnyRare => rarity == MotelyJokerRarity.Rare,
+                        MotelyJsonConfigWildcards.AnyLegendary => rarity == MotelyJokerRarity.Legendary,
+                        _ => true,
+                    };
+                }
+                if (clause.JokerEnums?.Count > 0)
+                    return clause.JokerEnums.Any(j => item.Type == (MotelyItemType)((int)MotelyItemTypeCategory.Joker | (int)j));
+                return clause.JokerEnum.HasValue
+                    && item.Type == (MotelyItemType)((int)MotelyItemTypeCategory.Joker | (int)clause.JokerEnum.Value);
+
+            case MotelyFilterItemType.SoulJoker:
+                // The legendary itself isn't in the analysis - point at The Soul card that creates it
+                return item.Type == MotelyItemType.Soul;
+
+            case MotelyFilterItemType.TarotCard:
+                if (item.TypeCategory != MotelyItemTypeCategory.TarotCard)
+                    return false;
+                if (clause.IsWildcard)
+                    return true;
+                if (clause.TarotEnums?.Count > 0)
+                    return clause.TarotEnums.Any(t => item.Type == (MotelyItemType)((int)MotelyItemTypeCategory.TarotCard | (int)t));
+                return clause.TarotEnum.HasValue
+                    && item.Type == (MotelyItemType)((int)MotelyItemTypeCategory.TarotCard | (int)clause.TarotEnum.Value);
+
+            case MotelyFilterItemType.PlanetCard:
+                if (item.TypeCategory != MotelyItemTypeCategory.PlanetCard)
+                    return false;
+                if (clause.IsWildcard)
+                    return true;
+                if (clause.PlanetEnums?.Count > 0)
+                    return clause.PlanetEnums.Any(p => item.Type == (MotelyItemType)((int)MotelyItemTypeCategory.PlanetCard | (int)p));
+                return clause.PlanetEnum.HasValue
+                    && item.Type == (MotelyItemType)((int)MotelyItemTypeCategory.PlanetCard | (int)clause.PlanetEnum.Value);
+
+            case MotelyFilterItemType.SpectralCard:
+                if (item.TypeCategory != MotelyItemTypeCategory.SpectralCard)
+                    return false;
+                if (clause.IsWildcard)
+                    return true;
+                if (clause.SpectralEnums?.Count > 0)
+                    return clause.SpectralEnums.Any(s => item.Type == (MotelyItemType)((int)MotelyItemTypeCategory.SpectralCard | (int)s));
+                return clause.SpectralEnum.HasValue
+                    && item.Type == (MotelyItemType)((int)MotelyItemTypeCategory.SpectralCard | (int)clause.SpectralEnum.Value);
+
+            case MotelyFilterItemType.PlayingCard:
+                return item.TypeCategory == MotelyItemTypeCategory.PlayingCard
+                    && (!clause.RankEnum.HasValue || item.PlayingCardRank == clause.RankEnum.Value)
+                    && (!clause.SuitEnum.HasValue || item.PlayingCardSuit == clause.SuitEnum.Value)
+                    && (!clause.SealEnum.HasValue || item.Seal == clause.SealEnum.Value)
+                    && (!clause.EnhancementEnum.HasValue || item.Enhancement == clause.EnhancementEnum.Value);
+
+            default:
+                return false;
+        }
+    }
+}
@@ -0,0 +1,145 @@
+using Motely.Filters;
+
+namespace Motely.Analysis;
+
+/// <summary>
+/// How often each must clause matched over a sample of seeds. Matched counts each clause on its own;
+/// Funnel[i] counts the seeds that passed must[0] through must[i], so the clause where the funnel
+/// drops hardest is the one holding the search back. ShouldMatched counts the seeds where each
+/// should clause matched at least once.
+/// </summary>
+public sealed record class MotelyClauseRates(
+    long Sampled,
+    IReadOnlyList<long> Matched,
+    IReadOnlyList<long> Funnel,
+    IReadOnlyList<long> ShouldMatched
+)
+{
+    /// <summary>
+    /// 95% Wilson score interval for hits out of n - unlike hits/n +- 1.96 SE it stays sensible
+    /// for rare filters, and at 0 hits the upper bound is about 3.84 / n
+    /// </summary>
+    public static (double Low, double High) WilsonInterval(long hits, long n)
+    {
+        if (n <= 0) return (0, 1);
+        const double z = 1.96;
+        var p = (double)hits / n;
+        var denominator = 1 + z * z / n;
+        var center = (p + z * z / (2.0 * n)) / denominator;
+        var margin = z * Math.Sqrt(p * (1 - p) / n + z * z / (4.0 * n * n)) / denominator;
+        return (Math.Max(0, center - margin), Math.Min(1, center + margin));
+    }
+}
+
+/// <summary>
+/// Filter descriptor that tallies every must and should clause of a config over all the seeds it sees.
+/// It never passes a seed - the tallies are the result.
+/// </summary>
+public sealed class MotelyClauseRateFilterDesc(MotelyJsonConfig config)
+    : IMotelySeedFilterDesc<MotelyClauseRateFilterDesc.ClauseRateFilter>
+{
+    public MotelyJsonConfig Config { get; } = config;
+
+    public long Sampled;
+    public readonly long[] Matched = new long[config.Must.Count];
+    public readonly long[] Funnel = new long[config.Must.Count];
+    public readonly long[] ShouldMatched = new long[config.Should.Count];
+
+    public ClauseRateFilter CreateFilter(ref MotelyFilterCreationContext ctx)
+    {
+        return new ClauseRateFilter(this);
+    }
+
+    public readonly struct ClauseRateFilter(MotelyClauseRateFilterDesc filterDesc) : IMotelySeedFilter
+    {
+        public MotelyClauseRateFilterDesc FilterDesc { get; } = filterDesc;
+
+        public readonly VectorMask Filter(ref MotelyVectorSearchContext ctx)
+        {
+            return ctx.SearchIndividualSeeds(CheckSeed);
+        }
+
+        public readonly bool CheckSeed(ref MotelySingleSearchContext ctx)
+        {
+            var config = FilterDesc.Config;
+            var runState = MotelyClauseExplainerFilterDesc.CreateRunState(ref ctx, config);
+
+            bool passedSoFar = true;
+            for (int i = 0; i < config.Must.Count; i++)
+            {
+                bool matched = Matches(ref ctx, config.Must[i], ref runState);
+                if (matched)
+                    Interlocked.Increment(ref FilterDesc.Matched[i]);
+
+                passedSoFar &= matched;
+                if (passedSoFar)
+                    Interlocked.Increment(ref FilterDesc.Funnel[i]);
+            }
+
+            for (int i = 0; i < config.Should.Count; i++)
+            {
+                if (Matches(ref ctx, config.Should[i], ref runState))
+                    Interlocked.Increment(ref FilterDesc.ShouldMatched[i]);
+            }
+
+            Interlocked.Increment(ref FilterDesc.Sampled);
+            return false;
+        }
+
+        private static bool Matches(
+            ref MotelySingleSearchContext ctx,
+            MotelyJsonConfig.MotleyJsonFilterClause clause,
+            ref MotelyRunState runState
+        ) =>
+            (clause.VoucherEnum.HasValue && runState.IsVoucherActive(clause.VoucherEnum.Value))
+            || MotelyJsonScoring.CheckSingleClause(ref ctx, clause, ref runState);
+    }
+}
+
+public static partial class MotelySeedAnalyzer
+{
+    /// <summary>
+    /// Checks every must and should clause of the config against a random sample of seeds
+    /// </summary>
+    public static MotelyClauseRates SampleClauseRates(
+        MotelyJsonConfig config,
+        MotelyDeck deck,
+        MotelyStake stake,
+        int sampleSize,
+        int threads = 1
+    ) => CountClauseRates(config, deck, stake, threads, settings => settings.WithRandomSearch(sampleSize));
+
+    /// <summary>
+    /// Checks every must and should clause of the config against the given seeds
+    /// </summary>
+    public static MotelyClauseRates SampleClauseRates(
+        MotelyJsonConfig config,
+        MotelyDeck deck,
+        MotelyStake stake,
+        IEnumerable<string> seeds,
+        int threads = 1
+    ) => CountClauseRates(config, deck, stake, threads, settings => settings.WithListSearch(seeds));
+
+    private static MotelyClauseRates CountClauseRates(
+        MotelyJsonConfig config,
+        MotelyDeck deck,
+        MotelyStake stake,
+        int threads,
+        Func<MotelySearchSettings<MotelyClauseRateFilterDesc.ClauseRateFilter>, MotelySearchSettings<MotelyClauseRateFilterDesc.ClauseRateFilter>> withSeeds
+    )
+    {
+        MotelyClauseRateFilterDesc filterDesc = new(config);
+
+        var searchSettings = withSeeds(new MotelySearchSettings<MotelyClauseRateFilterDesc.ClauseRateFilter>(filterDesc)
+            .WithDeck(deck)
+            .WithStake(stake)
+            .WithThreadCount(threads));
+
+        using (var search = searchSettings.Start())
+        {
+            search.AwaitCompletion();
+        }
+
+        return new MotelyClauseRates(filterDesc.Sampled, filterDesc.Matched, filterDesc.Funnel, filterDesc.ShouldMatched);
+    }
+}
@@ -0,0 +1,20 @@
+namespace Motely.Executors
+{
+    /// <summary>
+    /// An executor the API server can run in the background: JAML searches and native filters alike
+    /// </summary>
+    public interface ISearchExecutor
+    {
+        /// <summary>
+        /// True once a search started with awaitCompletion: false has run through its last batch
+        /// </summary>
+        bool IsCompleted { get; }
+
+        int Execute(bool awaitCompletion = true);
+
+        /// <summary>
+        /// Cancel the currently running search
+        /// </summary>
+        void Cancel();
+    }
+}
@@ -6,7 +6,7 @@ namespace Motely.Executors
     /// <summary>
     /// Executes JSON-based filter searches with specialized vectorized filters
     /// </summary>
-    public sealed class JsonSearchExecutor
+    public sealed class JsonSearchExecutor : ISearchExecutor
     {
         private readonly string? _configPath;
         private readonly MotelyJsonConfig? _config;
@@ -43,6 +43,39 @@ namespace Motely.Executors
             _customCallback = customCallback;
         }
 
+        /// <summary>
+        /// Runs the config through the search pipeline on a one-seed list. Cutoff 0, so a seed that
+        /// passes must/mustNot reports its score and tallies whatever its should score; Score is null
+        /// when the seed doesn't pass.
+        /// </summary>
+        public static (int? Score, List<int>? Tallies) TestSeed(MotelyJsonConfig config, string seed)
+        {
+            int? score = null;
+            List<int>? tallies = null;
+            var testParams = new JsonSearchParams
+            {
+                Threads = 1,
+                EnableDebug = false,
+                NoFancy = true,
+                Quiet = true,
+                SeedList = [seed],
+                AutoCutoff = false,
+                Cutoff = 0,
+            };
+            new JsonSearchExecutor(config, testParams, tally =>
+            {
+                score = tally.Score;
+                tallies = tally.TallyColumns;
+            }).Execute();
+
+            return (score, tallies);
+        }
+
+        /// <summary>
+        /// True once a search started with awaitCompletion: false has run through its last batch
+        /// </summary>
+        public bool IsCompleted => _runningSearch?.Status == MotelySearchStatus.Completed;
+
         /// <summary>
         /// Cancel the currently running search
         /// </summary>
@@ -470,7 +503,10 @@ namespace Motely.Executors
                     if (_params.ProgressCallback != null)
                         compositeSettings = compositeSettings.WithProgressCallback(_params.ProgressCallback);
 
-                    if (seeds != null)
+                    if (_params.RandomSeeds.HasValue)
+                        return (IMotelySearch)
+                            compositeSettings.WithRandomSearch(_params.RandomSeeds.Value).Start();
+                    else if (seeds != null)
                         return (IMotelySearch)compositeSettings.WithListSearch(seeds, preSorted).Start();
                     else
                         return (IMotelySearch)compositeSettings.WithSequentialSearch().Start();
@@ -520,7 +556,9 @@ namespace Motely.Executors
                 if (_params.ProgressCallback != null)
                     passthroughSettings = passthroughSettings.WithProgressCallback(_params.ProgressCallback);
 
-                if (seeds != null)
+                if (_params.RandomSeeds.HasValue)
+                    return passthroughSettings.WithRandomSearch(_params.RandomSeeds.Value).Start();
+                else if (seeds != null)
                     return passthroughSettings.WithListSearch(seeds, preSorted).Start();
                 else
                     return passthroughSettings.WithSequentialSearch().Start();
@@ -8,17 +8,56 @@ using Motely.Utils;
 
 namespace Motely.Executors
 {
+    /// <summary>
+    /// A built-in filter as listed by the API. Parameters are the values compiled into the filter.
+    /// </summary>
+    public sealed record NativeFilterInfo(
+        string Name,
+        string Description,
+        IReadOnlyList<NativeFilterParameter> Parameters
+    );
+
+    public sealed record NativeFilterParameter(string Name, string Value);
+
     /// <summary>
     /// Executes built-in native filters (--native parameter)
     /// Handles: PerkeoObservatory, Trickeoglyph, NegativeCopy, etc.
     /// </summary>
-    public class NativeFilterExecutor
+    public class NativeFilterExecutor : ISearchExecutor
     {
+        /// <summary>
+        /// Every filter --native accepts, by the name it is selected with (case-insensitive)
+        /// </summary>
+        public static readonly IReadOnlyList<NativeFilterInfo> Filters =
+        [
+            new("PerkeoObservatory", "Telescope as the ante 1 voucher", []),
+            new("Observatory", "Observatory as the first voucher of any ante 1-4", []),
+            new("NaturalNegative", "Telescope then Observatory, with a Negative Perkeo from The Soul in ante 1 or 2", []),
+            new("Trickeoglyph", "Magic Trick and Hieroglyph in antes 2-4 with Canio and a Negative Perkeo from The Soul", []),
+            new("NegativeCopy", "Showman with Blueprint, Brainstorm or Invisible Joker in shops and Buffoon packs (Negative copies count extra)", []),
+            new("NegativeTag", "Negative Tag on both blinds of every ante 2-8", []),
+            new("FilledSoul", "Hieroglyph in ante 1 and back-to-back Soul jokers", [
+                new("soulsInARow", FilledSoulFilterDesc.SoulsInARow.ToString()),
+            ]),
+            new("ErraticFinder", "Erratic deck starting with many cards of one suit", [
+                new("suit", ErraticFinderDesc.CardSuit.ToString()),
+                new("minCount", ErraticFinderDesc.RequiredCount.ToString()),
+            ]),
+            new("NaNSeed", "Seeds that hit the NaN pseudohash on any known RNG key", []),
+            new("Passthrough", "Every seed passes - score them with a should block", []),
+        ];
+
+        public static bool IsKnownFilter(string filterName) =>
+            Filters.Any(filter => filter.Name.Equals(filterName, StringComparison.OrdinalIgnoreCase));
+
         private readonly string _filterName;
         private readonly string? _scoreConfig;
+        private readonly MotelyJsonConfig? _scoreConfigObject;
+        private readonly Action<MotelySeedScoreTally>? _customCallback;
         private readonly JsonSearchParams _params;
         private bool _cancelled = false;
         private List<string>? _searchSeeds = null;
+        private IMotelySearch? _runningSearch;
 
         public NativeFilterExecutor(
             string filterName,
@@ -31,24 +70,47 @@ namespace Motely.Executors
             _params = parameters;
         }
 
-        public int Execute()
+        /// <summary>
+        /// Run a native filter for the API: every seed that passes is scored against scoreConfig
+        /// (score 0 when it has no should clauses) and handed to customCallback.
+        /// </summary>
+        public NativeFilterExecutor(
+            string filterName,
+            JsonSearchParams parameters,
+            MotelyJsonConfig scoreConfig,
+            Action<MotelySeedScoreTally> customCallback
+        )
+        {
+            _filterName = filterName;
+            _scoreConfigObject = scoreConfig;
+            _customCallback = customCallback;
+            _params = parameters;
+        }
+
+        public bool IsCompleted => _runningSearch?.Status == MotelySearchStatus.Completed;
+
+        public void Cancel()
+        {
+            _cancelled = true;
+            _runningSearch?.Pause();
+        }
+
+        public int Execute(bool awaitCompletion = true)
         {
             DebugLogger.IsEnabled = _params.EnableDebug;
             FancyConsole.IsEnabled = !_params.NoFancy;
             // Ensure tally colors respect --nofancy
             TallyColorizer.ColorEnabled = !_params.NoFancy;
 
-            string normalizedFilterName = _filterName
-                .ToLower(System.Globalization.CultureInfo.CurrentCulture)
-                .Trim();
+            string normalizedFilterName = NormalizeFilterName(_filterName);
 
             // Progress callback - only used in silent mode or when fancy console is disabled
             // Otherwise FancyConsole handles progress display at the bottom line
-            Action<long, long, long, double>? progressCallback = null;
+            Action<long, long, long, double>? progressCallback = _params.ProgressCallback;
 
             DateTime lastProgressUpdate = DateTime.UtcNow;
             DateTime progressStartTime = DateTime.UtcNow;
-            progressCallback = (completed, total, seedsSearched, seedsPerMs) =>
+            progressCallback ??= (completed, total, seedsSearched, seedsPerMs) =>
             {
                 var now = DateTime.UtcNow;
                 var timeSinceLastUpdate = (now - lastProgressUpdate).TotalMilliseconds;
@@ -89,6 +151,14 @@ namespace Motely.Executors
                 return 1;
             }
 
+            if (!awaitCompletion)
+            {
+                // API mode - the caller polls IsCompleted and stops it with Cancel()
+                search.Start();
+                _runningSearch = search;
+                return 0;
+            }
+
             Console.WriteLine(
                 $"🔍 Running native filter: {_filterName}"
                     + (
@@ -163,6 +233,7 @@ namespace Motely.Executors
             {
                 NaNSeedFilterDesc d => BuildSearch(d, progressCallback, seeds),
                 PerkeoObservatoryFilterDesc d => BuildSearch(d, progressCallback, seeds),
+                NaturalNegativesFilterDesc d => BuildSearch(d, progressCallback, seeds),
                 ObservatoryDesc d => BuildSearch(d, progressCallback, seeds),
                 PassthroughFilterDesc d => BuildSearch(d, progressCallback, seeds),
                 TrickeoglyphFilterDesc d => BuildSearch(d, progressCallback, seeds),
@@ -186,6 +257,11 @@ namespace Motely.Executors
                 .WithThreadCount(_params.Threads)
                 .WithBatchCharacterCount(_params.BatchSize);
 
+            if (_params.Quiet)
+            {
+                settings = settings.WithQuietMode(true);
+            }
+
             if (progressCallback != null)
             {
                 settings = settings.WithProgressCallback(progressCallback);
@@ -211,21 +287,23 @@ namespace Motely.Executors
                 return settings.WithSequentialSearch().Start();
         }
 
-        private object GetFilterDescriptor(string filterName)
+        private static string NormalizeFilterName(string filterName) =>
+            filterName.ToLower(System.Globalization.CultureInfo.CurrentCulture).Trim();
+
+        private static object GetFilterDescriptor(string filterName)
         {
-            var normalizedName = filterName
-                .ToLower(System.Globalization.CultureInfo.CurrentCulture)
-                .Trim();
+            var normalizedName = NormalizeFilterName(filterName);
             DebugLogger.Log($"Loading filter descriptor for: {normalizedName}");
             return normalizedName switch
             {
                 "nanseed" => new NaNSeedFilterDesc(),
                 "perkeoobservatory" => new PerkeoObservatoryFilterDesc(),
+                "naturalnegative" => new NaturalNegativesFilterDesc(),
                 "erraticfinder" => new ErraticFinderDesc(),
                 "observatory" => new ObservatoryDesc(),
                 "passthrough" => new PassthroughFilterDesc(), // for testing chaining but im leaving it cuz im lazy and cuz it might be useful some day?
                 "trickeoglyph" => new TrickeoglyphFilterDesc(),
-                "negativecopy" => new NegativeCopyFilterDesc(),
+                "negativecopy" or "negativecopyjokers" => new NegativeCopyFilterDesc(),
                 "negativetag" => new NegativeTagFilterDesc(),
                 "filledsoul" => new FilledSoulFilterDesc(),
                 _ => throw new ArgumentException($"Unknown filter: {filterName}"),
@@ -235,6 +313,23 @@ namespace Motely.Executors
         private MotelySearchSettings<T> ApplyScoring<T>(MotelySearchSettings<T> settings)
             where T : struct, IMotelySeedFilter
         {
+            if (_scoreConfigObject != null && _customCallback != null)
+            {
+                // API mode: scoring JAML also picks the deck and stake, results go to the caller
+                if (Enum.TryParse(_scoreConfigObject.Deck, true, out MotelyDeck deck))
+                    settings = settings.WithDeck(deck);
+                if (Enum.TryParse(_scoreConfigObject.Stake, true, out MotelyStake stake))
+                    settings = settings.WithStake(stake);
+
+                var apiScoreDesc = new MotelyJsonSeedScoreDesc(
+                    _scoreConfigObject,
+                    _params.Cutoff,
+                    _params.AutoCutoff,
+                    _customCallback
+                );
+                return settings.WithSeedScoreProvider(apiScoreDesc).WithCsvOutput(true);
+            }
+
             if (string.IsNullOrEmpty(_scoreConfig))
                 return settings;
 
@@ -339,6 +434,12 @@ namespace Motely.Executors
                 return _searchSeeds;
             }
 
+            if (_params.SeedList != null && _params.SeedList.Count > 0)
+            {
+                _searchSeeds = _params.SeedList;
+                return _searchSeeds;
+            }
+
             if (!string.IsNullOrEmpty(_params.Wordlist))
             {
                 var wordlistPath = $"WordLists/{_params.Wordlist}.txt";
@@ -38,9 +38,12 @@ let totalSeedsSearched = 0;
 let searchResults = [];
 let searchColumns = ['seed', 'score'];
 let savedFilters = [];
+let currentFilterFile = null; // Saved .jaml file the editor was loaded from (target of Save)
+let filterHasUnsavedEdits = false;
+let uploadedSeedList = null; // Seeds parsed from the wordlist file picked for "list" mode
+let nativeFilters = []; // Built-in filters from GET /native-filters
 let sortColumn = 'score';
-let sortDirection = 'desc'; // 'asc' or 'desc'
-const maxRows = 1000; // Display limit message (API returns up to 1000)
+let sortDirection = 'desc'; // 'asc' or 'desc' - applied server-side by GET /search/results
 
 // Sync URL with current search ID (so refresh/bookmark works)
 function updateUrlWithSearchId(searchId) {
@@ -71,6 +74,44 @@ function setJamlValue(value) {
         window.jamlEditor.setValue(value);
     }
     isProgrammaticEdit = false;
+    scheduleBuilderSync();
+    scheduleFilterChangeReview();
+}
+
+// Tries each Monaco location in turn. When none loads, the editor stays a plain textarea
+// and says so - an empty editor pane would look like the page is broken.
+function loadMonaco(bases, onReady) {
+    if (bases.length === 0) {
+        useTextareaEditor('The Monaco editor could not be loaded (no copy in wwwroot/vendor and the CDN is unreachable)');
+        return;
+    }
+
+    const base = bases[0];
+    const loader = document.createElement('script');
+    loader.src = `${base}/loader.js`;
+    loader.onload = () => {
+        require.config({ paths: { vs: base } });
+        require(['vs/editor/editor.main'], onReady, () => useTextareaEditor(`The Monaco editor failed to load from ${base}`));
+    };
+    loader.onerror = () => {
+        loader.remove();
+        loadMonaco(bases.slice(1), onReady);
+    };
+    document.body.appendChild(loader);
+}
+
+function useTextareaEditor(reason) {
+    if (!usePlainEditor) toggleEditorMode();
+    const toggleBtn = document.getElementById('editorToggle');
+    toggleBtn.disabled = true;
+    toggleBtn.title = 'Monaco is not available';
+    showEditorWarning(`${reason}. Editing in plain text mode: no autocomplete, hover docs or inline error markers.`);
+}
+
+function showEditorWarning(message) {
+    const warning = document.getElementById('editorWarning');
+    warning.innerHTML += `<div>⚠️ ${escapeHtml(message)}</div>`;
+    warning.style.display = 'block';
 }
 
 // Toggle between Monaco and Plain text editor
@@ -100,8 +141,12 @@ function toggleEditorMode() {
             if (window.jamlEditor) window.jamlEditor.setValue(val);
         };
 
-        // Add change listener to plain textarea
-        plainTextarea.oninput = () => onUserJamlEdit();
+        // Add change listener to plain textarea - same follow-ups as Monaco's change handler
+        plainTextarea.oninput = () => {
+            onUserJamlEdit();
+            scheduleJamlValidation();
+            scheduleBuilderSync();
+        };
     } else {
         // Switch to Monaco editor
         // Sync content from textarea to Monaco
@@ -122,8 +167,23 @@ function toggleEditorMode() {
 }
 
 // ================================================
-// JAML Auto-Formatter - keeps arrays inline, NEVER uses {} brackets
+// JAML Auto-Formatter - structural, so comments and blank lines survive
 // ================================================
+// js-yaml's load/dump would drop every "# comment", so the formatter parses the lines itself.
+// Comments and blank lines travel with the key or list item below them, clause keys get one
+// order, integer lists are written inline and everything is re-indented by 2. The result must
+// load to the same data as the input before it replaces the editor text.
+
+// Clause keys after the type key: what the item is, where it shows up, then how it scores
+const JAML_FORMAT_CLAUSE_ORDER = [
+    'type', 'value', 'values', 'label', 'rank', 'suit', 'seal', 'enhancement', 'eventType', 'rolls', 'min',
+    'edition', 'stickers', 'antes', 'sources', 'shopSlots', 'packSlots', 'requireMega', 'tags',
+    'score', 'mode', 'filterOrder', 'clauses'
+].map(key => key.toLowerCase());
+
+const JAML_KEY_PATTERN = /^("[^"]*"|'[^']*'|[^\s#'"[\]{}\-][^:#]*?|-[^\s:#][^:#]*?)\s*:(?:\s+(.*))?$/;
+const FORMAT_ON_SAVE_STORAGE_KEY = 'motely.formatOnSave';
+
 function formatJaml() {
     const content = getJamlValue();
     if (!content.trim()) return;
@@ -134,79 +194,380 @@ function formatJaml() {
     }
 
     try {
-        const parsed = jsyaml.load(content);
-        if (!parsed || typeof parsed !== 'object') {
-            showStatus('Invalid JAML - could not parse');
-            return;
+        const formatted = formatJamlText(content);
+        if (formatted !== content) setJamlValue(formatted);
+        showStatus('JAML formatted!');
+    } catch (e) {
+        showStatus(`Format error: ${e.message}`);
+    }
+}
+
+// Format on save/start: runs before Save, Save As, Start and Queue when the option is ticked.
+// Text the formatter can't handle is left alone - saving or searching never fails because of it.
+function formatJamlBeforeUse() {
+    const option = document.getElementById('formatOnSave');
+    if (!option || !option.checked || typeof jsyaml === 'undefined') return;
+
+    const content = getJamlValue();
+    if (!content.trim()) return;
+    try {
+        const formatted = formatJamlText(content);
+        if (formatted !== content) setJamlValue(formatted);
+    } catch (e) {
+        console.warn('Format on save skipped:', e.message);
+    }
+}
+
+function setFormatOnSave(enabled) {
+    try {
+        localStorage.setItem(FORMAT_ON_SAVE_STORAGE_KEY, enabled ? '1' : '0');
+    } catch (e) {
+        // Storage blocked (private mode) - the option just won't stick
+    }
+}
+
+function restoreFormatOnSave() {
+    const option = document.getElementById('formatOnSave');
+    if (!option) return;
+    try {
+        option.checked = localStorage.getItem(FORMAT_ON_SAVE_STORAGE_KEY) === '1';
+    } catch (e) {
+        option.checked = false;
+    }
+}
+
+// Throws when the text isn't valid YAML or uses syntax the formatter doesn't rewrite
+function formatJamlText(content) {
+    const original = jsyaml.load(content);
+    if (!original || typeof original !== 'object') {
+        throw new Error('Invalid JAML - could not parse');
+    }
+
+    const doc = parseJamlDocument(content);
+    const out = [];
+    emitJamlLead(doc.head, 0, out, true);
+    if (doc.root) emitJamlBlock(doc.root, 0, out, false);
+    emitJamlLead(doc.tail, 0, out, false);
+    while (out.length > 0 && out[out.length - 1] === '') out.pop();
+    const formatted = out.join('\n') + '\n';
+
+    // Safety net for anything the line parser misread
+    if (!sameJamlData(original, jsyaml.load(formatted))) {
+        throw new Error('formatting would change the filter, left it as is');
+    }
+    return formatted;
+}
+
+// Split a line into its content and a trailing "# comment" (a # inside quotes is content)
+function splitJamlComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quote) {
+            if (c === '\\' && quote === '"') i++;
+            else if (c === quote && quote === "'" && text[i + 1] === "'") i++;
+            else if (c === quote) quote = null;
+        } else if ((c === '"' || c === "'") && (i === 0 || /[\s[{,:]/.test(text[i - 1]))) {
+            quote = c;
+        } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return [text.slice(0, i).trimEnd(), text.slice(i)];
         }
+    }
+    return [text.trimEnd(), ''];
+}
 
-        // Dump fully expanded first (flowLevel: -1 = no flow syntax at all)
-        let formatted = jsyaml.dump(parsed, {
-            indent: 2,
-            lineWidth: -1,
-            noArrayIndent: false,
-            sortKeys: false,
-            quotingType: "'",
-            forceQuotes: false,
-            flowLevel: -1  // NEVER use {} or [] flow syntax
-        });
+function isJamlSequenceLine(text) {
+    return /^-(\s|$)/.test(text.trimStart());
+}
 
-        // Post-process: collapse simple number arrays back to inline [1, 2, 3]
-        // Match patterns like:
-        //   antes:
-        //     - 1
-        //     - 2
-        // And convert to: antes: [1, 2]
-        formatted = formatted.replace(
-            /^(\s*)(antes|shopSlots|packSlots|sources|rolls):\n((?:\1  - \d+\n?)+)/gm,
-            (match, indent, key, items) => {
-                const values = items.match(/\d+/g);
-                if (values) {
-                    return `${indent}${key}: [${values.join(', ')}]\n`;
-                }
-                return match;
+// Lines -> { head, root, tail }. Mappings are { kind: 'map', entries: [{ lead, key, comment, ... }] },
+// sequences { kind: 'seq', items: [{ lead, comment, ... }] }; an entry or item holds a raw
+// `scalar`, a `block` scalar's lines or a nested `child` block. `lead` is the comments and
+// blank lines ('') right above it.
+function parseJamlDocument(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    let pos = 0;
+    let pending = [];
+
+    const fail = (message) => { throw new Error(`line ${pos + 1}: ${message}`); };
+
+    // Step over comments and blank lines, holding them for whatever comes next
+    function peekIndent() {
+        while (pos < lines.length && isJamlFillerLine(lines[pos])) {
+            const comment = lines[pos].trim();
+            if (comment || (pending.length > 0 && pending[pending.length - 1] !== '')) pending.push(comment);
+            else if (pending.length === 0) pending.push('');
+            pos++;
+        }
+        if (pos >= lines.length) return -1;
+        if (/^\s*\t/.test(lines[pos])) fail('tabs are not allowed for indentation');
+        if (/^(---|\.\.\.|%)/.test(lines[pos])) fail('multiple documents and directives are not supported');
+        return jamlLineIndent(lines[pos]);
+    }
+
+    function takeLead() {
+        const lead = pending;
+        pending = [];
+        return lead;
+    }
+
+    function parseBlock(indent) {
+        return isJamlSequenceLine(lines[pos]) ? parseSequence(indent) : { kind: 'map', entries: parseEntries(indent, null) };
+    }
+
+    // Keys at `indent`; `first` is the text after "- " when the mapping opens on a list item line
+    function parseEntries(indent, first) {
+        const entries = [];
+        if (first !== null) entries.push(parseEntry(indent, first));
+        while (peekIndent() === indent && !isJamlSequenceLine(lines[pos])) {
+            entries.push(parseEntry(indent, lines[pos].slice(indent)));
+        }
+        return entries;
+    }
+
+    function parseEntry(indent, text) {
+        const [content, comment] = splitJamlComment(text);
+        const match = content.match(JAML_KEY_PATTERN);
+        if (!match) fail(`expected "key: value", found "${content}"`);
+        const entry = { lead: takeLead(), key: match[1], comment };
+        pos++;
+        parseValue(entry, match[2] || '', indent, true);
+        return entry;
+    }
+
+    function parseSequence(indent) {
+        const items = [];
+        while (peekIndent() === indent && isJamlSequenceLine(lines[pos])) {
+            const item = { lead: takeLead(), comment: '' };
+            const after = lines[pos].slice(indent + 1);
+            const text = after.trimStart();
+            const keyIndent = indent + 1 + after.length - text.length;
+
+            if (isJamlSequenceLine(text)) fail('nested "- -" lists are not supported');
+            if (JAML_KEY_PATTERN.test(splitJamlComment(text)[0])) {
+                // "- key: value" opens a mapping whose other keys line up under the first
+                item.child = { kind: 'map', entries: parseEntries(keyIndent, text) };
+            } else {
+                const [content, comment] = splitJamlComment(text);
+                item.comment = comment;
+                pos++;
+                parseValue(item, content, indent, false);
             }
-        );
+            items.push(item);
+        }
+        return { kind: 'seq', items };
+    }
 
-        // Post-process: remove "null" from or:/and: shorthand (JAML allows "- or:" without value)
-        formatted = formatted.replace(/^(\s*- )(or|and): null$/gm, '$1$2:');
+    // The value after "key:" or "- ": scalar, flow collection, block scalar or nested block
+    function parseValue(node, value, indent, sequenceAtSameIndent) {
+        if (/^[|>]/.test(value)) {
+            if (/\d/.test(value)) fail('block scalars with an indentation indicator are not supported');
+            node.scalar = value;
+            const start = pos;
+            while (pos < lines.length && (lines[pos].trim() === '' || jamlLineIndent(lines[pos]) > indent)) pos++;
+            while (pos > start && lines[pos - 1].trim() === '') pos--;
+            const body = lines.slice(start, pos);
+            const base = Math.min(...body.filter(l => l.trim()).map(jamlLineIndent));
+            node.block = body.map(l => l.trim() ? l.slice(base).trimEnd() : '');
+            return;
+        }
 
-        setJamlValue(formatted);
-        showStatus('JAML formatted!');
+        if (/^[[{]/.test(value)) {
+            // Flow collections may wrap onto the next lines; join them back into one
+            let joined = value;
+            while (jamlFlowDepth(joined) > 0 && pos < lines.length) {
+                const [more, comment] = splitJamlComment(lines[pos].trim());
+                if (comment) fail('comments inside [ ] or { } are not supported');
+                joined += ' ' + more;
+                pos++;
+            }
+            if (jamlFlowDepth(joined) !== 0) fail('unclosed [ or {');
+            node.scalar = joined.replace(/\s+/g, ' ');
+        } else if (value) {
+            node.scalar = value;
+        }
 
-    } catch (e) {
-        showStatus(`Format error: ${e.message}`);
+        const next = peekIndent();
+        if (node.scalar !== undefined) {
+            if (next > indent) fail('multi-line values are not supported');
+        } else if (next > indent || (sequenceAtSameIndent && next === indent && isJamlSequenceLine(lines[pos]))) {
+            node.child = parseBlock(next);
+        }
+    }
+
+    peekIndent();
+    const head = takeLead();
+    const root = pos < lines.length ? parseBlock(jamlLineIndent(lines[pos])) : null;
+    if (peekIndent() !== -1) fail('unexpected indentation');
+    return { head, root, tail: takeLead() };
+}
+
+function jamlFlowDepth(text) {
+    let depth = 0;
+    let quote = null;
+    for (const c of text) {
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '[' || c === '{') {
+            depth++;
+        } else if (c === ']' || c === '}') {
+            depth--;
+        }
+    }
+    return depth;
+}
+
+// Comments re-indented to the line below them; blank lines collapse to one and
+// never open a block
+function emitJamlLead(lead, indent, out, first) {
+    for (const line of lead) {
+        if (line) {
+            out.push(' '.repeat(indent) + line);
+            first = false;
+        } else if (!first && out.length > 0 && out[out.length - 1] !== '') {
+            out.push('');
+        }
+    }
+}
+
+function emitJamlBlock(block, indent, out, inSequence) {
+    if (block.kind === 'seq') {
+        block.items.forEach((item, i) => emitJamlItem(item, indent, out, i === 0));
+    } else {
+        emitJamlEntries(block.entries, indent, out, inSequence, null);
+    }
+}
+
+function emitJamlItem(item, indent, out, first) {
+    const pad = ' '.repeat(indent);
+    emitJamlLead(item.lead, indent, out, first);
+
+    if (item.child && item.child.kind === 'map' && !item.comment) {
+        emitJamlEntries(item.child.entries, indent + 2, out, true, `${pad}- `);
+        return;
+    }
+    const inline = inlineJamlValue(item);
+    if (inline !== null) {
+        out.push(`${pad}-${inline}${jamlCommentSuffix(item.comment)}`);
+        if (item.block) out.push(...item.block.map(l => l ? ' '.repeat(indent + 2) + l : ''));
+    } else {
+        out.push(`${pad}-${jamlCommentSuffix(item.comment)}`);
+        emitJamlBlock(item.child, indent + 2, out, true);
+    }
+}
+
+// `firstPrefix` is the "- " the first key shares a line with when the mapping is a list item
+function emitJamlEntries(entries, indent, out, isClause, firstPrefix) {
+    const ordered = isClause ? orderJamlClauseEntries(entries) : entries;
+    ordered.forEach((entry, i) => {
+        const prefix = i === 0 && firstPrefix !== null ? firstPrefix : ' '.repeat(indent);
+        emitJamlLead(entry.lead, i === 0 && firstPrefix !== null ? indent - 2 : indent, out, i === 0);
+
+        const inline = inlineJamlValue(entry);
+        if (inline !== null) {
+            out.push(`${prefix}${entry.key}:${inline}${jamlCommentSuffix(entry.comment)}`);
+            if (entry.block) out.push(...entry.block.map(l => l ? ' '.repeat(indent + 2) + l : ''));
+        } else {
+            out.push(`${prefix}${entry.key}:${jamlCommentSuffix(entry.comment)}`);
+            emitJamlBlock(entry.child, indent + 2, out, false);
+        }
+    });
+}
+
+// Text after "key:" / "-" when the value fits on the line, otherwise null.
+// Integer lists are always written inline, whichever style they came in.
+function inlineJamlValue(node) {
+    if (node.scalar !== undefined) {
+        const numbers = node.scalar.match(/^\[\s*(-?\d+(?:\s*,\s*-?\d+)*)\s*,?\s*\]$/);
+        return ' ' + (numbers ? `[${numbers[1].split(/\s*,\s*/).join(', ')}]` : node.scalar);
     }
+    if (!node.child) return '';
+
+    const items = node.child.kind === 'seq' ? node.child.items : null;
+    const inlineList = items && items.length > 0 && items.every(item =>
+        !item.comment && !item.child && item.lead.every(line => !line) && /^-?\d+$/.test(item.scalar || ''));
+    return inlineList ? ` [${items.map(item => item.scalar).join(', ')}]` : null;
+}
+
+function jamlCommentSuffix(comment) {
+    return comment ? ` ${comment}` : '';
 }
 
-// Quick format shortcut: Ctrl+Shift+F
+// Type key ("joker:", "or:", or "type:" then "value:") first, the rest by JAML_FORMAT_CLAUSE_ORDER.
+// Keys the order doesn't know keep their place at the end.
+function orderJamlClauseEntries(entries) {
+    const names = entries.map(entry => entry.key.replace(/^["']|["']$/g, '').toLowerCase());
+    const hasType = names.includes('type');
+    const rank = (name) => {
+        if (!hasType && (name in JAML_TYPE_KEYS || name in JAML_PLURAL_KEYS)) return -1;
+        const index = JAML_FORMAT_CLAUSE_ORDER.indexOf(name);
+        return index === -1 ? JAML_FORMAT_CLAUSE_ORDER.length : index;
+    };
+    return entries
+        .map((entry, i) => ({ entry, rank: rank(names[i]), i }))
+        .sort((a, b) => a.rank - b.rank || a.i - b.i)
+        .map(({ entry }) => entry);
+}
+
+// Compare loaded YAML ignoring key order (dates compare by value)
+function sameJamlData(a, b) {
+    const canonical = (value) => {
+        if (value instanceof Date) return value.toISOString();
+        if (Array.isArray(value)) return value.map(canonical);
+        if (value !== null && typeof value === 'object') {
+            return Object.keys(value).sort().map(key => [key, canonical(value[key])]);
+        }
+        return value;
+    };
+    return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+}
+
+// Quick format shortcut: Ctrl+Shift+F, save: Ctrl+S
 document.addEventListener('keydown', (e) => {
     if (e.ctrlKey && e.shiftKey && e.key === 'F') {
         e.preventDefault();
         formatJaml();
+    } else if (e.ctrlKey && !e.shiftKey && e.key.toLowerCase() === 's') {
+        e.preventDefault();
+        saveFilter();
     }
 });
 
-// Called when user edits JAML (not programmatic loads) - invalidates current search
-// No string comparison needed: ANY user edit means the filter might be different!
+// Called when user edits JAML (not programmatic loads). The search stays attached until the
+// edit turns out to change what it searches for (see reviewFilterChange)
 function onUserJamlEdit() {
     if (isProgrammaticEdit) return; // Ignore programmatic setJamlValue calls
 
-    // User edited the JAML - reset dropdown to show they're creating something new
-    const dropdown = document.getElementById('savedSearches');
-    if (dropdown && dropdown.value !== '') {
-        dropdown.value = '';
+    // Edits of a saved filter stay attached to its file until Save / Save As
+    if (currentFilterFile && !filterHasUnsavedEdits) {
+        filterHasUnsavedEdits = true;
+        updateFilterFileButtons();
     }
 
     if (!currentSearchId) return; // No active search to invalidate
 
-    // User edited the JAML - invalidate the search
+    // Nothing to compare against - any edit means the filter might be different
+    if (!currentSearchJaml) {
+        detachFromSearch('Filter changed - ready to start new search');
+        return;
+    }
+    scheduleFilterChangeReview();
+}
+
+// Let go of the current search: the server keeps it (and its results) for the dashboard,
+// the next Start begins whatever the editor holds
+function detachFromSearch(message) {
+    clearTimeout(filterChangeTimer);
+    renderFilterChangeNotice(null);
+    closeSearchStream();
     currentSearchId = null;
     currentSearchJaml = null;
     updateUrlWithSearchId(null); // Clear URL - filter changed
     searchResults = [];
     updateSearchButton('START', 0);
-    showStatus('Filter changed - ready to start new search');
+    if (message) showStatus(message);
 
     // Clear batch override - new filter means fresh start
     const batchInput = document.getElementById('batchOverride');
@@ -216,21 +577,199 @@ function onUserJamlEdit() {
     }
 }
 
+// ================================================
+// Filter Changes - semantic diff of the editor against the search's filter
+// ================================================
+// Comment, layout and description edits keep the search; should score edits can rescore its
+// stored results; anything else is offered as a fork so the old search keeps its results.
+const FILTER_METADATA_KEYS = ['name', 'author', 'description', 'dateCreated', 'verifiedSeed'];
+const FILTER_CHANGE_DELAY_MS = 400;
+
+let filterChangeTimer = null;
+
+function scheduleFilterChangeReview() {
+    clearTimeout(filterChangeTimer);
+    filterChangeTimer = setTimeout(reviewFilterChange, FILTER_CHANGE_DELAY_MS);
+}
+
+// How the editor's filter differs from the one the search ran with: 'same', 'rescore' (only
+// should scores or the score mode), 'changed', 'newSearch' (name, deck or stake - another
+// search ID, so the old one is untouched anyway) or 'invalid' (doesn't parse yet)
+function classifyFilterChange(searchJaml, jaml) {
+    if (typeof jsyaml === 'undefined') return 'changed';
+
+    let before, after;
+    try {
+        before = jsyaml.load(searchJaml);
+        after = jsyaml.load(jaml);
+    } catch (e) {
+        return 'invalid';
+    }
+    if (!isPlainObject(before) || !isPlainObject(after)) return 'invalid';
+
+    const idDefaults = { name: '', deck: 'Red', stake: 'White' };
+    if (Object.entries(idDefaults).some(([key, fallback]) => String(before[key] ?? fallback) !== String(after[key] ?? fallback))) {
+        return 'newSearch';
+    }
+
+    const searched = (data, ignoreScores) => {
+        const copy = { ...data };
+        FILTER_METADATA_KEYS.forEach(key => delete copy[key]);
+        if (ignoreScores) {
+            delete copy.mode;
+            if (isPlainObject(copy.defaults)) {
+                const { score, ...defaults } = copy.defaults;
+                copy.defaults = defaults;
+            }
+            if (Array.isArray(copy.should)) {
+                copy.should = copy.should.map(clause => {
+                    if (!isPlainObject(clause)) return clause;
+                    const { score, ...rest } = clause;
+                    return rest;
+                });
+            }
+        }
+        return copy;
+    };
+
+    if (sameJamlData(searched(before, false), searched(after, false))) return 'same';
+    if (sameJamlData(searched(before, true), searched(after, true))) return 'rescore';
+    return 'changed';
+}
+
+function reviewFilterChange() {
+    clearTimeout(filterChangeTimer);
+    if (!currentSearchId || !currentSearchJaml) {
+        renderFilterChangeNotice(null);
+        return null;
+    }
+
+    const change = classifyFilterChange(currentSearchJaml, getJamlValue().trim());
+    if (change === 'newSearch') {
+        detachFromSearch('Filter renamed - the old search stays in the dashboard, ready to start a new one');
+    } else if (change !== 'invalid') {
+        renderFilterChangeNotice(change);
+    }
+    return change;
+}
+
+function renderFilterChangeNotice(change) {
+    const notice = document.getElementById('filterChangeNotice');
+    if (!notice) return;
+    if (change !== 'rescore' && change !== 'changed') {
+        notice.style.display = 'none';
+        notice.innerHTML = '';
+        return;
+    }
+
+    const message = change === 'rescore'
+        ? 'Only should scores changed since this search started - rescore its results, or fork the edit as a new search.'
+        : 'The filter changed since this search started - fork it as a new search to keep these results, or replace them.';
+    notice.innerHTML = `
+        <span class="filter-change-message">${message}</span>
+        ${change === 'rescore' ? '<button class="button-tiny" onclick="rescoreSearch()">Rescore results</button>' : ''}
+        <button class="button-tiny" onclick="forkSearch()">Fork as new search</button>
+        ${change === 'changed' ? '<button class="button-tiny" onclick="replaceSearchResults()">Replace results</button>' : ''}
+    `;
+    notice.style.display = 'flex';
+}
+
+// Start/Continue with a pending change replaces the search's results - make that a choice
+function confirmFilterChangeBeforeStart() {
+    const change = reviewFilterChange();
+    if (change !== 'rescore' && change !== 'changed') return true;
+    return confirm(`The filter changed since "${currentSearchId}" started - starting replaces its results.\n\nOK to replace them, Cancel to fork or rescore instead.`);
+}
+
+function replaceSearchResults() {
+    detachFromSearch('Filter changed - starting replaces the old results');
+}
+
+async function rescoreSearch() {
+    const searchId = currentSearchId;
+    if (!searchId) return;
+    if (isSearching) await stopSearch();
+
+    const filterJaml = getJamlValue();
+    try {
+        const response = await fetch('/search/rescore', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ searchId, filterJaml })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            showStatus(`❌ Rescore failed: ${data.error || response.statusText}`);
+            return;
+        }
+
+        currentSearchJaml = filterJaml.trim();
+        renderFilterChangeNotice(null);
+        // The stored scores now are what the what-if panel showed - start it over from them
+        resultsGrid.searchWeights = null;
+        resultsGrid.whatIf = null;
+        renderWhatIfPanel();
+        refreshResultsGrid({ resetScroll: true });
+        showStatus(`🔁 Rescored ${data.rescored.toLocaleString()} results of ${searchId}`);
+    } catch (e) {
+        showStatus(`❌ Rescore failed: ${e.message}`);
+    }
+}
+
+// Leave the search and its results as they are and start the edited filter under a new name
+async function forkSearch() {
+    const jaml = getJamlValue();
+    const name = extractFromJaml(jaml, 'name');
+    if (!currentSearchId || !name) {
+        showStatus('Give the filter a name to fork it');
+        return;
+    }
+
+    const deck = extractFromJaml(jaml, 'deck') || 'Red';
+    const stake = extractFromJaml(jaml, 'stake') || 'White';
+    const taken = new Set([currentSearchId]);
+    try {
+        const response = await fetch('/searches');
+        if (response.ok) (await response.json()).searches.forEach(s => taken.add(s.searchId));
+    } catch (e) {
+        // Not clobbering the current search is what matters; the server resolves the rest
+    }
+
+    let forkName = name;
+    do {
+        forkName = extractFromJaml(autoRenameFilter(`name: ${forkName}`), 'name');
+    } while (taken.has(generateSearchId(forkName, deck, stake)));
+
+    const forkedFrom = currentSearchId;
+    if (isSearching) await stopSearch();
+    detachFromSearch(null);
+    setBuilderHeaderField('name', forkName);
+    showStatus(`🍴 Forked ${forkedFrom} as "${forkName}"`);
+    await runSearch();
+}
+
 // ================================================
 // Initialization
 // ================================================
 document.addEventListener('DOMContentLoaded', function() {
+    if (typeof jsyaml === 'undefined') {
+        showEditorWarning('js-yaml could not be loaded (no copy in wwwroot/vendor and the CDN is unreachable). Format, live validation and the builder are unavailable.');
+    }
     loadFilters();
+    loadNativeFilters();
     startTaglineRotation();
+    setupFilterDropZone();
+    restoreFormatOnSave();
     
-    
-    // Load search ID from URL if present and check its status
-    const urlParams = new URLSearchParams(window.location.search);
-    const searchId = urlParams.get('search');
-    if (searchId) {
-        currentSearchId = searchId;
-        checkExistingSearchStatus(searchId);
-    }
+    // A filter link opens the filter; otherwise load search ID from URL if present and check its status
+    loadFilterFromLink().then(loadedFilter => {
+        const urlParams = new URLSearchParams(window.location.search);
+        const searchId = urlParams.get('search');
+        if (!loadedFilter && searchId) {
+            currentSearchId = searchId;
+            checkExistingSearchStatus(searchId);
+        }
+    });
 });
 
 // ================================================
@@ -273,6 +812,13 @@ function switchTab(tabName, tabButton) {
     // Show selected tab and mark button as active
     document.getElementById(tabName + '-tab').classList.add('active');
     if (tabButton) tabButton.classList.add('active');
+
+    // The searches dashboard only polls while it's visible
+    if (tabName === 'searches') {
+        startSearchesDashboard();
+    } else {
+        stopSearchesDashboard();
+    }
 }
 
 // ================================================
@@ -379,6 +925,7 @@ async function continueSearch() {
 }
 
 async function runSearch() {
+    formatJamlBeforeUse();
     let filterJaml = getJamlValue();
     const resultsContainer = document.getElementById('resultsGrid');
 
@@ -391,6 +938,13 @@ async function runSearch() {
         showStatus('Search already running...');
         return;
     }
+    if (!confirmFilterChangeBeforeStart()) return;
+
+    // Seed source (mode, batch range / seed list / sample size) and native filter, if one is picked
+    const source = buildSearchSourceRequest();
+    if (!source) return;
+    const native = buildNativeFilterRequest(filterJaml);
+    if (!native) return;
 
     isSearching = true;
     searchAborted = false;
@@ -407,18 +961,11 @@ async function runSearch() {
         // ONE POST to start search
         showStatus('Starting search...');
 
-        // Check for batch override
-        const batchOverrideInput = document.getElementById('batchOverride');
-        const batchOverride = batchOverrideInput && batchOverrideInput.value ? parseInt(batchOverrideInput.value) : null;
-
         // Check for cutoff override
         const cutoffOverrideInput = document.getElementById('cutoffOverride');
         const cutoffOverride = cutoffOverrideInput && cutoffOverrideInput.value !== '' ? parseInt(cutoffOverrideInput.value) : null;
 
-        const requestBody = { filterJaml, seedCount: 100000000 };
-        if (batchOverride !== null && !isNaN(batchOverride)) {
-            requestBody.startBatch = batchOverride;
-        }
+        const requestBody = { filterJaml, ...source, ...native };
         if (cutoffOverride !== null && !isNaN(cutoffOverride)) {
             requestBody.cutoff = cutoffOverride;
         }
@@ -457,9 +1004,9 @@ async function runSearch() {
         }
 
         // POST /search returns isBackgroundRunning=true, so we KNOW it's running
-        // Start polling after 2s delay - the search IS running, we just need to wait for results
+        // Stream progress right away; if we end up polling, wait 2s for the first results
         showStatus('Search started...');
-        await pollSearchStatus(2000);
+        await watchSearch(2000);
 
     } catch (error) {
         showStatus(`❌ Network error: ${error.message}`);
@@ -469,6 +1016,47 @@ async function runSearch() {
     }
 }
 
+// Update status bar, button and batch/cutoff fields from a progress payload
+// (GET /search response or a /search/stream event). Returns true while the search is running.
+function applySearchProgress(data) {
+    const running = data.isBackgroundRunning === true;
+    const seedsSearched = data.seedsSearched || 0;
+    const seedsPerSecond = data.seedsPerSecond || 0;
+
+    // Format speed nicely (M/s for millions)
+    const speedStr = seedsPerSecond >= 1000000
+        ? `${(seedsPerSecond / 1000000).toFixed(1)}M/s`
+        : seedsPerSecond >= 1000
+            ? `${(seedsPerSecond / 1000).toFixed(0)}K/s`
+            : `${seedsPerSecond.toFixed(0)}/s`;
+
+    // Update batch override field with current position
+    const batchInput = document.getElementById('batchOverride');
+    if (batchInput && data.currentBatch !== undefined && isSequentialProgress(data)) {
+        batchInput.value = data.currentBatch;
+        batchInput.placeholder = `Current: ${data.currentBatch}`;
+    }
+
+    // Update cutoff field with effective cutoff from server
+    const cutoffInput = document.getElementById('cutoffOverride');
+    if (cutoffInput && data.cutoff !== undefined && cutoffInput.value === '') {
+        cutoffInput.placeholder = `Auto (current: ${data.cutoff})`;
+    }
+
+    // Update button and status based on isBackgroundRunning (most reliable)
+    // Use data.seedsFound for accurate count (actual DB count, not capped at 1000)
+    const foundCount = data.seedsFound || searchResults.length;
+    const position = formatSearchPosition(data);
+    if (running) {
+        updateSearchButton('RUNNING', 0);
+        showStatus(`${position} | ${speedStr} | ${(seedsSearched / 1000000).toFixed(1)}M searched | ${foundCount} found`);
+    } else {
+        updateSearchButton('CONTINUE', 0);
+        showStatus(`Stopped at ${position.charAt(0).toLowerCase()}${position.slice(1)} | ${(seedsSearched / 1000000).toFixed(1)}M searched | ${foundCount} found`);
+    }
+    return running;
+}
+
 async function pollSearchStatus(delay = 1000) {
     let pollCount = 0;
 
@@ -485,45 +1073,14 @@ async function pollSearchStatus(delay = 1000) {
             }
 
             const data = await response.json();
-            const running = data.isBackgroundRunning === true;
-            const seedsSearched = data.seedsSearched || 0;
-            const seedsPerSecond = data.seedsPerSecond || 0;
-
-            // Format speed nicely (M/s for millions)
-            const speedStr = seedsPerSecond >= 1000000
-                ? `${(seedsPerSecond / 1000000).toFixed(1)}M/s`
-                : seedsPerSecond >= 1000
-                    ? `${(seedsPerSecond / 1000).toFixed(0)}K/s`
-                    : `${seedsPerSecond.toFixed(0)}/s`;
-
-            // Update batch override field with current position
-            const batchInput = document.getElementById('batchOverride');
-            if (batchInput && data.currentBatch !== undefined) {
-                batchInput.value = data.currentBatch;
-                batchInput.placeholder = `Current: ${data.currentBatch}`;
-            }
-
-            // Update cutoff field with effective cutoff from server
-            const cutoffInput = document.getElementById('cutoffOverride');
-            if (cutoffInput && data.cutoff !== undefined && cutoffInput.value === '') {
-                cutoffInput.placeholder = `Auto (current: ${data.cutoff})`;
-            }
 
             // Update results from DB FIRST so count is accurate
             if (data.results && data.results.length > 0) {
-                mergeResults(data.results);
+                searchResults = data.results;
                 displayResults({ results: searchResults, columns: data.columns });
             }
 
-            // Update button and status based on isBackgroundRunning (most reliable)
-            // Use data.seedsFound for accurate count (actual DB count, not capped at 1000)
-            const foundCount = data.seedsFound || searchResults.length;
-            if (running) {
-                updateSearchButton('RUNNING', 0);
-                showStatus(`Batch ${data.currentBatch || 0} | ${speedStr} | ${(seedsSearched / 1000000).toFixed(1)}M searched | ${foundCount} found`);
-            } else {
-                updateSearchButton('CONTINUE', 0);
-                showStatus(`Stopped at batch ${data.currentBatch || 0} | ${(seedsSearched / 1000000).toFixed(1)}M searched | ${foundCount} found`);
+            if (!applySearchProgress(data)) {
                 isSearching = false;
                 return;
             }
@@ -545,54 +1102,284 @@ async function pollSearchStatus(delay = 1000) {
     }
 }
 
-async function stopSearch() {
-    // Set flags immediately to stop polling
-    isSearching = false;
-    searchAborted = true;
-    
-    if (!currentSearchId) {
-        updateSearchButton('START', 0);
-        showStatus('No search to stop');
-        return;
-    }
-    
+// ================================================
+// Search Source: sequential batches, seed list or random sample
+// ================================================
+function updateSearchModeFields() {
+    const mode = document.getElementById('searchMode').value;
+    document.getElementById('sequentialModeFields').style.display = mode === 'sequential' ? '' : 'none';
+    document.getElementById('listModeFields').style.display = mode === 'list' ? '' : 'none';
+    document.getElementById('randomModeFields').style.display = mode === 'random' ? '' : 'none';
+
+    // Start Batch is a seed-space position - meaningless for lists and random samples
+    const batchInput = document.getElementById('batchOverride');
+    batchInput.disabled = mode !== 'sequential';
+}
+
+// One seed or word per line; for CSVs the first column, skipping a "seed" header row.
+// The server uppercases, drops anything that can't be a seed and removes duplicates.
+function parseSeedList(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.split(/[,;\t]/)[0].trim().replace(/^["']|["']$/g, ''))
+        .filter((seed, i) => seed && !(i === 0 && seed.toLowerCase() === 'seed'));
+}
+
+async function loadSeedListFile(input) {
+    const info = document.getElementById('seedListInfo');
+    const file = input.files && input.files[0];
+    uploadedSeedList = null;
+    info.textContent = '';
+    if (!file) return;
+
     try {
-        const response = await fetch('/search/stop', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ searchId: currentSearchId })
-        });
+        uploadedSeedList = parseSeedList(await file.text());
+        info.textContent = `${uploadedSeedList.length.toLocaleString()} seeds`;
+    } catch (e) {
+        info.textContent = `Could not read ${file.name}: ${e.message}`;
+    }
+}
 
-        if (!response.ok) {
-            const error = await response.json();
-            showStatus(`Error stopping: ${error.error}`);
-            updateSearchButton('START', 0);
-            return;
-        }
+// Seed-source fields of a POST /search or /queue body, or null (after telling the user why)
+// when the chosen mode is missing its input
+function buildSearchSourceRequest() {
+    const mode = document.getElementById('searchMode').value;
 
-        const data = await response.json();
-        showStatus(`${data.message} - ${searchResults.length} results`);
-        
-        // Get current progress from the API to show accurate state
-        const statusResponse = await fetch(`/search?id=${currentSearchId}`);
-        if (statusResponse.ok) {
-            const statusData = await statusResponse.json();
-            const progress = statusData.progressPercent || 0;
-            updateSearchButton('CONTINUE', progress / 100);
+    if (mode === 'list') {
+        if (!uploadedSeedList || uploadedSeedList.length === 0) {
+            showStatus('Choose a wordlist or seed list file first');
+            return null;
+        }
+        return { mode, seeds: uploadedSeedList };
+    }
 
-            // Sync batch input with final position
-            const batchInput = document.getElementById('batchOverride');
-            if (batchInput && statusData.currentBatch !== undefined) {
-                batchInput.value = statusData.currentBatch;
-                batchInput.placeholder = `Current: ${statusData.currentBatch}`;
-            }
-        } else {
-            updateSearchButton('START', 0);
+    if (mode === 'random') {
+        const randomSeeds = parseInt(document.getElementById('randomSeedCount').value);
+        if (isNaN(randomSeeds) || randomSeeds <= 0) {
+            showStatus('Enter how many random seeds to test');
+            return null;
         }
-        
-    } catch (error) {
-        showStatus(`❌ Network error: ${error.message}`);
-        updateSearchButton('START', 0);
+        return { mode, randomSeeds };
+    }
+
+    const source = { mode: 'sequential' };
+    const startBatch = parseInt(document.getElementById('batchOverride').value);
+    const endBatch = parseInt(document.getElementById('endBatchOverride').value);
+    if (!isNaN(startBatch)) source.startBatch = startBatch;
+    if (!isNaN(endBatch)) source.endBatch = endBatch;
+    return source;
+}
+
+// Batch numbers are only a seed-space position (and resumable) for sequential searches
+function isSequentialProgress(data) {
+    return !data.mode || data.mode === 'sequential';
+}
+
+// "Batch 1234 (0.1%)" or "Seed list 42%" for the status bar
+function formatSearchPosition(data) {
+    const percent = data.progressPercent !== undefined ? data.progressPercent : null;
+    if (!isSequentialProgress(data)) {
+        const label = data.mode === 'list' ? 'Seed list' : 'Random sample';
+        return `${label} ${(percent || 0).toFixed(0)}%`;
+    }
+    const batch = `Batch ${data.currentBatch || 0}`;
+    return percent !== null ? `${batch} (${percent.toFixed(percent < 10 ? 2 : 1)}%)` : batch;
+}
+
+// ================================================
+// Native Filters: built-in filters scored by the JAML's should block
+// ================================================
+async function loadNativeFilters() {
+    try {
+        const response = await fetch('/native-filters');
+        if (!response.ok) return;
+        nativeFilters = (await response.json()).filters;
+    } catch (e) {
+        console.error('Failed to load native filters:', e);
+        return;
+    }
+
+    const select = document.getElementById('nativeFilterSelect');
+    select.innerHTML = '<option value="">JAML (must / should)</option>' + nativeFilters.map(f => {
+        const params = f.parameters.map(p => `${p.name}: ${p.value}`).join(', ');
+        const title = params ? `${f.description} (${params})` : f.description;
+        return `<option value="${escapeHtml(f.name)}" title="${escapeHtml(title)}">Native: ${escapeHtml(f.name)}</option>`;
+    }).join('');
+
+    // A native search loaded before the list arrived
+    syncNativeFilterSelect(getJamlValue());
+}
+
+function updateNativeFilterFields() {
+    const select = document.getElementById('nativeFilterSelect');
+    const filter = nativeFilters.find(f => f.name === select.value);
+    document.getElementById('nativeScoringLabel').style.display = filter ? '' : 'none';
+    select.title = filter ? filter.description : 'Run the JAML filter, or a built-in native filter scored by the JAML\'s should block';
+}
+
+// Saved native searches carry a "# native: Name" line at the top of their JAML
+function syncNativeFilterSelect(jaml) {
+    const match = /^#\s*native:\s*(\S+)/m.exec(jaml || '');
+    const select = document.getElementById('nativeFilterSelect');
+    if (match && nativeFilters.some(f => f.name === match[1])) {
+        select.value = match[1];
+    } else if (!match) {
+        select.value = '';
+    }
+    updateNativeFilterFields();
+}
+
+// nativeFilter + scoring JAML fields of a POST /search or /queue body ({} for JAML searches,
+// null when the editor doesn't parse).
+// The native filter decides which seeds pass, so only name, deck, stake and (when ticked) the
+// should block of the editor go along - the server rejects must/mustNot on native searches.
+function buildNativeFilterRequest(filterJaml) {
+    const nativeFilter = document.getElementById('nativeFilterSelect').value;
+    if (!nativeFilter) return {};
+
+    let doc;
+    try {
+        doc = jsyaml.load(filterJaml) || {};
+    } catch (e) {
+        showStatus(`❌ Invalid JAML: ${e.message}`);
+        return null;
+    }
+    const scoring = {};
+    ['name', 'deck', 'stake'].forEach(key => {
+        if (doc[key] !== undefined) scoring[key] = doc[key];
+    });
+    if (document.getElementById('nativeScoring').checked && Array.isArray(doc.should)) {
+        scoring.should = doc.should;
+    }
+    return { nativeFilter, filterJaml: jsyaml.dump(scoring, { lineWidth: -1 }) };
+}
+
+// ================================================
+// Live Search Stream (SSE, falls back to polling)
+// ================================================
+let searchStream = null;
+
+function closeSearchStream() {
+    if (searchStream) {
+        searchStream.close();
+        searchStream = null;
+    }
+}
+
+// Follow the running search over GET /search/stream: one snapshot of the top results, then
+// progress ticks carrying only newly found seeds. If the stream can't open or drops while the
+// search is still running, switch to pollSearchStatus(). Resolves once the search stops.
+function watchSearch(delay = 1000) {
+    if (typeof EventSource === 'undefined') {
+        return pollSearchStatus(delay);
+    }
+
+    closeSearchStream();
+    const searchId = currentSearchId;
+
+    return new Promise(resolve => {
+        const stream = new EventSource(`/search/stream?id=${encodeURIComponent(searchId)}`);
+        searchStream = stream;
+        let finished = false;
+
+        const finish = (fallBackToPolling) => {
+            if (finished) return;
+            finished = true;
+            stream.close();
+            if (searchStream === stream) searchStream = null;
+
+            if (fallBackToPolling && isSearching && !searchAborted && currentSearchId === searchId) {
+                console.warn('Search stream dropped - falling back to polling');
+                resolve(pollSearchStatus(delay));
+            } else {
+                resolve();
+            }
+        };
+
+        stream.addEventListener('snapshot', (e) => {
+            const data = JSON.parse(e.data);
+            if (data.columns) searchColumns = data.columns;
+            if (data.results && data.results.length > 0) {
+                searchResults = data.results; // The server's top results - the grid pages the rest
+                displayResults({ results: searchResults, columns: searchColumns });
+                document.getElementById('shareBtn').disabled = false;
+            }
+        });
+
+        const onProgress = (e) => {
+            if (searchAborted || currentSearchId !== searchId) {
+                finish(false);
+                return;
+            }
+
+            // New seeds only tell the grid to refetch its pages - they aren't kept here, so a long
+            // search doesn't grow the page's memory
+            const data = JSON.parse(e.data);
+            if (data.newResults && data.newResults.length > 0) {
+                displayResults({ results: data.newResults, columns: searchColumns });
+            }
+
+            if (!applySearchProgress(data)) {
+                isSearching = false;
+                finish(false);
+            }
+        };
+        stream.addEventListener('progress', onProgress);
+        stream.addEventListener('done', onProgress);
+
+        // EventSource retries on its own, but a retry can't tell us what we missed - poll instead
+        stream.onerror = () => finish(true);
+    });
+}
+
+async function stopSearch() {
+    // Set flags immediately to stop polling
+    isSearching = false;
+    searchAborted = true;
+    closeSearchStream();
+    
+    if (!currentSearchId) {
+        updateSearchButton('START', 0);
+        showStatus('No search to stop');
+        return;
+    }
+    
+    try {
+        const response = await fetch('/search/stop', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ searchId: currentSearchId })
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            showStatus(`Error stopping: ${error.error}`);
+            updateSearchButton('START', 0);
+            return;
+        }
+
+        const data = await response.json();
+        showStatus(`${data.message} - ${searchResults.length} results`);
+        
+        // Get current progress from the API to show accurate state
+        const statusResponse = await fetch(`/search?id=${currentSearchId}`);
+        if (statusResponse.ok) {
+            const statusData = await statusResponse.json();
+            const progress = statusData.progressPercent || 0;
+            updateSearchButton('CONTINUE', progress / 100);
+
+            // Sync batch input with final position
+            const batchInput = document.getElementById('batchOverride');
+            if (batchInput && statusData.currentBatch !== undefined && isSequentialProgress(statusData)) {
+                batchInput.value = statusData.currentBatch;
+                batchInput.placeholder = `Current: ${statusData.currentBatch}`;
+            }
+        } else {
+            updateSearchButton('START', 0);
+        }
+        
+    } catch (error) {
+        showStatus(`❌ Network error: ${error.message}`);
+        updateSearchButton('START', 0);
     }
 }
 
@@ -613,47 +1400,6 @@ function shareSearch() {
     });
 }
 
-function mergeResults(newResults) {
-    const existingSeeds = new Set(searchResults.map(r => r.seed));
-    for (const result of newResults) {
-        if (!existingSeeds.has(result.seed)) {
-            searchResults.push(result);
-            existingSeeds.add(result.seed);
-        }
-    }
-    
-    // Silently re-apply current sort when new results flow in
-    applySortToResults();
-}
-
-function applySortToResults() {
-    searchResults.sort((a, b) => {
-        let valueA, valueB;
-        
-        if (sortColumn === 'seed') {
-            valueA = a.seed;
-            valueB = b.seed;
-        } else if (sortColumn === 'score') {
-            valueA = a.score;
-            valueB = b.score;
-        } else {
-            // Tally column
-            const colIndex = searchColumns.indexOf(sortColumn);
-            if (colIndex >= 2) {
-                const tallyIndex = colIndex - 2;
-                valueA = a.tallies?.[tallyIndex] || 0;
-                valueB = b.tallies?.[tallyIndex] || 0;
-            } else {
-                return 0;
-            }
-        }
-        
-        if (valueA < valueB) return sortDirection === 'asc' ? -1 : 1;
-        if (valueA > valueB) return sortDirection === 'asc' ? 1 : -1;
-        return 0;
-    });
-}
-
 // ================================================
 // Sorting Functions
 // ================================================
@@ -665,175 +1411,809 @@ function sortResults(column) {
         sortColumn = column;
         sortDirection = column === 'seed' ? 'asc' : 'desc'; // Seeds A-Z by default, scores high-low
     }
-    
-    // Apply sort and re-display
-    applySortToResults();
-    displayResults({ results: searchResults, columns: searchColumns });
+
+    // Sorting happens in DuckDB over every stored result, not just the rows we have
+    renderResultsHeader();
+    refreshResultsGrid({ resetScroll: true });
 }
 
 // ================================================
-// Results Display
+// Results Display - virtualized grid paged from GET /search/results
 // ================================================
+const RESULTS_ROW_HEIGHT = 37;  // px - keep in sync with .results-table.virtual tr height
+const RESULTS_PAGE_SIZE = 200;  // rows per /search/results request
+const RESULTS_OVERSCAN = 10;    // extra rows rendered above/below the viewport
+const RESULTS_BREAKDOWN_HEIGHT = 180;  // px - the expanded score breakdown under a row (.results-breakdown)
+
+const resultsGrid = {
+    searchId: null,
+    columns: [],
+    columnTitles: [],       // header tooltips from the server: what each tally column counts
+    expanded: null,         // { seed, data, error } of the row showing its score breakdown
+    total: 0,
+    loaded: false,          // true once the first page for the current sort/filters arrived
+    pages: new Map(),       // page index -> rows
+    stalePages: new Map(),  // rows from before a live refresh, shown until the fresh page arrives
+    pending: new Set(),     // page indices being fetched
+    generation: 0,          // bumped on sort/filter/refresh so late responses are dropped
+    seedFilter: '',
+    columnFilters: {},      // column index -> raw filter text ("2", ">=2", "<=5", "2-5")
+    searchWeights: null,    // the search's own should weights and score mode, from GET /search/results
+    searchScoreMode: null,
+    whatIf: null,           // { weights, mode } the what-if panel ranks by instead, when they differ
+    refreshTimer: null,
+    filterTimer: null,
+    scrollFrame: null
+};
+
+// Called whenever results change (search start, stream/poll updates, loading a saved search).
+// The rows themselves always come from the server; data.results only tells us whether there is anything yet.
 function displayResults(data) {
     const container = document.getElementById('resultsGrid');
-    
-    if (!data.results || data.results.length === 0) {
+    const columns = data.columns || ['seed', 'score'];
+    searchColumns = columns;
+
+    const hasResults = data.results && data.results.length > 0;
+    if (!currentSearchId || (!hasResults && resultsGrid.searchId !== currentSearchId)) {
+        resultsGrid.searchId = null;
         container.innerHTML = `
             <div class="no-results">
                 <p>🎰 No results yet</p>
-                <p class="help-text">Search is running...</p>
+                <p class="help-text">${currentSearchId ? 'Search is running...' : 'Start a search to see results'}</p>
             </div>
         `;
         return;
     }
 
-    // Store columns for sorting
-    searchColumns = data.columns || ['seed', 'score'];
-    
-    let html = `
-        <table class="results-table">
-            <thead>
-                <tr>
-    `;
-    
-    // Add clickable headers with sort indicators
-    searchColumns.forEach(column => {
-        const isCurrentSort = sortColumn === column;
-        const arrow = isCurrentSort ? (sortDirection === 'asc' ? ' ↑' : ' ↓') : '';
-        const displayName = column === 'seed' ? 'Seed' : 
-                           column === 'score' ? 'Score' : column;
-        html += `<th onclick="sortResults('${column}')" style="cursor: pointer; user-select: none;">${displayName}${arrow}</th>`;
-    });
-    
-    html += `
-                </tr>
-            </thead>
-            <tbody>
-    `;
+    const searchChanged = resultsGrid.searchId !== currentSearchId;
+    const columnsChanged = resultsGrid.columns.join('\n') !== columns.join('\n');
 
-    // Add result rows (show all 1000 from API)
-    const displayResults = data.results;
-    
-    displayResults.forEach(result => {
-        html += `
-            <tr onclick="quickAnalyze('${result.seed}')" style="cursor: pointer;" title="Click to analyze this seed">
-                <td><code>${result.seed}</code></td>
-                <td>${result.score}</td>
-        `;
-        
-        if (result.tallies && result.tallies.length > 0) {
-            result.tallies.forEach(tally => {
-                html += `<td>${tally}</td>`;
-            });
+    if (searchChanged || columnsChanged) {
+        if (searchChanged) {
+            clearCompareSeeds();
+            if (statsTimer) refreshStats();
         }
-        
-        html += '</tr>';
-    });
+        resultsGrid.searchId = currentSearchId;
+        resultsGrid.columns = columns;
+        resultsGrid.seedFilter = '';
+        resultsGrid.columnFilters = {};
+        resultsGrid.columnTitles = [];
+        resultsGrid.expanded = null;
+        resultsGrid.searchWeights = null;
+        resultsGrid.whatIf = null;
+        renderWhatIfPanel();
+        if (!columns.includes(sortColumn)) {
+            sortColumn = 'score';
+            sortDirection = 'desc';
+        }
+        buildResultsGrid();
+        refreshResultsGrid({ resetScroll: true });
+        return;
+    }
+
+    // New seeds while the search runs - refetch what's on screen, at most once a second
+    if (!resultsGrid.refreshTimer) {
+        resultsGrid.refreshTimer = setTimeout(() => {
+            resultsGrid.refreshTimer = null;
+            refreshResultsGrid({ keepRows: true });
+        }, 1000);
+    }
+}
 
-    html += `
-            </tbody>
+function buildResultsGrid() {
+    const container = document.getElementById('resultsGrid');
+    container.innerHTML = `
+        <table class="results-table virtual">
+            <thead id="resultsHead"></thead>
+            <tbody id="resultsBody"></tbody>
         </table>
     `;
+    container.onscroll = () => {
+        if (resultsGrid.scrollFrame) return;
+        resultsGrid.scrollFrame = requestAnimationFrame(() => {
+            resultsGrid.scrollFrame = null;
+            renderResultsRows();
+        });
+    };
+    renderResultsHeader();
+}
+
+// Header row with sort arrows, plus a filter row: seed substring and numeric bounds per score/tally column
+function renderResultsHeader() {
+    const head = document.getElementById('resultsHead');
+    if (!head) return;
+
+    const labels = resultsGrid.columns.map((column, i) => {
+        const arrow = sortColumn === column ? (sortDirection === 'asc' ? ' ↑' : ' ↓') : '';
+        const displayName = column === 'seed' ? 'Seed' : column === 'score' ? 'Score' : column;
+        const title = resultsGrid.columnTitles[i] || displayName;
+        return `<th data-sort="${escapeHtml(column)}" onclick="sortResults(this.dataset.sort)" title="${escapeHtml(title)}" style="cursor: pointer; user-select: none;">${escapeHtml(displayName)}${arrow}</th>`;
+    }).join('');
+
+    const filters = resultsGrid.columns.map((column, i) => {
+        if (i === 0) {
+            return `<th class="results-filter"><input type="text" data-column="0" value="${escapeHtml(resultsGrid.seedFilter)}" placeholder="Seed contains" oninput="onResultsFilterInput()" maxlength="8"></th>`;
+        }
+        const value = resultsGrid.columnFilters[i] || '';
+        return `<th class="results-filter"><input type="text" data-column="${i}" value="${escapeHtml(value)}" placeholder="≥" title="2 → at least 2, <=5 → at most 5, 2-5 → between" oninput="onResultsFilterInput()"></th>`;
+    }).join('');
+
+    head.innerHTML = `<tr>${labels}</tr><tr class="results-filter-row">${filters}</tr>`;
+}
+
+function onResultsFilterInput() {
+    clearTimeout(resultsGrid.filterTimer);
+    resultsGrid.filterTimer = setTimeout(() => {
+        document.querySelectorAll('#resultsHead .results-filter input').forEach(input => {
+            const column = parseInt(input.dataset.column);
+            if (column === 0) {
+                resultsGrid.seedFilter = input.value.trim();
+            } else if (input.value.trim()) {
+                resultsGrid.columnFilters[column] = input.value.trim();
+            } else {
+                delete resultsGrid.columnFilters[column];
+            }
+        });
+        refreshResultsGrid({ resetScroll: true });
+    }, 300);
+}
+
+// "2" / ">=2" / "≥2" → min 2, "<=5" / "≤5" → max 5, "2-5" → both. Anything else is ignored.
+function parseResultsColumnFilter(text) {
+    let match = text.match(/^(?:>=|≥|>)?\s*(-?\d+)$/);
+    if (match) return { min: parseInt(match[1]) + (text.startsWith('>') && !text.startsWith('>=') ? 1 : 0) };
+    match = text.match(/^(?:<=|≤|<)\s*(-?\d+)$/);
+    if (match) return { max: parseInt(match[1]) - (text.startsWith('<') && !text.startsWith('<=') ? 1 : 0) };
+    match = text.match(/^(-?\d+)\s*-\s*(-?\d+)$/);
+    if (match) return { min: parseInt(match[1]), max: parseInt(match[2]) };
+    return {};
+}
+
+function buildResultsQuery(offset, limit) {
+    const params = new URLSearchParams({
+        id: resultsGrid.searchId,
+        offset,
+        limit,
+        sort: sortColumn,
+        dir: sortDirection
+    });
+    if (resultsGrid.seedFilter) params.set('seed', resultsGrid.seedFilter);
+    Object.entries(resultsGrid.columnFilters).forEach(([column, text]) => {
+        const { min, max } = parseResultsColumnFilter(text);
+        if (min !== undefined) params.set(`min${column}`, min);
+        if (max !== undefined) params.set(`max${column}`, max);
+    });
+    if (resultsGrid.whatIf) {
+        params.set('weights', resultsGrid.whatIf.weights.join(','));
+        params.set('scoreMode', resultsGrid.whatIf.mode);
+    }
+    return params.toString();
+}
 
-    if (data.results.length > maxRows) {
-        html += `<div class="info-text">Showing top ${maxRows} of ${data.results.length} results</div>`;
+// Drop cached pages and refetch the visible ones. keepRows leaves the old rows on screen
+// until fresh ones arrive (live updates); sort/filter changes clear them straight away.
+function refreshResultsGrid({ resetScroll = false, keepRows = false } = {}) {
+    if (!resultsGrid.searchId) return;
+
+    resultsGrid.generation++;
+    resultsGrid.stalePages = keepRows ? new Map([...resultsGrid.stalePages, ...resultsGrid.pages]) : new Map();
+    resultsGrid.pages = new Map();
+    resultsGrid.pending = new Set();
+    if (!keepRows) {
+        resultsGrid.loaded = false;
+        resultsGrid.expanded = null;
     }
 
-    container.innerHTML = html;
+    if (resetScroll) {
+        document.getElementById('resultsGrid').scrollTop = 0;
+    }
+    renderResultsRows();
 }
 
-// ================================================
-// Filter Management
-// ================================================
-async function loadFilters() {
+async function fetchResultsPage(page) {
+    if (resultsGrid.pending.has(page)) return;
+
+    const generation = resultsGrid.generation;
+    resultsGrid.pending.add(page);
+
     try {
-        const response = await fetch('/filters');
-        if (response.ok) {
-            savedFilters = await response.json();
-            const dropdown = document.getElementById('savedSearches');
-            dropdown.innerHTML = '<option value="">Select a saved search...</option>';
-            savedFilters.forEach((filter, i) => {
-                dropdown.innerHTML += `<option value="${i}">${filter.name}</option>`;
+        const response = await fetch(`/search/results?${buildResultsQuery(page * RESULTS_PAGE_SIZE, RESULTS_PAGE_SIZE)}`);
+        const data = await response.json();
+        if (generation !== resultsGrid.generation) return; // Sort/filter/refresh happened meanwhile
+
+        if (!response.ok) {
+            showStatus(`❌ Failed to load results: ${data.error}`);
+            return;
+        }
+
+        resultsGrid.pages.set(page, data.results);
+        resultsGrid.total = data.total;
+        resultsGrid.loaded = true;
+        if (data.columnTitles && resultsGrid.columnTitles.length === 0) {
+            // Set the tooltips in place - re-rendering the header would drop focus from its filter inputs
+            resultsGrid.columnTitles = data.columnTitles;
+            document.querySelectorAll('#resultsHead th[data-sort]').forEach((th, i) => {
+                if (data.columnTitles[i]) th.title = data.columnTitles[i];
             });
         }
-    } catch (e) {
-        console.error('Failed to load filters:', e);
+        if (data.weights && !resultsGrid.searchWeights) {
+            resultsGrid.searchWeights = data.weights;
+            resultsGrid.searchScoreMode = data.scoreMode;
+            renderWhatIfPanel();
+        }
+        renderResultsRows();
+    } catch (error) {
+        console.error('Failed to load results page:', error);
+    } finally {
+        if (generation === resultsGrid.generation) resultsGrid.pending.delete(page);
     }
 }
 
-async function loadSavedSearch() {
-    const dropdown = document.getElementById('savedSearches');
-    const idx = dropdown.value;
-    
-    // STOP any currently running search first
-    if (isSearching && currentSearchId) {
-        showStatus('🛑 Stopping current search...');
-        searchAborted = true;
-        isSearching = false;
-        
-        try {
-            await fetch('/search/stop', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ searchId: currentSearchId })
-            });
-        } catch (e) {
-            console.error('Failed to stop search:', e);
-        }
+// Render only the rows in (or near) the viewport; spacer rows keep the scrollbar true to the full result count
+function renderResultsRows() {
+    const container = document.getElementById('resultsGrid');
+    const body = document.getElementById('resultsBody');
+    if (!body) return;
+
+    const columnCount = resultsGrid.columns.length;
+    const headHeight = document.getElementById('resultsHead').offsetHeight;
+    const viewportRows = Math.ceil(container.clientHeight / RESULTS_ROW_HEIGHT);
+    const expandedIndex = expandedResultIndex();
+
+    // Rows below an open breakdown sit RESULTS_BREAKDOWN_HEIGHT further down
+    let scrolledPx = Math.max(0, container.scrollTop - headHeight);
+    if (expandedIndex >= 0 && scrolledPx > (expandedIndex + 1) * RESULTS_ROW_HEIGHT) {
+        scrolledPx = Math.max((expandedIndex + 1) * RESULTS_ROW_HEIGHT, scrolledPx - RESULTS_BREAKDOWN_HEIGHT);
     }
-    
-    if (idx === '') {
-        setJamlValue('');
-        updateSearchButton('START', 0);
-        currentSearchId = null;
-        currentSearchJaml = null;
-        updateUrlWithSearchId(null); // Clear URL param
-        searchResults = [];
-        displayResults({ results: [], columns: ['seed', 'score'] });
-        return;
+    const scrolledRows = Math.floor(scrolledPx / RESULTS_ROW_HEIGHT);
+
+    // Until the first page arrives we don't know the total - fetch page 0 and show a loading row
+    const total = resultsGrid.loaded || resultsGrid.stalePages.size > 0 ? resultsGrid.total : 0;
+    const first = Math.max(0, Math.min(scrolledRows - RESULTS_OVERSCAN, total - viewportRows));
+    const last = Math.min(total, scrolledRows + viewportRows + RESULTS_OVERSCAN);
+
+    for (let page = Math.floor(first / RESULTS_PAGE_SIZE); page <= Math.floor(Math.max(first, last - 1) / RESULTS_PAGE_SIZE); page++) {
+        if (!resultsGrid.pages.has(page)) fetchResultsPage(page);
     }
 
-    const filter = savedFilters[parseInt(idx)];
-    if (filter && filter.filterJaml) {
-        setJamlValue(filter.filterJaml);
+    updateResultsCount();
 
-        // Use server-provided searchId (guaranteed to match what LoadSavedFilters generated)
-        // Fallback to generating our own if server didn't provide one (shouldn't happen)
-        const searchId = filter.searchId || generateSearchId(
-            filter.name || 'unnamed',
-            extractFromJaml(filter.filterJaml, 'deck') || 'Red',
-            extractFromJaml(filter.filterJaml, 'stake') || 'White'
-        );
+    if (total === 0) {
+        const filtered = resultsGrid.seedFilter || Object.keys(resultsGrid.columnFilters).length > 0;
+        const message = !resultsGrid.loaded ? 'Loading results...'
+            : filtered ? 'No results match these filters'
+            : isSearching ? 'Search is running...' : 'No results yet';
+        body.innerHTML = `<tr><td colspan="${columnCount}" class="results-empty">${message}</td></tr>`;
+        return;
+    }
 
-        // Check if this search exists and get its status
-        try {
-            const response = await fetch(`/search?id=${searchId}`);
-            if (response.ok) {
-                const data = await response.json();
-                currentSearchId = searchId;
-                updateUrlWithSearchId(currentSearchId); // Sync URL
-                // Use server's JAML as source of truth for what built the results
-                currentSearchJaml = data.filterJaml ? data.filterJaml.trim() : filter.filterJaml.trim();
+    const topSpacer = first * RESULTS_ROW_HEIGHT + (expandedIndex >= 0 && expandedIndex < first ? RESULTS_BREAKDOWN_HEIGHT : 0);
+    let html = first > 0 ? `<tr class="results-spacer" style="height: ${topSpacer}px"><td colspan="${columnCount}"></td></tr>` : '';
 
-                // Show existing results if any
-                if (data.results && data.results.length > 0) {
-                    searchResults = data.results;
-                    displayResults({ results: searchResults, columns: data.columns });
-                    document.getElementById('shareBtn').disabled = false;
-                }
+    for (let i = first; i < last; i++) {
+        const page = Math.floor(i / RESULTS_PAGE_SIZE);
+        const rows = resultsGrid.pages.get(page) || resultsGrid.stalePages.get(page);
+        const result = rows ? rows[i % RESULTS_PAGE_SIZE] : null;
 
-                // Auto-fill batch override with current batch position (user can still override)
-                const batchOverrideInput = document.getElementById('batchOverride');
-                if (batchOverrideInput && data.currentBatch !== undefined) {
-                    batchOverrideInput.value = data.currentBatch;
-                    batchOverrideInput.placeholder = `Current: ${data.currentBatch}`;
-                }
+        if (!result) {
+            html += `<tr class="results-loading"><td colspan="${columnCount}">…</td></tr>`;
+            continue;
+        }
 
-                // Show current effective cutoff in placeholder (don't auto-fill to avoid spam)
-                const cutoffOverrideInput = document.getElementById('cutoffOverride');
-                if (cutoffOverrideInput && data.cutoff !== undefined) {
-                    // Only set value if user hasn't filled it in yet
-                    if (cutoffOverrideInput.value === '') {
+        const picked = compareSeeds.includes(result.seed) ? ' checked' : '';
+        const isExpanded = i === expandedIndex;
+        html += `
+            <tr onclick="quickAnalyze('${result.seed}')" style="cursor: pointer;" title="Click to analyze this seed"${isExpanded ? ' class="expanded"' : ''}>
+                <td><input type="checkbox" class="compare-pick"${picked} onclick="event.stopPropagation(); toggleCompareSeed('${result.seed}', this)" title="Compare this seed"><code>${result.seed}</code></td>
+                <td><button class="row-expand" onclick="event.stopPropagation(); toggleResultBreakdown('${result.seed}')" title="Score breakdown">${isExpanded ? '▾' : '▸'}</button>${result.score}</td>
+                ${(result.tallies || []).slice(0, columnCount - 2).map(tally => `<td>${tally}</td>`).join('')}
+            </tr>
+        `;
+        if (isExpanded) {
+            html += `
+            <tr class="results-breakdown" style="height: ${RESULTS_BREAKDOWN_HEIGHT}px">
+                <td colspan="${columnCount}"><div class="results-breakdown-body" style="height: ${RESULTS_BREAKDOWN_HEIGHT}px">${renderResultBreakdown(resultsGrid.expanded)}</div></td>
+            </tr>
+        `;
+        }
+    }
+
+    if (last < total) {
+        const bottomSpacer = (total - last) * RESULTS_ROW_HEIGHT + (expandedIndex >= last ? RESULTS_BREAKDOWN_HEIGHT : 0);
+        html += `<tr class="results-spacer" style="height: ${bottomSpacer}px"><td colspan="${columnCount}"></td></tr>`;
+    }
+
+    body.innerHTML = html;
+}
+
+// Grid index of the row with the open breakdown, or -1 when none is open or its page isn't loaded.
+// Looked up by seed so the breakdown follows its row when live results push it down.
+function expandedResultIndex() {
+    const expanded = resultsGrid.expanded;
+    if (!expanded) return -1;
+    for (const pages of [resultsGrid.pages, resultsGrid.stalePages]) {
+        for (const [page, rows] of pages) {
+            const index = rows.findIndex(row => row.seed === expanded.seed);
+            if (index >= 0) return page * RESULTS_PAGE_SIZE + index;
+        }
+    }
+    return -1;
+}
+
+async function toggleResultBreakdown(seed) {
+    if (resultsGrid.expanded && resultsGrid.expanded.seed === seed) {
+        resultsGrid.expanded = null;
+        renderResultsRows();
+        return;
+    }
+
+    const expanded = { seed, data: null, error: null };
+    resultsGrid.expanded = expanded;
+    renderResultsRows();
+
+    try {
+        const response = await fetch(`/search/breakdown?${new URLSearchParams({ id: resultsGrid.searchId, seed })}`);
+        const data = await response.json();
+        if (!response.ok) {
+            expanded.error = data.error || response.statusText;
+        } else {
+            expanded.data = data;
+        }
+    } catch (error) {
+        expanded.error = error.message;
+    }
+
+    if (resultsGrid.expanded === expanded) renderResultsRows();
+}
+
+// Per-should-clause points for one seed, scored the way the search's mode scores them
+function renderResultBreakdown(expanded) {
+    if (expanded.error) {
+        return `<div class="status-message error">Breakdown failed: ${escapeHtml(expanded.error)}</div>`;
+    }
+    const data = expanded.data;
+    if (!data) {
+        return '<div class="results-empty">Scoring clauses...</div>';
+    }
+    if (data.clauses.length === 0) {
+        return '<div class="results-empty">This filter has no should clauses - every seed scores 0.</div>';
+    }
+
+    const maxCount = data.scoreMode === 'MaxCount';
+    const rows = data.clauses.map((clause, i) => {
+        const where = clause.locations.length > 0
+            ? clause.locations.map(describeClauseLocation).join(', ')
+            : (clause.matched ? `antes ${clause.antes.join(', ')}` : '');
+        // MaxCount credits the seed's score to the first clause with the highest count
+        const points = maxCount
+            ? (clause.score > 0 ? `<strong>${clause.score}</strong> (top count)` : '0')
+            : `${clause.count} × ${clause.clauseScore} = <strong>${clause.score}</strong>`;
+        return `
+            <tr class="${clause.count > 0 ? '' : 'breakdown-miss'}">
+                <td>${escapeHtml(data.columns[i] || clause.path)}</td>
+                <td>${escapeHtml(clause.label)}</td>
+                <td>${clause.count}</td>
+                <td class="clause-score">${points}</td>
+                <td class="clause-where">${escapeHtml(where)}</td>
+            </tr>
+        `;
+    }).join('');
+
+    const modeNote = maxCount ? 'MaxCount: score is the highest count of any clause' : 'Sum of count × score';
+
+    return `
+        <table class="clause-table">
+            <thead><tr><th>Column</th><th>Clause</th><th>Count</th><th>Points</th><th>Where</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <div class="breakdown-total">${modeNote}: <strong>${data.score}</strong></div>
+    `;
+}
+
+function updateResultsCount() {
+    const count = document.getElementById('resultsCount');
+    if (!count) return;
+    const filtered = resultsGrid.seedFilter || Object.keys(resultsGrid.columnFilters).length > 0;
+    count.textContent = resultsGrid.searchId && resultsGrid.loaded
+        ? `${resultsGrid.total.toLocaleString()} ${filtered ? 'matching' : 'results'}`
+        : '';
+}
+
+// ================================================
+// What-if Scoring - re-rank stored results with other should weights
+// ================================================
+// The server rescores every stored result from its tallies at query time (weights/scoreMode on
+// GET /search/results), so nothing is re-searched and the stored scores stay as they are until
+// the weights are written into the filter and rescored.
+let whatIfTimer = null;
+
+function toggleWhatIfPanel() {
+    const panel = document.getElementById('whatIfPanel');
+    const show = panel.style.display === 'none';
+    panel.style.display = show ? 'block' : 'none';
+    document.getElementById('whatIfBtn').classList.toggle('active', show);
+    if (show) renderWhatIfPanel();
+}
+
+function renderWhatIfPanel() {
+    const panel = document.getElementById('whatIfPanel');
+    if (!panel || panel.style.display === 'none') return;
+
+    const clauses = resultsGrid.columns.slice(2);
+    if (!resultsGrid.searchId || !resultsGrid.searchWeights) {
+        panel.innerHTML = '<p class="help-text">Load a search\'s results to try other weights on them</p>';
+        return;
+    }
+    if (clauses.length === 0) {
+        panel.innerHTML = '<p class="help-text">This filter has no should clauses to weight</p>';
+        return;
+    }
+
+    const whatIf = resultsGrid.whatIf || { weights: resultsGrid.searchWeights, mode: resultsGrid.searchScoreMode };
+    const maxCount = whatIf.mode === 'MaxCount';
+    const rows = clauses.map((column, i) => {
+        const was = resultsGrid.searchWeights[i];
+        const title = resultsGrid.columnTitles[i + 2] || column;
+        return `
+            <tr>
+                <td class="whatif-clause" title="${escapeHtml(title)}">${escapeHtml(column)}</td>
+                <td><input type="number" class="whatif-weight" data-index="${i}" value="${whatIf.weights[i]}" oninput="updateWhatIf()" ${maxCount ? 'disabled' : ''}></td>
+                <td class="help-text">was ${was}</td>
+            </tr>
+        `;
+    }).join('');
+
+    panel.innerHTML = `
+        <div class="whatif-header">
+            <label>Score mode
+                <select id="whatIfMode" onchange="updateWhatIf()">
+                    <option value="Sum" ${maxCount ? '' : 'selected'}>Sum (tally × weight)</option>
+                    <option value="MaxCount" ${maxCount ? 'selected' : ''}>MaxCount (highest tally)</option>
+                </select>
+            </label>
+            <span id="whatIfState" class="whatif-state"></span>
+            <button class="button-tiny" onclick="resetWhatIf()">Reset</button>
+            <button class="button-tiny" onclick="writeWhatIfToFilter()" title="Set these weights and mode on the filter in the editor">Write to filter</button>
+        </div>
+        <table class="whatif-clauses">
+            <thead><tr><th>Should clause</th><th>Weight</th><th></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    renderWhatIfState();
+}
+
+function renderWhatIfState() {
+    const state = document.getElementById('whatIfState');
+    if (!state) return;
+    state.textContent = resultsGrid.whatIf ? 'Ranking by what-if scores (not saved)' : 'Ranking by the search\'s own scores';
+    state.classList.toggle('active', !!resultsGrid.whatIf);
+}
+
+function updateWhatIf() {
+    const mode = document.getElementById('whatIfMode').value;
+    const inputs = document.querySelectorAll('#whatIfPanel .whatif-weight');
+    const weights = Array.from(inputs).map((input, i) => {
+        const weight = parseInt(input.value, 10);
+        return isNaN(weight) ? resultsGrid.searchWeights[i] : weight;
+    });
+    inputs.forEach(input => { input.disabled = mode === 'MaxCount'; });
+
+    const unchanged = mode === resultsGrid.searchScoreMode
+        && (mode === 'MaxCount' || weights.every((weight, i) => weight === resultsGrid.searchWeights[i]));
+    resultsGrid.whatIf = unchanged ? null : { weights, mode };
+    renderWhatIfState();
+
+    clearTimeout(whatIfTimer);
+    whatIfTimer = setTimeout(() => refreshResultsGrid({ resetScroll: true }), 250);
+}
+
+function resetWhatIf() {
+    const wasActive = !!resultsGrid.whatIf;
+    resultsGrid.whatIf = null;
+    renderWhatIfPanel();
+    if (wasActive) refreshResultsGrid({ resetScroll: true });
+}
+
+// Set the what-if weights and mode on the editor's filter - the filter change notice then
+// offers to rescore the stored results for good
+function writeWhatIfToFilter() {
+    const whatIf = resultsGrid.whatIf;
+    if (!whatIf) {
+        showStatus('Weights match the search - nothing to write');
+        return;
+    }
+
+    let text = getBuilderJamlText();
+    const should = parseJamlClauseBlocks(text).sections.should;
+    if (!should || should.clauses.length !== whatIf.weights.length) {
+        showStatus('❌ The editor\'s should clauses don\'t line up with these results - load the search\'s filter first');
+        return;
+    }
+
+    whatIf.weights.forEach((weight, i) => {
+        if (weight !== resultsGrid.searchWeights[i]) text = setJamlClauseField(text, `should[${i}]`, 'score', weight);
+    });
+    writeJamlFromBuilder(text);
+    if (whatIf.mode !== resultsGrid.searchScoreMode) {
+        setBuilderHeaderField('mode', whatIf.mode === 'MaxCount' ? 'max' : 'sum');
+    }
+    showStatus('✏️ Wrote the what-if weights into the filter - rescore to keep them with the results');
+}
+
+// ================================================
+// Search Statistics - charts are plain SVG, no chart library
+// ================================================
+let statsTimer = null;
+let lastStats = null;  // Last GET /search/stats response, kept for the ETA as the target changes
+
+function toggleStatsPanel() {
+    const panel = document.getElementById('statsPanel');
+    const show = panel.style.display === 'none';
+    panel.style.display = show ? 'block' : 'none';
+    document.getElementById('statsBtn').classList.toggle('active', show);
+
+    clearInterval(statsTimer);
+    statsTimer = null;
+    if (show) {
+        refreshStats();
+        statsTimer = setInterval(refreshStats, 5000);
+    }
+}
+
+async function refreshStats() {
+    const charts = document.getElementById('statsCharts');
+    if (!currentSearchId) {
+        lastStats = null;
+        charts.innerHTML = '<p class="help-text">Start or load a search to see its statistics</p>';
+        renderStatsEta();
+        return;
+    }
+
+    try {
+        const response = await fetch(`/search/stats?id=${encodeURIComponent(currentSearchId)}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || response.statusText);
+        if (data.searchId !== currentSearchId) return; // Switched searches while it loaded
+
+        lastStats = data;
+        charts.innerHTML = renderStats(data);
+        renderStatsEta();
+    } catch (error) {
+        charts.innerHTML = `<p class="help-text">Failed to load statistics: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderStats(data) {
+    const history = data.history;
+    const found = history.map(sample => ({ x: sample.seconds, y: sample.found }));
+    const speed = history.map(sample => ({ x: sample.seconds, y: sample.seedsPerSecond }));
+    const runNote = history.length > 1 ? '' : '<p class="help-text">Over-time charts fill in while the search runs</p>';
+
+    return `
+        <div class="stats-chart">
+            <div class="stats-title">Score distribution (${data.scoreHistogram.reduce((sum, bin) => sum + bin.count, 0).toLocaleString()} stored)</div>
+            ${renderScoreHistogram(data.scoreHistogram)}
+        </div>
+        <div class="stats-chart">
+            <div class="stats-title">Must clause match rate${data.mustRates ? ` (${data.mustRates.sampled.toLocaleString()} random seeds)` : ''}</div>
+            ${data.mustRates ? renderMustRates(data.mustRates) : '<p class="help-text">Sampled once the search is paused - the sample would compete with it for the CPU</p>'}
+        </div>
+        <div class="stats-chart">
+            <div class="stats-title">Found this run</div>
+            ${runNote || renderLineChart(found, value => Math.round(value).toLocaleString())}
+        </div>
+        <div class="stats-chart">
+            <div class="stats-title">Throughput</div>
+            ${runNote || renderLineChart(speed, formatSeedsPerSecond)}
+        </div>
+    `;
+}
+
+// Scores are usually a handful of distinct values; wide ranges get grouped into equal-width bins
+function renderScoreHistogram(histogram) {
+    if (histogram.length === 0) return '<p class="help-text">No results stored yet</p>';
+
+    const MAX_BINS = 30;
+    const min = histogram[0].score;
+    const max = histogram[histogram.length - 1].score;
+    let bins = histogram.map(bin => ({ label: `${bin.score}`, count: bin.count }));
+
+    if (histogram.length > MAX_BINS) {
+        const width = Math.ceil((max - min + 1) / MAX_BINS);
+        bins = Array.from({ length: Math.ceil((max - min + 1) / width) }, (_, i) => {
+            const from = min + i * width;
+            return { label: width > 1 ? `${from}-${from + width - 1}` : `${from}`, count: 0 };
+        });
+        histogram.forEach(bin => { bins[Math.floor((bin.score - min) / width)].count += bin.count; });
+    }
+
+    const W = 300, H = 110, BOTTOM = 14;
+    const top = Math.max(...bins.map(bin => bin.count));
+    const barWidth = W / bins.length;
+    const bars = bins.map((bin, i) => {
+        const height = bin.count > 0 ? Math.max(1, (bin.count / top) * (H - BOTTOM - 10)) : 0;
+        return `<rect x="${(i * barWidth + 1).toFixed(1)}" y="${(H - BOTTOM - height).toFixed(1)}" width="${Math.max(1, barWidth - 2).toFixed(1)}" height="${height.toFixed(1)}" class="stats-bar"><title>score ${escapeHtml(bin.label)}: ${bin.count.toLocaleString()}</title></rect>`;
+    }).join('');
+
+    return `
+        <svg viewBox="0 0 ${W} ${H}" class="stats-svg">
+            ${bars}
+            <text x="0" y="8" class="stats-axis">${top.toLocaleString()}</text>
+            <text x="0" y="${H - 2}" class="stats-axis">${min}</text>
+            <text x="${W}" y="${H - 2}" class="stats-axis" text-anchor="end">${max}</text>
+        </svg>
+    `;
+}
+
+// Each clause on its own, plus the funnel: seeds passing every must clause up to this one.
+// The clause whose funnel step keeps the smallest share of the seeds before it is the bottleneck.
+function renderMustRates(mustRates) {
+    if (mustRates.clauses.length === 0) return '<p class="help-text">This search has no must clauses</p>';
+
+    const sampled = mustRates.sampled || 1;
+    const steps = mustRates.clauses.map((clause, i) => {
+        const before = i === 0 ? sampled : mustRates.clauses[i - 1].funnel;
+        return before > 0 ? clause.funnel / before : 1;
+    });
+    const bottleneck = steps.indexOf(Math.min(...steps));
+
+    const percent = count => {
+        const value = count / sampled * 100;
+        return count === 0 ? `0 of ${sampled.toLocaleString()}` : value < 0.1 ? `${value.toFixed(3)}%` : `${value.toFixed(1)}%`;
+    };
+
+    const rows = mustRates.clauses.map((clause, i) => `
+        <tr class="${i === bottleneck ? 'stats-bottleneck' : ''}" title="${i === bottleneck ? 'Bottleneck: keeps the smallest share of the seeds that got this far' : ''}">
+            <td><a href="#" class="clause-path" onclick="revealClauseInEditor('${clause.path}'); return false;">${clause.path}</a></td>
+            <td>${escapeHtml(clause.label)}</td>
+            <td class="stats-rate"><span class="stats-rate-bar" style="width: ${(clause.matched / sampled * 100).toFixed(1)}%"></span>${percent(clause.matched)}</td>
+            <td class="clause-score">${percent(clause.funnel)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <table class="clause-table">
+            <thead><tr><th>Clause</th><th>Item</th><th>Alone</th><th>Funnel</th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+function renderLineChart(points, formatValue) {
+    const W = 300, H = 110, BOTTOM = 14;
+    const maxX = points[points.length - 1].x || 1;
+    const maxY = Math.max(...points.map(p => p.y)) || 1;
+    const path = points
+        .map(p => `${(p.x / maxX * W).toFixed(1)},${(H - BOTTOM - p.y / maxY * (H - BOTTOM - 10)).toFixed(1)}`)
+        .join(' ');
+
+    return `
+        <svg viewBox="0 0 ${W} ${H}" class="stats-svg">
+            <polyline points="${path}" class="stats-line" />
+            <text x="0" y="8" class="stats-axis">${escapeHtml(formatValue(maxY))}</text>
+            <text x="0" y="${H - 2}" class="stats-axis">0</text>
+            <text x="${W}" y="${H - 2}" class="stats-axis" text-anchor="end">${formatDuration(maxX)}</text>
+        </svg>
+    `;
+}
+
+// Time to reach the target number of stored results at this run's find rate
+function renderStatsEta() {
+    const eta = document.getElementById('statsEta');
+    const target = parseInt(document.getElementById('statsTarget').value);
+    if (!lastStats || !(target > 0)) {
+        eta.textContent = '-';
+        return;
+    }
+
+    const stored = lastStats.scoreHistogram.reduce((sum, bin) => sum + bin.count, 0);
+    const history = lastStats.history;
+    const first = history[0];
+    const last = history[history.length - 1];
+    const rate = history.length > 1 && last.seconds > first.seconds
+        ? (last.found - first.found) / (last.seconds - first.seconds)
+        : 0;
+
+    eta.textContent = stored >= target ? `reached (${stored.toLocaleString()} stored)`
+        : !lastStats.running ? 'search is not running'
+        : rate > 0 ? `~${formatDuration((target - stored) / rate)} (${(rate * 3600).toFixed(rate * 3600 < 10 ? 1 : 0)} found/hour)`
+        : 'no seeds found this run yet';
+}
+
+function formatDuration(seconds) {
+    if (seconds < 60) return `${Math.round(seconds)}s`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor(seconds % 3600 / 60)}m`;
+    return `${Math.floor(seconds / 86400)}d ${Math.floor(seconds % 86400 / 3600)}h`;
+}
+
+// ================================================
+// Filter Management
+// ================================================
+async function loadFilters() {
+    try {
+        const response = await fetch('/filters');
+        if (response.ok) {
+            savedFilters = await response.json();
+            const dropdown = document.getElementById('savedSearches');
+            dropdown.innerHTML = '<option value="">Select a saved search...</option>';
+            savedFilters.forEach((filter, i) => {
+                dropdown.innerHTML += `<option value="${i}">${filter.name}</option>`;
+            });
+        }
+    } catch (e) {
+        console.error('Failed to load filters:', e);
+    }
+}
+
+async function loadSavedSearch() {
+    const dropdown = document.getElementById('savedSearches');
+    const idx = dropdown.value;
+    
+    // Stop following the running search - it keeps going on the server (Searches tab can stop it)
+    if (isSearching && currentSearchId) {
+        searchAborted = true;
+        isSearching = false;
+        closeSearchStream();
+    }
+    
+    if (idx === '') {
+        setCurrentFilterFile(null);
+        setJamlValue('');
+        updateSearchButton('START', 0);
+        currentSearchId = null;
+        currentSearchJaml = null;
+        updateUrlWithSearchId(null); // Clear URL param
+        searchResults = [];
+        displayResults({ results: [], columns: ['seed', 'score'] });
+        return;
+    }
+
+    const filter = savedFilters[parseInt(idx)];
+    if (filter && filter.filterJaml) {
+        setJamlValue(filter.filterJaml);
+        syncNativeFilterSelect(filter.filterJaml);
+        // JSON filters are read-only here - Save on them becomes Save As
+        setCurrentFilterFile(filter.filePath.endsWith('.jaml') ? filter.filePath : null);
+
+        // Use server-provided searchId (guaranteed to match what LoadSavedFilters generated)
+        // Fallback to generating our own if server didn't provide one (shouldn't happen)
+        const searchId = filter.searchId || generateSearchId(
+            filter.name || 'unnamed',
+            extractFromJaml(filter.filterJaml, 'deck') || 'Red',
+            extractFromJaml(filter.filterJaml, 'stake') || 'White'
+        );
+
+        // Check if this search exists and get its status
+        try {
+            const response = await fetch(`/search?id=${searchId}`);
+            if (response.ok) {
+                const data = await response.json();
+                currentSearchId = searchId;
+                updateUrlWithSearchId(currentSearchId); // Sync URL
+                // Use server's JAML as source of truth for what built the results
+                currentSearchJaml = data.filterJaml ? data.filterJaml.trim() : filter.filterJaml.trim();
+
+                // Show existing results if any
+                if (data.results && data.results.length > 0) {
+                    searchResults = data.results;
+                    displayResults({ results: searchResults, columns: data.columns });
+                    document.getElementById('shareBtn').disabled = false;
+                }
+
+                // Auto-fill batch override with current batch position (user can still override)
+                const batchOverrideInput = document.getElementById('batchOverride');
+                if (batchOverrideInput && data.currentBatch !== undefined && isSequentialProgress(data)) {
+                    batchOverrideInput.value = data.currentBatch;
+                    batchOverrideInput.placeholder = `Current: ${data.currentBatch}`;
+                }
+
+                // Show current effective cutoff in placeholder (don't auto-fill to avoid spam)
+                const cutoffOverrideInput = document.getElementById('cutoffOverride');
+                if (cutoffOverrideInput && data.cutoff !== undefined) {
+                    // Only set value if user hasn't filled it in yet
+                    if (cutoffOverrideInput.value === '') {
                         cutoffOverrideInput.placeholder = `Auto (current: ${data.cutoff})`;
                     }
                 }
@@ -844,9 +2224,10 @@ async function loadSavedSearch() {
 
                 if (status === 'running' || data.isBackgroundRunning) {
                     isSearching = true;
+                    searchAborted = false;
                     updateSearchButton('RUNNING', progress / 100);
                     showStatus(`🔍 Search running at batch ${data.currentBatch || 0}`);
-                    await pollSearchStatus(0);
+                    await watchSearch(0);
                 } else if (data.currentBatch > 0) {
                     updateSearchButton('CONTINUE', progress / 100);
                     showStatus(`📊 Loaded existing search - ${searchResults.length} results, batch ${data.currentBatch}`);
@@ -902,6 +2283,7 @@ async function deleteSelectedSearch() {
         const response = await fetch(`/filters/${filter.filePath}`, { method: 'DELETE' });
         if (response.ok) {
             await loadFilters();
+            setCurrentFilterFile(null);
             setJamlValue('');
         } else {
             alert('Delete failed');
@@ -922,6 +2304,7 @@ async function checkExistingSearchStatus(searchId) {
         // Populate JAML editor and track the JAML that built these results
         if (data.filterJaml) {
             setJamlValue(data.filterJaml);
+            syncNativeFilterSelect(data.filterJaml);
             currentSearchJaml = data.filterJaml.trim();
         }
 
@@ -939,7 +2322,7 @@ async function checkExistingSearchStatus(searchId) {
 
         // Update batch override field with current position
         const batchInput = document.getElementById('batchOverride');
-        if (batchInput && data.currentBatch !== undefined) {
+        if (batchInput && data.currentBatch !== undefined && isSequentialProgress(data)) {
             batchInput.value = data.currentBatch;
             batchInput.placeholder = `Current: ${data.currentBatch}`;
         }
@@ -955,7 +2338,7 @@ async function checkExistingSearchStatus(searchId) {
             isSearching = true;
             updateSearchButton('RUNNING', progress / 100);
             showStatus(`🔍 Search running at batch ${data.currentBatch || 0}`);
-            await pollSearchStatus(0); // Start polling immediately
+            await watchSearch(0); // Start streaming immediately
         } else if (data.currentBatch > 0) {
             // Stopped search with progress - show Continue button
             updateSearchButton('CONTINUE', progress / 100);
@@ -975,413 +2358,3615 @@ async function checkExistingSearchStatus(searchId) {
 }
 
 // ================================================
-// Seed Analysis
+// Saved Filters: Save / Save As / Rename / History
 // ================================================
-async function quickAnalyze(seed) {
-    // Switch to analyze tab
-    switchTab('analyze', document.querySelector('.tab:nth-child(3)'));
-    
-    // Populate the seed field
-    document.getElementById('analyzeSeed').value = seed;
-    
-    // Get deck/stake from current filter if available
-    const filterJaml = getJamlValue();
-    const deckMatch = filterJaml.match(/^deck:\s*(.+)$/m);
-    const stakeMatch = filterJaml.match(/^stake:\s*(.+)$/m);
-    
-    if (deckMatch) {
-        document.getElementById('analyzeDeck').value = deckMatch[1].trim();
+function setCurrentFilterFile(fileName) {
+    currentFilterFile = fileName;
+    filterHasUnsavedEdits = false;
+    updateFilterFileButtons();
+}
+
+function updateFilterFileButtons() {
+    const saveBtn = document.getElementById('saveFilterBtn');
+    if (saveBtn) saveBtn.textContent = filterHasUnsavedEdits ? 'Save*' : 'Save';
+    ['renameFilterBtn', 'historyFilterBtn'].forEach(id => {
+        const btn = document.getElementById(id);
+        if (btn) btn.disabled = !currentFilterFile;
+    });
+}
+
+// Select a file in the saved-search dropdown after the list was reloaded
+function selectSavedFilterFile(fileName) {
+    const index = savedFilters.findIndex(f => f.filePath === fileName);
+    document.getElementById('savedSearches').value = index >= 0 ? String(index) : '';
+}
+
+async function postFilterSave(filterJaml, fileName) {
+    const response = await fetch('/filters', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ filterJaml, fileName })
+    });
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, data };
+}
+
+async function saveFilter() {
+    if (!currentFilterFile) return saveFilterAs();
+
+    formatJamlBeforeUse();
+    const jaml = getJamlValue();
+    if (!jaml.trim()) return;
+    try {
+        const { ok, data } = await postFilterSave(jaml, currentFilterFile);
+        if (!ok) {
+            showStatus(`❌ Save failed: ${data.error || 'unknown error'}`);
+            return;
+        }
+        filterHasUnsavedEdits = false;
+        updateFilterFileButtons();
+        await loadFilters();
+        selectSavedFilterFile(data.fileName);
+        showStatus(`💾 Saved ${data.fileName}`);
+    } catch (e) {
+        console.error('Save failed:', e);
+        showStatus('❌ Save failed');
     }
-    if (stakeMatch) {
-        document.getElementById('analyzeStake').value = stakeMatch[1].trim();
+}
+
+async function saveFilterAs() {
+    formatJamlBeforeUse();
+    let jaml = getJamlValue();
+    if (!jaml.trim()) {
+        alert('Nothing to save - the filter is empty');
+        return;
+    }
+
+    // Copying a saved filter: suggest "name_edit1" so it doesn't collide with the original
+    const currentName = extractFromJaml(jaml, 'name') || 'My Filter';
+    const suggested = currentFilterFile ? extractFromJaml(autoRenameFilter(jaml), 'name') : currentName;
+    const name = prompt('Save filter as:', suggested);
+    if (name === null || !name.trim()) return;
+
+    if (name.trim() !== currentName) {
+        setBuilderHeaderField('name', name); // File name and search ID follow the name
+        jaml = getJamlValue();
+    }
+
+    try {
+        const { ok, status, data } = await postFilterSave(jaml, null);
+        if (status === 409) {
+            showStatus(`⚠️ ${data.error} - pick another name`);
+            return;
+        }
+        if (!ok) {
+            showStatus(`❌ Save failed: ${data.error || 'unknown error'}`);
+            return;
+        }
+        await loadFilters();
+        selectSavedFilterFile(data.fileName);
+        setCurrentFilterFile(data.fileName);
+        showStatus(`💾 Saved as ${data.fileName}`);
+    } catch (e) {
+        console.error('Save As failed:', e);
+        showStatus('❌ Save failed');
+    }
+}
+
+async function renameFilter() {
+    if (!currentFilterFile) return;
+
+    if (filterHasUnsavedEdits) {
+        if (!confirm('Save your changes before renaming?')) return;
+        await saveFilter();
+        if (filterHasUnsavedEdits) return; // Save failed
+    }
+
+    const currentName = extractFromJaml(getJamlValue(), 'name') || '';
+    const name = prompt('Rename filter to:', currentName);
+    if (name === null || !name.trim() || name.trim() === currentName) return;
+
+    try {
+        const response = await fetch(`/filters/${encodeURIComponent(currentFilterFile)}/rename`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: name.trim() })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            showStatus(`❌ Rename failed: ${data.error || 'unknown error'}`);
+            return;
+        }
+
+        await loadFilters();
+        selectSavedFilterFile(data.fileName);
+        await loadSavedSearch();
+        // Search IDs come from the filter name, so results found under the old name stay there
+        showStatus(`✏️ Renamed to ${data.fileName} - earlier results stay under the old search`);
+    } catch (e) {
+        console.error('Rename failed:', e);
+        showStatus('❌ Rename failed');
+    }
+}
+
+let filterHistoryVersion = null; // { version, filterJaml } picked in the history modal
+
+async function openFilterHistory() {
+    if (!currentFilterFile) return;
+
+    filterHistoryVersion = null;
+    document.getElementById('filterHistoryTitle').textContent = `History: ${currentFilterFile}`;
+    document.getElementById('filterHistoryRestore').disabled = true;
+    document.getElementById('filterHistoryDiff').innerHTML = '<p class="help-text">Pick a version to compare it with the editor</p>';
+    const list = document.getElementById('filterHistoryVersions');
+    list.innerHTML = '<p class="help-text">Loading...</p>';
+    document.getElementById('filterHistoryModal').style.display = 'flex';
+
+    try {
+        const response = await fetch(`/filters/${encodeURIComponent(currentFilterFile)}/versions`);
+        const versions = await response.json();
+        if (!response.ok) throw new Error(versions.error || response.statusText);
+
+        list.innerHTML = versions.length === 0
+            ? '<p class="help-text">No earlier versions yet - one is kept every time the file is overwritten</p>'
+            : versions.map(v => `
+                <div class="history-version" data-version="${v.version}" onclick="selectFilterVersion('${v.version}')">
+                    <div>${new Date(v.savedAt).toLocaleString()}</div>
+                    <div class="help-text">${v.size} bytes</div>
+                </div>`).join('');
+    } catch (e) {
+        console.error('Failed to load filter history:', e);
+        list.innerHTML = `<p class="help-text">Failed to load history: ${escapeHtml(e.message)}</p>`;
+    }
+}
+
+function closeFilterHistory() {
+    document.getElementById('filterHistoryModal').style.display = 'none';
+    filterHistoryVersion = null;
+}
+
+async function selectFilterVersion(version) {
+    document.querySelectorAll('#filterHistoryVersions .history-version').forEach(el => {
+        el.classList.toggle('active', el.dataset.version === version);
+    });
+    const diffEl = document.getElementById('filterHistoryDiff');
+    try {
+        const response = await fetch(`/filters/${encodeURIComponent(currentFilterFile)}/versions/${version}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || response.statusText);
+
+        filterHistoryVersion = data;
+        document.getElementById('filterHistoryRestore').disabled = false;
+
+        // Read as "what restoring would change": version lines added, editor lines removed
+        const diff = diffLines(getJamlValue(), data.filterJaml);
+        diffEl.innerHTML = diff.every(d => d.type === 'same')
+            ? '<p class="help-text">Identical to the editor</p>'
+            : diff.map(d => {
+                const mark = d.type === 'add' ? '+' : d.type === 'del' ? '-' : ' ';
+                return `<div class="diff-line diff-${d.type}">${mark} ${escapeHtml(d.text)}</div>`;
+            }).join('');
+    } catch (e) {
+        console.error('Failed to load filter version:', e);
+        diffEl.innerHTML = `<p class="help-text">Failed to load version: ${escapeHtml(e.message)}</p>`;
+    }
+}
+
+async function restoreFilterVersion() {
+    if (!filterHistoryVersion || !currentFilterFile) return;
+    if (!confirm('Restore this version? The current file is kept in the history.')) return;
+
+    const { version, filterJaml } = filterHistoryVersion;
+    try {
+        const { ok, data } = await postFilterSave(filterJaml, currentFilterFile);
+        if (!ok) {
+            showStatus(`❌ Restore failed: ${data.error || 'unknown error'}`);
+            return;
+        }
+        setJamlValue(filterJaml);
+        onUserJamlEdit(); // Different filter text - the loaded search no longer matches it
+        filterHasUnsavedEdits = false;
+        updateFilterFileButtons();
+        closeFilterHistory();
+        await loadFilters();
+        selectSavedFilterFile(data.fileName);
+        showStatus(`⏪ Restored ${data.fileName} from ${version}`);
+    } catch (e) {
+        console.error('Restore failed:', e);
+        showStatus('❌ Restore failed');
+    }
+}
+
+// Line diff via longest common subsequence - filters are small enough for the O(n*m) table
+function diffLines(before, after) {
+    const a = before.replace(/\r\n/g, '\n').split('\n');
+    const b = after.replace(/\r\n/g, '\n').split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0, j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push({ type: 'same', text: a[i] });
+            i++; j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            result.push({ type: 'del', text: a[i++] });
+        } else {
+            result.push({ type: 'add', text: b[j++] });
+        }
+    }
+    while (i < a.length) result.push({ type: 'del', text: a[i++] });
+    while (j < b.length) result.push({ type: 'add', text: b[j++] });
+    return result;
+}
+
+// ================================================
+// Filter Import / Export & Links
+// ================================================
+// A filter link carries the JAML itself in the URL hash (#filter=...), so it opens on any
+// MotelyJAML instance. The hash never reaches the server. Tokens are "z" + base64url of
+// deflate-raw compressed UTF-8, or "b" + plain base64url where CompressionStream is missing.
+const FILTER_LINK_PARAM = 'filter';
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function pipeBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function encodeFilterLinkToken(jaml) {
+    const bytes = new TextEncoder().encode(jaml);
+    if (typeof CompressionStream === 'undefined') return 'b' + toBase64Url(bytes);
+    return 'z' + toBase64Url(await pipeBytes(bytes, new CompressionStream('deflate-raw')));
+}
+
+async function decodeFilterLinkToken(token) {
+    const bytes = fromBase64Url(token.slice(1));
+    switch (token[0]) {
+        case 'b': return new TextDecoder().decode(bytes);
+        case 'z':
+            if (typeof DecompressionStream === 'undefined') throw new Error('this browser cannot decompress filter links');
+            return new TextDecoder().decode(await pipeBytes(bytes, new DecompressionStream('deflate-raw')));
+        default: throw new Error('unknown filter link format');
+    }
+}
+
+async function copyFilterLink() {
+    const jaml = getJamlValue();
+    if (!jaml.trim()) {
+        showStatus('Enter a filter to share');
+        return;
+    }
+
+    const url = new URL(window.location);
+    url.search = '';
+    url.hash = `${FILTER_LINK_PARAM}=${await encodeFilterLinkToken(jaml)}`;
+
+    try {
+        await navigator.clipboard.writeText(url.toString());
+        const btn = document.getElementById('filterLinkBtn');
+        btn.textContent = '✅ Copied!';
+        setTimeout(() => btn.textContent = 'Link', 2000);
+        showStatus(`🔗 Filter link copied (${url.toString().length.toLocaleString()} characters)`);
+    } catch (error) {
+        // Clipboard needs a secure context - plain http on another host doesn't have one
+        prompt('Copy this filter link:', url.toString());
+    }
+}
+
+// Called on page load: #filter=... wins over ?search=, since the link is about the filter itself
+async function loadFilterFromLink() {
+    const token = new URLSearchParams(window.location.hash.slice(1)).get(FILTER_LINK_PARAM);
+    if (!token) return false;
+
+    // Drop the hash so a reload doesn't overwrite later edits with the linked filter
+    const url = new URL(window.location);
+    url.hash = '';
+    window.history.replaceState({}, '', url);
+
+    try {
+        loadFilterIntoEditor(await decodeFilterLinkToken(token), 'link');
+    } catch (error) {
+        showStatus(`❌ Could not open filter link: ${error.message}`);
+    }
+    return true;
+}
+
+function downloadFilter() {
+    const jaml = getJamlValue();
+    if (!jaml.trim()) {
+        showStatus('Enter a filter to download');
+        return;
+    }
+
+    const name = (extractFromJaml(jaml, 'name') || 'filter').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'filter';
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([jaml], { type: 'text/yaml' }));
+    a.download = `${name}.jaml`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    URL.revokeObjectURL(a.href);
+}
+
+// .jaml/.yaml go straight into the editor; JSON filters go through the server's /convert first
+async function importFilterFile(file) {
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        const isJson = /\.json$/i.test(file.name) || text.trimStart().startsWith('{');
+        if (!isJson) {
+            loadFilterIntoEditor(text, file.name);
+            return;
+        }
+
+        showStatus('🔄 Converting JSON to JAML...');
+        const response = await fetch('/convert', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ jsonContent: text })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            showStatus(`❌ Import failed: ${data.error || 'Unknown error'}`);
+            return;
+        }
+        loadFilterIntoEditor(data.jaml, file.name);
+    } catch (error) {
+        showStatus(`❌ Import error: ${error.message}`);
+    }
+}
+
+// An imported filter is a new, unsaved filter with no search behind it yet
+function loadFilterIntoEditor(jaml, source) {
+    if (isSearching && currentSearchId) {
+        searchAborted = true;
+        isSearching = false;
+        closeSearchStream();
+    }
+
+    setCurrentFilterFile(null);
+    document.getElementById('savedSearches').value = '';
+    setJamlValue(jaml);
+    syncNativeFilterSelect(jaml);
+
+    currentSearchId = null;
+    currentSearchJaml = null;
+    updateUrlWithSearchId(null);
+    searchResults = [];
+    displayResults({ results: [], columns: ['seed', 'score'] });
+    updateSearchButton('START', 0);
+    switchTab('jaml', document.querySelector('.tab:nth-child(2)'));
+    showStatus(`📥 Loaded filter from ${source} - Save As to keep it`);
+}
+
+// Drop a .jaml/.json file anywhere on the Search tab. Capture phase, so Monaco doesn't paste it as text.
+function setupFilterDropZone() {
+    const zone = document.getElementById('jaml-tab');
+    const hasFiles = e => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+
+    zone.addEventListener('dragover', e => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        zone.classList.add('drop-target');
+    }, true);
+    zone.addEventListener('dragleave', e => {
+        if (!zone.contains(e.relatedTarget)) zone.classList.remove('drop-target');
+    }, true);
+    zone.addEventListener('drop', e => {
+        if (!hasFiles(e)) return;
+        e.preventDefault();
+        e.stopPropagation();
+        zone.classList.remove('drop-target');
+        importFilterFile(e.dataTransfer.files[0]);
+    }, true);
+}
+
+// ================================================
+// Searches Dashboard & Queue
+// ================================================
+// Every search the server knows, refreshed while the Searches tab is open. The queue lives on the
+// server, so queued searches keep running one after another with no tab open.
+let searchesDashboardTimer = null;
+let searchQueueRunning = false;
+
+function startSearchesDashboard() {
+    stopSearchesDashboard();
+    refreshSearchesDashboard();
+    searchesDashboardTimer = setInterval(refreshSearchesDashboard, 3000);
+}
+
+function stopSearchesDashboard() {
+    if (searchesDashboardTimer) {
+        clearInterval(searchesDashboardTimer);
+        searchesDashboardTimer = null;
+    }
+}
+
+async function refreshSearchesDashboard() {
+    try {
+        const response = await fetch('/searches');
+        if (!response.ok) throw new Error(response.statusText);
+        const data = await response.json();
+        renderSearchQueue(data.queue);
+        renderSearchesList(data.searches);
+    } catch (e) {
+        console.error('Failed to load searches:', e);
+        document.getElementById('searchesList').innerHTML = '<p class="help-text">Failed to load searches</p>';
+    }
+}
+
+function formatSeedsPerSecond(seedsPerSecond) {
+    if (!seedsPerSecond) return '-';
+    return seedsPerSecond >= 1000000
+        ? `${(seedsPerSecond / 1000000).toFixed(1)}M/s`
+        : seedsPerSecond >= 1000
+            ? `${(seedsPerSecond / 1000).toFixed(0)}K/s`
+            : `${seedsPerSecond.toFixed(0)}/s`;
+}
+
+function renderSearchesList(searches) {
+    const container = document.getElementById('searchesList');
+    if (!searches.length) {
+        container.innerHTML = '<p class="help-text">No searches yet - save a filter or start a search</p>';
+        return;
+    }
+
+    const rows = searches.map(s => {
+        const id = escapeHtml(s.searchId);
+        const arg = escapeHtml(JSON.stringify(s.searchId));
+        const actions = s.status === 'RUNNING'
+            ? `<button class="button-tiny" onclick="stopSearchById(${arg})">Stop</button>`
+            : `<button class="button-tiny" onclick="startSearchById(${arg})">${s.currentBatch > 0 && s.status !== 'COMPLETED' ? 'Continue' : 'Start'}</button>`
+                + (s.status === 'QUEUED'
+                    ? `<button class="button-tiny" onclick="unqueueSearch(${arg})">Unqueue</button>`
+                    : `<button class="button-tiny" onclick="queueSearchById(${arg})">Queue</button>`)
+                + `<button class="button-tiny" onclick="deleteSearchById(${arg})" title="Remove from this list - the results stay on disk">Remove</button>`
+                + `<button class="button-tiny search-delete-results" onclick="deleteSearchById(${arg}, true)" title="Delete the stored results for good">Delete results</button>`;
+        const status = s.status === 'QUEUED' ? `QUEUED #${s.queuePosition}` : s.status;
+
+        return `
+            <tr class="${s.searchId === currentSearchId ? 'current-search' : ''}">
+                <td><a href="#" onclick="openSearchFromDashboard(${arg}); return false;" title="Open in the Search tab">${id}</a></td>
+                <td><span class="search-status search-status-${s.status.toLowerCase()}">${status}</span></td>
+                <td title="${s.progressPercent.toFixed(2)}% of the ${isSequentialProgress(s) ? 'seed space' : 'chosen seeds'}">${isSequentialProgress(s) ? s.currentBatch.toLocaleString() : formatSearchPosition(s)}</td>
+                <td>${formatSeedsPerSecond(s.seedsPerSecond)}</td>
+                <td>${s.seedsFound.toLocaleString()}</td>
+                <td>${s.topScore ?? '-'}</td>
+                <td class="search-actions">${actions}</td>
+            </tr>`;
+    }).join('');
+
+    container.innerHTML = `
+        <table class="results-table searches-table">
+            <thead><tr><th>Search</th><th>Status</th><th>Batch</th><th>Speed</th><th>Found</th><th>Top</th><th></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+function renderSearchQueue(queue) {
+    searchQueueRunning = queue.running;
+    const count = queue.items.length;
+    document.getElementById('queueStatus').textContent = count === 0
+        ? 'Queue empty'
+        : `${count} queued - ${queue.running ? 'running' : 'paused'}`;
+    const toggle = document.getElementById('queueToggleBtn');
+    toggle.textContent = queue.running ? 'Pause Queue' : 'Run Queue';
+    toggle.disabled = count === 0 && !queue.running;
+
+    document.getElementById('searchQueueList').innerHTML = queue.items.map(item => {
+        const range = [
+            item.mode === 'list' ? `${item.seedCount} listed seeds` : '',
+            item.mode === 'random' ? `${item.seedCount} random seeds` : '',
+            item.startBatch != null && item.mode === 'sequential' ? `from ${item.startBatch}` : '',
+            item.endBatch && item.mode === 'sequential' ? `to ${item.endBatch}` : '',
+            item.cutoff != null ? `cutoff ${item.cutoff}` : ''
+        ].filter(Boolean).join(', ');
+        return `
+            <div class="search-queue-item">
+                <span>${item.position}. ${escapeHtml(item.searchId)}${range ? ` <span class="help-text">(${range})</span>` : ''}</span>
+                <button class="button-tiny" onclick="unqueueSearch(${escapeHtml(JSON.stringify(item.searchId))})">&times;</button>
+            </div>`;
+    }).join('');
+}
+
+async function postSearchAction(url, body) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || response.statusText);
+    return data;
+}
+
+async function startSearchById(searchId) {
+    try {
+        // Without filterJaml the server runs the filter saved under this ID, resuming from its saved batch
+        await postSearchAction('/search', { searchId });
+        showStatus(`🔍 Started ${searchId}`);
+    } catch (e) {
+        showStatus(`❌ Start failed: ${e.message}`);
+    }
+    refreshSearchesDashboard();
+}
+
+async function stopSearchById(searchId) {
+    try {
+        await postSearchAction('/search/stop', { searchId });
+        showStatus(`🛑 Stopped ${searchId}`);
+    } catch (e) {
+        showStatus(`❌ Stop failed: ${e.message}`);
+    }
+    refreshSearchesDashboard();
+}
+
+// Removing only forgets the search (it comes back with its results when its filter is loaded);
+// deleteResults also deletes its results DB for good
+async function deleteSearchById(searchId, deleteResults = false) {
+    const question = deleteResults
+        ? `Permanently delete every stored result of ${searchId}? This can't be undone. The filter stays saved.`
+        : `Remove ${searchId} from the list? It stops if running; its results stay on disk.`;
+    if (!confirm(question)) return;
+    try {
+        const response = await fetch(`/search?id=${encodeURIComponent(searchId)}${deleteResults ? '&deleteResults=true' : ''}`, { method: 'DELETE' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || response.statusText);
+        if (searchId === currentSearchId) {
+            updateSearchButton('START', 0);
+            if (deleteResults) {
+                searchResults = [];
+                displayResults({ results: [], columns: searchColumns });
+            }
+        }
+        showStatus(deleteResults ? `🗑️ Deleted ${searchId} and its results` : `🗑️ Removed ${searchId} - results kept`);
+    } catch (e) {
+        showStatus(`❌ Delete failed: ${e.message}`);
+    }
+    refreshSearchesDashboard();
+}
+
+async function queueSearchById(searchId) {
+    try {
+        await postSearchAction('/queue', { searchId });
+        showStatus(`⏳ Queued ${searchId}`);
+    } catch (e) {
+        showStatus(`❌ Queue failed: ${e.message}`);
+    }
+    refreshSearchesDashboard();
+}
+
+// Queue exactly what's in the editor, with its seed source and the Cutoff override if set
+async function queueCurrentFilter() {
+    formatJamlBeforeUse();
+    const filterJaml = getJamlValue();
+    if (!filterJaml.trim()) {
+        showStatus('Nothing to queue - the filter is empty');
+        return;
+    }
+
+    const source = buildSearchSourceRequest();
+    if (!source) return;
+    const native = buildNativeFilterRequest(filterJaml);
+    if (!native) return;
+
+    const requestBody = { filterJaml, ...source, ...native };
+    const cutoffOverride = parseInt(document.getElementById('cutoffOverride').value);
+    if (!isNaN(cutoffOverride)) requestBody.cutoff = cutoffOverride;
+
+    try {
+        const queue = await postSearchAction('/queue', requestBody);
+        showStatus(`⏳ Queued at position ${queue.items.length}${queue.running ? '' : ' - run the queue from the Searches tab'}`);
+    } catch (e) {
+        showStatus(`❌ Queue failed: ${e.message}`);
+    }
+}
+
+async function unqueueSearch(searchId) {
+    try {
+        const response = await fetch(`/queue?id=${encodeURIComponent(searchId)}`, { method: 'DELETE' });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) throw new Error(data.error || response.statusText);
+    } catch (e) {
+        showStatus(`❌ Unqueue failed: ${e.message}`);
+    }
+    refreshSearchesDashboard();
+}
+
+async function toggleSearchQueue() {
+    try {
+        await postSearchAction(searchQueueRunning ? '/queue/pause' : '/queue/run');
+    } catch (e) {
+        showStatus(`❌ Queue failed: ${e.message}`);
+    }
+    refreshSearchesDashboard();
+}
+
+// Show a search's filter and results in the Search tab without touching what's running
+async function openSearchFromDashboard(searchId) {
+    const index = savedFilters.findIndex(f => f.searchId === searchId);
+    if (index >= 0) {
+        // Switch first - loadSavedSearch() only resolves once a running search stops
+        switchTab('jaml', document.querySelector('.tab:nth-child(2)'));
+        document.getElementById('savedSearches').value = String(index);
+        await loadSavedSearch();
+        return;
+    }
+
+    if (isSearching) {
+        searchAborted = true;
+        isSearching = false;
+        closeSearchStream();
+    }
+    searchAborted = false;
+    setCurrentFilterFile(null);
+    currentSearchId = searchId;
+    updateUrlWithSearchId(searchId);
+    searchResults = [];
+    await checkExistingSearchStatus(searchId); // Switches to the Search tab
+}
+
+// ================================================
+// Seed Analysis
+// ================================================
+async function quickAnalyze(seed) {
+    // Switch to analyze tab
+    switchTab('analyze', document.querySelector('.tab:nth-child(3)'));
+    
+    // Populate the seed field
+    document.getElementById('analyzeSeed').value = seed;
+    useFilterDeckAndStake();
+    
+    // Auto-analyze immediately
+    await analyzeSeed();
+}
+
+// Analyze with the deck/stake of the filter in the editor, if it sets them
+function useFilterDeckAndStake() {
+    const filterJaml = getJamlValue();
+    const deckMatch = filterJaml.match(/^deck:\s*(.+)$/m);
+    const stakeMatch = filterJaml.match(/^stake:\s*(.+)$/m);
+    
+    if (deckMatch) {
+        document.getElementById('analyzeDeck').value = deckMatch[1].trim();
+    }
+    if (stakeMatch) {
+        document.getElementById('analyzeStake').value = stakeMatch[1].trim();
+    }
+}
+
+// POST /analyze for one seed; throws with the server's message when it fails
+async function fetchSeedAnalysis(seed, deck, stake, filterJaml) {
+    const response = await fetch('/analyze', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ seed, deck, stake, filterJaml: filterJaml.trim() ? filterJaml : undefined })
+    });
+
+    const data = await response.json();
+    if (!response.ok || data.error) {
+        throw new Error(data.error || response.statusText);
+    }
+    return data;
+}
+
+async function analyzeSeed() {
+    const seed = document.getElementById('analyzeSeed').value.trim().toUpperCase();
+    const deck = document.getElementById('analyzeDeck').value;
+    const stake = document.getElementById('analyzeStake').value;
+    const resultDiv = document.getElementById('analyzeResult');
+    const withFilter = document.getElementById('analyzeWithFilter');
+    const filterJaml = withFilter && withFilter.checked ? getJamlValue() : '';
+
+    if (!seed) {
+        resultDiv.innerHTML = '<div class="status-message error">Please enter a seed!</div>';
+        return;
+    }
+
+    if (seed.length !== 8 || !/^[A-Z0-9]{8}$/.test(seed)) {
+        resultDiv.innerHTML = '<div class="status-message error">Seed must be 8 characters (A-Z, 0-9)</div>';
+        return;
+    }
+
+    resultDiv.innerHTML = '<div class="status-message loading">🔍 Analyzing seed...</div>';
+
+    try {
+        lastAnalysis = await fetchSeedAnalysis(seed, deck, stake, filterJaml);
+        analysisItemFilter = null;
+        analysisClauseFocus = null;
+        renderAnalysis();
+
+    } catch (error) {
+        resultDiv.innerHTML = `<div class="status-message error">Analysis failed: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// ================================================
+// Seed Analysis View - collapsible ante cards
+// ================================================
+let lastAnalysis = null;        // Last /analyze response, re-rendered when the item filter changes
+let analysisItemFilter = null;  // Item value to narrow the view to (e.g. "Blueprint"), null = show all
+let analysisClauseFocus = null; // Clause path (e.g. "should[2]") whose items are highlighted alone, null = all clauses
+
+// "ante:source:slot:itemIndex" -> clauses that located an item there
+function buildClauseHitIndex(clauses) {
+    const hits = new Map();
+    (clauses || []).forEach(clause => {
+        if (analysisClauseFocus && clause.path !== analysisClauseFocus) return;
+        clause.locations.forEach(loc => {
+            const key = analysisLocationKey(loc.ante, loc.source, loc.slot, loc.itemIndex);
+            if (!hits.has(key)) hits.set(key, []);
+            hits.get(key).push(clause);
+        });
+    });
+    return hits;
+}
+
+function analysisLocationKey(ante, source, slot, itemIndex) {
+    return `${ante}:${source}:${slot}:${itemIndex ?? ''}`;
+}
+
+function renderAnalysis() {
+    const resultDiv = document.getElementById('analyzeResult');
+    const data = lastAnalysis;
+    if (!data) return;
+
+    const filter = analysisItemFilter;
+    const matches = (value) => !filter || value === filter;
+    const hits = buildClauseHitIndex(data.clauses);
+    const hitsAt = (ante, source, slot, itemIndex) => hits.get(analysisLocationKey(ante, source, slot, itemIndex)) || [];
+
+    const cards = (data.antes || []).map(ante => {
+        const headerItems = [
+            { label: 'Boss', entry: ante.boss, source: 'boss' },
+            { label: 'Voucher', entry: ante.voucher, source: 'voucher' },
+            { label: 'Small Blind', entry: ante.smallBlindTag, source: 'smallBlindTag' },
+            { label: 'Big Blind', entry: ante.bigBlindTag, source: 'bigBlindTag' }
+        ].filter(h => matches(h.entry.value));
+
+        const shopItems = ante.shopQueue.filter(item => matches(item.value));
+        const packs = ante.packs
+            .map(pack => ({ ...pack, items: pack.items.filter(item => matches(item.value)) }))
+            .filter(pack => !filter || pack.items.length > 0);
+
+        if (filter && headerItems.length === 0 && shopItems.length === 0 && packs.length === 0) {
+            return '';
+        }
+
+        const headerHtml = headerItems.length > 0 ? `
+            <div class="ante-section ante-blinds">
+                ${headerItems.map(h => `
+                    <span class="ante-blind-label">${h.label}:</span>
+                    ${renderAnalysisChip(h.entry.value, h.entry.name, '', clauseHitClass(hitsAt(ante.ante, h.source, 0)), clauseHitTitle(h.entry.name, hitsAt(ante.ante, h.source, 0)))}
+                `).join('')}
+            </div>` : '';
+
+        const shopHtml = shopItems.length > 0 ? `
+            <div class="ante-section">
+                <div class="ante-section-title">Shop Queue</div>
+                <div class="ante-items">
+                    ${shopItems.map(item => renderAnalysisItem(item, `shopSlots: ${item.slot}`, hitsAt(ante.ante, 'shop', item.slot))).join('')}
+                </div>
+            </div>` : '';
+
+        const packsHtml = packs.length > 0 ? `
+            <div class="ante-section">
+                <div class="ante-section-title">Packs</div>
+                ${packs.map(pack => `
+                    <div class="ante-pack">
+                        <span class="ante-pack-name" title="packSlots: ${pack.slot}">${escapeHtml(pack.name)}</span>
+                        <div class="ante-items">
+                            ${pack.items.map(item => renderAnalysisItem(item, `packSlots: ${pack.slot}`, hitsAt(ante.ante, 'pack', pack.slot, item.slot))).join('')}
+                        </div>
+                    </div>
+                `).join('')}
+            </div>` : '';
+
+        return `
+            <details class="ante-card" open>
+                <summary>
+                    <span class="ante-title">Ante ${ante.ante}</span>
+                    <span class="ante-summary">${escapeHtml(ante.boss.name)} · ${escapeHtml(ante.voucher.name)}</span>
+                </summary>
+                ${headerHtml}
+                ${shopHtml}
+                ${packsHtml}
+            </details>
+        `;
+    }).join('');
+
+    const filterHtml = filter ? `
+        <span class="analyze-filter">
+            Showing only <strong>${escapeHtml(filter)}</strong>
+            <button class="button-tiny" onclick="setAnalysisFilter(null)">Show all</button>
+        </span>` : '';
+
+    resultDiv.innerHTML = `
+        <div class="analyze-output">
+            <div class="analyze-header">${escapeHtml(data.seed)} | ${escapeHtml(data.deck)} | ${escapeHtml(data.stake)} ${filterHtml}</div>
+            ${renderClauseSummary(data)}
+            <div class="analyze-antes" onclick="onAnalysisClick(event)">
+                ${cards || `<div class="info-text">No ante contains ${escapeHtml(filter)}</div>`}
+            </div>
+        </div>
+    `;
+}
+
+// Per-clause verdicts for the filter the seed was analyzed against.
+// Rows only focus the analysis items when the summary sits in the analysis view.
+function renderClauseSummary(data, focusable = true) {
+    if (!data.clauses) return '';
+    if (data.clauses.length === 0) {
+        return '<div class="info-text">The active filter has no must/should/mustNot clauses.</div>';
+    }
+
+    const total = data.clauses.reduce((sum, c) => sum + c.score, 0);
+    const mustOk = data.clauses.every(c => c.section === 'should' || c.passed);
+
+    const rows = data.clauses.map(clause => {
+        const icon = clause.section === 'should'
+            ? (clause.matched ? '✅' : '➖')
+            : (clause.passed ? '✅' : '❌');
+        const where = clause.locations.length > 0
+            ? clause.locations.map(describeClauseLocation).join(', ')
+            : (clause.matched ? `antes ${clause.antes.join(', ')}` : '');
+        const score = clause.section === 'should'
+            ? `${clause.count} × ${clause.clauseScore} = <strong>${clause.score}</strong>`
+            : (clause.matched ? `${clause.count} found` : 'not found');
+        const focused = focusable && analysisClauseFocus === clause.path ? ' focused' : '';
+        const focus = focusable ? ` onclick="setAnalysisClauseFocus('${clause.path}')" title="Click to highlight only this clause's items"` : '';
+
+        return `
+            <tr class="clause-row ${clause.section.toLowerCase()}${focused}"${focus}>
+                <td>${icon}</td>
+                <td><a href="#" class="clause-path" onclick="event.stopPropagation(); revealClauseInEditor('${clause.path}'); return false;" title="Show in editor">${clause.path}</a></td>
+                <td>${escapeHtml(clause.label)}</td>
+                <td class="clause-where">${escapeHtml(where)}</td>
+                <td class="clause-score">${score}</td>
+            </tr>
+        `;
+    }).join('');
+
+    // MaxCount scores the best clause's count rather than a weighted sum
+    const modeNote = data.scoreMode === 'MaxCount' ? ' (MaxCount)' : '';
+
+    return `
+        <div class="clause-summary">
+            <div class="clause-summary-title">
+                ${mustOk ? '✅' : '❌'} ${escapeHtml(data.filterName || 'Active filter')}:
+                score <strong>${total}</strong>${modeNote}
+                ${focusable && analysisClauseFocus ? '<button class="button-tiny" onclick="setAnalysisClauseFocus(null)">All clauses</button>' : ''}
+            </div>
+            <table class="clause-table">
+                <thead><tr><th></th><th>Clause</th><th>Item</th><th>Where</th><th>Score</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+function describeClauseLocation(loc) {
+    switch (loc.source) {
+        case 'shop': return `A${loc.ante} shop ${loc.slot}`;
+        case 'pack': return `A${loc.ante} pack ${loc.slot}`;
+        case 'smallBlindTag': return `A${loc.ante} small blind`;
+        case 'bigBlindTag': return `A${loc.ante} big blind`;
+        default: return `A${loc.ante} ${loc.source}`;
+    }
+}
+
+function clauseHitClass(clauses) {
+    if (clauses.length === 0) return '';
+    return clauses.some(c => c.section === 'mustNot') ? 'clause-hit clause-hit-mustnot' : 'clause-hit';
+}
+
+function clauseHitTitle(title, clauses) {
+    if (clauses.length === 0) return title;
+    return `${title}\nMatched by ${clauses.map(c => `${c.path} ${c.label}`).join(', ')}`;
+}
+
+function setAnalysisClauseFocus(path) {
+    analysisClauseFocus = analysisClauseFocus === path ? null : path;
+    renderAnalysis();
+}
+
+function revealClauseInEditor(path) {
+    switchTab('jaml', document.querySelector('.tab:nth-child(2)'));
+    revealJamlLine(lookupJamlLine(buildJamlLineIndex(getJamlValue()), path));
+}
+
+// Shop/pack item: edition, seal, enhancement and stickers as badges in front of the name
+function renderAnalysisItem(item, slotTitle, clauseHits = []) {
+    const badges = [];
+    if (item.edition) badges.push(`<span class="item-badge edition-${item.edition.toLowerCase()}">${item.edition}</span>`);
+    if (item.seal) badges.push(`<span class="item-badge seal-${item.seal.toLowerCase()}">${item.seal} Seal</span>`);
+    if (item.enhancement) badges.push(`<span class="item-badge enhancement">${item.enhancement}</span>`);
+    (item.stickers || []).forEach(sticker => badges.push(`<span class="item-badge sticker">${sticker}</span>`));
+
+    const category = (item.category || '').toLowerCase();
+    return renderAnalysisChip(item.value, item.baseName, badges.join(''), `cat-${category} ${clauseHitClass(clauseHits)}`, clauseHitTitle(`${item.name} (${slotTitle})`, clauseHits));
+}
+
+function renderAnalysisChip(value, label, badgesHtml, className = '', title = label) {
+    const active = analysisItemFilter === value ? ' active' : '';
+    return `<span class="analyze-item ${className}${active}" data-filter="${escapeHtml(value)}" title="${escapeHtml(title)}">${badgesHtml}${escapeHtml(label)}</span>`;
+}
+
+// Clicking an item narrows every ante to that item; clicking it again shows everything
+function onAnalysisClick(event) {
+    const chip = event.target.closest('[data-filter]');
+    if (!chip) return;
+    const value = chip.dataset.filter;
+    setAnalysisFilter(analysisItemFilter === value ? null : value);
+}
+
+function setAnalysisFilter(value) {
+    analysisItemFilter = value;
+    renderAnalysis();
+}
+
+// ================================================
+// Seed Comparison - 2-4 seeds from the results grid side by side
+// ================================================
+const MAX_COMPARE_SEEDS = 4;
+let compareSeeds = []; // Seeds ticked in the results grid, in the order they were picked
+
+function toggleCompareSeed(seed, checkbox) {
+    const index = compareSeeds.indexOf(seed);
+    if (index >= 0) {
+        compareSeeds.splice(index, 1);
+    } else if (compareSeeds.length >= MAX_COMPARE_SEEDS) {
+        checkbox.checked = false;
+        showStatus(`Compare up to ${MAX_COMPARE_SEEDS} seeds at a time`);
+        return;
+    } else {
+        compareSeeds.push(seed);
+    }
+    updateCompareButton();
+}
+
+function clearCompareSeeds() {
+    compareSeeds = [];
+    updateCompareButton();
+}
+
+function updateCompareButton() {
+    const button = document.getElementById('compareBtn');
+    if (!button) return;
+    button.textContent = compareSeeds.length > 0 ? `Compare (${compareSeeds.length})` : 'Compare';
+    button.disabled = compareSeeds.length < 2;
+}
+
+async function compareSelectedSeeds() {
+    if (compareSeeds.length < 2) return;
+
+    switchTab('analyze', document.querySelector('.tab:nth-child(3)'));
+    useFilterDeckAndStake();
+
+    const deck = document.getElementById('analyzeDeck').value;
+    const stake = document.getElementById('analyzeStake').value;
+    const withFilter = document.getElementById('analyzeWithFilter');
+    const filterJaml = withFilter && withFilter.checked ? getJamlValue() : '';
+    const resultDiv = document.getElementById('analyzeResult');
+    resultDiv.innerHTML = `<div class="status-message loading">🔍 Analyzing ${compareSeeds.length} seeds...</div>`;
+
+    try {
+        const analyses = await Promise.all(compareSeeds.map(seed => fetchSeedAnalysis(seed, deck, stake, filterJaml)));
+        resultDiv.innerHTML = renderComparison(analyses);
+    } catch (error) {
+        resultDiv.innerHTML = `<div class="status-message error">Comparison failed: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// Values that turn up for at least two of the seeds (one list of values per seed)
+function sharedCompareValues(valuesPerSeed) {
+    const seenBy = new Map();
+    valuesPerSeed.forEach(values => new Set(values).forEach(value => seenBy.set(value, (seenBy.get(value) || 0) + 1)));
+    return new Set([...seenBy].filter(([, count]) => count >= 2).map(([value]) => value));
+}
+
+function renderCompareChip(value, label, shared, className = '', title = label) {
+    return `<span class="analyze-item ${className}${shared.has(value) ? ' compare-shared' : ''}" title="${escapeHtml(title)}">${escapeHtml(label)}</span>`;
+}
+
+function renderComparison(analyses) {
+    const first = analyses[0];
+    const header = analyses.map(a => `
+        <th><a href="#" onclick="quickAnalyze('${a.seed}'); return false;" title="Open the full analysis">${escapeHtml(a.seed)}</a></th>`).join('');
+
+    const antes = (first.antes || []).map(ante => {
+        const perSeed = analyses.map(a => (a.antes || []).find(x => x.ante === ante.ante));
+
+        const blindRow = (label, pick) => {
+            const entries = perSeed.map(x => x ? pick(x) : null);
+            const shared = sharedCompareValues(entries.map(e => e ? [e.value] : []));
+            return `<tr><td class="compare-label">${label}</td>${entries.map(e => `<td>${e ? renderCompareChip(e.value, e.name, shared) : ''}</td>`).join('')}</tr>`;
+        };
+
+        const shopShared = sharedCompareValues(perSeed.map(x => x ? x.shopQueue.map(item => item.value) : []));
+        const shopRow = `<tr><td class="compare-label">Shop Queue</td>${perSeed.map(x => `
+            <td><div class="ante-items">${x ? x.shopQueue.map(item => renderCompareChip(item.value, item.name, shopShared, `cat-${(item.category || '').toLowerCase()}`, `${item.name} (shopSlots: ${item.slot})`)).join('') : ''}</div></td>`).join('')}</tr>`;
+
+        const packShared = sharedCompareValues(perSeed.map(x => x ? x.packs.flatMap(pack => pack.items.map(item => item.value)) : []));
+        const packsRow = `<tr><td class="compare-label">Packs</td>${perSeed.map(x => `
+            <td>${x ? x.packs.map(pack => `
+                <div class="compare-pack">
+                    <span class="ante-pack-name" title="packSlots: ${pack.slot}">${escapeHtml(pack.name)}</span>
+                    <div class="ante-items">${pack.items.map(item => renderCompareChip(item.value, item.name, packShared, `cat-${(item.category || '').toLowerCase()}`)).join('')}</div>
+                </div>`).join('') : ''}</td>`).join('')}</tr>`;
+
+        return `
+            <tbody>
+                <tr class="compare-ante"><td colspan="${analyses.length + 1}">Ante ${ante.ante}</td></tr>
+                ${blindRow('Boss', x => x.boss)}
+                ${blindRow('Voucher', x => x.voucher)}
+                ${blindRow('Small Blind', x => x.smallBlindTag)}
+                ${blindRow('Big Blind', x => x.bigBlindTag)}
+                ${shopRow}
+                ${packsRow}
+            </tbody>`;
+    }).join('');
+
+    return `
+        <div class="analyze-output">
+            <div class="analyze-header">
+                Comparing ${analyses.length} seeds | ${escapeHtml(first.deck)} | ${escapeHtml(first.stake)}
+                <span class="analyze-filter"><span class="compare-shared-key">shared</span> = in 2+ seeds</span>
+            </div>
+            ${renderClauseComparison(analyses)}
+            <table class="compare-table">
+                <thead><tr><th></th>${header}</tr></thead>
+                ${antes}
+            </table>
+        </div>
+    `;
+}
+
+// Per-clause tallies for every seed against the filter they were analyzed with; best score per clause in gold
+function renderClauseComparison(analyses) {
+    const clauses = analyses[0].clauses;
+    if (!clauses || clauses.length === 0) return '';
+
+    const rows = clauses.map((clause, i) => {
+        const results = analyses.map(a => a.clauses[i]);
+        const best = Math.max(...results.map(r => r.score));
+        const cells = results.map(r => {
+            if (r.section === 'should') {
+                const top = r.score === best && best > 0 ? ' compare-best' : '';
+                return `<td class="clause-score${top}">${r.count} × ${r.clauseScore} = <strong>${r.score}</strong></td>`;
+            }
+            return `<td class="clause-score">${r.passed ? '✅' : '❌'} ${r.matched ? `${r.count} found` : 'not found'}</td>`;
+        }).join('');
+        return `
+            <tr class="clause-row ${clause.section.toLowerCase()}">
+                <td><a href="#" class="clause-path" onclick="revealClauseInEditor('${clause.path}'); return false;" title="Show in editor">${clause.path}</a></td>
+                <td>${escapeHtml(clause.label)}</td>
+                ${cells}
+            </tr>`;
+    }).join('');
+
+    const totals = analyses.map(a => a.clauses.reduce((sum, c) => sum + c.score, 0));
+    const bestTotal = Math.max(...totals);
+    const totalCells = analyses.map((a, i) => {
+        const mustOk = a.clauses.every(c => c.section === 'should' || c.passed);
+        const top = totals[i] === bestTotal ? ' compare-best' : '';
+        return `<td class="clause-score${top}">${mustOk ? '✅' : '❌'} <strong>${totals[i]}</strong></td>`;
+    }).join('');
+
+    return `
+        <div class="clause-summary">
+            <div class="clause-summary-title">${escapeHtml(analyses[0].filterName || 'Active filter')}</div>
+            <table class="clause-table">
+                <thead><tr><th>Clause</th><th>Item</th>${analyses.map(a => `<th class="clause-score">${escapeHtml(a.seed)}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${rows}
+                    <tr class="compare-total"><td colspan="2">Score</td>${totalCells}</tr>
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// ================================================
+// Filter Test - dry run of the editor's filter against one seed
+// ================================================
+async function testFilterAgainstSeed() {
+    const filterJaml = getJamlValue();
+    const seedInput = document.getElementById('testSeed');
+    const seed = seedInput.value.trim().toUpperCase();
+    const panel = document.getElementById('filterTestResult');
+
+    if (!filterJaml.trim()) {
+        showStatus('Enter a filter to test');
+        return;
+    }
+
+    panel.style.display = 'block';
+    panel.innerHTML = `<div class="status-message loading">🧪 Testing against ${escapeHtml(seed || 'verifiedSeed')}...</div>`;
+
+    try {
+        const response = await fetch('/filter/test', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filterJaml, seed: seed || undefined })
+        });
+
+        const data = await response.json();
+        if (!response.ok || data.error) {
+            panel.innerHTML = `<div class="status-message error">Test failed: ${escapeHtml(data.error || response.statusText)}</div>`;
+            return;
+        }
+
+        panel.innerHTML = renderFilterTest(data);
+    } catch (error) {
+        panel.innerHTML = `<div class="status-message error">Test error: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+function renderFilterTest(data) {
+    const source = data.usedVerifiedSeed ? ' (verifiedSeed)' : '';
+    const verdict = data.passed
+        ? `✅ <code>${escapeHtml(data.seed)}</code>${source} passes: score <strong>${data.score}</strong>`
+        : `❌ <code>${escapeHtml(data.seed)}</code>${source} does not pass`;
+
+    // One tally per should clause, named like the results grid columns (after seed and score)
+    const tallies = data.passed && data.columns.length > 2
+        ? `<div class="filter-test-tallies">${data.columns.slice(2).map((name, i) => `
+            <span class="analyze-item" title="${escapeHtml(name)}">${escapeHtml(name)}: <strong>${data.tallies[i] ?? 0}</strong></span>`).join('')}
+        </div>`
+        : '';
+
+    return `
+        <div class="filter-test-header">
+            <span>${verdict} | ${escapeHtml(data.deck)} | ${escapeHtml(data.stake)}</span>
+            <span>
+                <button class="button-tiny" onclick="quickAnalyze(${escapeHtml(JSON.stringify(data.seed))})" title="Open the full seed analysis">Analyze</button>
+                <button class="button-tiny" onclick="document.getElementById('filterTestResult').style.display = 'none'" title="Hide the test result">&times;</button>
+            </span>
+        </div>
+        ${tallies}
+        ${renderClauseSummary(data, false)}
+    `;
+}
+
+// ================================================
+// Rarity Estimate - random sample through the search pipeline before a long search
+// ================================================
+async function estimateFilter() {
+    const filterJaml = getJamlValue();
+    const sampleSize = parseInt(document.getElementById('estimateSamples').value, 10);
+    const panel = document.getElementById('filterEstimateResult');
+
+    if (!filterJaml.trim()) {
+        showStatus('Enter a filter to estimate');
+        return;
+    }
+
+    panel.style.display = 'block';
+    panel.innerHTML = `<div class="status-message loading">🎲 Running ${sampleSize.toLocaleString()} random seeds through the filter...</div>`;
+
+    try {
+        const response = await fetch('/filter/estimate', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ filterJaml, sampleSize })
+        });
+
+        const data = await response.json();
+        if (!response.ok || data.error) {
+            panel.innerHTML = `<div class="status-message error">Estimate failed: ${escapeHtml(data.error || response.statusText)}</div>`;
+            return;
+        }
+
+        panel.innerHTML = renderFilterEstimate(data);
+    } catch (error) {
+        panel.innerHTML = `<div class="status-message error">Estimate error: ${escapeHtml(error.message)}</div>`;
+    }
+}
+
+// 0.00012 -> "1 in 8,333"
+function formatOdds(rate) {
+    if (!rate) return 'never';
+    if (rate >= 1) return 'every seed';
+    const odds = 1 / rate;
+    const digits = Math.max(0, Math.floor(Math.log10(odds)) - 1);
+    return `1 in ${(Math.round(odds / 10 ** digits) * 10 ** digits).toLocaleString()}`;
+}
+
+function formatRateRange(low, high) {
+    return `95%: ${formatOdds(high)} – ${formatOdds(low)}`;
+}
+
+function formatHitsPerHour(perHour) {
+    if (perHour >= 10) return Math.round(perHour).toLocaleString();
+    if (perHour >= 0.1) return perHour.toFixed(1);
+    return perHour > 0 ? `1 per ${formatDuration(3600 / perHour)}` : '0';
+}
+
+function renderFilterEstimate(data) {
+    const rate = data.passed / data.sampled;
+    const perHour = (r) => r * data.seedsPerSecond * 3600;
+    const speed = `${formatSeedsPerSecond(data.seedsPerSecond)} measured by this estimate`;
+    const verdict = data.passed > 0
+        ? `Passes about <strong>${formatOdds(rate)}</strong> seeds (${data.passed.toLocaleString()} of ${data.sampled.toLocaleString()}, ${formatRateRange(data.passLow, data.passHigh)})`
+        : `No seed passed in ${data.sampled.toLocaleString()} - rarer than <strong>${formatOdds(data.passHigh)}</strong> (95%)`;
+    const hits = data.passed > 0
+        ? `≈ <strong>${formatHitsPerHour(perHour(rate))}</strong> hits/hour (${formatHitsPerHour(perHour(data.passLow))} – ${formatHitsPerHour(perHour(data.passHigh))}) at ${speed}`
+        : `At most ${formatHitsPerHour(perHour(data.passHigh))} hits/hour at ${speed}`;
+
+    const clauseRows = (clauses, funnel) => clauses.map(clause => `
+        <tr class="${clause.matched === 0 ? 'stats-bottleneck' : ''}">
+            <td>${escapeHtml(clause.path)}</td>
+            <td title="${escapeHtml(clause.label)}">${escapeHtml(clause.label)}</td>
+            <td>${formatOdds(clause.matched / data.clauseSampled)}</td>
+            <td class="help-text">${formatRateRange(clause.low, clause.high)}</td>
+            ${funnel ? `<td>${formatOdds(clause.funnel / data.clauseSampled)}</td>` : ''}
+        </tr>
+    `).join('');
+
+    const tables = [
+        data.must.length > 0 ? `
+            <table class="estimate-table">
+                <thead><tr><th>Must</th><th></th><th>Matches</th><th></th><th title="Seeds passing this and every must clause above it">So far</th></tr></thead>
+                <tbody>${clauseRows(data.must, true)}</tbody>
+            </table>` : '',
+        data.should.length > 0 ? `
+            <table class="estimate-table">
+                <thead><tr><th>Should</th><th></th><th>Matches</th><th></th></tr></thead>
+                <tbody>${clauseRows(data.should, false)}</tbody>
+            </table>` : ''
+    ].join('');
+
+    const warnings = data.warnings.map(warning => `<div class="estimate-warning">⚠️ ${escapeHtml(warning)}</div>`).join('');
+
+    return `
+        <div class="filter-test-header">
+            <span>🎲 ${verdict} | ${escapeHtml(data.deck)} | ${escapeHtml(data.stake)}</span>
+            <button class="button-tiny" onclick="document.getElementById('filterEstimateResult').style.display = 'none'" title="Hide the estimate">&times;</button>
+        </div>
+        <div class="estimate-hits">${hits}</div>
+        ${warnings}
+        ${tables}
+        <p class="help-text">Clause rates from ${data.clauseSampled.toLocaleString()} seeds, each clause checked on its own · took ${formatDuration(data.seconds)}</p>
+    `;
+}
+
+// ================================================
+// Button State Management
+// ================================================
+function updateSearchButton(state, progress = 0) {
+    const searchBtn = document.getElementById('searchBtn');
+    searchBtn.style.background = '';
+
+    switch (state) {
+        case 'START':
+            searchBtn.textContent = 'Start Search';
+            searchBtn.className = 'button-primary';
+            break;
+
+        case 'CONTINUE':
+            searchBtn.textContent = 'Continue';
+            searchBtn.className = 'button-blue';
+            break;
+
+        case 'RUNNING':
+            searchBtn.textContent = 'Stop';
+            searchBtn.className = 'button-danger';
+            break;
+    }
+}
+
+// ================================================
+// Utility Functions
+// ================================================
+function sanitizeSearchId(id) {
+    // Match the C# SanitizeSearchId function
+    const invalid = ['<', '>', ':', '"', '|', '?', '*', '/', '\\'];
+    invalid.forEach(c => {
+        id = id.replaceAll(c, '-');
+    });
+    return id.replace(/,/g, '-').replace(/ /g, '-');
+}
+
+function generateSearchId(filterName, deck, stake) {
+    // Match the C# API logic exactly
+    return sanitizeSearchId(`${filterName}_${deck}_${stake}`);
+}
+
+function extractFromJaml(jaml, key) {
+    // Extract a top-level key value from JAML (e.g., deck: Ghost -> "Ghost")
+    const match = jaml.match(new RegExp(`^${key}:\\s*(.+)$`, 'm'));
+    return match ? match[1].trim().replace(/^['"]|['"]$/g, '') : null;
+}
+
+function autoRenameFilter(jaml) {
+    const nameMatch = jaml.match(/^name:\s*(.+)$/m);
+    if (!nameMatch) return jaml;
+    
+    const currentName = nameMatch[1].trim();
+    const editMatch = currentName.match(/_edit(\d+)$/);
+    
+    let newName;
+    if (editMatch) {
+        const num = parseInt(editMatch[1]) + 1;
+        newName = currentName.replace(/_edit\d+$/, `_edit${num}`);
+    } else {
+        newName = currentName + '_edit1';
+    }
+    
+    return jaml.replace(/^name:\s*.+$/m, `name: ${newName}`);
+}
+
+function showStatus(message) {
+    const statusBar = document.getElementById('status');
+    statusBar.textContent = message;
+}
+
+// The server streams the whole result set (not just the rows loaded in the grid),
+// so let the browser download it directly instead of building a Blob here
+function exportResults() {
+    if (!currentSearchId) {
+        alert('No results to export!');
+        return;
+    }
+
+    // Same sort and filters as the grid, minus paging
+    const format = document.getElementById('exportFormat').value;
+    const params = new URLSearchParams(resultsGrid.searchId === currentSearchId ? buildResultsQuery(0, 0) : '');
+    params.delete('offset');
+    params.delete('limit');
+    params.set('id', currentSearchId);
+    params.set('format', format);
+
+    const a = document.createElement('a');
+    a.href = `/search/export?${params}`;
+    a.download = '';
+    a.click();
+}
+
+// ================================================
+// Filter Builder - Item Data
+// ================================================
+// Item names come from the server's /catalog, which is generated from the engine enums, so the
+// builder, autocomplete and validator never drift from what the filters accept.
+// Keyed by catalog list ("joker", "rank", "deck", ...) and by builder type ("smallBlindTag" -> tags).
+// Lists stay empty until the catalog arrives (or when /catalog fails) - check itemCatalog before relying on them.
+const ITEM_DATA = Object.fromEntries([
+    'joker', 'soulJoker', 'voucher', 'tag', 'tarot', 'planet', 'spectral', 'boss',
+    'rank', 'suit', 'seal', 'enhancement', 'edition', 'sticker', 'eventType', 'deck', 'stake'
+].map(key => [key, []]));
+let itemCatalog = null;
+
+async function loadItemCatalog() {
+    try {
+        const response = await fetch('/catalog');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        applyItemCatalog(await response.json());
+    } catch (e) {
+        console.error('Failed to load item catalog:', e);
+        showStatus('❌ Failed to load item catalog - builder and validation need the server');
+    }
+}
+
+function applyItemCatalog(catalog) {
+    itemCatalog = catalog;
+    Object.entries(catalog.items).forEach(([key, entries]) => {
+        ITEM_DATA[key] = entries.map(entry => entry.name);
+    });
+    Object.entries(catalog.types).forEach(([type, info]) => {
+        if (info.values) ITEM_DATA[type] = ITEM_DATA[info.values];
+        TYPE_FIELDS[type] = { edition: info.edition, shopSlots: info.shopSlots, packSlots: info.packSlots, requireMega: info.requireMega };
+        if (info.fields.length > 0) TYPE_EXTRA_FIELDS[type] = info.fields;
+    });
+
+    // The validator lists are shared constants - refill them in place
+    [[JAML_VALID_TYPES, () => true],
+        [JAML_EDITION_TYPES, info => info.edition],
+        [JAML_SOURCE_TYPES, info => info.shopSlots || info.packSlots],
+        // Item types without slots (vouchers, tags, bosses) are expected to come without sources
+        [JAML_NO_SOURCE_TYPES, info => info.values && !info.shopSlots && !info.packSlots && info.fields.length === 0]]
+        .forEach(([list, test]) => list.splice(0, list.length, ...catalogTypeSpellings(catalog, test)));
+    [[JAML_DECKS, 'deck'], [JAML_STAKES, 'stake'], [JAML_EDITIONS, 'edition'], [JAML_STICKERS, 'sticker'], [JAML_SUITS, 'suit'], [JAML_RANKS, 'rank']]
+        .forEach(([list, key]) => list.splice(0, list.length, ...ITEM_DATA[key]));
+
+    fillBuilderCatalogSelects();
+    updateBuilderValues();
+    renderBuilderClauses();
+    scheduleJamlValidation(0);
+}
+
+// Every lowercased spelling (key, engine type name, aliases) of the catalog types passing test
+function catalogTypeSpellings(catalog, test) {
+    const spellings = Object.entries(catalog.types)
+        .filter(([, info]) => test(info))
+        .flatMap(([type, info]) => [type, info.typeName, ...(info.aliases || [])]);
+    return [...new Set(spellings.map(name => name.toLowerCase()))];
+}
+
+// Catalog entries ({ name, displayName, rarity, ... }) for a catalog list or a builder type
+function getCatalogItems(key) {
+    if (!itemCatalog) return [];
+    const type = itemCatalog.types[key];
+    return itemCatalog.items[type ? type.values : key] || [];
+}
+
+// <option>s for a catalog list, jokers grouped by rarity
+function renderCatalogOptions(key, selected) {
+    const option = item => `<option value="${item.name}" ${item.name === selected ? 'selected' : ''}>${escapeHtml(item.displayName)}</option>`;
+    const items = getCatalogItems(key);
+    if (!items.some(item => item.rarity)) return items.map(option).join('');
+
+    const groups = [...new Set(items.map(item => item.rarity))];
+    return groups.map(rarity =>
+        `<optgroup label="${rarity}">${items.filter(item => item.rarity === rarity).map(option).join('')}</optgroup>`
+    ).join('');
+}
+
+// ================================================
+// Filter Builder Functions
+// ================================================
+
+// Type-specific field visibility rules and extra fields (each has a builder<Field>2 input on
+// the add form), e.g. TYPE_FIELDS.joker = { edition: true, shopSlots: true, ... } - from the catalog
+const TYPE_FIELDS = {};
+const TYPE_EXTRA_FIELDS = {};
+
+// Playing cards and events are described by their fields rather than a value;
+// or/and groups hold nested clauses instead
+const VALUELESS_TYPES = ['playingCard', 'event', 'or', 'and'];
+const GROUP_TYPES = ['or', 'and'];
+
+function updateBuilderValues() {
+    const type = document.getElementById('builderType').value;
+    const valueSelect = document.getElementById('builderValue');
+    valueSelect.innerHTML = renderCatalogOptions(type);
+
+    // Update field visibility based on type
+    const fields = TYPE_FIELDS[type] || { edition: false, shopSlots: false, packSlots: false, requireMega: false };
+
+    document.getElementById('builderEdition').parentElement.style.display = fields.edition ? '' : 'none';
+    document.getElementById('shopSlotsRow').style.display = fields.shopSlots ? '' : 'none';
+    document.getElementById('packSlotsRow').style.display = fields.packSlots ? '' : 'none';
+    document.getElementById('requireMegaRow').style.display = fields.requireMega ? '' : 'none';
+
+    const extra = TYPE_EXTRA_FIELDS[type] || [];
+    document.getElementById('valueCol').style.display = VALUELESS_TYPES.includes(type) ? 'none' : '';
+    document.getElementById('extraFieldsRow').style.display = extra.length > 0 ? '' : 'none';
+    document.querySelectorAll('[data-extra-field]').forEach(field => {
+        field.style.display = extra.includes(field.dataset.extraField) ? '' : 'none';
+    });
+    document.getElementById('antesRow').style.display = GROUP_TYPES.includes(type) ? 'none' : '';
+    document.getElementById('groupHelp').style.display = GROUP_TYPES.includes(type) ? '' : 'none';
+}
+
+function newFilterFromBuilder() {
+    const name = document.getElementById('builderName').value.trim() || 'My Filter';
+    const deck = document.getElementById('builderDeck').value;
+    const stake = document.getElementById('builderStake').value;
+
+    const jaml = `name: ${name}
+deck: ${deck}
+stake: ${stake}
+must:
+should:
+`;
+
+    setJamlValue(jaml);
+    switchTab('jaml', document.querySelector('.tab:nth-child(2)'));
+    showStatus(`Created new filter: ${name}`);
+}
+
+function addClauseFromBuilder() {
+    const section = document.getElementById('builderSection').value;
+    const target = document.getElementById('builderTarget').value || section;
+    const type = document.getElementById('builderType').value;
+    const value = document.getElementById('builderValue').value;
+    const edition = document.getElementById('builderEdition').value;
+    const score = document.getElementById('builderScore').value;
+    const requireMega = document.getElementById('builderRequireMega').checked;
+    const isGroup = GROUP_TYPES.includes(type);
+
+    // Get antes from the new button-based UI
+    const antes = getSelectedAntes();
+
+    const shopCheckboxes = document.querySelectorAll('.shop-cb:checked');
+    const shopSlots = Array.from(shopCheckboxes).map(cb => cb.value);
+
+    const packCheckboxes = document.querySelectorAll('.pack-cb:checked');
+    const packSlots = Array.from(packCheckboxes).map(cb => cb.value);
+
+    if (antes.length === 0 && !isGroup) {
+        showStatus('Select at least one ante');
+        return;
+    }
+
+    const fields = TYPE_FIELDS[type] || {};
+    const clause = [];
+
+    if (isGroup) {
+        // Nested items go directly under "- or:" / "- and:"
+        clause.push(`- ${type}:`);
+    } else {
+        clause.push(VALUELESS_TYPES.includes(type) ? `- type: ${BUILDER_TYPES[type].typeName}` : `- ${type}: ${formatJamlValue(value)}`);
+
+        for (const key of TYPE_EXTRA_FIELDS[type] || []) {
+            const input = document.getElementById(`builder${key[0].toUpperCase()}${key.slice(1)}`).value.trim();
+            if (!input) continue;
+            if (key === 'rolls') {
+                const rolls = parseBuilderNumberList(input);
+                if (!rolls) {
+                    showStatus('❌ Rolls must be numbers, e.g. 1, 2');
+                    return;
+                }
+                clause.push(`  rolls: [${rolls.join(', ')}]`);
+            } else {
+                clause.push(`  ${key}: ${input}`);
+            }
+        }
+
+        if (fields.edition && edition) clause.push(`  edition: ${edition}`);
+        clause.push(`  antes: [${antes.join(', ')}]`);
+        if (fields.shopSlots && shopSlots.length > 0) clause.push(`  shopSlots: [${shopSlots.join(', ')}]`);
+        if (fields.packSlots && packSlots.length > 0) clause.push(`  packSlots: [${packSlots.join(', ')}]`);
+        if (fields.requireMega && requireMega) clause.push(`  requireMega: true`);
+    }
+    // Only top-level should clauses are scored; nested clauses count through their group
+    if (target === 'should') clause.push(`  score: ${score}`);
+
+    let jaml = getBuilderJamlText();
+
+    // If JAML is empty, create base structure from builder inputs
+    if (!jaml.trim()) {
+        const name = document.getElementById('builderName').value.trim() || 'My Filter';
+        const deck = document.getElementById('builderDeck').value;
+        const stake = document.getElementById('builderStake').value;
+        jaml = `name: ${formatJamlValue(name)}\ndeck: ${deck}\nstake: ${stake}\nmust:\nshould:\nmustNot:\n`;
+    }
+
+    // Appended after the last clause of the section or group, so existing text and comments stay as they are
+    const updated = appendJamlClause(jaml, target, clause);
+    if (updated === jaml) {
+        showStatus(`❌ Could not add into ${target}`);
+        return;
+    }
+    writeJamlFromBuilder(updated);
+
+    if (isGroup) {
+        // Point the form at the new group so the next items go inside it
+        const model = parseJamlClauseBlocks(updated);
+        const list = JAML_SECTIONS.includes(target) ? model.sections[target].clauses : findJamlClause(model, target).children;
+        setBuilderAddTarget(list[list.length - 1].path);
+    } else {
+        const label = VALUELESS_TYPES.includes(type) ? BUILDER_TYPES[type].label : `${type}: ${value}`;
+        showStatus(`Added ${label} to ${target}`);
+    }
+}
+
+// ================================================
+// Builder: Requirement Button Selection
+// ================================================
+function setRequirement(type, button) {
+    // Update hidden field
+    document.getElementById('builderSection').value = type;
+
+    // Update button active states
+    document.querySelectorAll('.req-btn').forEach(btn => btn.classList.remove('active'));
+    button.classList.add('active');
+
+    // Show/hide score row based on section type
+    document.getElementById('scoreRow').style.display = type === 'should' ? 'block' : 'none';
+}
+
+// ================================================
+// Builder: Ante Quick-Select Buttons
+// ================================================
+function selectAntes(preset) {
+    const anteButtons = document.querySelectorAll('.ante-btn');
+
+    anteButtons.forEach(btn => {
+        const ante = parseInt(btn.dataset.ante);
+        let shouldBeActive = false;
+
+        switch (preset) {
+            case 'early':
+                shouldBeActive = ante >= 1 && ante <= 3;
+                break;
+            case 'mid':
+                shouldBeActive = ante >= 4 && ante <= 5;
+                break;
+            case 'late':
+                shouldBeActive = ante >= 6 && ante <= 8;
+                break;
+            case 'all':
+                shouldBeActive = true;
+                break;
+        }
+
+        if (shouldBeActive) {
+            btn.classList.add('active');
+        } else {
+            btn.classList.remove('active');
+        }
+    });
+}
+
+// Deck, stake, edition and the extra field selects, filled once the catalog arrives
+function fillBuilderCatalogSelects() {
+    [['builderDeck', 'deck'], ['builderStake', 'stake']].forEach(([id, key]) => {
+        const select = document.getElementById(id);
+        select.innerHTML = renderCatalogOptions(key, select.dataset.default);
+    });
+    document.getElementById('builderEdition').innerHTML = '<option value="">Any / Normal</option>' +
+        getCatalogItems('edition').filter(item => item.name !== 'None')
+            .map(item => `<option value="${item.name}">${escapeHtml(item.displayName)}</option>`).join('');
+
+    // Rank/suit/seal/enhancement default to "Any"; an event type is required
+    ['rank', 'suit', 'seal', 'enhancement', 'eventType'].forEach(key => {
+        const any = key === 'eventType' ? '' : '<option value="">Any</option>';
+        document.getElementById(`builder${key[0].toUpperCase()}${key.slice(1)}`).innerHTML = any + renderCatalogOptions(key);
+    });
+}
+
+// ================================================
+// Builder: Get Selected Antes from Buttons
+// ================================================
+function getSelectedAntes() {
+    const activeButtons = document.querySelectorAll('.ante-btn.active');
+    return Array.from(activeButtons).map(btn => btn.dataset.ante);
+}
+
+// Initialize builder on page load
+document.addEventListener('DOMContentLoaded', () => {
+    loadItemCatalog();
+
+    // Add click handlers for ante buttons
+    document.querySelectorAll('.ante-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            btn.classList.toggle('active');
+        });
+    });
+});
+// ================================================
+// Builder: Clause Cards - two-way sync with the JAML text
+// ================================================
+// Cards are rendered from the parsed JAML, but every edit is applied to the text line by line
+// (never re-dumped through js-yaml) so comments, key order and the defaults block survive.
+// Clauses are addressed by validator-style paths: "must[1]", "should[0].clauses[2]".
+const JAML_SECTIONS = ['must', 'should', 'mustNot'];
+const BUILDER_SECTION_LABELS = { must: 'I NEED this', should: 'I WANT this', mustNot: 'AVOID this' };
+
+// Builder item types, with the name written for clauses that use the "type: X" form
+const BUILDER_TYPES = {
+    joker:         { label: 'Joker',             typeName: 'Joker' },
+    soulJoker:     { label: 'Legendary Joker',   typeName: 'SoulJoker' },
+    voucher:       { label: 'Voucher',           typeName: 'Voucher' },
+    tag:           { label: 'Tag',               typeName: 'Tag' },
+    smallBlindTag: { label: 'Small Blind Tag',   typeName: 'SmallBlindTag' },
+    bigBlindTag:   { label: 'Big Blind Tag',     typeName: 'BigBlindTag' },
+    tarot:         { label: 'Tarot Card',        typeName: 'TarotCard' },
+    spectral:      { label: 'Spectral Card',     typeName: 'SpectralCard' },
+    planet:        { label: 'Planet Card',       typeName: 'PlanetCard' },
+    playingCard:   { label: 'Playing Card',      typeName: 'PlayingCard' },
+    boss:          { label: 'Boss Blind',        typeName: 'Boss' },
+    event:         { label: 'Random Event',      typeName: 'Event' },
+    erraticRank:   { label: 'Erratic Deck Rank', typeName: 'ErraticRank' },
+    erraticSuit:   { label: 'Erratic Deck Suit', typeName: 'ErraticSuit' },
+    or:            { label: 'Any of (or)',       typeName: 'Or' },
+    and:           { label: 'All of (and)',      typeName: 'And' }
+};
+
+// Normalized clause type (see resolveJamlClause) -> builder item type
+const BUILDER_TYPE_FOR = {
+    joker: 'joker', souljoker: 'soulJoker', voucher: 'voucher', tag: 'tag', smallblindtag: 'smallBlindTag', bigblindtag: 'bigBlindTag',
+    tarot: 'tarot', tarotcard: 'tarot', spectral: 'spectral', spectralcard: 'spectral', planet: 'planet', planetcard: 'planet',
+    playingcard: 'playingCard', standardcard: 'playingCard', boss: 'boss', bossblind: 'boss', event: 'event',
+    erraticrank: 'erraticRank', erraticsuit: 'erraticSuit', or: 'or', and: 'and'
+};
+
+const BUILDER_FIELD_LABELS = {
+    edition: 'Edition', rank: 'Rank', suit: 'Suit', seal: 'Seal', enhancement: 'Enhancement', eventType: 'Event', rolls: 'Rolls', min: 'At least'
+};
+
+// Clause fields that may live under "sources:" instead of directly on the clause
+const BUILDER_SOURCE_KEYS = ['shopSlots', 'packSlots', 'requireMega'];
+
+let builderSyncTimer = null;
+let builderRenderedText = null; // JAML the cards were last rendered from
+
+function jamlLineIndent(line) {
+    return line.length - line.trimStart().length;
+}
+
+function isJamlFillerLine(line) {
+    const trimmed = line.trim();
+    return trimmed === '' || trimmed.startsWith('#');
+}
+
+function getBuilderJamlText() {
+    return getJamlValue().replace(/\r\n?/g, '\n');
+}
+
+// Split the list items in lines[from..to] into clause blocks: leading comments, the "- " line
+// and everything indented under it. Comments at or above `after` belong to the parent.
+function collectJamlListItems(lines, from, to, after) {
+    const items = [];
+    let itemIndent = null;
+    let last = after;
+
+    for (let i = from; i <= to; i++) {
+        const line = lines[i];
+        if (isJamlFillerLine(line)) continue;
+        const indent = jamlLineIndent(line);
+
+        if (/^-(\s|$)/.test(line.trimStart()) && (itemIndent === null || indent === itemIndent)) {
+            itemIndent = indent;
+            let start = i;
+            while (start - 1 > last && lines[start - 1].trim().startsWith('#')) start--;
+            items.push({ start, dash: i, end: i, itemIndent: indent, siblings: items });
+        } else if (items.length > 0) {
+            items[items.length - 1].end = i;
+        }
+        last = i;
+    }
+    return items;
+}
+
+// Parse one clause block on its own and, for or/and groups, the nested clauses under it
+function readJamlClauseBlock(lines, clause, path) {
+    clause.path = path;
+    const afterDash = lines[clause.dash].trimStart().replace(/^-\s*/, '');
+    if (afterDash) {
+        clause.keyIndent = lines[clause.dash].length - afterDash.length;
+    } else {
+        // "-" alone on its line: keys start on the next line
+        const next = lines.slice(clause.dash + 1, clause.end + 1).find(l => !isJamlFillerLine(l));
+        clause.keyIndent = next ? jamlLineIndent(next) : clause.itemIndent + 2;
+    }
+
+    const block = lines.slice(clause.dash, clause.end + 1)
+        .map(l => isJamlFillerLine(l) ? '' : l.slice(clause.itemIndent))
+        .join('\n');
+    try {
+        const parsed = jsyaml.load(block);
+        clause.data = Array.isArray(parsed) && isPlainObject(parsed[0]) ? parsed[0] : null;
+    } catch (e) {
+        clause.error = e.message;
+    }
+
+    clause.resolved = clause.data ? resolveJamlClause(clause.data) : null;
+    clause.children = [];
+    if (clause.resolved && GROUP_TYPES.includes(clause.resolved.type)) {
+        const key = clause.resolved.typeKey === 'type' ? 'clauses' : clause.resolved.typeKey;
+        clause.list = findJamlKey(lines, clause.dash, clause.end, clause.keyIndent, key);
+        if (clause.list) {
+            clause.children = collectJamlListItems(lines, clause.list.line + 1, clause.list.end, clause.list.line)
+                .map((child, i) => readJamlClauseBlock(lines, child, `${path}.clauses[${i}]`));
+        }
+    }
+    return clause;
+}
+
+function parseJamlClauseBlocks(text) {
+    const lines = text.split('\n');
+    const sections = {};
+    let current = null;
+
+    lines.forEach((line, i) => {
+        if (isJamlFillerLine(line)) return;
+        if (jamlLineIndent(line) > 0 || line.startsWith('-')) {
+            if (current) current.end = i;
+            return;
+        }
+        const header = line.match(/^(must|should|mustNot)\s*:\s*(\[\s*\])?\s*(#.*)?$/);
+        current = header ? { name: header[1], header: i, inlineEmpty: !!header[2], end: i } : null;
+        if (current) sections[current.name] = current;
+    });
+
+    Object.values(sections).forEach(section => {
+        section.clauses = collectJamlListItems(lines, section.header + 1, section.end, section.header)
+            .map((clause, i) => readJamlClauseBlock(lines, clause, `${section.name}[${i}]`));
+        section.itemIndent = section.clauses.length > 0 ? section.clauses[0].itemIndent : null;
+    });
+
+    return { lines, sections };
+}
+
+function findJamlClause(model, path) {
+    const match = path.match(/^(\w+)\[(\d+)\]((?:\.clauses\[\d+\])*)$/);
+    if (!match || !model.sections[match[1]]) return null;
+
+    let clause = model.sections[match[1]].clauses[Number(match[2])];
+    for (const nested of match[3].matchAll(/\[(\d+)\]/g)) {
+        if (!clause) return null;
+        clause = clause.children[Number(nested[1])];
+    }
+    return clause || null;
+}
+
+// Every or/and group in the filter, outermost first
+function collectJamlGroups(model) {
+    const groups = [];
+    const visit = clause => {
+        if (clause.list) groups.push(clause);
+        clause.children.forEach(visit);
+    };
+    JAML_SECTIONS.forEach(section => (model.sections[section] ? model.sections[section].clauses : []).forEach(visit));
+    return groups;
+}
+
+// Find "key:" at the given indent within [from, to], plus the lines nested under it
+function findJamlKey(lines, from, to, indent, key) {
+    const pattern = new RegExp(`^(\\s*(?:-\\s+)?)${key}\\s*:(.*)$`);
+    for (let i = from; i <= to; i++) {
+        const match = lines[i].match(pattern);
+        if (!match || match[1].length !== indent) continue;
+
+        let end = i;
+        for (let j = i + 1; j <= to; j++) {
+            if (isJamlFillerLine(lines[j])) continue;
+            const childIndent = jamlLineIndent(lines[j]);
+            if (childIndent < indent || (childIndent === indent && !lines[j].trimStart().startsWith('-'))) break;
+            end = j;
+        }
+        return { line: i, end, indent, prefix: match[1], rest: match[2] };
+    }
+    return null;
+}
+
+// Block-style "sources:" of a clause, with the indent of its children
+function findJamlClauseSources(lines, clause) {
+    const sources = findJamlKey(lines, clause.dash, clause.end, clause.keyIndent, 'sources');
+    if (!sources || sources.end === sources.line) return sources;
+    const firstChild = lines.slice(sources.line + 1, sources.end + 1).find(l => !isJamlFillerLine(l));
+    return { ...sources, childIndent: jamlLineIndent(firstChild) };
+}
+
+function findJamlClauseField(lines, clause, key) {
+    if (BUILDER_SOURCE_KEYS.includes(key)) {
+        const sources = findJamlClauseSources(lines, clause);
+        if (sources && sources.childIndent !== undefined) {
+            const nested = findJamlKey(lines, sources.line + 1, sources.end, sources.childIndent, key);
+            if (nested) return { ...nested, sources };
+        }
+    }
+    return findJamlKey(lines, clause.dash, clause.end, clause.keyIndent, key);
+}
+
+function formatJamlValue(value) {
+    if (Array.isArray(value)) return `[${value.map(formatJamlValue).join(', ')}]`;
+    if (value && typeof value === 'object') {
+        return `{ ${Object.entries(value).map(([k, v]) => `${k}: ${formatJamlValue(v)}`).join(', ')} }`;
+    }
+    if (typeof value !== 'string') return String(value);
+    const plain = /^[A-Za-z][\w .!'-]*$/.test(value) && value.trim() === value && !/^(true|false|yes|no|on|off|null)$/i.test(value);
+    return plain ? value : JSON.stringify(value);
+}
+
+// Remove a key and its nested lines; a key on the "- " line hands the dash to the next key
+function removeJamlKeyLines(lines, field, clause) {
+    if (field.line === clause.dash) {
+        const next = lines.findIndex((l, j) => j > field.end && j <= clause.end && !isJamlFillerLine(l));
+        if (next === -1) return false;
+        lines[next] = field.prefix + lines[next].trimStart();
+    }
+    lines.splice(field.line, field.end - field.line + 1);
+    return true;
+}
+
+// Set (or with null/''/[] remove) one field of a clause, touching only that field's lines.
+// newKey renames the key, e.g. swapping "joker:" for "voucher:" on the "- " line.
+function setJamlClauseField(text, path, key, value, newKey = key) {
+    const model = parseJamlClauseBlocks(text);
+    const clause = findJamlClause(model, path);
+    if (!clause) return text;
+
+    const lines = model.lines;
+    const remove = value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+    const field = findJamlClauseField(lines, clause, key);
+
+    if (field) {
+        if (remove) {
+            if (!removeJamlKeyLines(lines, field, clause)) return text;
+            // Drop a "sources:" block that no longer has anything in it
+            if (field.sources) {
+                const sources = findJamlClauseSources(lines, { ...clause, end: clause.end - (field.end - field.line + 1) });
+                if (sources && sources.end === sources.line && !sources.rest.trim()) removeJamlKeyLines(lines, sources, clause);
+            }
+        } else {
+            const comment = (field.rest.match(/\s+#[^'"]*$/) || [''])[0];
+            lines.splice(field.line, field.end - field.line + 1, `${field.prefix}${newKey}: ${formatJamlValue(value)}${comment}`);
+        }
+        return lines.join('\n');
+    }
+    if (remove) return text;
+
+    const sources = BUILDER_SOURCE_KEYS.includes(key) ? findJamlClauseSources(lines, clause) : null;
+    if (sources && sources.childIndent === undefined && clause.data && isPlainObject(clause.data.sources)) {
+        // Flow-style "sources: { ... }" is rewritten as a whole
+        const comment = (sources.rest.match(/\s+#[^'"]*$/) || [''])[0];
+        lines[sources.line] = `${sources.prefix}sources: ${formatJamlValue({ ...clause.data.sources, [key]: value })}${comment}`;
+    } else if (sources && sources.childIndent !== undefined) {
+        lines.splice(sources.end + 1, 0, `${' '.repeat(sources.childIndent)}${newKey}: ${formatJamlValue(value)}`);
+    } else {
+        lines.splice(clause.end + 1, 0, `${' '.repeat(clause.keyIndent)}${newKey}: ${formatJamlValue(value)}`);
+    }
+    return lines.join('\n');
+}
+
+// Rename the type key on a clause's "- " line without touching its value ("- or:" -> "- and:")
+function renameJamlClauseKey(text, path, key, newKey) {
+    const model = parseJamlClauseBlocks(text);
+    const clause = findJamlClause(model, path);
+    if (!clause) return text;
+    model.lines[clause.dash] = model.lines[clause.dash].replace(new RegExp(`^(\\s*-\\s+)${key}(\\s*:)`), `$1${newKey}$2`);
+    return model.lines.join('\n');
+}
+
+// Clause lines with the list's item indent stripped, ready to re-insert elsewhere
+function extractJamlClauseLines(lines, clause) {
+    return lines.slice(clause.start, clause.end + 1)
+        .map(l => l.trim() === '' ? '' : l.slice(Math.min(jamlLineIndent(l), clause.itemIndent)));
+}
+
+// Append clause lines (item at column 0) to a section or an or/and group, creating the section if needed
+function appendJamlClause(text, target, blockLines) {
+    const model = parseJamlClauseBlocks(text);
+    const lines = model.lines;
+    const indented = indent => blockLines.map(l => l ? ' '.repeat(indent) + l : l);
+
+    if (JAML_SECTIONS.includes(target)) {
+        const section = model.sections[target];
+        if (!section) {
+            while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+            lines.push(`${target}:`, ...indented(2));
+            return lines.join('\n') + '\n';
+        }
+        if (section.inlineEmpty) lines[section.header] = lines[section.header].replace(/\s*\[\s*\]/, '');
+        lines.splice(section.end + 1, 0, ...indented(section.itemIndent !== null ? section.itemIndent : 2));
+        return lines.join('\n');
+    }
+
+    const group = findJamlClause(model, target);
+    if (!group || !group.resolved || !GROUP_TYPES.includes(group.resolved.type)) return text;
+    if (!group.list) {
+        // "type: Or" without a clauses list yet
+        lines.splice(group.end + 1, 0, `${' '.repeat(group.keyIndent)}clauses:`, ...indented(group.keyIndent + 2));
+        return lines.join('\n');
+    }
+
+    const list = group.list;
+    lines[list.line] = lines[list.line].replace(/:\s*(\[\s*\]|null|~)?(\s+#.*)?$/, ':$2');
+    const indent = group.children.length > 0 ? group.children[0].itemIndent : list.indent + 2;
+    lines.splice(list.end + 1, 0, ...indented(indent));
+    return lines.join('\n');
+}
+
+function moveJamlClause(text, path, delta) {
+    const model = parseJamlClauseBlocks(text);
+    const clause = findJamlClause(model, path);
+    if (!clause) return text;
+    const index = clause.siblings.indexOf(clause);
+    const other = clause.siblings[index + delta];
+    if (!other) return text;
+
+    const [first, second] = delta < 0 ? [other, clause] : [clause, other];
+    const lines = model.lines;
+    const firstLines = lines.slice(first.start, first.end + 1);
+    const between = lines.slice(first.end + 1, second.start);
+    const secondLines = lines.slice(second.start, second.end + 1);
+    lines.splice(first.start, second.end - first.start + 1, ...secondLines, ...between, ...firstLines);
+    return lines.join('\n');
+}
+
+function deleteJamlClause(text, path) {
+    const model = parseJamlClauseBlocks(text);
+    const clause = findJamlClause(model, path);
+    if (!clause) return text;
+    model.lines.splice(clause.start, clause.end - clause.start + 1);
+    return model.lines.join('\n');
+}
+
+function moveJamlClauseToSection(text, path, section) {
+    const model = parseJamlClauseBlocks(text);
+    const clause = findJamlClause(model, path);
+    if (!clause || path.startsWith(`${section}[`)) return text;
+    const blockLines = extractJamlClauseLines(model.lines, clause);
+    return appendJamlClause(deleteJamlClause(text, path), section, blockLines);
+}
+
+// The changed span between two texts: replace current[start, end) with text
+function jamlMinimalEdit(current, text) {
+    let start = 0;
+    while (start < current.length && start < text.length && current[start] === text[start]) start++;
+    let end = 0;
+    while (end < current.length - start && end < text.length - start
+        && current[current.length - 1 - end] === text[text.length - 1 - end]) end++;
+    return { start, end: current.length - end, text: text.slice(start, text.length - end) };
+}
+
+// Write builder changes back into the editor. Monaco gets a minimal edit so undo,
+// scroll position and the usual change handlers all behave like a typed edit.
+function writeJamlFromBuilder(text) {
+    const editor = window.jamlEditor;
+    if (editor && !usePlainEditor) {
+        const model = editor.getModel();
+        if (model.getEOL() !== '\n') model.pushEOL(monaco.editor.EndOfLineSequence.LF);
+        const current = model.getValue();
+        if (current !== text) {
+            const edit = jamlMinimalEdit(current, text);
+            const from = model.getPositionAt(edit.start);
+            const to = model.getPositionAt(edit.end);
+            editor.pushUndoStop();
+            editor.executeEdits('builder', [{
+                range: new monaco.Range(from.lineNumber, from.column, to.lineNumber, to.column),
+                text: edit.text
+            }]);
+            editor.pushUndoStop();
+        }
+    } else {
+        document.getElementById('filterJaml').value = text;
+        onUserJamlEdit();
+        scheduleJamlValidation();
+    }
+    renderBuilderClauses();
+}
+
+function scheduleBuilderSync(delay = 250) {
+    clearTimeout(builderSyncTimer);
+    builderSyncTimer = setTimeout(() => {
+        if (getBuilderJamlText() !== builderRenderedText) renderBuilderClauses();
+    }, delay);
+}
+
+// Name/deck/stake inputs mirror the top-level keys of the JAML
+function syncBuilderHeaderFields(lines) {
+    ['name', 'deck', 'stake'].forEach(key => {
+        const line = lines.find(l => l.startsWith(`${key}:`));
+        const input = document.getElementById(`builder${key[0].toUpperCase()}${key.slice(1)}`);
+        if (!line || !input || input === document.activeElement) return;
+        let value = line.slice(key.length + 1).replace(/\s+#.*$/, '').trim();
+        try {
+            const parsed = jsyaml.load(value);
+            value = parsed == null ? '' : String(parsed);
+        } catch (e) {
+            return;
+        }
+        if (input.tagName === 'SELECT' && !Array.from(input.options).some(o => o.value === value)) return;
+        input.value = value;
+    });
+}
+
+function setBuilderHeaderField(key, value) {
+    const text = getBuilderJamlText();
+    if (!text.trim()) return; // "Create Filter & Search" starts a new filter from these fields
+    const lines = text.split('\n');
+    const index = lines.findIndex(l => l.startsWith(`${key}:`));
+    const formatted = formatJamlValue(key === 'name' ? value.trim() || 'My Filter' : value);
+
+    if (index >= 0) {
+        const comment = (lines[index].slice(key.length + 1).match(/\s+#[^'"]*$/) || [''])[0];
+        lines[index] = `${key}: ${formatted}${comment}`;
+    } else {
+        const after = Math.max(...['name', 'deck', 'stake'].map(k => lines.findIndex(l => l.startsWith(`${k}:`))));
+        lines.splice(after + 1, 0, `${key}: ${formatted}`);
+    }
+    writeJamlFromBuilder(lines.join('\n'));
+}
+
+// "Add into" choices on the add form: the top level of the chosen section, or any or/and group
+function updateBuilderTargets(model) {
+    const select = document.getElementById('builderTarget');
+    if (!select) return;
+    const current = select.value;
+    const groups = collectJamlGroups(model);
+    select.innerHTML = '<option value="">Top level</option>' + groups.map(group =>
+        `<option value="${group.path}">${group.path} - ${BUILDER_TYPES[group.resolved.type].label}</option>`
+    ).join('');
+    select.value = groups.some(group => group.path === current) ? current : '';
+}
+
+function setBuilderAddTarget(path) {
+    const select = document.getElementById('builderTarget');
+    select.value = path;
+    select.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    showStatus(`New items will be added into ${path}`);
+}
+
+function renderBuilderClauses() {
+    const container = document.getElementById('builderClauses');
+    if (!container) return;
+
+    const text = getBuilderJamlText();
+    builderRenderedText = text;
+    if (typeof jsyaml === 'undefined') {
+        container.innerHTML = '<p class="help-text">Loading YAML parser...</p>';
+        return;
+    }
+    if (!itemCatalog) {
+        container.innerHTML = '<p class="help-text">Loading item catalog...</p>';
+        return;
+    }
+
+    const model = parseJamlClauseBlocks(text);
+    syncBuilderHeaderFields(model.lines);
+    updateBuilderTargets(model);
+
+    container.innerHTML = JAML_SECTIONS.map(section => {
+        const clauses = model.sections[section] ? model.sections[section].clauses : [];
+        const cards = clauses.map(clause => renderBuilderClauseCard(clause, model.lines)).join('');
+        return `
+            <div class="clause-group clause-group-${section.toLowerCase()}">
+                <div class="clause-group-title">${BUILDER_SECTION_LABELS[section]} <span>${section} · ${clauses.length}</span></div>
+                ${cards || '<p class="help-text">Nothing here yet</p>'}
+            </div>
+        `;
+    }).join('');
+}
+
+function renderBuilderSelectField(ref, key, options, current, anyLabel = 'Any') {
+    const values = ['', ...options];
+    if (current && !values.includes(current)) values.push(current);
+    return `
+        <label>${BUILDER_FIELD_LABELS[key]}
+            <select onchange="updateBuilderClause(${ref}, '${key}', this.value)">
+                ${values.map(v => `<option value="${escapeHtml(v)}" ${v === current ? 'selected' : ''}>${v ? escapeHtml(v) : anyLabel}</option>`).join('')}
+            </select>
+        </label>`;
+}
+
+function renderBuilderExtraField(ref, key, data) {
+    const current = data[key] != null ? data[key] : '';
+    if (key === 'rolls') {
+        const rolls = Array.isArray(current) ? current.join(', ') : String(current);
+        return `<label>Rolls <input type="text" value="${escapeHtml(rolls)}" placeholder="any" onchange="setBuilderClauseNumbers(${ref}, 'rolls', this.value)"></label>`;
+    }
+    if (key === 'min') {
+        return `<label>At least <input type="number" min="1" value="${escapeHtml(current)}" placeholder="1" onchange="updateBuilderClause(${ref}, 'min', this.value === '' ? null : Number(this.value))"></label>`;
+    }
+    return renderBuilderSelectField(ref, key, ITEM_DATA[key], String(current), key === 'eventType' ? 'Choose...' : 'Any');
+}
+
+function renderBuilderClauseCard(clause, lines) {
+    const { path, data, resolved, siblings } = clause;
+    const index = siblings.indexOf(clause);
+    const topLevel = !path.includes('.');
+    const section = path.match(/^\w+/)[0];
+    const ref = `'${path}'`;
+    const type = resolved ? BUILDER_TYPE_FOR[resolved.type] : null;
+
+    const sectionOptions = JAML_SECTIONS.map(s => `<option value="${s}" ${s === section ? 'selected' : ''}>${BUILDER_SECTION_LABELS[s]}</option>`).join('');
+    const header = `
+        <div class="clause-card-header">
+            ${topLevel
+                ? `<select class="clause-card-section" onchange="setBuilderClauseSection(${ref}, this.value)" title="Move to another section">${sectionOptions}</select>`
+                : `<span class="friendly-label">#${index + 1}</span>`}
+            <div class="clause-card-actions">
+                <button type="button" class="button-tiny" onclick="moveBuilderClause(${ref}, -1)" title="Move up" ${index === 0 ? 'disabled' : ''}>↑</button>
+                <button type="button" class="button-tiny" onclick="moveBuilderClause(${ref}, 1)" title="Move down" ${index === siblings.length - 1 ? 'disabled' : ''}>↓</button>
+                <button type="button" class="button-tiny" onclick="revealClauseInEditor('${path}')" title="Show in editor">✎</button>
+                <button type="button" class="button-tiny delete-btn" onclick="deleteBuilderClause(${ref})" title="Remove this clause">✕</button>
+            </div>
+        </div>
+    `;
+
+    const common = [];
+    if (section === 'should' && topLevel) {
+        common.push(`<label>Score <input type="number" min="1" value="${data && data.score != null ? escapeHtml(data.score) : ''}" placeholder="default" onchange="updateBuilderClause(${ref}, 'score', this.value === '' ? null : Number(this.value))"></label>`);
+    }
+    common.push(`<label>Label <input type="text" value="${data && data.label != null ? escapeHtml(data.label) : ''}" placeholder="optional" onchange="updateBuilderClause(${ref}, 'label', this.value.trim())"></label>`);
+
+    // or/and groups: nested cards, as long as the nested list is written in block style
+    const nested = resolved && Array.isArray(resolved.clauses) ? resolved.clauses : [];
+    if (type && GROUP_TYPES.includes(type) && nested.length === clause.children.length) {
+        const groupOptions = GROUP_TYPES.map(t => `<option value="${t}" ${t === type ? 'selected' : ''}>${BUILDER_TYPES[t].label}</option>`).join('');
+        return `
+            <div class="clause-card clause-card-group">
+                ${header}
+                <div class="clause-card-fields">
+                    <label>Match <select onchange="setBuilderGroupType(${ref}, this.value)">${groupOptions}</select></label>
+                    ${common.join('')}
+                </div>
+                <div class="clause-card-children">
+                    ${clause.children.map(child => renderBuilderClauseCard(child, lines)).join('') || '<p class="help-text">Empty group - add items into it</p>'}
+                </div>
+                <button type="button" class="button-tiny" onclick="setBuilderAddTarget(${ref})">+ Add item here</button>
+            </div>
+        `;
+    }
+
+    const valueless = VALUELESS_TYPES.includes(type);
+    const editable = type && !GROUP_TYPES.includes(type) && resolved.values == null
+        && (valueless || resolved.value == null || typeof resolved.value === 'string');
+    if (!editable) {
+        const firstLine = clause.error ? `⚠️ ${clause.error}` : lines[clause.dash].trim();
+        return `
+            <div class="clause-card clause-card-readonly">
+                ${header}
+                <div class="clause-card-summary">${escapeHtml(firstLine)}</div>
+                <p class="help-text">The builder can't edit this clause yet - use ✎ to edit it in the editor.</p>
+            </div>
+        `;
+    }
+
+    const fields = TYPE_FIELDS[type];
+    const typeOptions = Object.entries(BUILDER_TYPES)
+        .filter(([key]) => !GROUP_TYPES.includes(key))
+        .map(([key, info]) => `<option value="${key}" ${key === type ? 'selected' : ''}>${info.label}</option>`).join('');
+
+    let valueSelect = '';
+    if (!valueless) {
+        const value = resolved.value == null ? '' : resolved.value;
+        const items = ITEM_DATA[type] || [];
+        const valueOptions = (items.includes(value) ? items : [value, ...items])
+            .map(item => `<option value="${escapeHtml(item)}" ${item === value ? 'selected' : ''}>${escapeHtml(item)}</option>`).join('');
+        valueSelect = `<select onchange="setBuilderClauseValue(${ref}, this.value)">${valueOptions}</select>`;
+    }
+
+    const antes = Array.isArray(data.antes) ? data.antes.map(Number) : (data.antes != null ? [Number(data.antes)] : []);
+    const anteButtons = [1, 2, 3, 4, 5, 6, 7, 8].map(ante =>
+        `<button type="button" class="ante-btn ${antes.includes(ante) ? 'active' : ''}" onclick="toggleBuilderClauseAnte(${ref}, ${ante})">${ante}</button>`
+    ).join('');
+
+    const sources = isPlainObject(data.sources) ? data.sources : {};
+    const slotsText = key => {
+        const slots = sources[key] != null ? sources[key] : data[key];
+        return Array.isArray(slots) ? slots.join(', ') : (slots != null ? String(slots) : '');
+    };
+    const requireMega = (sources.requireMega != null ? sources.requireMega : data.requireMega) === true;
+
+    const rows = (TYPE_EXTRA_FIELDS[type] || []).map(key => renderBuilderExtraField(ref, key, data));
+    if (fields.edition) {
+        rows.push(renderBuilderSelectField(ref, 'edition', JAML_EDITIONS.filter(e => e !== 'None'), data.edition ? String(data.edition) : ''));
+    }
+    if (fields.shopSlots) {
+        rows.push(`<label>Shop slots <input type="text" value="${escapeHtml(slotsText('shopSlots'))}" placeholder="default" onchange="setBuilderClauseNumbers(${ref}, 'shopSlots', this.value)"></label>`);
+    }
+    if (fields.packSlots) {
+        rows.push(`<label>Pack slots <input type="text" value="${escapeHtml(slotsText('packSlots'))}" placeholder="default" onchange="setBuilderClauseNumbers(${ref}, 'packSlots', this.value)"></label>`);
+    }
+    if (fields.requireMega) {
+        rows.push(`<label class="clause-card-check"><input type="checkbox" ${requireMega ? 'checked' : ''} onchange="updateBuilderClause(${ref}, 'requireMega', this.checked ? true : null)"> Mega pack only</label>`);
+    }
+
+    return `
+        <div class="clause-card">
+            ${header}
+            <div class="${valueless ? 'builder-row' : 'builder-row-2col'}">
+                <select onchange="setBuilderClauseType(${ref}, this.value)">${typeOptions}</select>
+                ${valueSelect}
+            </div>
+            <div class="clause-card-antes" title="${antes.length ? 'Antes to check' : 'No antes set - defaults.antes applies'}">
+                <span class="friendly-label">Antes${antes.length ? '' : ' (default)'}</span>
+                <div class="ante-buttons">${anteButtons}</div>
+            </div>
+            <div class="clause-card-fields">${[...rows, ...common].join('')}</div>
+        </div>
+    `;
+}
+
+function getBuilderClause(path) {
+    const text = getBuilderJamlText();
+    return { text, clause: findJamlClause(parseJamlClauseBlocks(text), path) };
+}
+
+function updateBuilderClause(path, key, value) {
+    writeJamlFromBuilder(setJamlClauseField(getBuilderJamlText(), path, key, value));
+}
+
+function setBuilderClauseValue(path, value) {
+    const { text, clause } = getBuilderClause(path);
+    if (!clause || !clause.resolved) return;
+    const key = clause.resolved.typeKey === 'type' ? 'value' : clause.resolved.typeKey;
+    writeJamlFromBuilder(setJamlClauseField(text, path, key, value));
+}
+
+function setBuilderClauseType(path, type) {
+    const { clause } = getBuilderClause(path);
+    if (!clause || !clause.resolved) return;
+    let text = getBuilderJamlText();
+    const typeKey = clause.resolved.typeKey;
+    const typeName = BUILDER_TYPES[type].typeName;
+
+    if (VALUELESS_TYPES.includes(type)) {
+        // Playing cards and events are described by their fields, so use "type: X" with no value
+        text = setJamlClauseField(text, path, typeKey, typeName, 'type');
+        text = setJamlClauseField(text, path, 'value', null);
+    } else if (typeKey === 'type') {
+        text = setJamlClauseField(text, path, 'type', typeName);
+        text = setJamlClauseField(text, path, 'value', (ITEM_DATA[type] || [])[0] || '');
+    } else {
+        text = setJamlClauseField(text, path, typeKey, (ITEM_DATA[type] || [])[0] || '', type);
+    }
+
+    // Drop fields the new type can't use so the clause stays valid
+    const fields = TYPE_FIELDS[type];
+    const extra = TYPE_EXTRA_FIELDS[type] || [];
+    ['edition', 'shopSlots', 'packSlots', 'requireMega'].filter(key => !fields[key])
+        .concat(Object.values(TYPE_EXTRA_FIELDS).flat().filter(key => !extra.includes(key)))
+        .forEach(key => { text = setJamlClauseField(text, path, key, null); });
+    if (type === 'event' && !clause.data.eventType) {
+        text = setJamlClauseField(text, path, 'eventType', ITEM_DATA.eventType[0] || '');
+    }
+
+    writeJamlFromBuilder(text);
+}
+
+function setBuilderGroupType(path, type) {
+    const { text, clause } = getBuilderClause(path);
+    if (!clause || !clause.resolved) return;
+    writeJamlFromBuilder(clause.resolved.typeKey === 'type'
+        ? setJamlClauseField(text, path, 'type', BUILDER_TYPES[type].typeName)
+        : renameJamlClauseKey(text, path, clause.resolved.typeKey, type));
+}
+
+function setBuilderClauseSection(path, targetSection) {
+    writeJamlFromBuilder(moveJamlClauseToSection(getBuilderJamlText(), path, targetSection));
+    showStatus(`Moved clause to ${targetSection}`);
+}
+
+function toggleBuilderClauseAnte(path, ante) {
+    const { text, clause } = getBuilderClause(path);
+    if (!clause || !clause.data) return;
+    const current = clause.data.antes;
+    const antes = new Set(Array.isArray(current) ? current.map(Number) : (current != null ? [Number(current)] : []));
+    if (antes.has(ante)) antes.delete(ante); else antes.add(ante);
+    writeJamlFromBuilder(setJamlClauseField(text, path, 'antes', [...antes].sort((a, b) => a - b)));
+}
+
+// "0, 1, 2" -> [0, 1, 2]; null when anything isn't a whole number
+function parseBuilderNumberList(input) {
+    const parts = input.split(/[\s,]+/).filter(Boolean);
+    return parts.every(p => /^\d+$/.test(p)) ? parts.map(Number) : null;
+}
+
+function setBuilderClauseNumbers(path, key, input) {
+    const numbers = parseBuilderNumberList(input);
+    if (!numbers) {
+        showStatus(`❌ ${key} must be numbers, e.g. 0, 1, 2`);
+        renderBuilderClauses();
+        return;
+    }
+    updateBuilderClause(path, key, numbers);
+}
+
+function moveBuilderClause(path, delta) {
+    writeJamlFromBuilder(moveJamlClause(getBuilderJamlText(), path, delta));
+}
+
+function deleteBuilderClause(path) {
+    writeJamlFromBuilder(deleteJamlClause(getBuilderJamlText(), path));
+    showStatus(`Removed ${path}`);
+}
+
+// ================================================
+// Live JAML Validation - mirrors MotelyJsonConfigValidator
+// ================================================
+// Type-as-key syntax ("- joker: Blueprint") -> normalized type (see JamlConfigLoader.PreProcessJaml)
+const JAML_TYPE_KEYS = {
+    joker: 'joker', souljoker: 'souljoker', voucher: 'voucher',
+    tarot: 'tarotcard', tarotcard: 'tarotcard', planet: 'planetcard', planetcard: 'planetcard',
+    spectral: 'spectralcard', spectralcard: 'spectralcard', playingcard: 'playingcard', standardcard: 'playingcard',
+    boss: 'boss', tag: 'tag', smallblindtag: 'smallblindtag', bigblindtag: 'bigblindtag',
+    erraticrank: 'erraticrank', erraticsuit: 'erraticsuit', event: 'event', and: 'and', or: 'or'
+};
+
+// Plural syntax ("- jokers: [Blueprint, Brainstorm]") -> type + values
+const JAML_PLURAL_KEYS = {
+    jokers: 'joker', souljokers: 'souljoker', vouchers: 'voucher', tarots: 'tarotcard', tarotcards: 'tarotcard',
+    planets: 'planetcard', planetcards: 'planetcard', spectrals: 'spectralcard', spectralcards: 'spectralcard',
+    playingcards: 'playingcard', standardcards: 'playingcard', bosses: 'boss', tags: 'tag'
+};
+
+// Types accepted by the validator when written as "type: X" (lowercased). This and the other type
+// lists below are fallbacks until the catalog arrives - applyItemCatalog refills them from catalog.types.
+const JAML_VALID_TYPES = [
+    'joker', 'souljoker', 'tarot', 'tarotcard', 'planet', 'planetcard', 'spectral', 'spectralcard',
+    'playingcard', 'standardcard', 'tag', 'smallblindtag', 'bigblindtag', 'voucher', 'boss', 'bossblind',
+    'event', 'erraticrank', 'erraticsuit', 'and', 'or'
+];
+
+// YAML keys the loader actually reads - anything else is silently dropped by the deserializer
+const JAML_TOP_LEVEL_KEYS = ['name', 'author', 'description', 'dateCreated', 'verifiedSeed', 'deck', 'stake', 'mode', 'defaults', 'must', 'should', 'mustNot'];
+const JAML_DEFAULTS_KEYS = ['antes', 'packSlots', 'shopSlots', 'score'];
+const JAML_CLAUSE_KEYS = [
+    'type', 'value', 'values', 'label', 'antes', 'clauses', 'score', 'mode', 'min', 'filterOrder', 'edition',
+    'stickers', 'suit', 'rank', 'seal', 'enhancement', 'sources', 'packSlots', 'shopSlots', 'requireMega',
+    'tags', 'eventType', 'rolls'
+];
+const JAML_SOURCES_KEYS = ['shopSlots', 'packSlots', 'minShopSlot', 'maxShopSlot', 'minPackSlot', 'maxPackSlot', 'tags', 'requireMega', 'judgement', 'rareTag', 'uncommonTag'];
+
+// Deck, stake, edition, sticker, suit and rank names are filled from the catalog (applyItemCatalog)
+const JAML_DECKS = [];
+const JAML_STAKES = [];
+const JAML_MODES = ['sum', 'max', 'max_count', 'maxcount'];
+const JAML_EDITIONS = [];
+const JAML_EDITION_TYPES = ['joker', 'souljoker', 'playingcard', 'standardcard', 'tarotcard', 'spectralcard', 'planetcard'];
+const JAML_STICKERS = [];
+const JAML_SUITS = [];
+const JAML_RANKS = [];
+const JAML_SOURCE_TYPES = ['joker', 'souljoker', 'playingcard', 'standardcard', 'tarot', 'tarotcard', 'planet', 'planetcard', 'spectral', 'spectralcard'];
+const JAML_NO_SOURCE_TYPES = ['voucher', 'boss', 'bossblind', 'smallblindtag', 'bigblindtag'];
+
+// Value rules per type. "strict" types are rejected by the server when the name is unknown;
+// the rest are accepted but the unknown name is ignored, so we only warn.
+const JAML_VALUE_RULES = {
+    joker: { label: 'joker', names: () => [...ITEM_DATA.joker, ...ITEM_DATA.soulJoker], wildcards: ['any', '*', 'AnyJoker', 'AnyCommon', 'AnyUncommon', 'AnyRare', 'AnyLegendary'], strictValues: true },
+    souljoker: { label: 'soul joker', names: () => [...ITEM_DATA.joker, ...ITEM_DATA.soulJoker], wildcards: ['any', '*', 'AnyJoker', 'AnyCommon', 'AnyUncommon', 'AnyRare'] },
+    tarot: { label: 'tarot', names: () => ITEM_DATA.tarot, wildcards: ['any', '*', 'AnyTarot'], strictValues: true },
+    planet: { label: 'planet', names: () => ITEM_DATA.planet, wildcards: ['any', '*', 'AnyPlanet'], strictValues: true },
+    spectral: { label: 'spectral', names: () => ITEM_DATA.spectral, wildcards: ['any', '*', 'AnySpectral'], strictValues: true },
+    tag: { label: 'tag', names: () => ITEM_DATA.tag, wildcards: [] },
+    voucher: { label: 'voucher', names: () => ITEM_DATA.voucher, wildcards: [] },
+    boss: { label: 'boss blind', names: () => ITEM_DATA.boss, wildcards: [] }
+};
+JAML_VALUE_RULES.tarotcard = JAML_VALUE_RULES.tarot;
+JAML_VALUE_RULES.planetcard = JAML_VALUE_RULES.planet;
+JAML_VALUE_RULES.spectralcard = JAML_VALUE_RULES.spectral;
+JAML_VALUE_RULES.smallblindtag = JAML_VALUE_RULES.tag;
+JAML_VALUE_RULES.bigblindtag = JAML_VALUE_RULES.tag;
+JAML_VALUE_RULES.bossblind = JAML_VALUE_RULES.boss;
+
+let jamlValidationTimer = null;
+let jamlValidationSeq = 0;
+let jamlValidationIssues = []; // Latest issues by line: { line, message, severity, fix }
+
+function jamlIssue(path, message, severity = 'error', fix = null) {
+    return { path, message, severity, fix };
+}
+
+// Enum.TryParse semantics: case-insensitive name, or any integer
+function isJamlEnumName(names, value) {
+    const str = String(value).trim();
+    if (/^-?\d+$/.test(str)) return true;
+    const lower = str.toLowerCase();
+    return names.some(name => name.toLowerCase() === lower);
+}
+
+function levenshtein(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let prev = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const temp = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, prev + (a[i - 1] === b[j - 1] ? 0 : 1));
+            prev = temp;
+        }
+    }
+    return row[b.length];
+}
+
+function suggestJamlName(value, names) {
+    const lower = String(value).toLowerCase();
+    const prefixed = lower.length >= 3 && names.find(name => name.toLowerCase().startsWith(lower));
+    if (prefixed) return prefixed;
+    let best = null;
+    let bestDistance = Infinity;
+    for (const name of names) {
+        const distance = levenshtein(lower, name.toLowerCase());
+        if (distance < bestDistance) {
+            best = name;
+            bestDistance = distance;
+        }
+    }
+    return bestDistance <= Math.max(2, Math.floor(lower.length / 3)) ? best : null;
+}
+
+function didYouMean(value, names) {
+    const suggestion = suggestJamlName(value, names);
+    return suggestion ? ` Did you mean '${suggestion}'?` : '';
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isIntegerList(value) {
+    return Array.isArray(value) && value.every(v => Number.isInteger(v));
+}
+
+// Validate a parsed JAML document. Returns [{ path, message, severity }] where path uses the
+// same notation as the server ("must[0].clauses[1]") so both can be mapped to editor lines.
+function validateJamlDocument(doc) {
+    const issues = [];
+    if (!isPlainObject(doc)) {
+        issues.push(jamlIssue('', 'Filter must be a YAML mapping with must/should/mustNot sections'));
+        return issues;
+    }
+
+    Object.keys(doc).forEach(key => {
+        if (!JAML_TOP_LEVEL_KEYS.includes(key)) {
+            const hint = didYouMean(key, JAML_TOP_LEVEL_KEYS);
+            issues.push(jamlIssue(key, `Unknown top-level key '${key}' will be ignored.${hint}`, 'warning'));
+        }
+    });
+
+    // Name checks wait for the item catalog - applyItemCatalog validates again once it's in
+    if (!itemCatalog) {
+        issues.push(jamlIssue('', "Item catalog isn't loaded - deck, stake and item names aren't checked here yet (the server still checks them).", 'info'));
+    }
+    if (itemCatalog && doc.deck != null && !isJamlEnumName(JAML_DECKS, doc.deck)) {
+        issues.push(jamlIssue('deck', `Invalid deck: '${doc.deck}'.${didYouMean(doc.deck, JAML_DECKS)} Valid decks are: ${JAML_DECKS.join(', ')}`));
+    }
+    if (itemCatalog && doc.stake != null && !isJamlEnumName(JAML_STAKES, doc.stake)) {
+        issues.push(jamlIssue('stake', `Invalid stake: '${doc.stake}'.${didYouMean(doc.stake, JAML_STAKES)} Valid stakes are: ${JAML_STAKES.join(', ')}`));
+    }
+    if (doc.mode != null && !JAML_MODES.includes(String(doc.mode).trim().toLowerCase())) {
+        issues.push(jamlIssue('mode', `Invalid mode: '${doc.mode}'. Valid modes are: sum, max (alias: max_count, maxcount)`));
+    }
+
+    if (doc.defaults != null) {
+        if (!isPlainObject(doc.defaults)) {
+            issues.push(jamlIssue('defaults', "'defaults' must be a mapping"));
+        } else {
+            Object.keys(doc.defaults).forEach(key => {
+                if (!JAML_DEFAULTS_KEYS.includes(key)) {
+                    issues.push(jamlIssue(`defaults.${key}`, `Unknown defaults key '${key}' will be ignored.${didYouMean(key, JAML_DEFAULTS_KEYS)}`, 'warning'));
+                }
+            });
+            validateJamlAntes(doc.defaults.antes, 'defaults', issues);
+        }
+    }
+
+    validateJamlClauses(doc.must, 'must', 'must', issues);
+    validateJamlClauses(doc.should, 'should', 'should', issues);
+    validateJamlClauses(doc.mustNot, 'mustNot', 'mustNot', issues);
+    return issues;
+}
+
+function validateJamlClauses(clauses, prefix, section, issues) {
+    if (clauses == null) return;
+    if (!Array.isArray(clauses)) {
+        issues.push(jamlIssue(prefix, `'${prefix.split('.').pop()}' must be a list of clauses`));
+        return;
+    }
+    clauses.forEach((clause, i) => validateJamlClause(clause, `${prefix}[${i}]`, section, issues));
+}
+
+// Resolve the three clause spellings (type-as-key, plural key, explicit type) into one shape
+function resolveJamlClause(clause) {
+    const keys = Object.keys(clause);
+    const firstKey = keys[0] || '';
+    const first = firstKey.toLowerCase();
+
+    if (JAML_PLURAL_KEYS[first]) {
+        return { type: JAML_PLURAL_KEYS[first], typeKey: firstKey, value: clause.value, values: clause[firstKey], clauses: clause.clauses };
+    }
+    if (JAML_TYPE_KEYS[first]) {
+        const type = JAML_TYPE_KEYS[first];
+        if (type === 'and' || type === 'or') {
+            const nested = clause[firstKey] != null ? clause[firstKey] : clause.clauses;
+            return { type, typeKey: firstKey, value: undefined, values: clause.values, clauses: nested };
+        }
+        return { type, typeKey: firstKey, value: clause[firstKey], values: clause.values, clauses: clause.clauses };
+    }
+    if (clause.type != null) {
+        return { type: String(clause.type).toLowerCase(), typeKey: 'type', value: clause.value, values: clause.values, clauses: clause.clauses };
+    }
+    return null;
+}
+
+function validateJamlClause(clause, path, section, issues) {
+    if (!isPlainObject(clause)) {
+        issues.push(jamlIssue(path, 'Clause must be a mapping, e.g. "- joker: Blueprint"'));
+        return;
+    }
+
+    const resolved = resolveJamlClause(clause);
+    if (!resolved) {
+        // Type-as-key only works as the first key of the list item
+        const misplaced = Object.keys(clause).find(k => JAML_TYPE_KEYS[k.toLowerCase()] || JAML_PLURAL_KEYS[k.toLowerCase()]);
+        const hint = misplaced ? ` Put '${misplaced}' on the "- " line as the first key of the clause.` : '';
+        issues.push(jamlIssue(path, `Missing 'type' field.${hint}`));
+        return;
+    }
+
+    const { type, typeKey } = resolved;
+    const value = resolved.value == null ? '' : String(resolved.value);
+    const values = resolved.values;
+
+    Object.keys(clause).forEach(key => {
+        if (key !== typeKey && !JAML_CLAUSE_KEYS.includes(key)) {
+            issues.push(jamlIssue(`${path}.${key}`, `Unknown key '${key}' will be ignored.${didYouMean(key, JAML_CLAUSE_KEYS)}`, 'warning'));
+        }
+    });
+
+    if (!JAML_VALID_TYPES.includes(type)) {
+        const suggestion = suggestJamlName(type, JAML_VALID_TYPES);
+        issues.push(jamlIssue(path, suggestion
+            ? `Unknown type '${type}'. Did you mean '${suggestion}'?`
+            : `Unknown type '${type}'. Valid types: joker, souljoker, tarot, planet, spectral, playingcard, tag, smallblindtag, bigblindtag, voucher, boss, event, erraticrank, erraticsuit, and, or`));
+        return;
+    }
+
+    if (values != null && !Array.isArray(values)) {
+        issues.push(jamlIssue(path, "'values' must be a list, e.g. [Blueprint, Brainstorm]"));
+    } else if (value && Array.isArray(values) && values.length > 0) {
+        issues.push(jamlIssue(path, "Cannot specify both 'value' and 'values'. Use 'value' for a single item or 'values' for multiple items (OR matching)"));
+    }
+
+    const rule = JAML_VALUE_RULES[type];
+    if (rule) {
+        const names = rule.names();
+        if (type === 'souljoker' && value.toLowerCase() === 'anylegendary') {
+            issues.push(jamlIssue(path, "'AnyLegendary' is not valid for soul jokers because all soul jokers are legendary by definition. Use 'any' instead."));
+        } else if (type === 'joker' && value.toLowerCase() === 'perkeo') {
+            issues.push(jamlIssue(path, `'${value}' is not a valid regular Joker. Did you mean to use 'soulJoker' instead of 'joker'? Perkeo can only appear as a Soul Joker.`));
+        } else if (itemCatalog && value && !isJamlEnumName(rule.wildcards, value) && !isJamlEnumName(names, value)) {
+            issues.push(jamlIssue(path, `Invalid ${rule.label} '${value}'.${didYouMean(value, names)}`));
+        }
+
+        if (Array.isArray(values)) {
+            values.forEach((v, j) => {
+                if (v == null) return;
+                if (type === 'joker' && String(v).toLowerCase() === 'perkeo') {
+                    issues.push(jamlIssue(`${path}.values[${j}]`, `'${v}' is not a valid regular Joker. Perkeo can only appear as a Soul Joker.`));
+                } else if (itemCatalog && !isJamlEnumName(rule.wildcards, v) && !isJamlEnumName(names, v)) {
+                    const message = rule.strictValues
+                        ? `Invalid ${rule.label} '${v}'.${didYouMean(v, names)}`
+                        : `Unknown ${rule.label} '${v}' will be ignored.${didYouMean(v, names)}`;
+                    issues.push(jamlIssue(`${path}.values[${j}]`, message, rule.strictValues ? 'error' : 'warning'));
+                }
+            });
+        }
+    }
+
+    if (type === 'playingcard' || type === 'standardcard') {
+        if (value && !value.includes(' of ')) {
+            issues.push(jamlIssue(path, "Playing cards should use 'suit' and 'rank' properties, not 'value'. Example: suit: Heart, rank: Seven"));
+        }
+        if (Array.isArray(values) && values.length > 0) {
+            issues.push(jamlIssue(path, "Playing cards don't support 'values' array. Use 'suit' and 'rank' properties instead"));
+        }
+        if (itemCatalog && clause.suit != null && !isJamlEnumName(['Any', '*', ...JAML_SUITS], clause.suit)) {
+            issues.push(jamlIssue(`${path}.suit`, `Invalid suit '${clause.suit}'.${didYouMean(clause.suit, JAML_SUITS)} Valid suits are: ${JAML_SUITS.join(', ')}, Any, *`));
+        }
+        if (itemCatalog && clause.rank != null && !isJamlEnumName(['Any', '*', ...JAML_RANKS], clause.rank)) {
+            issues.push(jamlIssue(`${path}.rank`, `Invalid rank '${clause.rank}'.${didYouMean(clause.rank, JAML_RANKS)} Valid ranks are: ${JAML_RANKS.join(', ')}, Any, *`));
+        }
+    }
+
+    if (type === 'and' || type === 'or') {
+        const nested = resolved.clauses;
+        if (!Array.isArray(nested) || nested.length === 0) {
+            issues.push(jamlIssue(path, `'${type}' clause requires 'clauses' array with at least one nested clause`));
+        } else {
+            validateJamlClauses(nested, `${path}.clauses`, section, issues);
+        }
+    }
+
+    if (clause.edition != null && clause.edition !== '') {
+        if (!JAML_EDITION_TYPES.includes(type)) {
+            issues.push(jamlIssue(`${path}.edition`, `Edition specified ('${clause.edition}') but type '${type}' does not support editions (remove 'edition').`, 'error',
+                jamlQuickFix('Remove edition', text => setJamlClauseField(text, path, 'edition', null))));
+        } else if (itemCatalog && !isJamlEnumName(JAML_EDITIONS, clause.edition)) {
+            issues.push(jamlIssue(`${path}.edition`, `Invalid edition '${clause.edition}'.${didYouMean(clause.edition, JAML_EDITIONS)} Valid editions are: ${JAML_EDITIONS.join(', ')}`));
+        }
+    }
+
+    if (Array.isArray(clause.stickers)) {
+        clause.stickers.forEach(sticker => {
+            if (itemCatalog && sticker != null && !isJamlEnumName(JAML_STICKERS, sticker)) {
+                issues.push(jamlIssue(`${path}.stickers`, `Invalid sticker '${sticker}'. Valid stickers are: ${JAML_STICKERS.map(s => s.toLowerCase()).join(', ')}`));
+            }
+        });
+    }
+
+    validateJamlAntes(clause.antes, path, issues);
+    validateJamlSources(clause, type, value, path, issues);
+
+    // Must/mustNot clauses are pass/fail - score only counts on should clauses
+    if (section !== 'should' && clause.score != null) {
+        issues.push(jamlIssue(`${path}.score`, `'score' has no effect on ${section} clauses - only should clauses are scored`, 'warning',
+            jamlQuickFix('Remove score', text => setJamlClauseField(text, path, 'score', null))));
+    }
+}
+
+function validateJamlAntes(antes, path, issues) {
+    if (antes == null) return;
+    if (!isIntegerList(antes)) {
+        issues.push(jamlIssue(`${path}.antes`, "'antes' must be a list of integers, e.g. [1, 2, 3]"));
+        return;
+    }
+    if (antes.length === 0) {
+        issues.push(jamlIssue(`${path}.antes`, "Empty 'antes' array (remove it to mean all antes, or specify values)"));
+    }
+    antes.forEach(ante => {
+        if (ante < 0 || ante > 39) {
+            issues.push(jamlIssue(`${path}.antes`, `Invalid ante ${ante}. Must be between 0 and 39.`));
+        }
+    });
+}
+
+// Flat packSlots/shopSlots/requireMega are merged into sources by PostProcess, so check both spellings
+function validateJamlSources(clause, type, value, path, issues) {
+    const sources = clause.sources;
+    if (sources != null && !isPlainObject(sources)) {
+        issues.push(jamlIssue(`${path}.sources`, "'sources' must be a mapping, e.g. sources: { packSlots: [0, 1] }"));
+        return;
+    }
+    if (sources) {
+        Object.keys(sources).forEach(key => {
+            if (!JAML_SOURCES_KEYS.includes(key)) {
+                issues.push(jamlIssue(`${path}.sources.${key}`, `Unknown sources key '${key}' will be ignored.${didYouMean(key, JAML_SOURCES_KEYS)}`, 'warning'));
+            }
+        });
+    }
+
+    const pick = (key) => sources && sources[key] != null
+        ? { value: sources[key], path: `${path}.sources.${key}` }
+        : (clause[key] != null ? { value: clause[key], path: `${path}.${key}` } : null);
+    const shopSlots = pick('shopSlots');
+    const packSlots = pick('packSlots');
+    const requireMega = pick('requireMega');
+    const hasSlots = (slots) => slots && Array.isArray(slots.value) && slots.value.length > 0;
+
+    for (const slots of [shopSlots, packSlots]) {
+        if (slots && !isIntegerList(slots.value)) {
+            issues.push(jamlIssue(slots.path, `'${slots.path.split('.').pop()}' must be a list of integers, e.g. [0, 1, 2]`));
+        }
+    }
+
+    if (type === 'tag' || type === 'smallblindtag' || type === 'bigblindtag') {
+        if (hasSlots(shopSlots)) {
+            issues.push(jamlIssue(shopSlots.path, `'shopSlots' specified for ${type} filter but tags don't use shop slots. This property will be ignored.`, 'warning'));
+        }
+        if (hasSlots(packSlots)) {
+            issues.push(jamlIssue(packSlots.path, `'packSlots' specified for ${type} filter but tags don't use pack slots. This property will be ignored.`, 'warning'));
+        }
+        return;
+    }
+
+    if (!JAML_SOURCE_TYPES.includes(type)) {
+        if ((sources || shopSlots || packSlots) && !JAML_NO_SOURCE_TYPES.includes(type) && type !== 'and' && type !== 'or') {
+            issues.push(jamlIssue(sources ? `${path}.sources` : path, `'sources' specified but type '${type}' doesn't use sources (will be ignored)`, 'warning'));
+        }
+        return;
+    }
+
+    if (type === 'souljoker' && hasSlots(shopSlots)) {
+        issues.push(jamlIssue(shopSlots.path, `souljoker '${value || '(any)'}' cannot specify shopSlots; legendary jokers never appear in shops. Remove 'shopSlots'.`, 'error',
+            jamlQuickFix('Remove shopSlots', text => setJamlClauseField(text, path, 'shopSlots', null))));
+    }
+    if (hasSlots(shopSlots) && isIntegerList(shopSlots.value)) {
+        shopSlots.value.filter(slot => slot < 0 || slot > 1023).forEach(slot => {
+            issues.push(jamlIssue(shopSlots.path, `Invalid shop slot ${slot} (slots are 0-1023)`));
+        });
+    }
+    if (hasSlots(packSlots) && isIntegerList(packSlots.value)) {
+        packSlots.value.filter(slot => slot < 0 || slot > 5).forEach(slot => {
+            issues.push(jamlIssue(packSlots.path, `Invalid pack slot ${slot} (max is 5, slots are 0-5 for 6 packs total). Did you mean "shopSlots" instead?`));
+        });
+    }
+    if (requireMega && requireMega.value === true && !hasSlots(packSlots)) {
+        issues.push(jamlIssue(requireMega.path, "'requireMega' is true but no pack slots specified"));
+    }
+}
+
+// Map paths like "must[0].clauses[1].antes" to 1-based line numbers by walking block
+// indentation. Flow collections ("[1, 2]") are treated as scalars. "or:"/"and:" are indexed as
+// "clauses" so client and server paths resolve the same way.
+function buildJamlLineIndex(text) {
+    const index = new Map();
+    const root = { indent: 0, kind: 'map', path: '', pending: '' };
+    const stack = [root];
+    let blockScalarIndent = -1;
+
+    const top = () => stack[stack.length - 1];
+    const childPath = (parent, key) => (parent ? `${parent}.${key}` : key);
+
+    text.split('\n').forEach((raw, i) => {
+        const line = i + 1;
+        const trimmed = raw.trim();
+        let indent = raw.length - raw.trimStart().length;
+
+        if (blockScalarIndent >= 0) {
+            if (!trimmed || indent > blockScalarIndent) return;
+            blockScalarIndent = -1;
+        }
+        if (!trimmed || trimmed.startsWith('#') || trimmed === '---') return;
+
+        let content = trimmed;
+
+        // Sequence entries, including nested "- - x"
+        while (content === '-' || content.startsWith('- ')) {
+            while (stack.length > 1 && top().indent > indent) stack.pop();
+            let seq = top();
+            if (seq.kind !== 'seq' || seq.indent !== indent) {
+                seq = { indent, kind: 'seq', path: seq.pending, pending: '', count: 0 };
+                stack.push(seq);
+            }
+            const entryPath = `${seq.path}[${seq.count++}]`;
+            if (!index.has(entryPath)) index.set(entryPath, line);
+            seq.pending = entryPath;
+
+            const rest = content.slice(1).trimStart();
+            indent += content.length - rest.length;
+            content = rest;
+            if (!content) return;
+        }
+
+        const keyMatch = content.match(/^(["']?)([^"'#\s][^:#]*?)\1\s*:(?:\s+(.*))?$/);
+        if (!keyMatch) return;
+
+        while (stack.length > 1 && (top().indent > indent || (top().kind === 'seq' && top().indent >= indent))) stack.pop();
+        let map = top();
+        if (map.kind !== 'map' || map.indent !== indent) {
+            map = { indent, kind: 'map', path: map.pending, pending: '' };
+            stack.push(map);
+        }
+
+        const key = /^(or|and)$/i.test(keyMatch[2]) ? 'clauses' : keyMatch[2];
+        const keyPath = childPath(map.path, key);
+        if (!index.has(keyPath)) index.set(keyPath, line);
+        map.pending = keyPath;
+
+        if (/^[|>][+-]?\d*\s*(#.*)?$/.test(keyMatch[3] || '')) {
+            blockScalarIndent = indent;
+        }
+    });
+
+    return index;
+}
+
+// Find the closest indexed ancestor of a path (e.g. "must[0].antes" -> "must[0]" -> "must")
+function lookupJamlLine(index, path) {
+    let current = path;
+    while (current) {
+        if (index.has(current)) return index.get(current);
+        const trimmed = current.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+        if (trimmed === current) break;
+        current = trimmed;
     }
-    
-    // Auto-analyze immediately
-    await analyzeSeed();
+    return 1;
 }
 
-async function analyzeSeed() {
-    const seed = document.getElementById('analyzeSeed').value.trim().toUpperCase();
-    const deck = document.getElementById('analyzeDeck').value;
-    const stake = document.getElementById('analyzeStake').value;
-    const resultDiv = document.getElementById('analyzeResult');
+// Server errors look like "must[0]: Invalid joker ..." or "Error in should[2]: ..."
+function parseServerJamlError(message) {
+    const match = message.match(/^(?:Error in )?((?:must|should|mustNot)(?:\[\d+\](?:\.[A-Za-z]+)?)*)\s*:\s*([\s\S]*)$/);
+    return match ? { path: match[1], message: match[2] } : { path: '', message };
+}
 
-    if (!seed) {
-        resultDiv.innerHTML = '<div class="status-message error">Please enter a seed!</div>';
+function scheduleJamlValidation(delay = 300) {
+    clearTimeout(jamlValidationTimer);
+    jamlValidationTimer = setTimeout(validateJaml, delay);
+}
+
+async function validateJaml() {
+    const seq = ++jamlValidationSeq;
+    const text = getJamlValue();
+    const issues = [];
+
+    if (!text.trim()) {
+        renderJamlDiagnostics([]);
         return;
     }
+    if (typeof jsyaml === 'undefined') return; // YAML library not loaded yet
 
-    if (seed.length !== 8 || !/^[A-Z0-9]{8}$/.test(seed)) {
-        resultDiv.innerHTML = '<div class="status-message error">Seed must be 8 characters (A-Z, 0-9)</div>';
+    let doc;
+    try {
+        doc = jsyaml.load(text);
+    } catch (e) {
+        const line = e.mark ? e.mark.line + 1 : 1;
+        renderJamlDiagnostics([{ line, message: `YAML syntax error: ${e.reason || e.message}`, severity: 'error' }]);
         return;
     }
 
-    resultDiv.innerHTML = '<div class="status-message loading">🔍 Analyzing seed...</div>';
+    const index = buildJamlLineIndex(text);
+    [...validateJamlDocument(doc), ...lintJamlDocument(doc)].forEach(issue => {
+        issues.push({ line: lookupJamlLine(index, issue.path), message: issue.message, severity: issue.severity, fix: issue.fix });
+    });
+    renderJamlDiagnostics(issues);
+
+    // Client rules are a mirror - let the server's loader have the final word once they pass
+    if (issues.some(issue => issue.severity === 'error')) return;
 
     try {
-        const response = await fetch('/analyze', {
+        const response = await fetch('/validate', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ seed, deck, stake })
+            body: JSON.stringify({ filterJaml: text })
         });
-
+        if (!response.ok) return;
         const data = await response.json();
+        if (seq !== jamlValidationSeq || data.valid) return;
 
-        if (!response.ok) {
-            resultDiv.innerHTML = `<div class="status-message error">Analysis failed: ${data.error}</div>`;
-            return;
-        }
-
-        // Display analysis results - no fanfare, just the data
-        resultDiv.innerHTML = `
-            <div class="analyze-output">
-                <div class="analyze-header">${seed} | ${deck} | ${stake}</div>
-                <pre class="analyze-pre">${data.analysis}</pre>
-            </div>
-        `;
-
-    } catch (error) {
-        resultDiv.innerHTML = `<div class="status-message error">Analysis error: ${error.message}</div>`;
+        (data.errors || []).forEach(error => {
+            const parsed = parseServerJamlError(error);
+            issues.push({ line: lookupJamlLine(index, parsed.path), message: parsed.message, severity: 'error' });
+        });
+        renderJamlDiagnostics(issues);
+    } catch (e) {
+        // Server unreachable - client-side results stand
     }
 }
 
-// ================================================
-// Button State Management
-// ================================================
-function updateSearchButton(state, progress = 0) {
-    const searchBtn = document.getElementById('searchBtn');
-    searchBtn.style.background = '';
+const JAML_DIAGNOSTIC_ICONS = { error: '❌', warning: '⚠️', info: '💡' };
+
+function renderJamlDiagnostics(issues) {
+    jamlValidationIssues = [...issues].sort((a, b) => a.line - b.line);
+    const text = getJamlValue();
+    const lines = text.split('\n');
+
+    if (window.jamlEditor && typeof monaco !== 'undefined') {
+        const severities = { error: monaco.MarkerSeverity.Error, warning: monaco.MarkerSeverity.Warning, info: monaco.MarkerSeverity.Info };
+        const markers = issues.map(issue => {
+            const lineText = lines[issue.line - 1] || '';
+            return {
+                severity: severities[issue.severity],
+                message: issue.message,
+                startLineNumber: issue.line,
+                startColumn: lineText.length - lineText.trimStart().length + 1,
+                endLineNumber: issue.line,
+                endColumn: Math.max(lineText.length + 1, 2)
+            };
+        });
+        monaco.editor.setModelMarkers(window.jamlEditor.getModel(), 'jaml', markers);
+    }
 
-    switch (state) {
-        case 'START':
-            searchBtn.textContent = 'Start Search';
-            searchBtn.className = 'button-primary';
-            break;
+    const panel = document.getElementById('jamlDiagnostics');
+    if (!panel) return;
+    if (issues.length === 0) {
+        panel.innerHTML = '';
+        panel.style.display = 'none';
+        return;
+    }
 
-        case 'CONTINUE':
-            searchBtn.textContent = 'Continue';
-            searchBtn.className = 'button-blue';
-            break;
+    panel.style.display = 'block';
+    panel.innerHTML = jamlValidationIssues.map((issue, i) => `
+        <div class="jaml-diagnostic ${issue.severity}" onclick="revealJamlLine(${issue.line})">
+            ${JAML_DIAGNOSTIC_ICONS[issue.severity]} Line ${issue.line}: ${escapeHtml(issue.message)}
+            ${issue.fix ? `<button class="jaml-quick-fix" onclick="event.stopPropagation(); applyJamlQuickFix(${i})">${escapeHtml(issue.fix.title)}</button>` : ''}
+        </div>
+    `).join('');
+}
 
-        case 'RUNNING':
-            searchBtn.textContent = 'Stop';
-            searchBtn.className = 'button-danger';
-            break;
+function revealJamlLine(line) {
+    if (window.jamlEditor && !usePlainEditor) {
+        window.jamlEditor.revealLineInCenter(line);
+        window.jamlEditor.setPosition({ lineNumber: line, column: 1 });
+        window.jamlEditor.focus();
+        return;
     }
+    const textarea = document.getElementById('filterJaml');
+    const offset = textarea.value.split('\n').slice(0, line - 1).reduce((sum, l) => sum + l.length + 1, 0);
+    textarea.focus();
+    textarea.setSelectionRange(offset, offset);
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
 }
 
+document.addEventListener('DOMContentLoaded', () => {
+    const plainTextarea = document.getElementById('filterJaml');
+    plainTextarea.addEventListener('input', () => {
+        scheduleJamlValidation();
+        scheduleBuilderSync();
+    });
+    scheduleJamlValidation(0);
+});
+
 // ================================================
-// Utility Functions
+// Filter Lint - legal filters that probably don't do what was meant
 // ================================================
-function sanitizeSearchId(id) {
-    // Match the C# SanitizeSearchId function
-    const invalid = ['<', '>', ':', '"', '|', '?', '*', '/', '\\'];
-    invalid.forEach(c => {
-        id = id.replaceAll(c, '-');
+// Lint issues are 'info' diagnostics next to the validator's errors and warnings. Any issue can
+// carry a quick fix: { title, apply(text) -> text }, offered as a Monaco code action and as a
+// Fix button in the diagnostics panel.
+const JAML_LINT_MATCH_KEYS = ['edition', 'stickers', 'suit', 'rank', 'seal', 'enhancement', 'min', 'eventType', 'rolls'];
+const JAML_LINT_SLOT_KEYS = ['sources', 'shopSlots', 'packSlots', 'requireMega'];
+const JAML_ALL_ANTES = [1, 2, 3, 4, 5, 6, 7, 8]; // MotelyJsonConfig.DEFAULT_ANTES
+const JAML_VERY_RARE = 3;
+const JAML_COMMON = 1;
+
+function jamlQuickFix(title, apply) {
+    return { title, apply };
+}
+
+function lintJamlDocument(doc) {
+    const issues = [];
+    if (!isPlainObject(doc)) return issues;
+
+    const defaultAntes = isPlainObject(doc.defaults) && isIntegerList(doc.defaults.antes) && doc.defaults.antes.length > 0
+        ? doc.defaults.antes
+        : JAML_ALL_ANTES;
+    const entries = section => (Array.isArray(doc[section]) ? doc[section] : [])
+        .map((clause, i) => ({ clause, path: `${section}[${i}]`, resolved: isPlainObject(clause) ? resolveJamlClause(clause) : null }))
+        .filter(entry => entry.resolved);
+    const must = entries('must');
+
+    JAML_SECTIONS.forEach(section => {
+        lintJamlShopSlots(entries(section), defaultAntes, issues);
+        lintJamlFilterOrder(entries(section), issues);
     });
-    return id.replace(/,/g, '-').replace(/ /g, '-');
+    lintJamlContradictions(must, entries('mustNot'), defaultAntes, issues);
+    lintJamlMustOrder(must, issues);
+    return issues;
 }
 
-function generateSearchId(filterName, deck, stake) {
-    // Match the C# API logic exactly
-    return sanitizeSearchId(`${filterName}_${deck}_${stake}`);
+function jamlCanonicalType(type) {
+    return JAML_TYPE_KEYS[type] || (type === 'bossblind' ? 'boss' : type);
 }
 
-function extractFromJaml(jaml, key) {
-    // Extract a top-level key value from JAML (e.g., deck: Ghost -> "Ghost")
-    const match = jaml.match(new RegExp(`^${key}:\\s*(.+)$`, 'm'));
-    return match ? match[1].trim().replace(/^['"]|['"]$/g, '') : null;
+// Names a clause matches, lowercased - null when it takes anything of its type
+function jamlClauseNames(resolved) {
+    const names = Array.isArray(resolved.values) && resolved.values.length > 0 ? resolved.values : [resolved.value];
+    const lower = names.map(name => String(name == null ? 'any' : name).toLowerCase());
+    return lower.some(name => name === 'any' || name === '*') ? null : lower;
 }
 
-function autoRenameFilter(jaml) {
-    const nameMatch = jaml.match(/^name:\\s*(.+)$/m);
-    if (!nameMatch) return jaml;
-    
-    const currentName = nameMatch[1].trim();
-    const editMatch = currentName.match(/_edit(\\d+)$/);
-    
-    let newName;
-    if (editMatch) {
-        const num = parseInt(editMatch[1]) + 1;
-        newName = currentName.replace(/_edit\\d+$/, `_edit${num}`);
-    } else {
-        newName = currentName + '_edit1';
-    }
-    
-    return jaml.replace(/^name:\\s*.+$/m, `name: ${newName}`);
+function jamlClauseAntes(clause, inherited) {
+    return isIntegerList(clause.antes) && clause.antes.length > 0 ? clause.antes : inherited;
 }
 
-function showStatus(message) {
-    const statusBar = document.getElementById('status');
-    statusBar.textContent = message;
+function describeJamlLintClause(entry) {
+    if (entry.clause.label) return String(entry.clause.label);
+    const names = Array.isArray(entry.resolved.values) && entry.resolved.values.length > 0
+        ? entry.resolved.values.join('/')
+        : entry.resolved.value;
+    return names != null && names !== '' ? `${entry.resolved.typeKey} ${names}` : entry.resolved.typeKey;
 }
 
-function exportResults() {
-    if (!searchResults || searchResults.length === 0) {
-        alert('No results to export!');
-        return;
-    }
+function sameJamlLintValue(a, b) {
+    return JSON.stringify(a === undefined ? null : a).toLowerCase() === JSON.stringify(b === undefined ? null : b).toLowerCase();
+}
 
-    // Headers from columns, rows from results - simple array join
-    const rows = [
-        searchColumns.join(','),
-        ...searchResults.map(r => [r.seed, r.score, ...(r.tallies || [])].join(','))
-    ];
+// Clauses inside an or/and group, shaped like lintJamlDocument's entries
+function jamlNestedEntries(entry) {
+    return (Array.isArray(entry.resolved.clauses) ? entry.resolved.clauses : [])
+        .map((child, i) => ({ clause: child, path: `${entry.path}.clauses[${i}]`, resolved: isPlainObject(child) ? resolveJamlClause(child) : null }))
+        .filter(child => child.resolved);
+}
 
-    // Download
-    const blob = new Blob([rows.join('\n')], { type: 'text/csv' });
-    const a = document.createElement('a');
-    a.href = URL.createObjectURL(blob);
-    a.download = `jaml-${Date.now()}.csv`;
-    a.click();
-    URL.revokeObjectURL(a.href);
+// The loader reads filterOrder, but nothing in the search uses it - must clauses run in file order
+function lintJamlFilterOrder(entries, issues) {
+    entries.forEach(entry => {
+        if (entry.clause.filterOrder != null) {
+            issues.push(jamlIssue(`${entry.path}.filterOrder`,
+                "'filterOrder' is ignored - the search checks must clauses in file order. Move the clause up instead.",
+                'info',
+                jamlQuickFix('Remove filterOrder', text => setJamlClauseField(text, entry.path, 'filterOrder', null))));
+        }
+        if (GROUP_TYPES.includes(entry.resolved.type)) lintJamlFilterOrder(jamlNestedEntries(entry), issues);
+    });
 }
 
-// ================================================
-// Filter Builder - Item Data
-// ================================================
-const ITEM_DATA = {
-    joker: [
-        // Rare
-        'DNA', 'Vagabond', 'Baron', 'Obelisk', 'BaseballCard', 'AncientJoker', 'Campfire', 'Blueprint',
-        'WeeJoker', 'HitTheRoad', 'TheDuo', 'TheTrio', 'TheFamily', 'TheOrder', 'TheTribe', 'Stuntman',
-        'InvisibleJoker', 'Brainstorm', 'DriversLicense', 'BurntJoker',
-        // Uncommon
-        'JokerStencil', 'FourFingers', 'Mime', 'CeremonialDagger', 'MarbleJoker', 'LoyaltyCard', 'Dusk',
-        'Fibonacci', 'SteelJoker', 'Hack', 'Pareidolia', 'SpaceJoker', 'Burglar', 'Blackboard', 'SixthSense',
-        'Constellation', 'Hiker', 'CardSharp', 'Madness', 'Seance', 'Vampire', 'Shortcut', 'Hologram',
-        'Cloud9', 'Rocket', 'MidasMask', 'Luchador', 'GiftCard', 'TurtleBean', 'Erosion', 'ToTheMoon',
-        'StoneJoker', 'LuckyCat', 'Bull', 'DietCola', 'TradingCard', 'FlashCard', 'SpareTrousers', 'Ramen',
-        'Seltzer', 'Castle', 'MrBones', 'Acrobat', 'SockAndBuskin', 'Troubadour', 'Certificate', 'SmearedJoker',
-        'Throwback', 'RoughGem', 'Bloodstone', 'Arrowhead', 'OnyxAgate', 'GlassJoker', 'Showman', 'FlowerPot',
-        'MerryAndy', 'OopsAll6s', 'TheIdol', 'SeeingDouble', 'Matador', 'Satellite', 'Cartomancer', 'Astronomer', 'Bootstraps',
-        // Common
-        'Joker', 'GreedyJoker', 'LustyJoker', 'WrathfulJoker', 'GluttonousJoker', 'JollyJoker', 'ZanyJoker',
-        'MadJoker', 'CrazyJoker', 'DrollJoker', 'SlyJoker', 'WilyJoker', 'CleverJoker', 'DeviousJoker',
-        'CraftyJoker', 'HalfJoker', 'CreditCard', 'Banner', 'MysticSummit', 'EightBall', 'Misprint',
-        'RaisedFist', 'ChaostheClown', 'ScaryFace', 'AbstractJoker', 'DelayedGratification', 'GrosMichel',
-        'EvenSteven', 'OddTodd', 'Scholar', 'BusinessCard', 'Supernova', 'RideTheBus', 'Egg', 'Runner',
-        'IceCream', 'Splash', 'BlueJoker', 'FacelessJoker', 'GreenJoker', 'Superposition', 'ToDoList',
-        'Cavendish', 'RedCard', 'SquareJoker', 'RiffRaff', 'Photograph', 'ReservedParking', 'MailInRebate',
-        'Hallucination', 'FortuneTeller', 'Juggler', 'Drunkard', 'GoldenJoker', 'Popcorn', 'WalkieTalkie',
-        'SmileyFace', 'GoldenTicket', 'Swashbuckler', 'HangingChad', 'ShootTheMoon'
-    ],
-    soulJoker: ['Canio', 'Triboulet', 'Yorick', 'Chicot', 'Perkeo'],
-    voucher: [
-        'Overstock', 'OverstockPlus', 'ClearanceSale', 'Liquidation', 'Hone', 'GlowUp', 'RerollSurplus',
-        'RerollGlut', 'CrystalBall', 'OmenGlobe', 'Telescope', 'Observatory', 'Grabber', 'NachoTong',
-        'Wasteful', 'Recyclomancy', 'TarotMerchant', 'TarotTycoon', 'PlanetMerchant', 'PlanetTycoon',
-        'SeedMoney', 'MoneyTree', 'Blank', 'Antimatter', 'MagicTrick', 'Illusion', 'Hieroglyph',
-        'Petroglyph', 'DirectorsCut', 'Retcon', 'PaintBrush', 'Palette'
-    ],
-    tag: [
-        'UncommonTag', 'RareTag', 'NegativeTag', 'FoilTag', 'HolographicTag', 'PolychromeTag',
-        'InvestmentTag', 'VoucherTag', 'BossTag', 'StandardTag', 'CharmTag', 'MeteorTag', 'BuffoonTag',
-        'HandyTag', 'GarbageTag', 'EtherealTag', 'CouponTag', 'DoubleTag', 'JuggleTag', 'D6Tag',
-        'TopupTag', 'SpeedTag', 'OrbitalTag', 'EconomyTag'
-    ],
-    tarot: [
-        'TheFool', 'TheMagician', 'TheHighPriestess', 'TheEmpress', 'TheEmperor', 'TheHierophant',
-        'TheLovers', 'TheChariot', 'Justice', 'TheHermit', 'TheWheelOfFortune', 'Strength',
-        'TheHangedMan', 'Death', 'Temperance', 'TheDevil', 'TheTower', 'TheStar', 'TheMoon',
-        'TheSun', 'Judgement', 'TheWorld'
-    ],
-    spectral: [
-        'Familiar', 'Grim', 'Incantation', 'Talisman', 'Aura', 'Wraith', 'Sigil', 'Ouija',
-        'Ectoplasm', 'Immolate', 'Ankh', 'DejaVu', 'Hex', 'Trance', 'Medium', 'Cryptid', 'Soul', 'BlackHole'
-    ],
-    planet: ['Mercury', 'Venus', 'Earth', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto', 'PlanetX', 'Ceres', 'Eris'],
-    boss: [
-        'AmberAcorn', 'CeruleanBell', 'CrimsonHeart', 'VerdantLeaf', 'VioletVessel', 'TheArm', 'TheClub',
-        'TheEye', 'TheFish', 'TheFlint', 'TheGoad', 'TheHead', 'TheHook', 'TheHouse', 'TheManacle',
-        'TheMark', 'TheMouth', 'TheNeedle', 'TheOx', 'ThePillar', 'ThePlant', 'ThePsychic', 'TheSerpent',
-        'TheTooth', 'TheWall', 'TheWater', 'TheWheel', 'TheWindow'
-    ]
-};
+// The default search looks at the first N shop slots of an ante (itemCatalog.defaultSlots, from
+// MotelyJsonScoring.GetDefaultShopSlotsForAnte). Explicit slots past that still work, but they
+// only show up after rerolls - usually a typo or a slot list copied from a later ante.
+function jamlDefaultShopSlots(ante) {
+    const slots = itemCatalog && itemCatalog.defaultSlots || [];
+    const entry = slots.find(s => s.ante === Math.max(ante, 1));
+    return entry ? entry.shopSlots : Infinity;
+}
 
-// ================================================
-// Filter Builder Functions
-// ================================================
+function lintJamlShopSlots(entries, inheritedAntes, issues) {
+    entries.forEach(entry => {
+        const { clause, path, resolved } = entry;
+        const antes = jamlClauseAntes(clause, inheritedAntes);
+        if (GROUP_TYPES.includes(resolved.type)) {
+            lintJamlShopSlots(jamlNestedEntries(entry), antes, issues);
+            return;
+        }
+        // Soul jokers never sit in the shop - the validator already rejects their shopSlots
+        if (!JAML_SOURCE_TYPES.includes(resolved.type) || resolved.type === 'souljoker') return;
+
+        const shopSlots = isPlainObject(clause.sources) && clause.sources.shopSlots != null ? clause.sources.shopSlots : clause.shopSlots;
+        if (!isIntegerList(shopSlots) || shopSlots.length === 0) return;
+
+        const cap = Math.max(...antes.map(jamlDefaultShopSlots));
+        const beyond = shopSlots.filter(slot => slot >= cap);
+        if (cap === Infinity || beyond.length === 0) return;
+
+        const kept = shopSlots.filter(slot => slot < cap);
+        const where = antes.length === 1 ? `ante ${antes[0]}` : `antes ${antes.join(', ')}`;
+        issues.push(jamlIssue(`${path}.shopSlots`,
+            `Shop slot${beyond.length === 1 ? '' : 's'} ${beyond.join(', ')} ${beyond.length === 1 ? 'is' : 'are'} past the ${cap} shop slots a default search checks in ${where} - reaching ${beyond.length === 1 ? 'it' : 'them'} takes rerolls.`,
+            'info',
+            jamlQuickFix(kept.length > 0 ? `Keep shop slots ${kept.join(', ')}` : 'Remove shopSlots (use the default slots)',
+                text => setJamlClauseField(text, path, 'shopSlots', kept))));
+    });
+}
 
-// Type-specific field visibility rules
-const TYPE_FIELDS = {
-    joker:     { edition: true,  shopSlots: true,  packSlots: true,  requireMega: false },
-    soulJoker: { edition: true,  shopSlots: false, packSlots: true,  requireMega: true  },
-    voucher:   { edition: false, shopSlots: true,  packSlots: false, requireMega: false },
-    tag:       { edition: false, shopSlots: false, packSlots: false, requireMega: false },
-    tarot:     { edition: false, shopSlots: false, packSlots: true,  requireMega: false },
-    spectral:  { edition: false, shopSlots: false, packSlots: true,  requireMega: false },
-    planet:    { edition: false, shopSlots: false, packSlots: true,  requireMega: false },
-    boss:      { edition: false, shopSlots: false, packSlots: false, requireMega: false }
-};
+// A mustNot that rules out everything a must clause can match leaves no seed that passes:
+// same type, every name the must takes, every ante it looks at, and no extra condition
+function lintJamlContradictions(must, mustNot, defaultAntes, issues) {
+    mustNot.forEach(excluded => {
+        if (GROUP_TYPES.includes(excluded.resolved.type)) return;
+        const excludedNames = jamlClauseNames(excluded.resolved);
+        const excludedAntes = jamlClauseAntes(excluded.clause, defaultAntes);
 
-function updateBuilderValues2() {
-    const type = document.getElementById('builderType2').value;
-    const valueSelect = document.getElementById('builderValue2');
-    const items = ITEM_DATA[type] || [];
-    valueSelect.innerHTML = items.map(item => `<option value="${item}">${item}</option>`).join('');
+        const required = must.find(entry => {
+            if (GROUP_TYPES.includes(entry.resolved.type)) return false;
+            if (jamlCanonicalType(entry.resolved.type) !== jamlCanonicalType(excluded.resolved.type)) return false;
 
-    // Update field visibility based on type
-    const fields = TYPE_FIELDS[type] || { edition: false, shopSlots: false, packSlots: false, requireMega: false };
+            const names = jamlClauseNames(entry.resolved);
+            if (excludedNames && (!names || names.some(name => !excludedNames.includes(name)))) return false;
+            if (jamlClauseAntes(entry.clause, defaultAntes).some(ante => !excludedAntes.includes(ante))) return false;
 
-    document.getElementById('builderEdition2').parentElement.style.display = fields.edition ? '' : 'none';
-    document.getElementById('shopSlotsRow2').style.display = fields.shopSlots ? '' : 'none';
-    document.getElementById('packSlotsRow2').style.display = fields.packSlots ? '' : 'none';
-    document.getElementById('requireMegaRow2').style.display = fields.requireMega ? '' : 'none';
-}
+            return JAML_LINT_MATCH_KEYS.every(key => excluded.clause[key] == null || sameJamlLintValue(excluded.clause[key], entry.clause[key]))
+                && JAML_LINT_SLOT_KEYS.every(key => sameJamlLintValue(excluded.clause[key], entry.clause[key]));
+        });
+        if (!required) return;
 
-function updateScoreVisibility2() {
-    const section = document.getElementById('builderSection2').value;
-    document.getElementById('scoreRow2').style.display = section === 'should' ? 'block' : 'none';
+        issues.push(jamlIssue(excluded.path,
+            `${excluded.path} (${describeJamlLintClause(excluded)}) rules out everything ${required.path} (${describeJamlLintClause(required)}) needs - no seed can pass this filter.`,
+            'info',
+            jamlQuickFix(`Remove ${excluded.path}`, text => deleteJamlClauseAndEmptySection(text, excluded.path))));
+    });
 }
 
-function newFilterFromBuilder() {
-    const name = document.getElementById('builderName').value.trim() || 'My Filter';
-    const deck = document.getElementById('builderDeck').value;
-    const stake = document.getElementById('builderStake').value;
-
-    const jaml = `name: ${name}
-deck: ${deck}
-stake: ${stake}
-must:
-should:
-`;
+// Remove a top-level clause, and its section key too when that was the last clause - a bare
+// "mustNot:" loads as null
+function deleteJamlClauseAndEmptySection(text, path) {
+    const model = parseJamlClauseBlocks(deleteJamlClause(text, path));
+    const section = model.sections[path.slice(0, path.indexOf('['))];
+    if (!section || section.clauses.length > 0 || section.inlineEmpty) return model.lines.join('\n');
+    model.lines.splice(section.header, section.end - section.header + 1);
+    return model.lines.join('\n');
+}
 
-    setJamlValue(jaml);
-    switchTab('jaml', document.querySelector('.tab:nth-child(2)'));
-    showStatus(`Created new filter: ${name}`);
+// Rough odds class of a clause on its own, 0 (most seeds) to 4+ (a handful in a million)
+function jamlClauseRarity(entry) {
+    const { clause, resolved } = entry;
+    const type = jamlCanonicalType(resolved.type);
+    const wildcard = jamlClauseNames(resolved) === null;
+    let rarity = { souljoker: 2, joker: 1, spectralcard: 1 }[type] || 0;
+
+    if (type === 'souljoker' && !wildcard) rarity++; // one legendary of five
+    if (clause.edition != null && !/^none$/i.test(String(clause.edition))) rarity += type === 'playingcard' ? 1 : 2;
+    if (Array.isArray(clause.stickers) && clause.stickers.length > 0) rarity++;
+    if (type === 'playingcard') {
+        const fields = ['rank', 'suit', 'seal', 'enhancement'].filter(key => clause[key] != null && !/^(any|\*)$/i.test(String(clause[key])));
+        rarity += Math.max(0, fields.length - 1);
+    }
+    if (wildcard || (Array.isArray(resolved.values) && resolved.values.length > 2)) rarity--;
+    return rarity;
 }
 
-function addClauseFromBuilder() {
-    const section = document.getElementById('builderSection2').value;
-    const type = document.getElementById('builderType2').value;
-    const value = document.getElementById('builderValue2').value;
-    const edition = document.getElementById('builderEdition2').value;
-    const score = document.getElementById('builderScore2').value;
-    const requireMega = document.getElementById('builderRequireMega2').checked;
+// Search filter category (FilterCategoryMapper) - must clauses run one category at a time, in
+// the order each category first appears, and every or/and group is a filter of its own
+function jamlClauseCategory(entry) {
+    const type = jamlCanonicalType(entry.resolved.type);
+    if (GROUP_TYPES.includes(type)) return entry.path;
+    if (type === 'smallblindtag' || type === 'bigblindtag') return 'tag';
+    if (type === 'erraticrank' || type === 'erraticsuit') return 'erratic';
+    return type;
+}
 
-    // Get antes from the new button-based UI
-    const antes = getSelectedAntes();
+// The search drops a batch of seeds as soon as one category rules them all out, so a very rare
+// clause is cheapest checked first. The engine doesn't read filterOrder - file order is run order.
+function lintJamlMustOrder(must, issues) {
+    const categories = [...new Set(must.map(jamlClauseCategory))];
+
+    must.forEach(entry => {
+        if (GROUP_TYPES.includes(entry.resolved.type) || jamlClauseRarity(entry) < JAML_VERY_RARE) return;
+        const position = categories.indexOf(jamlClauseCategory(entry));
+        const common = must.find(other => categories.indexOf(jamlClauseCategory(other)) < position
+            && !GROUP_TYPES.includes(other.resolved.type)
+            && jamlClauseRarity(other) <= JAML_COMMON);
+        if (!common) return;
+
+        issues.push(jamlIssue(entry.path,
+            `${entry.path} (${describeJamlLintClause(entry)}) is very rare but runs after ${common.path} (${describeJamlLintClause(common)}) - checked first it would rule out most seeds before the common clauses run.`,
+            'info',
+            jamlQuickFix(`Move ${entry.path} to the top of must`, text => moveJamlClauseToTop(text, entry.path))));
+    });
+}
 
-    const shopCheckboxes = document.querySelectorAll('.shop-cb2:checked');
-    const shopSlots = Array.from(shopCheckboxes).map(cb => cb.value);
+function moveJamlClauseToTop(text, path) {
+    for (let i = Number(path.match(/\[(\d+)\]$/)[1]); i > 0; i--) {
+        text = moveJamlClause(text, `must[${i}]`, -1);
+    }
+    return text;
+}
 
-    const packCheckboxes = document.querySelectorAll('.pack-cb2:checked');
-    const packSlots = Array.from(packCheckboxes).map(cb => cb.value);
+// Quick fixes for diagnostics on lines [fromLine, toLine]: { title, message, text } with the fixed JAML
+function getJamlQuickFixes(text, fromLine, toLine) {
+    return jamlValidationIssues
+        .filter(issue => issue.fix && issue.line >= fromLine && issue.line <= toLine)
+        .map(issue => ({ title: issue.fix.title, message: issue.message, text: issue.fix.apply(text) }))
+        .filter(fix => fix.text !== text);
+}
 
-    if (antes.length === 0) {
-        showStatus('Select at least one ante');
+function applyJamlQuickFix(index) {
+    const issue = jamlValidationIssues[index];
+    if (!issue || !issue.fix) return;
+    const text = getBuilderJamlText();
+    const fixed = issue.fix.apply(text);
+    if (fixed === text) {
+        showStatus('⚠️ Quick fix no longer applies - the filter changed');
         return;
     }
+    writeJamlFromBuilder(fixed);
+    showStatus(`🔧 ${issue.fix.title}`);
+}
 
-    const fields = TYPE_FIELDS[type] || {};
-
-    let clause = `  - ${type}: ${value}\n`;
-    if (fields.edition && edition) clause += `    edition: ${edition}\n`;
-    clause += `    antes: [${antes.join(', ')}]\n`;
-    if (fields.shopSlots && shopSlots.length > 0) clause += `    shopSlots: [${shopSlots.join(', ')}]\n`;
-    if (fields.packSlots && packSlots.length > 0) clause += `    packSlots: [${packSlots.join(', ')}]\n`;
-    if (fields.requireMega && requireMega) clause += `    requireMega: true\n`;
-    if (section === 'should') clause += `    score: ${score}\n`;
+// ================================================
+// JAML Autocomplete & Hover Docs
+// ================================================
+// The cursor is placed in the document with the same indentation walk the validator uses
+// (buildJamlLineIndex), so completion knows the section, the clause type, whether it sits under
+// "sources:" and how deep it is in or/and groups - even while the YAML is half typed.
+
+// Hover docs per key, by where the key appears
+const JAML_KEY_DOCS = {
+    root: {
+        name: 'Filter name, shown in saved searches and used to build the search ID.',
+        author: 'Who wrote the filter.',
+        description: 'What the filter looks for.',
+        dateCreated: 'ISO 8601 timestamp of when the filter was created.',
+        verifiedSeed: 'A seed known to pass this filter.',
+        deck: 'Deck the search runs with. Defaults to Red.',
+        stake: 'Stake the search runs with. Defaults to White.',
+        mode: 'How should clauses add up: `sum` (default) adds count × score for every clause, `max` keeps the highest raw count and ignores scores.',
+        defaults: 'Values used by every clause that does not set its own: `antes`, `packSlots`, `shopSlots` and `score`.',
+        must: 'Clauses a seed has to pass. Seeds failing any of them are skipped.',
+        should: 'Scored clauses. Every match adds count × score to the seed\'s total.',
+        mustNot: 'Clauses that reject a seed when they match.'
+    },
+    defaults: {
+        antes: 'Antes checked by clauses without their own `antes`. Falls back to 1-8.',
+        packSlots: 'Booster pack slots checked by default. Ante 1 is capped to 0-3.',
+        shopSlots: 'Shop slots checked by default. Ante 1 is capped to 0-3.',
+        score: 'Score for should clauses without their own `score`. Falls back to 1.'
+    },
+    clause: {
+        type: 'Clause type, e.g. `Joker`, `PlayingCard` or `Event`. Not needed when the type is the first key (`- joker: Blueprint`).',
+        value: 'The item to look for. Jokers and consumables also take wildcards such as `any` or `AnyRare`.',
+        values: 'Several items, any of which counts (OR matching). Cannot be combined with `value`.',
+        label: 'Column name for this clause in the results grid.',
+        antes: 'Antes to check, e.g. `[1, 2, 3]`. Falls back to `defaults.antes`, then 1-8.',
+        score: 'Points per match. Only should clauses are scored - must and mustNot are pass/fail.',
+        mode: 'How an or/and group counts its nested clauses: `max` (default) keeps the best one, `sum` adds them up.',
+        min: 'Minimum number of matches before the clause counts. For Erratic deck rank/suit clauses, the minimum number of cards in the deck.',
+        filterOrder: 'Ignored - the search checks must clauses in file order, so put very rare clauses first instead.',
+        edition: 'Required edition. Leave it out to accept any edition.',
+        stickers: 'Required stickers, e.g. `[Eternal]`. Which stickers can appear depends on the stake.',
+        suit: 'Playing card suit, or `Any`.',
+        rank: 'Playing card rank, or `Any`.',
+        seal: 'Required seal on the playing card.',
+        enhancement: 'Required enhancement on the playing card.',
+        sources: 'Where the item may be found: shop slots, booster pack slots, skip tags and joker-granting effects.',
+        shopSlots: 'Shop slots to check, left to right from 0. Same as `sources.shopSlots`.',
+        packSlots: 'Booster packs to check, in shop order from 0. Same as `sources.packSlots`.',
+        requireMega: 'Only count items found in Mega booster packs. Same as `sources.requireMega`.',
+        tags: 'Whether items granted by skip tags count as a source. Same as `sources.tags`.',
+        clauses: 'Nested clauses of an or/and group.',
+        eventType: 'Random event to check.',
+        rolls: 'Which occurrences of the event to check, from 0: `[0, 1]` checks the first two.'
+    },
+    sources: {
+        shopSlots: 'Shop slots to check, left to right from 0.',
+        packSlots: 'Booster packs to check, in shop order from 0.',
+        minShopSlot: 'First shop slot to check - an alternative to listing `shopSlots`.',
+        maxShopSlot: 'Last shop slot to check - an alternative to listing `shopSlots`.',
+        minPackSlot: 'First booster pack to check - an alternative to listing `packSlots`.',
+        maxPackSlot: 'Last booster pack to check - an alternative to listing `packSlots`.',
+        requireMega: 'Only count items found in Mega booster packs.',
+        tags: 'Whether items granted by skip tags count as a source.',
+        judgement: 'Jokers created by Judgement, by use: `[0]` is the first Judgement.',
+        rareTag: 'Jokers from Rare Tags, by tag: `[0]` is the first Rare Tag.',
+        uncommonTag: 'Jokers from Uncommon Tags, by tag: `[0, 1]` are the first two.'
+    }
+};
 
-    let jaml = getJamlValue();
+// Keys offered per builder type on top of label and antes (and score on should)
+const JAML_TYPE_CLAUSE_KEYS = {
+    joker:         ['value', 'values', 'edition', 'stickers', 'min', 'sources'],
+    soulJoker:     ['value', 'values', 'edition', 'min', 'sources'],
+    voucher:       ['value', 'values'],
+    tag:           ['value', 'values'],
+    smallBlindTag: ['value', 'values'],
+    bigBlindTag:   ['value', 'values'],
+    tarot:         ['value', 'values', 'edition', 'min', 'sources'],
+    spectral:      ['value', 'values', 'edition', 'min', 'sources'],
+    planet:        ['value', 'values', 'edition', 'min', 'sources'],
+    playingCard:   ['rank', 'suit', 'seal', 'enhancement', 'edition', 'min', 'sources'],
+    boss:          ['value', 'values'],
+    event:         ['eventType', 'rolls'],
+    erraticRank:   ['value', 'min'],
+    erraticSuit:   ['value', 'min'],
+    or:            ['mode', 'min'],
+    and:           ['mode', 'min']
+};
 
-    // If JAML is empty or missing name, create base structure from builder inputs
-    if (!jaml.trim() || !jaml.match(/^name:/m)) {
-        const name = document.getElementById('builderName').value.trim() || 'My Filter';
-        const deck = document.getElementById('builderDeck').value;
-        const stake = document.getElementById('builderStake').value;
-        jaml = `name: ${name}\ndeck: ${deck}\nstake: ${stake}\nmust:\nshould:\nmustNot:\n`;
-    }
+// Keys whose value is a flow list - completed as "key: [|]"
+const JAML_LIST_KEYS = ['antes', 'values', 'stickers', 'rolls', 'shopSlots', 'packSlots', 'judgement', 'rareTag', 'uncommonTag'];
+
+// Catalog list behind enum-valued clause keys
+const JAML_ENUM_KEYS = { edition: 'edition', seal: 'seal', enhancement: 'enhancement', rank: 'rank', suit: 'suit', eventType: 'eventType', stickers: 'sticker' };
+
+const JAML_CLAUSE_PATH = /^(must|should|mustNot)\[\d+\](\.clauses\[\d+\])*$/;
+
+// Where the cursor sits. Returns null inside comments and anything that isn't "key" or "key: value".
+// { mode: 'key'|'value', key, parent, section, onItemLine, clause } where parent is the path of the
+// enclosing mapping ('' for the root, 'defaults', 'must[0]', 'must[0].sources', ...)
+function getJamlCursorContext(text, lineNumber, column) {
+    const lines = text.split('\n');
+    const before = (lines[lineNumber - 1] || '').slice(0, column - 1);
+    if (/(^|\s)#/.test(before)) return null;
+
+    const valueMatch = before.match(/^(\s*(?:-\s+)*)(\w+)\s*:\s*(.*)$/);
+    const keyMatch = !valueMatch && before.match(/^(\s*(?:-\s*)*)(\w*)$/);
+    const match = valueMatch || keyMatch;
+    if (!match) return null;
+
+    // Index the document up to here with a placeholder key on the cursor line
+    const prefix = match[1].replace(/-$/, '- ');
+    const probe = [...lines.slice(0, lineNumber - 1), `${prefix}__cursor__: x`].join('\n');
+    let path = null;
+    buildJamlLineIndex(probe).forEach((line, p) => {
+        if (line === lineNumber && /(^|\.)__cursor__$/.test(p)) path = p;
+    });
+    if (path == null) return null;
+
+    const parent = path.replace(/\.?__cursor__$/, '');
+    const section = (parent.match(/^(must|should|mustNot)\b/) || [])[1] || null;
+    const clausePath = JAML_CLAUSE_PATH.test(parent) ? parent
+        : (/\.sources$/.test(parent) && JAML_CLAUSE_PATH.test(parent.slice(0, -8)) ? parent.slice(0, -8) : null);
+
+    return {
+        mode: valueMatch ? 'value' : 'key',
+        key: match[2],
+        parent,
+        section,
+        onItemLine: /-\s*$/.test(match[1]),
+        clause: clausePath ? getJamlClauseInfo(lines, clausePath) : null
+    };
+}
 
-    // Find where the section is (or where to add it)
-    const sectionMatch = jaml.match(new RegExp(`^${section}:`, 'm'));
+// Type and present keys of the clause at a path, read from the raw lines
+function getJamlClauseInfo(lines, clausePath) {
+    const index = buildJamlLineIndex(lines.join('\n'));
+    const keys = [];
+    index.forEach((line, p) => {
+        const rest = p.slice(clausePath.length + 1);
+        if (p.startsWith(`${clausePath}.`) && rest && !/[.[]/.test(rest)) keys.push(rest);
+    });
 
-    if (sectionMatch) {
-        // Section exists - insert clause right after the section header
-        const sectionStart = jaml.indexOf(sectionMatch[0]);
-        const afterHeader = sectionStart + sectionMatch[0].length;
-        jaml = jaml.slice(0, afterHeader) + '\n' + clause + jaml.slice(afterHeader).replace(/^\n/, '');
-    } else {
-        // Section doesn't exist - add before deck/stake or at end
-        const deckMatch = jaml.match(/^deck:/m);
-        if (deckMatch) {
-            const deckIdx = jaml.indexOf(deckMatch[0]);
-            jaml = jaml.slice(0, deckIdx) + `${section}:\n${clause}` + jaml.slice(deckIdx);
-        } else {
-            jaml += `\n${section}:\n${clause}`;
+    let typeKey = null;
+    let type = '';
+    if (index.has(`${clausePath}.type`)) {
+        typeKey = 'type';
+        type = lines[index.get(`${clausePath}.type`) - 1].replace(/^[\s-]*type\s*:\s*/, '').replace(/\s+#.*$/, '').replace(/['"]/g, '').trim();
+    } else if (index.has(clausePath)) {
+        const first = lines[index.get(clausePath) - 1].replace(/^\s*(-\s+)+/, '').match(/^(\w+)\s*:/);
+        if (first && (JAML_TYPE_KEYS[first[1].toLowerCase()] || JAML_PLURAL_KEYS[first[1].toLowerCase()])) {
+            typeKey = first[1];
+            type = first[1];
         }
     }
 
-    setJamlValue(jaml.trim());
-    switchTab('jaml', document.querySelector('.tab:nth-child(2)'));
-    showStatus(`Added ${type}: ${value}`);
+    const normalized = type.toLowerCase();
+    return {
+        path: clausePath,
+        keys,
+        typeKey,
+        builderType: BUILDER_TYPE_FOR[JAML_PLURAL_KEYS[normalized] || normalized] || null
+    };
 }
 
-// ================================================
-// Builder: Requirement Button Selection
-// ================================================
-function setRequirement(type, button) {
-    // Update hidden field
-    document.getElementById('builderSection2').value = type;
-
-    // Update button active states
-    document.querySelectorAll('.req-btn').forEach(btn => btn.classList.remove('active'));
-    button.classList.add('active');
+function getJamlSourcesKeys(builderType) {
+    const fields = TYPE_FIELDS[builderType] || {};
+    const keys = [];
+    if (fields.shopSlots) keys.push('shopSlots', 'minShopSlot', 'maxShopSlot');
+    if (fields.packSlots) keys.push('packSlots', 'minPackSlot', 'maxPackSlot', 'requireMega');
+    if (keys.length > 0) keys.push('tags');
+    if (builderType === 'joker') keys.push('judgement', 'rareTag', 'uncommonTag');
+    return keys;
+}
 
-    // Show/hide score row based on section type
-    document.getElementById('scoreRow2').style.display = type === 'should' ? 'block' : 'none';
+// Builder type whose item list a key names, e.g. "joker", "tarots", "smallBlindTag"
+function getJamlTypeForKey(key) {
+    const lower = key.toLowerCase();
+    if (JAML_PLURAL_KEYS[lower]) return BUILDER_TYPE_FOR[JAML_PLURAL_KEYS[lower]];
+    return JAML_TYPE_KEYS[lower] ? BUILDER_TYPE_FOR[lower] : null;
 }
 
-// ================================================
-// Builder: Ante Quick-Select Buttons
-// ================================================
-function selectAntes(preset) {
-    const anteButtons = document.querySelectorAll('.ante-btn');
+// Catalog entries (and wildcards) a value position accepts: { detail, items, extra }
+function getJamlValueList(ctx) {
+    const { key, parent, clause } = ctx;
+    if (parent === '') {
+        if (key === 'mode') return { detail: 'Score mode', items: [], extra: ['sum', 'max'] };
+        if (key === 'deck') return { detail: 'Deck', items: getCatalogItems('deck'), extra: [] };
+        if (key === 'stake') return { detail: 'Stake', items: getCatalogItems('stake'), extra: [] };
+        return null;
+    }
+    if (!clause) return null;
 
-    anteButtons.forEach(btn => {
-        const ante = parseInt(btn.dataset.ante);
-        let shouldBeActive = false;
+    if (/\.sources$/.test(parent) || ['requireMega', 'tags'].includes(key)) {
+        return ['requireMega', 'tags'].includes(key) ? { detail: 'Boolean', items: [], extra: ['true', 'false'] } : null;
+    }
+    if (key === 'type') {
+        return { detail: 'Clause type', items: [], extra: Object.values(BUILDER_TYPES).map(info => info.typeName) };
+    }
+    if (key === 'mode') return { detail: 'Group mode', items: [], extra: ['max', 'sum'] };
+    if (JAML_ENUM_KEYS[key]) {
+        const items = getCatalogItems(JAML_ENUM_KEYS[key]).filter(item => item.name !== 'None');
+        return { detail: BUILDER_FIELD_LABELS[key] || 'Sticker', items, extra: ['rank', 'suit'].includes(key) ? ['Any'] : [] };
+    }
 
-        switch (preset) {
-            case 'early':
-                shouldBeActive = ante >= 1 && ante <= 3;
-                break;
-            case 'mid':
-                shouldBeActive = ante >= 4 && ante <= 5;
-                break;
-            case 'late':
-                shouldBeActive = ante >= 6 && ante <= 8;
-                break;
-            case 'all':
-                shouldBeActive = true;
-                break;
-        }
+    const builderType = getJamlTypeForKey(key) || (['value', 'values'].includes(key) ? clause.builderType : null);
+    if (!builderType || !BUILDER_TYPES[builderType] || VALUELESS_TYPES.includes(builderType)) return null;
+    const rule = JAML_VALUE_RULES[BUILDER_TYPES[builderType].typeName.toLowerCase()];
+    return {
+        detail: BUILDER_TYPES[builderType].label,
+        items: getCatalogItems(builderType),
+        extra: rule ? rule.wildcards.filter(w => w !== '*') : []
+    };
+}
 
-        if (shouldBeActive) {
-            btn.classList.add('active');
+function describeCatalogItem(item, detail) {
+    if (item.rarity) return `${detail} (${item.rarity})`;
+    if (item.finisher) return `${detail} (finisher, ante 8)`;
+    if (item.minAnte) return `${detail} (ante ${item.minAnte}+)`;
+    return detail;
+}
+
+// Snippets for whole clauses, written relative to the cursor line (Monaco re-indents the rest)
+function getJamlClauseSnippets(section, onItemLine) {
+    const lead = onItemLine ? '' : '- ';
+    return Object.entries(BUILDER_TYPES).map(([type, info]) => {
+        const first = (ITEM_DATA[type] || [])[0] || '';
+        let body;
+        if (type === 'playingCard') {
+            body = 'type: PlayingCard\n  rank: ${1:Ace}\n  suit: ${2:Spade}\n  antes: [${3:1, 2, 3}]';
+        } else if (type === 'event') {
+            body = `type: Event\n  eventType: \${1:${ITEM_DATA.eventType[0] || ''}}\n  rolls: [\${2:0}]\n  antes: [\${3:1, 2, 3}]`;
+        } else if (type === 'erraticRank' || type === 'erraticSuit') {
+            body = `${type}: \${1:${first}}\n  min: \${2:10}`;
+        } else if (GROUP_TYPES.includes(type)) {
+            body = `${type}:\n    - joker: \${1:${ITEM_DATA.joker[0] || ''}}\n    - joker: \${2:${ITEM_DATA.joker[1] || ''}}`;
         } else {
-            btn.classList.remove('active');
+            body = `${type}: \${1:${first}}\n  antes: [\${2:1, 2, 3}]`;
         }
+        if (section === 'should') body += '\n  score: ${9:10}';
+        return {
+            label: `${type} clause`,
+            kind: 'snippet',
+            insertText: lead + body,
+            snippet: true,
+            detail: `${info.label} clause`,
+            documentation: '```yaml\n- ' + body.replace(/\$\{\d+:?([^}]*)\}/g, '$1') + '\n```'
+        };
     });
 }
 
-// ================================================
-// Builder: Get Selected Antes from Buttons
-// ================================================
-function getSelectedAntes() {
-    const activeButtons = document.querySelectorAll('.ante-btn.active');
-    return Array.from(activeButtons).map(btn => btn.dataset.ante);
+function jamlKeyCompletion(key, docs, kind = 'property') {
+    const list = JAML_LIST_KEYS.includes(key);
+    return {
+        label: key,
+        kind,
+        insertText: list ? `${key}: [$1]` : `${key}: `,
+        snippet: list,
+        documentation: docs[key] || ''
+    };
 }
 
-// Initialize builder on page load
-document.addEventListener('DOMContentLoaded', () => {
-    updateBuilderValues2();
+function getJamlKeyCompletions(ctx, text) {
+    const { parent, section, clause, onItemLine } = ctx;
+    const paths = [...buildJamlLineIndex(text).keys()];
 
-    // Add click handlers for ante buttons
-    document.querySelectorAll('.ante-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            btn.classList.toggle('active');
-        });
-    });
-});
\ No newline at end of file
+    if (parent === '') {
+        const used = new Set(paths.filter(p => !/[.[]/.test(p)));
+        return JAML_TOP_LEVEL_KEYS.filter(k => !used.has(k)).map(k => jamlKeyCompletion(k, JAML_KEY_DOCS.root, 'keyword'));
+    }
+    if (parent === 'defaults') {
+        return JAML_DEFAULTS_KEYS.map(k => jamlKeyCompletion(k, JAML_KEY_DOCS.defaults));
+    }
+
+    // A new list item (or a bare line) under a section or group: offer clause types and snippets
+    const isNewItem = (onItemLine && clause && !clause.typeKey) || JAML_SECTIONS.includes(parent) || /\.clauses$/.test(parent);
+    if (isNewItem) {
+        const types = Object.entries(BUILDER_TYPES).map(([type, info]) => ({
+            label: VALUELESS_TYPES.includes(type) && !GROUP_TYPES.includes(type) ? `type: ${info.typeName}` : type,
+            kind: 'type',
+            insertText: (onItemLine ? '' : '- ') + (VALUELESS_TYPES.includes(type) && !GROUP_TYPES.includes(type) ? `type: ${info.typeName}\n  ` : `${type}: `),
+            detail: info.label,
+            documentation: `${info.label} clause.`
+        }));
+        return [...types, ...getJamlClauseSnippets(section, onItemLine)];
+    }
+    if (!clause) return [];
+
+    if (/\.sources$/.test(parent)) {
+        const used = new Set(paths.filter(p => p.startsWith(`${parent}.`)).map(p => p.slice(parent.length + 1)));
+        return getJamlSourcesKeys(clause.builderType).filter(k => !used.has(k)).map(k => jamlKeyCompletion(k, JAML_KEY_DOCS.sources));
+    }
+
+    const used = new Set(clause.keys);
+    let keys = ['label', 'antes'];
+    if (clause.builderType) {
+        keys = keys.concat(JAML_TYPE_CLAUSE_KEYS[clause.builderType] || []);
+        // "- joker: X" already holds the value
+        if (clause.typeKey !== 'type') keys = keys.filter(k => k !== 'value' && k !== 'values');
+        if (!getJamlSourcesKeys(clause.builderType).length) keys = keys.filter(k => k !== 'sources');
+    } else {
+        keys.unshift('type');
+    }
+    if (section === 'should') keys.push('score');
+    return keys.filter(k => !used.has(k)).map(k => jamlKeyCompletion(k, JAML_KEY_DOCS.clause));
+}
+
+function getJamlValueCompletions(ctx) {
+    const list = getJamlValueList(ctx);
+    if (!list) return [];
+    return [
+        ...list.items.map(item => ({
+            label: item.name,
+            kind: 'value',
+            insertText: item.name,
+            detail: describeCatalogItem(item, list.detail),
+            documentation: item.displayName
+        })),
+        ...list.extra.map(value => ({ label: value, kind: 'keyword', insertText: value, detail: list.detail }))
+    ];
+}
+
+// Completion items as plain objects: { label, kind, insertText, snippet, detail, documentation }
+function getJamlCompletions(text, lineNumber, column) {
+    if (!itemCatalog) return [];
+    const ctx = getJamlCursorContext(text, lineNumber, column);
+    if (!ctx) return [];
+    const items = ctx.mode === 'value' ? getJamlValueCompletions(ctx) : getJamlKeyCompletions(ctx, text);
+    // Keep catalog order (rare jokers first) instead of alphabetical
+    return items.map((item, i) => ({ ...item, sortText: String(i).padStart(4, '0') }));
+}
+
+// Markdown hover for the key or value under the cursor: { contents, startColumn, endColumn }
+function getJamlHover(text, lineNumber, column) {
+    const line = text.split('\n')[lineNumber - 1] || '';
+    let start = column - 1;
+    let end = column - 1;
+    while (start > 0 && /\w/.test(line[start - 1])) start--;
+    while (end < line.length && /\w/.test(line[end])) end++;
+    if (start === end) return null;
+
+    const word = line.slice(start, end);
+    const range = { startColumn: start + 1, endColumn: end + 1 };
+
+    if (/^\s*:/.test(line.slice(end))) {
+        const ctx = getJamlCursorContext(text, lineNumber, start + 1);
+        if (!ctx || ctx.mode !== 'key') return null;
+        const typeForKey = getJamlTypeForKey(word);
+        let doc;
+        if (ctx.parent === '') doc = JAML_KEY_DOCS.root[word];
+        else if (ctx.parent === 'defaults') doc = JAML_KEY_DOCS.defaults[word];
+        else if (/\.sources$/.test(ctx.parent)) doc = JAML_KEY_DOCS.sources[word];
+        else if (ctx.onItemLine && typeForKey) doc = `${BUILDER_TYPES[typeForKey].label} clause. ${GROUP_TYPES.includes(typeForKey) ? 'Nested clauses go in the list below it.' : 'The value is the item to look for.'}`;
+        else doc = JAML_KEY_DOCS.clause[word];
+        return doc ? { contents: `**${word}**\n\n${doc}`, ...range } : null;
+    }
+
+    const ctx = getJamlCursorContext(text, lineNumber, end + 1);
+    if (!ctx || ctx.mode !== 'value') return null;
+    const list = getJamlValueList(ctx);
+    const item = list && list.items.find(entry => entry.name.toLowerCase() === word.toLowerCase());
+    if (!item) return null;
+    return { contents: `**${item.displayName}**\n\n${describeCatalogItem(item, list.detail)}`, ...range };
+}